@@ -3,7 +3,14 @@ const axios = require('axios');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const os = require('os');
+const util = require('util');
 const { MongoClient } = require('mongodb');
+const Ajv = require('ajv');
+const { parse: parseHtml } = require('node-html-parser');
 
 // --- MongoDB Configuration ---
 // 从环境变量中读取MongoDB连接信息
@@ -16,8 +23,69 @@ if (!mongoUri) {
     console.warn("警告: 未设置MONGODB_URI环境变量。MongoDB功能将不可用，仅使用本地文件存储配置。");
 }
 
-// 仅当提供了MongoDB URI时才创建客户端
-const mongoClient = mongoUri ? new MongoClient(mongoUri) : null;
+// 仅当提供了MongoDB URI时才创建客户端。整个进程共用这一个客户端（驱动内部维护连接池），
+// 第一次使用时才连接；连接失败后按指数退避（1 秒起，最长 60 秒）重试，等待期间直接报错，不让每个请求都去等待超时。
+// 连接成功后断线重连由驱动负责，mongoState 通过拓扑事件跟踪当前是否可用。
+const mongoClient = mongoUri ? new MongoClient(mongoUri, { serverSelectionTimeoutMS: 10000 }) : null;
+const mongoState = { status: mongoUri ? 'disconnected' : 'disabled', lastError: null, failures: 0, retryAt: 0 };
+let mongoConnectPromise = null;
+
+if (mongoClient) {
+    mongoClient.on('topologyDescriptionChanged', (event) => {
+        if (mongoState.status === 'connected' || mongoState.status === 'reconnecting') {
+            const status = event.newDescription.hasDataBearingServers ? 'connected' : 'reconnecting';
+            if (status !== mongoState.status) {
+                console.warn(`[MongoDB] Connection ${status === 'connected' ? 'restored' : 'lost, driver is reconnecting'}.`);
+                mongoState.status = status;
+            }
+        }
+    });
+    mongoClient.on('serverHeartbeatFailed', (event) => {
+        mongoState.lastError = event.failure?.message || String(event.failure);
+    });
+}
+
+async function getPersistentCollection(name) {
+    if (!mongoClient) {
+        throw new Error('MongoDB is not configured.');
+    }
+    if (!mongoConnectPromise) {
+        if (Date.now() < mongoState.retryAt) {
+            throw new Error(`MongoDB is unavailable (${mongoState.lastError}); next retry in ${Math.ceil((mongoState.retryAt - Date.now()) / 1000)}s.`);
+        }
+        mongoState.status = 'connecting';
+        mongoConnectPromise = mongoClient.connect().then(() => {
+            mongoState.status = 'connected';
+            mongoState.failures = 0;
+            mongoState.lastError = null;
+            console.log('[MongoDB] Connected.');
+        }).catch((error) => {
+            mongoConnectPromise = null;
+            mongoState.status = 'disconnected';
+            mongoState.lastError = error.message;
+            mongoState.failures += 1;
+            const delayMs = Math.min(60000, 1000 * 2 ** (mongoState.failures - 1));
+            mongoState.retryAt = Date.now() + delayMs;
+            console.error(`[MongoDB] Connection failed (attempt ${mongoState.failures}), retrying in ${delayMs / 1000}s: ${error.message}`);
+            throw error;
+        });
+    }
+    await mongoConnectPromise;
+    return mongoClient.db(dbName).collection(name);
+}
+
+// 还没有尝试过连接（MongoDB 只用于会话等功能、尚未用到）也视为正常
+function isMongoHealthy() {
+    return mongoState.status === 'connected' || mongoState.status === 'disabled' || (mongoState.status === 'disconnected' && mongoState.failures === 0);
+}
+
+async function closeMongoConnection() {
+    if (!mongoConnectPromise) return;
+    mongoConnectPromise = null;
+    mongoState.status = 'disconnected';
+    await mongoClient.close();
+    console.log('[MongoDB] Connection closed.');
+}
 
 // 安全地记录配置信息，不显示敏感信息
 if (mongoUri) {
@@ -33,1850 +101,7569 @@ if (mongoUri) {
 const enableFileOperations = process.env.ENABLE_FILE_OPERATIONS === 'true';
 
 // --- 管理界面鉴权配置 ---
-// 从环境变量中读取管理员token，如果不存在则使用默认值“admin”
+// ADMIN_TOKEN 是内置管理员账户（用户名为 ADMIN_USERNAME，默认 admin）的密码，不存在则使用默认值“admin”
 const adminToken = process.env.ADMIN_TOKEN || 'admin';
+const isUsingDefaultAdminToken = adminToken === 'admin';
+const builtinAdminUsername = process.env.ADMIN_USERNAME || 'admin';
+// 生产环境（NODE_ENV=production 或 Vercel）下拒绝默认令牌，除非显式设置 ALLOW_DEFAULT_ADMIN_TOKEN=true
+const isProductionEnvironment = process.env.NODE_ENV === 'production' || !!process.env.VERCEL;
+const allowDefaultAdminToken = process.env.ALLOW_DEFAULT_ADMIN_TOKEN === 'true' || !isProductionEnvironment;
+// 会话 cookie 的签名密钥。未设置时每次启动随机生成，重启后或多实例之间会话会失效
+const sessionSecret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
 // 管理界面的cookie名称
-const adminCookieName = 'api_forward_admin_token';
-
-// --- Configuration Loading ---
+const adminCookieName = 'api_forward_admin_session';
+
+// --- Config Storage Adapters ---
+// 配置的持久化由存储后端负责，通过 CONFIG_STORE 选择：
+//   mongodb  MongoDB（设置了 MONGODB_URI 时的默认值）
+//   file     本地 config.json（允许文件操作时的默认值）
+//   sqlite   SQLite 数据库文件（CONFIG_SQLITE_PATH，需要安装 better-sqlite3）
+//   redis    Redis（REDIS_URL，需要安装 ioredis）
+//   url      只读，从 CONFIG_URL 读取，并定期检查变化
+//   env      只读，从环境变量 CONFIG_JSON 读取（JSON 或 base64 编码的 JSON）
+//   memory   不持久化（既没有 MongoDB 也不允许文件操作时的默认值）
+//
+// 每个后端是一个普通对象：
+//   name, persistent, readOnly
+//   load()                 -> { config, version } 或 null（还没有配置）；version 为 null 表示后端不维护版本号
+//   save(config)           -> 保存后的版本号（或 null）
+//   watch(onChange)        配置可能被其他实例修改时调用 onChange()，返回停止监听的函数
+//   history                latest() / add(record, limit) / list() / get(revision)，配置历史
+//   instances（可选）      report(id, version) / list(liveSince) / remove(id)，多实例确认新版本
+//   status（可选）         () => 'ok' 或描述当前问题的状态
+//   close（可选）          关闭连接
+//
+// 各工厂函数的 options 用于替换文件路径、数据库连接等，默认取自环境变量（测试中用来注入替身）
 const configPath = path.join(__dirname, 'config.json');
-let currentConfig = {};
-
-async function loadConfig() {
-    let configLoaded = false;
-    
-    // 尝试从MongoDB加载配置（如果MongoDB客户端存在）
-    if (mongoClient) {
-        try {
-            await mongoClient.connect();
-            const db = mongoClient.db(dbName);
-            const collection = db.collection(collectionName);
-            const doc = await collection.findOne({});
-            
-            if (doc && doc.data) {
-                currentConfig = doc.data;
-                console.log("Configuration loaded from MongoDB.");
-                configLoaded = true;
-                
-                // 如果允许文件操作，备份到本地文件
-                if (enableFileOperations) {
-                    try {
-                        fs.writeFileSync(configPath, JSON.stringify(currentConfig, null, 2), 'utf8');
-                        console.log("Configuration backed up to local file.");
-                    } catch (writeError) {
-                        console.error("Error backing up configuration to file:", writeError);
-                    }
-                }
-            } else {
-                console.log("No configuration found in MongoDB.");
-                // MongoDB中没有配置，尝试从本地文件加载并写入MongoDB
-                try {
-                    if (fs.existsSync(configPath)) {
-                        const rawData = fs.readFileSync(configPath, 'utf8');
-                        currentConfig = JSON.parse(rawData);
-                        console.log("Configuration loaded from local file and will be saved to MongoDB.");
-                        
-                        // 将本地配置写入MongoDB
-                        await collection.updateOne({}, { $set: { data: currentConfig } }, { upsert: true });
-                        console.log("Local configuration saved to MongoDB.");
-                        configLoaded = true;
-                    }
-                } catch (fileError) {
-                    console.error("Error loading configuration from local file:", fileError);
-                }
-            }
-        } catch (mongoError) {
-            console.error("Error connecting to MongoDB:", mongoError);
-        } finally {
-            try {
-                await mongoClient.close();
-            } catch (error) {
-                console.error("Error closing MongoDB connection:", error);
-            }
-        }
-    } else {
-        console.log("MongoDB client not initialized.");
-    }
-    
-    // 如果配置还未加载且允许文件操作，尝试从本地文件加载
-    if (!configLoaded && enableFileOperations) {
-        try {
-            if (fs.existsSync(configPath)) {
-                const rawData = fs.readFileSync(configPath, 'utf8');
-                currentConfig = JSON.parse(rawData);
-                console.log("Configuration loaded from local file.");
-                configLoaded = true;
-            }
-        } catch (fileError) {
-            console.error("Error loading configuration from file:", fileError);
-        }
-    }
-    
-    // 如果配置仍然未加载，使用默认空配置
-    if (!configLoaded) {
-        console.log("No configuration found. Using default empty configuration.");
-        currentConfig = { apiUrls: {}, baseTag: "" };
+const configHistoryPath = path.join(__dirname, '.config-history.json');
+// 项目目录由 express.static 对外提供，数据库文件以 "." 开头才不会被直接下载（-wal、-shm 文件同理）
+const defaultSqlitePath = path.join(__dirname, '.config.sqlite');
+const legacySqlitePath = path.join(__dirname, 'config.sqlite');
+const configPollIntervalMs = (parseInt(process.env.CONFIG_POLL_INTERVAL ?? '10', 10) || 10) * 1000;
+const configStoreTypes = ['mongodb', 'file', 'sqlite', 'redis', 'url', 'env', 'memory'];
+
+// SQLite 和 Redis 的驱动是可选依赖，只在选用对应后端时才加载
+function requireOptionalDependency(packageName, storeType) {
+    try {
+        return require(packageName);
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error(`CONFIG_STORE=${storeType} requires the "${packageName}" package. Install it with: npm install ${packageName}`);
     }
 }
 
-// --- Utility Functions ---
-function getValueByDotNotation(obj, path) {
-    if (!path) return undefined;
-    const keys = path.split('.');
-    let current = obj;
-    for (const key of keys) {
-        if (current === null || current === undefined || typeof current !== 'object') {
-            return undefined;
-        }
-        current = current[key];
-    }
-    return current;
+function toRevisionSummary(record) {
+    const { config, ...summary } = record;
+    return summary;
 }
 
-async function handleProxyRequest(targetUrl, proxySettings = {}, res) {
-    try {
-        console.log(`[Proxy] Requesting: ${targetUrl}`);
-        const response = await axios.get(targetUrl, {
-            timeout: 15000, // Increased timeout slightly
-            validateStatus: (status) => status >= 200 && status < 500,
-        });
-
-        if (response.status >= 400) {
-            console.warn(`[Proxy] Target API returned status ${response.status} for ${targetUrl}`);
-            return res.status(response.status).json(response.data || { error: `Target API error (Status ${response.status})` });
-        }
+// 定期调用 onChange，用于不支持变更通知的后端
+function watchByPolling(onChange) {
+    const timer = setInterval(onChange, configPollIntervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+}
 
-        let imageUrl = null;
-        const fieldToUse = proxySettings.imageUrlField;
+// 保存在本进程中的配置历史，filePath 不为空时同时写入该文件
+function createLocalHistory(filePath) {
+    let revisions = null; // 按版本号升序
 
-        if (fieldToUse && response.data && typeof response.data === 'object') {
-            imageUrl = getValueByDotNotation(response.data, fieldToUse);
-            if (typeof imageUrl === 'string' && imageUrl.match(/\.(jpeg|jpg|gif|png|webp|bmp|svg)/i)) {
-                console.log(`[Proxy] Image URL found via field '${fieldToUse}': ${imageUrl}`);
-            } else {
-                console.log(`[Proxy] Field '${fieldToUse}' value is not a valid image URL:`, imageUrl);
-                imageUrl = null;
+    function getRevisions() {
+        if (!revisions) {
+            revisions = [];
+            if (filePath && fs.existsSync(filePath)) {
+                try {
+                    revisions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                    console.log(`Loaded ${revisions.length} config revisions from local file.`);
+                } catch (error) {
+                    console.error('Error loading config history from file:', error);
+                }
             }
-        } else if (fieldToUse) {
-             console.log(`[Proxy] Could not find/access field '${fieldToUse}' or response is not an object.`);
         }
+        return revisions;
+    }
 
-        if (imageUrl) {
-            console.log(`[Proxy] Redirecting to image URL: ${imageUrl}`);
-            return res.redirect(imageUrl);
-        } else {
-            const fallback = proxySettings.fallbackAction || 'returnJson';
-            console.log(`[Proxy] Image URL not found/invalid. Fallback: ${fallback}`);
-            if (fallback === 'error') {
-                return res.status(404).json({ error: 'Could not extract image URL from target API response.', targetUrl: targetUrl });
-            } else {
-                return res.json(response.data);
+    async function latest() {
+        const list = getRevisions();
+        return list.length > 0 ? list[list.length - 1].revision : 0;
+    }
+
+    return {
+        latest,
+        async add(record, limit) {
+            const revision = await latest() + 1;
+            revisions.push({ revision, ...record });
+            if (limit > 0 && revisions.length > limit) {
+                revisions = revisions.slice(-limit);
             }
+            if (filePath) {
+                await fs.promises.writeFile(filePath, JSON.stringify(revisions, null, 2), 'utf8');
+            }
+            return revision;
+        },
+        async list() {
+            return getRevisions().map(toRevisionSummary).reverse();
+        },
+        async get(revision) {
+            return getRevisions().find(record => record.revision === revision) || null;
         }
-    } catch (error) {
-        console.error(`[Proxy] Request failed for ${targetUrl}:`, error.message);
-        if (error.response) {
-             return res.status(error.response.status).json(error.response.data || { error: 'Proxy target returned an error' });
-        } else if (error.request) {
-            return res.status(504).json({ error: 'Proxy request timed out or failed', targetUrl: targetUrl });
-        } else {
-            return res.status(500).json({ error: 'Proxy request setup failed', message: error.message });
-        }
-    }
+    };
 }
 
-// --- Express App Setup ---
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-app.use(cors());
-app.use(express.json());
-// 添加cookie解析中间件
-app.use(require('cookie-parser')());
-// Serve static files like config.json (for loading in admin page)
-// We will handle admin.html explicitly below.
-app.use(express.static(path.join(__dirname)));
+function createFileConfigStore({ filePath = configPath, historyPath = configHistoryPath } = {}) {
+    return {
+        name: 'file',
+        persistent: true,
+        readOnly: false,
+        async load() {
+            if (!fs.existsSync(filePath)) return null;
+            return { config: JSON.parse(await fs.promises.readFile(filePath, 'utf8')), version: null };
+        },
+        async save(config) {
+            await fs.promises.writeFile(filePath, JSON.stringify(config, null, 2), 'utf8');
+            return null;
+        },
+        // 监听目录而不是文件本身，这样编辑器用“写临时文件再改名”的方式保存时也能收到通知
+        watch(onChange) {
+            let debounceTimer = null;
+            const watcher = fs.watch(path.dirname(filePath), (eventType, filename) => {
+                if (filename !== path.basename(filePath)) return;
+                clearTimeout(debounceTimer);
+                debounceTimer = setTimeout(onChange, 200);
+            });
+            watcher.unref();
+            return () => {
+                clearTimeout(debounceTimer);
+                watcher.close();
+            };
+        },
+        history: createLocalHistory(historyPath)
+    };
+}
 
-// --- Configuration Management API ---
-app.get('/config', checkAdminAuth, (req, res) => {
-    // Send the current in-memory config
-    res.json(currentConfig);
-});
+function createMemoryConfigStore() {
+    return {
+        name: 'memory',
+        persistent: false,
+        readOnly: false,
+        async load() {
+            return null;
+        },
+        async save() {
+            return null;
+        },
+        watch() {
+            return () => {};
+        },
+        history: createLocalHistory(null)
+    };
+}
 
-app.post('/config', checkAdminAuth, async (req, res) => {
-    const newConfig = req.body;
-    if (!newConfig || typeof newConfig !== 'object' || !newConfig.apiUrls) {
-        return res.status(400).json({ error: 'Invalid configuration format.' });
+// MongoDB：配置保存在 <集合名> 中唯一的文档里（data + 递增的 version），
+// 历史版本保存在 <集合名>_revisions，实例状态保存在 <集合名>_instances
+// getCollection(name) 返回 MongoDB 集合，默认使用 MONGODB_URI 的连接
+function createMongoConfigStore({ getCollection = getPersistentCollection } = {}) {
+    if (getCollection === getPersistentCollection && !mongoUri) {
+        throw new Error('CONFIG_STORE=mongodb requires MONGODB_URI.');
     }
-    try {
-        // 首先更新内存中的配置
-        currentConfig = newConfig;
-        
-        // 尝试保存到MongoDB（如果MongoDB客户端存在）
-        let mongoSuccess = false;
-        if (mongoClient) {
-            try {
-                await mongoClient.connect();
-                const db = mongoClient.db(dbName);
-                const collection = db.collection(collectionName);
-                await collection.updateOne({}, { $set: { data: currentConfig } }, { upsert: true });
-                console.log("Configuration saved to MongoDB.");
-                mongoSuccess = true;
-            } catch (mongoError) {
-                console.error('Error saving to MongoDB:', mongoError);
-            } finally {
+    const revisionsCollectionName = `${collectionName}_revisions`;
+    let instancesCollectionPromise = null;
+
+    function getInstancesCollection() {
+        if (!instancesCollectionPromise) {
+            instancesCollectionPromise = getCollection(`${collectionName}_instances`).then(async (collection) => {
+                // 停止报告的实例在几个周期后自动清除
+                await collection.createIndex({ lastSeen: 1 }, { expireAfterSeconds: Math.ceil(configPollIntervalMs / 1000) * 6 });
+                return collection;
+            }).catch((error) => {
+                instancesCollectionPromise = null;
+                throw error;
+            });
+        }
+        return instancesCollectionPromise;
+    }
+
+    const history = {
+        async latest() {
+            const collection = await getCollection(revisionsCollectionName);
+            const [latest] = await collection.find({}, { projection: { _id: 1 } }).sort({ _id: -1 }).limit(1).toArray();
+            return latest ? latest._id : 0;
+        },
+        async add(record, limit) {
+            const collection = await getCollection(revisionsCollectionName);
+            // 多个实例同时保存时版本号可能冲突，冲突后重新取号
+            for (let attempt = 0; attempt < 5; attempt++) {
+                const revision = await history.latest() + 1;
                 try {
-                    await mongoClient.close();
+                    await collection.insertOne({ _id: revision, ...record });
                 } catch (error) {
-                    console.error("Error closing MongoDB connection:", error);
+                    if (error.code === 11000) continue;
+                    throw error;
+                }
+                if (limit > 0) {
+                    await collection.deleteMany({ _id: { $lte: revision - limit } });
                 }
+                return revision;
             }
-        } else {
-            console.log("MongoDB client not initialized. Skipping MongoDB save.");
+            throw new Error('Could not allocate a revision number.');
+        },
+        async list() {
+            const collection = await getCollection(revisionsCollectionName);
+            const docs = await collection.find({}, { projection: { config: 0 } }).sort({ _id: -1 }).toArray();
+            return docs.map(({ _id, ...doc }) => ({ revision: _id, ...doc }));
+        },
+        async get(revision) {
+            const collection = await getCollection(revisionsCollectionName);
+            const doc = await collection.findOne({ _id: revision });
+            if (!doc) return null;
+            const { _id, ...record } = doc;
+            return { revision: _id, ...record };
         }
-        
-        // 如果允许文件操作，尝试写入本地文件作为备份
-        if (enableFileOperations) {
-            fs.writeFile(configPath, JSON.stringify(currentConfig, null, 2), 'utf8', (err) => {
-                if (err) {
-                    console.error('Error writing config file:', err);
-                    if (mongoClient && !mongoSuccess) {
-                        // MongoDB可用但保存失败，且文件写入也失败
-                        return res.status(500).json({ 
-                            error: 'Failed to save configuration to both MongoDB and file, but in-memory config updated.' 
-                        });
-                    } else if (mongoClient) {
-                        // MongoDB可用且保存成功，但文件写入失败
-                        return res.json({ 
-                            message: 'Configuration saved to MongoDB but backup to file failed. Changes are now live.' 
-                        });
-                    } else {
-                        // MongoDB不可用，且文件写入失败
-                        return res.status(500).json({ 
-                            error: 'Failed to save configuration to file and MongoDB is not available. In-memory config is updated.' 
-                        });
-                    }
-                } else {
-                    console.log("Configuration saved to local file.");
-                    if (mongoClient) {
-                        return res.json({ 
-                            message: mongoSuccess 
-                                ? 'Configuration updated successfully and saved to both MongoDB and file. Changes are now live.' 
-                                : 'Configuration saved to file but MongoDB update failed. Changes are now live.'
-                        });
-                    } else {
-                        return res.json({ 
-                            message: 'Configuration saved to local file. MongoDB is not available. Changes are now live.'
-                        });
-                    }
-                }
-            });
-        } else {
-            // 不允许文件操作，只依赖MongoDB
-            console.log("File operations disabled, skipping file write operations.");
-            if (mongoClient) {
-                if (mongoSuccess) {
-                    return res.json({ 
-                        message: 'Configuration saved to MongoDB. Changes are now live.' 
-                    });
-                } else {
-                    return res.status(500).json({ 
-                        error: 'Failed to save configuration to MongoDB, but in-memory config updated.' 
-                    });
-                }
-            } else {
-                // 没有MongoDB配置且不允许文件操作
-                return res.status(500).json({ 
-                    error: 'No persistent storage available. Configuration only updated in memory and will be lost on server restart.' 
+    };
+
+    return {
+        name: 'mongodb',
+        persistent: true,
+        readOnly: false,
+        status: () => (mongoState.status === 'connected' ? 'ok' : mongoState.status),
+        async load() {
+            const collection = await getCollection(collectionName);
+            const doc = await collection.findOne({});
+            return doc && doc.data ? { config: doc.data, version: doc.version ?? 0 } : null;
+        },
+        async save(config) {
+            const collection = await getCollection(collectionName);
+            // 版本号与配置一起原子更新，其他实例通过 change stream 或轮询发现新版本
+            const saved = await collection.findOneAndUpdate({}, { $set: { data: config }, $inc: { version: 1 } }, { upsert: true, returnDocument: 'after' });
+            return saved.version;
+        },
+        // 优先使用 change stream（需要副本集），独立部署的 MongoDB 不支持，出错后改为轮询
+        watch(onChange) {
+            let stream = null;
+            let stopPolling = null;
+            const fallBackToPolling = (error) => {
+                if (stopPolling) return;
+                console.warn(`[ConfigSync] Change stream unavailable (${error.message}); polling every ${configPollIntervalMs / 1000}s instead.`);
+                stream = null;
+                stopPolling = watchByPolling(onChange);
+            };
+            getCollection(collectionName).then((collection) => {
+                stream = collection.watch([{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }]);
+                stream.on('change', onChange);
+                stream.on('error', (error) => {
+                    const failed = stream;
+                    fallBackToPolling(error);
+                    if (failed) failed.close().catch(() => {});
                 });
+            }).catch(fallBackToPolling);
+            return () => {
+                if (stopPolling) stopPolling();
+                if (stream) stream.close().catch(() => {});
+            };
+        },
+        history,
+        instances: {
+            async report(id, version) {
+                const collection = await getInstancesCollection();
+                await collection.updateOne({ _id: id }, { $set: { configVersion: version, lastSeen: new Date() } }, { upsert: true });
+            },
+            async list(liveSince) {
+                const collection = await getInstancesCollection();
+                const docs = await collection.find({ lastSeen: { $gte: liveSince } }).toArray();
+                return docs.map(doc => ({ id: doc._id, configVersion: doc.configVersion }));
+            },
+            async remove(id) {
+                const collection = await getInstancesCollection();
+                await collection.deleteOne({ _id: id });
             }
         }
-    } catch (error) {
-        // 捕获内存更新或JSON序列化过程中的潜在错误
-        console.error('Error processing new configuration:', error);
-        res.status(500).json({ error: 'Failed to process new configuration.' });
-    }
-});
+    };
+}
 
-// --- Wildcard API Route Handler ---
-app.get('/:apiKey', async (req, res, next) => {
-    const apiKey = req.params.apiKey;
-    console.log(`[Router] Received request for /${apiKey}`);
+// SQLite：多个进程可以共享同一个数据库文件（WAL 模式），通过轮询版本号发现其他进程的修改
+function createSqliteConfigStore({ databasePath = process.env.CONFIG_SQLITE_PATH || defaultSqlitePath } = {}) {
+    const Database = requireOptionalDependency('better-sqlite3', 'sqlite');
+    if (databasePath === defaultSqlitePath && fs.existsSync(legacySqlitePath)) {
+        console.warn(`[ConfigStore] ${legacySqlitePath} is publicly downloadable and is no longer used. Move it to ${defaultSqlitePath} (or set CONFIG_SQLITE_PATH) and delete the old file.`);
+    }
+    const db = new Database(databasePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS config (id INTEGER PRIMARY KEY CHECK (id = 1), data TEXT NOT NULL, version INTEGER NOT NULL);
+        CREATE TABLE IF NOT EXISTS config_revisions (revision INTEGER PRIMARY KEY, config TEXT NOT NULL, author TEXT, message TEXT, created_at TEXT NOT NULL);
+        CREATE TABLE IF NOT EXISTS config_instances (id TEXT PRIMARY KEY, config_version INTEGER NOT NULL, last_seen INTEGER NOT NULL);
+    `);
+    const statements = {
+        load: db.prepare('SELECT data, version FROM config WHERE id = 1'),
+        save: db.prepare('INSERT INTO config (id, data, version) VALUES (1, ?, 1) ON CONFLICT (id) DO UPDATE SET data = excluded.data, version = config.version + 1 RETURNING version'),
+        latestRevision: db.prepare('SELECT COALESCE(MAX(revision), 0) AS revision FROM config_revisions'),
+        insertRevision: db.prepare('INSERT INTO config_revisions (revision, config, author, message, created_at) VALUES (?, ?, ?, ?, ?)'),
+        trimRevisions: db.prepare('DELETE FROM config_revisions WHERE revision <= ?'),
+        listRevisions: db.prepare('SELECT revision, author, message, created_at FROM config_revisions ORDER BY revision DESC'),
+        getRevision: db.prepare('SELECT revision, config, author, message, created_at FROM config_revisions WHERE revision = ?'),
+        reportInstance: db.prepare('INSERT INTO config_instances (id, config_version, last_seen) VALUES (?, ?, ?) ON CONFLICT (id) DO UPDATE SET config_version = excluded.config_version, last_seen = excluded.last_seen'),
+        listInstances: db.prepare('SELECT id, config_version FROM config_instances WHERE last_seen >= ?'),
+        removeInstance: db.prepare('DELETE FROM config_instances WHERE id = ?'),
+        removeStaleInstances: db.prepare('DELETE FROM config_instances WHERE last_seen < ?')
+    };
+    const toRevisionRecord = row => ({ revision: row.revision, author: row.author, message: row.message, createdAt: row.created_at });
+    // 取号和写入在同一个事务中完成，多个进程同时保存也不会冲突
+    const addRevision = db.transaction((record, limit) => {
+        const revision = statements.latestRevision.get().revision + 1;
+        statements.insertRevision.run(revision, JSON.stringify(record.config), record.author, record.message, record.createdAt);
+        if (limit > 0) statements.trimRevisions.run(revision - limit);
+        return revision;
+    });
+    console.log(`[ConfigStore] Using SQLite database at ${databasePath}.`);
+
+    return {
+        name: 'sqlite',
+        persistent: true,
+        readOnly: false,
+        async load() {
+            const row = statements.load.get();
+            return row ? { config: JSON.parse(row.data), version: row.version } : null;
+        },
+        async save(config) {
+            return statements.save.get(JSON.stringify(config)).version;
+        },
+        watch: watchByPolling,
+        history: {
+            async latest() {
+                return statements.latestRevision.get().revision;
+            },
+            async add(record, limit) {
+                return addRevision(record, limit);
+            },
+            async list() {
+                return statements.listRevisions.all().map(toRevisionRecord);
+            },
+            async get(revision) {
+                const row = statements.getRevision.get(revision);
+                return row ? { ...toRevisionRecord(row), config: JSON.parse(row.config) } : null;
+            }
+        },
+        instances: {
+            async report(id, version) {
+                statements.reportInstance.run(id, version, Date.now());
+            },
+            async list(liveSince) {
+                statements.removeStaleInstances.run(liveSince.getTime() - configPollIntervalMs * 6);
+                return statements.listInstances.all(liveSince.getTime()).map(row => ({ id: row.id, configVersion: row.config_version }));
+            },
+            async remove(id) {
+                statements.removeInstance.run(id);
+            }
+        },
+        close: async () => db.close()
+    };
+}
 
-    // Ignore requests for static files handled by express.static
-    // Check if the request looks like a file extension common for static assets
-     if (apiKey.includes('.') || apiKey === 'favicon.ico') {
-         console.log(`[Router] Ignoring likely static file request: /${apiKey}`);
-         return next(); // Pass to express.static or 404 handler
-     }
+// Redis：配置保存在 <前缀>:config 哈希中（data + version），保存后通过 <前缀>:changes 频道通知其他实例
+// client 为兼容 ioredis 的客户端，默认连接 REDIS_URL
+function createRedisConfigStore({ client, prefix = process.env.CONFIG_REDIS_PREFIX || `${dbName}:${collectionName}` } = {}) {
+    const keys = {
+        config: `${prefix}:config`,
+        changes: `${prefix}:changes`,
+        revisions: `${prefix}:revisions`,
+        revisionCounter: `${prefix}:revision`,
+        instances: `${prefix}:instances`
+    };
+    // ioredis 断线后会自动按退避策略重连
+    const redis = client || createRedisClient();
+    redis.on('error', error => console.error('[Redis] Connection error:', error.message));
+    let subscriber = null;
+
+    const history = {
+        async latest() {
+            return parseInt(await redis.get(keys.revisionCounter), 10) || 0;
+        },
+        async add(record, limit) {
+            const revision = await redis.incr(keys.revisionCounter);
+            await redis.hset(keys.revisions, String(revision), JSON.stringify(record));
+            if (limit > 0) {
+                const expired = (await redis.hkeys(keys.revisions)).filter(key => Number(key) <= revision - limit);
+                if (expired.length > 0) await redis.hdel(keys.revisions, ...expired);
+            }
+            return revision;
+        },
+        async list() {
+            const all = await redis.hgetall(keys.revisions);
+            return Object.entries(all)
+                .map(([revision, json]) => ({ revision: Number(revision), ...toRevisionSummary(JSON.parse(json)) }))
+                .sort((a, b) => b.revision - a.revision);
+        },
+        async get(revision) {
+            const json = await redis.hget(keys.revisions, String(revision));
+            return json ? { revision, ...JSON.parse(json) } : null;
+        }
+    };
+
+    return {
+        name: 'redis',
+        persistent: true,
+        readOnly: false,
+        status: () => (redis.status === 'ready' ? 'ok' : redis.status),
+        async load() {
+            const [data, version] = await redis.hmget(keys.config, 'data', 'version');
+            return data ? { config: JSON.parse(data), version: parseInt(version, 10) || 0 } : null;
+        },
+        async save(config) {
+            const [[, version]] = await redis.multi()
+                .hincrby(keys.config, 'version', 1)
+                .hset(keys.config, 'data', JSON.stringify(config))
+                .exec();
+            await redis.publish(keys.changes, String(version));
+            return version;
+        },
+        watch(onChange) {
+            subscriber = redis.duplicate();
+            subscriber.on('error', error => console.error('[Redis] Subscriber error:', error.message));
+            subscriber.subscribe(keys.changes).catch(error => console.error('[Redis] Failed to subscribe to config changes:', error.message));
+            subscriber.on('message', onChange);
+            return () => {
+                subscriber.disconnect();
+                subscriber = null;
+            };
+        },
+        history,
+        instances: {
+            async report(id, version) {
+                await redis.hset(keys.instances, id, JSON.stringify({ configVersion: version, lastSeen: Date.now() }));
+            },
+            async list(liveSince) {
+                const all = await redis.hgetall(keys.instances);
+                const instances = Object.entries(all).map(([id, json]) => ({ id, ...JSON.parse(json) }));
+                // 顺便清理早已停止报告的实例
+                const stale = instances.filter(instance => instance.lastSeen < liveSince.getTime() - configPollIntervalMs * 6).map(instance => instance.id);
+                if (stale.length > 0) await redis.hdel(keys.instances, ...stale);
+                return instances.filter(instance => instance.lastSeen >= liveSince.getTime());
+            },
+            async remove(id) {
+                await redis.hdel(keys.instances, id);
+            }
+        },
+        close: async () => {
+            if (subscriber) subscriber.disconnect();
+            await redis.quit();
+        }
+    };
+}
 
-    // --- Handle Special System Routes ---
-     if (apiKey === 'config') { // Let the dedicated /config route handle this
-         console.log(`[Router] Passing /config request to dedicated handler.`);
-         return next();
-     }
-     if (apiKey === 'admin') { // Let the dedicated /admin route handle this
-         console.log(`[Router] Passing /admin request to dedicated handler.`);
-         return next();
-     }
-     // Add other potential static files or system routes here if needed
+function createRedisClient() {
+    const Redis = requireOptionalDependency('ioredis', 'redis');
+    return new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379', { maxRetriesPerRequest: 3 });
+}
 
-    // --- Lookup API Config ---
-    const configEntry = currentConfig.apiUrls ? currentConfig.apiUrls[apiKey] : undefined;
+// 只读配置：适合不可变部署，配置随镜像或部署参数发布，管理界面无法保存修改
+function createReadOnlyConfigStore(type, { configUrl = process.env.CONFIG_URL, rawConfig = process.env.CONFIG_JSON } = {}) {
+    let load;
+    if (type === 'url') {
+        if (!configUrl) {
+            throw new Error('CONFIG_STORE=url requires CONFIG_URL.');
+        }
+        load = async () => {
+            const response = await axios.get(configUrl, { timeout: 10000, responseType: 'text' });
+            return JSON.parse(response.data);
+        };
+    } else {
+        if (!rawConfig) {
+            throw new Error('CONFIG_STORE=env requires CONFIG_JSON.');
+        }
+        // 允许使用 base64 编码，避免在部署平台中转义引号和换行
+        load = async () => JSON.parse(rawConfig.trim().startsWith('{') ? rawConfig : Buffer.from(rawConfig, 'base64').toString('utf8'));
+    }
+    return {
+        name: type,
+        persistent: true,
+        readOnly: true,
+        async load() {
+            return { config: await load(), version: null };
+        },
+        async save() {
+            throw new Error(`Configuration store "${type}" is read-only.`);
+        },
+        watch: type === 'url' ? watchByPolling : () => () => {},
+        history: createLocalHistory(null)
+    };
+}
 
-    if (!configEntry || !configEntry.method) {
-        console.log(`[Router] No valid configuration found for /${apiKey}. Passing to 404.`);
-        return next(); // No config found, let Express handle 404
+function createConfigStore() {
+    const type = process.env.CONFIG_STORE || (mongoUri ? 'mongodb' : (enableFileOperations ? 'file' : 'memory'));
+    switch (type) {
+        case 'mongodb': return createMongoConfigStore();
+        case 'file': return createFileConfigStore();
+        case 'sqlite': return createSqliteConfigStore();
+        case 'redis': return createRedisConfigStore();
+        case 'url':
+        case 'env': return createReadOnlyConfigStore(type);
+        case 'memory': return createMemoryConfigStore();
+        default:
+            throw new Error(`Unknown CONFIG_STORE "${type}". Expected one of: ${configStoreTypes.join(', ')}.`);
     }
-    console.log(`[Router] Found config for /${apiKey}:`, configEntry);
+}
 
+const configStore = createConfigStore();
+console.log(`[ConfigStore] Storing configuration in: ${configStore.name}${configStore.readOnly ? ' (read-only)' : ''}.`);
 
-    // --- Handle Special URL Constructions ---
-    if (configEntry.urlConstruction === 'special_forward') {
-        console.log(`[Handler /${apiKey}] Using special forward logic.`);
-        const targetUrlParam = req.query.url;
-        const fieldParam = req.query.field || configEntry.proxySettings?.imageUrlFieldFromParamDefault || 'url';
-        if (!targetUrlParam) {
-            return res.status(400).json({ error: 'Missing required query parameter: url' });
-        }
-        const dynamicProxySettings = { ...configEntry.proxySettings, imageUrlField: fieldParam };
-        return await handleProxyRequest(targetUrlParam, dynamicProxySettings, res);
-    }
+// --- Configuration Loading ---
+let currentConfig = {};
+let configVersion = 0; // 配置版本号，每次保存递增，多实例之间据此判断本地配置是否过期
+// 没能从存储后端读取配置，当前使用的是本地文件或空配置。
+// 此时拒绝保存（避免用备用配置覆盖存储中的配置），后台同步成功读取后自动恢复
+let configLoadFailed = false;
 
-    if (configEntry.urlConstruction === 'special_pollinations') {
-        console.log(`[Handler /${apiKey}] Using special Pollinations logic.`);
-        const tags = req.query.tags;
-        if (!tags) {
-            return res.status(400).json({ error: 'Missing required query parameter: tags' });
+async function loadConfig() {
+    let loaded = null;
+    let loadedFromStore = false;
+    try {
+        loaded = await configStore.load();
+        if (loaded) {
+            loadedFromStore = true;
+            console.log(`Configuration loaded from ${configStore.name}${loaded.version !== null ? ` (version ${loaded.version})` : ''}.`);
+        } else {
+            console.log(`No configuration found in ${configStore.name}.`);
         }
-        const baseUrl = configEntry.url; // Use potentially modified base URL
-        const modelName = configEntry.modelName;
-        const baseTag = currentConfig.baseTag || '';
-        const promptUrl = `${baseUrl}${encodeURIComponent(tags)}%2c${baseTag}?&model=${modelName}&nologo=true`;
-        console.log(`[Handler /${apiKey}] Redirecting to Pollinations URL: ${promptUrl}`);
-        return res.redirect(promptUrl);
+    } catch (error) {
+        console.error(`Error loading configuration from ${configStore.name}:`, error.message);
+        configLoadFailed = true;
     }
 
-    if (configEntry.urlConstruction === 'special_draw_redirect') {
-        console.log(`[Handler /${apiKey}] Using special draw redirect logic.`);
-        const tags = req.query.tags;
-        const modelParamConfig = configEntry.queryParams?.find(p => p.name === 'model');
-        const model = req.query.model || modelParamConfig?.defaultValue || 'flux';
-        if (!tags) {
-            return res.status(400).json({ error: 'Missing required query parameter: tags' });
+    // 存储中还没有配置时，用本地文件初始化；读取失败时，允许文件操作的话用本地文件作为备用配置
+    const canSeedFromFile = !configLoadFailed && configStore.persistent && !configStore.readOnly;
+    if (!loaded && configStore.name !== 'file' && (canSeedFromFile || (configLoadFailed && enableFileOperations)) && fs.existsSync(configPath)) {
+        try {
+            loaded = { config: JSON.parse(fs.readFileSync(configPath, 'utf8')), version: null };
+            console.log("Configuration loaded from local file.");
+        } catch (fileError) {
+            console.error("Error loading configuration from local file:", fileError);
         }
-        const validModels = modelParamConfig?.validValues || ['flux', 'turbo'];
-        if (!validModels.includes(model)) {
-             return res.status(400).json({ error: `Invalid model parameter. Valid options: ${validModels.join(', ')}` });
+        if (loaded && canSeedFromFile) {
+            try {
+                loaded.version = await configStore.save(loaded.config);
+                console.log(`Local configuration saved to ${configStore.name}.`);
+            } catch (error) {
+                console.error(`Error saving local configuration to ${configStore.name}:`, error);
+            }
         }
-        const redirectPath = `/${model}?tags=${encodeURIComponent(tags)}`;
-        console.log(`[Handler /${apiKey}] Redirecting /draw to: ${redirectPath}`);
-        return res.redirect(redirectPath);
     }
 
-    // --- Generic Handler Logic ---
-    console.log(`[Handler /${apiKey}] Using generic logic.`);
-    const queryParamsConfig = configEntry.queryParams || [];
-    const validatedParams = {};
-    const errors = [];
+    if (loaded) {
+        currentConfig = loaded.config;
+        configVersion = loaded.version ?? 0;
+        upgradeLegacyUrlConstruction(currentConfig);
+    } else {
+        // 如果配置仍然未加载，使用默认空配置
+        console.log("No configuration found. Using default empty configuration.");
+        currentConfig = { apiUrls: {}, baseTag: "" };
+    }
 
-    // 1. Validate Query Parameters
-    for (const paramConfig of queryParamsConfig) {
-        const paramValue = req.query[paramConfig.name];
-        if (paramValue !== undefined) {
-            if (paramConfig.validValues && !paramConfig.validValues.includes(paramValue)) {
-                errors.push(`Invalid value for parameter '${paramConfig.name}'. Valid: ${paramConfig.validValues.join(', ')}.`);
-            } else {
-                validatedParams[paramConfig.name] = paramValue;
-            }
-        } else if (paramConfig.required) {
-            errors.push(`Missing required query parameter: ${paramConfig.name}.`);
-        } else if (paramConfig.defaultValue !== undefined) {
-            validatedParams[paramConfig.name] = paramConfig.defaultValue;
+    // 如果允许文件操作，备份到本地文件
+    if (loadedFromStore && enableFileOperations && configStore.name !== 'file') {
+        try {
+            fs.writeFileSync(configPath, JSON.stringify(currentConfig, null, 2), 'utf8');
+            console.log("Configuration backed up to local file.");
+        } catch (writeError) {
+            console.error("Error backing up configuration to file:", writeError);
         }
     }
+    if (configLoadFailed) {
+        console.warn(`[Config] Storage degraded: serving a fallback configuration until ${configStore.name} becomes reachable. Saving is disabled.`);
+    }
 
-    if (errors.length > 0) {
-        return res.status(400).json({ error: 'Invalid query parameters.', details: errors });
+    configValidationErrors = validateConfig(currentConfig);
+    if (configValidationErrors.length > 0) {
+        console.warn(`[Config] Loaded configuration has ${configValidationErrors.length} schema error(s); affected endpoints may not work:`);
+        configValidationErrors.forEach(error => console.warn(`  - ${error.path}: ${error.message}`));
     }
+}
 
-    // 2. Construct Target URL
-    let targetUrl = configEntry.url; // Use potentially modified base URL
-    if (!targetUrl) {
-         console.error(`[Handler /${apiKey}] Error: Configuration URL is missing.`);
-         return res.status(500).json({ error: "Internal server error: API configuration URL is missing." });
+// 将配置写入存储后端（允许文件操作时另外备份到本地文件），返回给管理界面的 HTTP 状态码和响应内容。
+// 状态码为 200 表示已保存（没有持久存储时只能保存在内存中），调用方据此决定是否让新配置生效
+async function persistConfig(config) {
+    if (!configStore.persistent) {
+        configVersion += 1;
+        return { status: 200, body: { message: 'No persistent storage available. Configuration only updated in memory and will be lost on server restart.' } };
     }
-    if (Object.keys(validatedParams).length > 0) {
-        try {
-            const base = new URL(targetUrl); // Use URL constructor to handle existing params
-            Object.entries(validatedParams).forEach(([key, value]) => {
-                base.searchParams.append(key, value);
-            });
-            targetUrl = base.toString();
-        } catch(e) {
-             // Fallback for potentially invalid base URLs in config, just append
-             console.warn(`[Handler /${apiKey}] Could not parse base URL, appending params directly. Error: ${e.message}`);
-             const urlSearchParams = new URLSearchParams(validatedParams);
-             targetUrl += (targetUrl.includes('?') ? '&' : '?') + urlSearchParams.toString();
-        }
+
+    try {
+        const version = await configStore.save(config);
+        configVersion = version ?? configVersion + 1;
+        console.log(`Configuration saved to ${configStore.name} (version ${configVersion}).`);
+    } catch (error) {
+        console.error(`Error saving configuration to ${configStore.name}:`, error);
+        return { status: 500, body: { error: `Failed to save configuration to ${configStore.name}. The configuration was not changed.` } };
     }
-    console.log(`[Handler /${apiKey}] Constructed target URL: ${targetUrl}`);
 
-    // 3. Handle Request based on Method
-    if (configEntry.method === 'proxy') {
-        return await handleProxyRequest(targetUrl, configEntry.proxySettings, res);
-    } else { // 'redirect'
-        try {
-            console.log(`[Handler /${apiKey}] Redirecting to: ${targetUrl}`);
-            return res.redirect(targetUrl);
-        } catch (error) {
-            console.error(`[Handler /${apiKey}] Error during redirect:`, error.message);
-            return res.status(500).json({ error: `Failed to redirect for ${apiKey}` });
-        }
+    if (!enableFileOperations || configStore.name === 'file') {
+        return { status: 200, body: { message: `Configuration saved to ${configStore.name}. Changes are now live.` } };
     }
-});
 
+    try {
+        await fs.promises.writeFile(configPath, JSON.stringify(config, null, 2), 'utf8');
+        console.log("Configuration backed up to local file.");
+    } catch (err) {
+        console.error('Error writing config file:', err);
+        return { status: 200, body: { message: `Configuration saved to ${configStore.name} but backup to file failed. Changes are now live.` } };
+    }
+    return { status: 200, body: { message: `Configuration updated successfully and saved to both ${configStore.name} and file. Changes are now live.` } };
+}
 
-// --- Home Route (API List & Examples) ---
-// Needs to be registered *before* the wildcard route
-app.get('/', (req, res) => {
-    console.log("[Router] Handling request for / (Home Page)");
-    // Group endpoints by group name
-    const groupedApis = {};
-    for (const key in currentConfig.apiUrls) {
-        const entry = currentConfig.apiUrls[key];
-        const group = entry.group || '未分组';
-        if (!groupedApis[group]) {
-            groupedApis[group] = [];
+// --- Config Schema ---
+// 配置的 JSON Schema。保存时不符合的配置会被拒绝（返回每个字段的错误路径）；
+// 加载时不符合只记录警告并在管理界面提示，避免一处错误导致整个服务不可用。
+// 新增配置字段时需要同步更新这里。
+const stringArraySchema = { type: 'array', items: { type: 'string' } };
+const rateLimitSchema = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        limit: { type: 'integer', minimum: 1 },
+        windowSeconds: { type: 'integer', minimum: 1 }
+    },
+    additionalProperties: false
+};
+const queryParamSchema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        required: { type: 'boolean' },
+        type: { enum: ['string', 'int', 'float', 'boolean', 'enum', 'list'] },
+        defaultValue: { type: ['string', 'number', 'boolean'] },
+        validValues: { type: 'array', items: { type: ['string', 'number'] } },
+        caseInsensitive: { type: 'boolean' },
+        min: { type: 'number' },
+        max: { type: 'number' },
+        pattern: { type: 'string', minLength: 1 },
+        maxLength: { type: 'integer', minimum: 1 },
+        separator: { type: 'string', minLength: 1 },
+        aliases: { type: 'array', items: { type: 'string', minLength: 1 }, uniqueItems: true },
+        valueMap: { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean'] } },
+        target: {
+            type: 'object',
+            required: ['in'],
+            properties: {
+                in: { enum: ['query', 'path', 'header', 'drop'] },
+                name: { type: 'string', minLength: 1 }
+            },
+            additionalProperties: false
         }
-        groupedApis[group].push({ key, ...entry });
-    }
-    
-    // 为 LLM 提示词准备数据
-    const baseURL = `${req.protocol}://${req.get('host')}`;
-    const pathFunctions = [];
-    
-    // 按组排序的顺序
-    const groupOrder = {'AI绘图': 1, '二次元图片': 2, '三次元图片': 3, '表情包': 4, '未分组': 99};
-    
-    // 准备所有 API 配置
-    const allApis = [];
-    for (const key in currentConfig.apiUrls) {
-        allApis.push({ key, ...currentConfig.apiUrls[key] });
-    }
-    
-    // 按组和名称排序
-    allApis.sort((a, b) => {
-        const orderA = groupOrder[a.group || '未分组'] || 50;
-        const orderB = groupOrder[b.group || '未分组'] || 50;
-        return orderA - orderB || a.key.localeCompare(b.key);
-    });
-    
-    // 生成路径功能描述
-    allApis.forEach(entry => {
-        const key = entry.key;
-        const group = entry.group || '未分组';
-        const description = entry.description || group;
-        
-        // 格式化路径描述
-        let pathDesc = '';
-        
-        // AI绘图类型需要特殊处理tags参数
-        if (group === 'AI绘图') {
-            pathDesc = `${description}:/${key}?tags=<tags>`;
-        } 
-        // 其他类型直接使用路径
-        else {
-            pathDesc = `${description}:/${key}`;
+    },
+    additionalProperties: false
+};
+const httpHeaderNamePattern = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const envNameSchema = { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' };
+const requestAuthSchema = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { enum: ['bearer', 'basic', 'query'] },
+        tokenEnv: envNameSchema,
+        username: { type: 'string' },
+        passwordEnv: envNameSchema,
+        param: { type: 'string', minLength: 1 },
+        valueEnv: envNameSchema
+    },
+    allOf: [
+        { if: { properties: { type: { const: 'bearer' } } }, then: { required: ['tokenEnv'] } },
+        { if: { properties: { type: { const: 'basic' } } }, then: { required: ['username', 'passwordEnv'] } },
+        { if: { properties: { type: { const: 'query' } } }, then: { required: ['param', 'valueEnv'] } }
+    ],
+    additionalProperties: false
+};
+const apiEntrySchema = {
+    type: 'object',
+    required: ['url', 'method'],
+    properties: {
+        group: { type: 'string' },
+        description: { type: 'string' },
+        url: { type: 'string', minLength: 1 },
+        method: { enum: ['redirect', 'proxy', 'stream'] },
+        access: { enum: ['public', 'key'] },
+        queryParams: { type: 'array', items: queryParamSchema },
+        redirectSettings: {
+            type: 'object',
+            properties: {
+                kind: { enum: ['random', 'deterministic'] },
+                status: { enum: [301, 302, 303, 307, 308] },
+                cacheControl: { type: 'string' },
+                vary: { type: 'array', items: { type: 'string', pattern: httpHeaderNamePattern.source }, uniqueItems: true },
+                cacheBust: { type: 'boolean' },
+                cacheBustParam: { type: 'string', pattern: '^[A-Za-z0-9_.~-]+$' }
+            },
+            additionalProperties: false
+        },
+        unknownParams: {
+            type: 'object',
+            properties: {
+                forward: { type: 'boolean' },
+                deny: { type: 'array', items: { type: 'string', minLength: 1 }, uniqueItems: true }
+            },
+            additionalProperties: false
+        },
+        proxySettings: {
+            type: 'object',
+            properties: {
+                imageUrlField: { type: 'string' },
+                imageUrlFieldFromParam: { type: 'string' },
+                imageUrlFieldFromParamDefault: { type: 'string' },
+                extractor: {
+                    type: 'object',
+                    properties: {
+                        type: { enum: ['jsonPath', 'regex', 'css'] },
+                        expression: { type: 'string', minLength: 1 },
+                        flags: { type: 'string', pattern: '^[imsu]*$' },
+                        attribute: { type: 'string', minLength: 1 },
+                        pick: { enum: ['first', 'random'] }
+                    },
+                    required: ['type', 'expression'],
+                    additionalProperties: false
+                },
+                urlValidation: { enum: ['extension', 'head', 'sniff', 'off'] },
+                allowedMediaTypes: { type: 'array', items: { enum: ['image', 'video', 'audio'] }, minItems: 1, uniqueItems: true },
+                fallbackAction: { enum: ['returnJson', 'error'] }
+            },
+            additionalProperties: false
+        },
+        weight: { type: 'number', minimum: 0 },
+        upstreams: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['url'],
+                properties: { url: { type: 'string', minLength: 1 }, weight: { type: 'number', minimum: 0 } },
+                additionalProperties: false
+            }
+        },
+        upstreamStrategy: { enum: ['weighted', 'roundRobin'] },
+        request: {
+            type: 'object',
+            properties: {
+                method: { enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] },
+                headers: {
+                    type: 'object',
+                    propertyNames: { pattern: httpHeaderNamePattern.source },
+                    additionalProperties: { type: 'string' }
+                },
+                body: { type: 'string' },
+                contentType: { type: 'string', minLength: 1 },
+                auth: requestAuthSchema
+            },
+            additionalProperties: false
+        },
+        rateLimit: { anyOf: [{ const: false }, rateLimitSchema] },
+        streamSettings: {
+            type: 'object',
+            properties: {
+                headers: { type: 'object', additionalProperties: { type: 'string' } },
+                maxBytes: { type: 'integer', minimum: 1 },
+                cacheControl: { type: 'string' }
+            },
+            additionalProperties: false
+        },
+        cacheSettings: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                poolSize: { type: 'integer', minimum: 1, maximum: 50 }
+            },
+            additionalProperties: false
         }
-        
-        pathFunctions.push(pathDesc);
-    });
-    
-    // 生成完整提示词，适合嵌入到 YAML 文件中，每行都有缩进
-    const llmPrompt = `    picture_url: |
-    {{ 
-    根据用户请求，选择合适的图片API路径，生成并返回完整URL。仅输出最终URL，不要添加其他文字。
-    基础URL：${baseURL}
-    可用路径（不要修改路径格式）：
-${pathFunctions.map(path => `    - ${path}`).join('\n')}
-    特殊说明：
-    1. AI绘图路径(/flux, /turbo)需要tags参数
-    2. 生成tags时，将用户描述转化为50个左右的关键词，用英文逗号分隔
-    3. 所有参数必须进行URL编码
-    4. 严禁生成色情内容
-    示例：如果用户请求“给我一张山水画”，应返回：${baseURL}/flux?tags=mountains%2Cwater%2Clandscape%2Ctraditional%2Cchinese%2Cpainting%2Cscenery}}`;
-    
+    },
+    additionalProperties: false
+};
+const configSchema = {
+    type: 'object',
+    required: ['apiUrls'],
+    properties: {
+        apiUrls: {
+            type: 'object',
+            propertyNames: { pattern: '^[A-Za-z0-9_-]+$' },
+            additionalProperties: apiEntrySchema
+        },
+        baseTag: { type: 'string' },
+        rateLimit: rateLimitSchema,
+        forwardPolicy: {
+            type: 'object',
+            properties: {
+                allowedSchemes: stringArraySchema,
+                allowHosts: stringArraySchema,
+                denyHosts: stringArraySchema,
+                allowPrivateNetworks: { type: 'boolean' },
+                maxRedirects: { type: 'integer', minimum: 0 }
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+const validateConfigSchema = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(configSchema);
+let configValidationErrors = []; // 最近一次加载的配置中的错误
+
+// 将 Ajv 的 "/apiUrls/flux/queryParams/0/name" 转为 "apiUrls.flux.queryParams[0].name"（与配置历史的差异路径格式一致）
+function formatSchemaErrorPath(config, instancePath, extraProperty) {
+    const segments = instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (extraProperty !== undefined) segments.push(extraProperty);
+    let result = '';
+    let value = config;
+    for (const segment of segments) {
+        result = Array.isArray(value) ? `${result}[${segment}]` : (result ? `${result}.${segment}` : segment);
+        value = value?.[segment];
+    }
+    return result || '(root)';
+}
 
-    // Sort groups
-    const sortedGroups = Object.keys(groupedApis).sort((a, b) => {
-        const order = {'通用转发': 1, 'AI绘图': 2, '二次元图片': 3, '三次元图片': 4, '表情包': 5, '未分组': 99};
-        return (order[a] || 99) - (order[b] || 99);
-    });
+// 校验配置，返回 [{ path, message }]，配置有效时返回空数组
+function validateConfig(config) {
+    if (validateConfigSchema(config)) return [...validateExtractorExpressions(config), ...validateQueryParamDefinitions(config), ...validateUrlTemplates(config)];
+    const errors = validateConfigSchema.errors
+        // anyOf / if 本身以及 "rateLimit: false" 分支的错误没有提供额外信息
+        .filter(error => !['anyOf', 'const', 'if'].includes(error.keyword))
+        .map((error) => {
+            switch (error.keyword) {
+                case 'additionalProperties':
+                    return { path: formatSchemaErrorPath(config, error.instancePath, error.params.additionalProperty), message: 'unknown field' };
+                case 'required':
+                    return { path: formatSchemaErrorPath(config, error.instancePath, error.params.missingProperty), message: 'is required' };
+                case 'enum':
+                    return { path: formatSchemaErrorPath(config, error.instancePath), message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+                case 'propertyNames':
+                    return null;
+                case 'pattern':
+                    if (error.propertyName !== undefined) {
+                        const message = error.instancePath === '/apiUrls' ? 'endpoint key may only contain letters, digits, "-" and "_"' : 'is not a valid header name';
+                        return { path: formatSchemaErrorPath(config, error.instancePath, error.propertyName), message };
+                    }
+                    return { path: formatSchemaErrorPath(config, error.instancePath), message: error.message };
+                default:
+                    return { path: formatSchemaErrorPath(config, error.instancePath), message: error.message };
+            }
+        })
+        .filter(Boolean);
+    // 同一路径的重复错误（例如 rateLimit 的 const 与 type）只保留第一条
+    return errors.filter((error, index) => errors.findIndex(other => other.path === error.path) === index);
+}
 
-    let groupedApiHtml = '';
-    sortedGroups.forEach(groupName => {
-        groupedApiHtml += `<h3 class="mt-4">${groupName}</h3>`;
-        let apiTableHtml = `
-        <div class="table-responsive">
-        <table class="table table-striped table-hover table-bordered table-sm">
-            <thead>
-                <tr>
-                    <th scope="col" class="text-nowrap">端点路径</th>
-                    <th scope="col">描述</th>
-                    <th scope="col" class="text-nowrap">处理方式</th>
-                    <th scope="col">参数</th>
-                </tr>
-            </thead>
-            <tbody>`;
+// --- Utility Functions ---
+function getValueByDotNotation(obj, path) {
+    if (!path) return undefined;
+    const keys = path.split('.');
+    let current = obj;
+    for (const key of keys) {
+        if (current === null || current === undefined || typeof current !== 'object') {
+            return undefined;
+        }
+        current = current[key];
+    }
+    return current;
+}
 
-        // Sort endpoints within the group
-        groupedApis[groupName].sort((a, b) => a.key.localeCompare(b.key));
+// --- Response Extractors ---
+// proxySettings.extractor 指定如何从上游响应中找出图片链接，设置后优先于 imageUrlField：
+//   { type: 'jsonPath', expression: '$.data[*].urls.original' }  支持 .key、['key']、[n]、[-n]、[start:end]、[*]、.* 和 ..key
+//   { type: 'regex', expression: 'https?://\\S+?\\.jpg', flags: 'i' }  在文本响应中匹配，有捕获组时取第一个捕获组
+//   { type: 'css', expression: 'img.main', attribute: 'src' }  在 HTML 响应中按 CSS 选择器取元素属性（默认 src）
+// 可能匹配到多个链接，pick 为 'random' 时随机取一个，默认取第一个。
+// 提取器在整个响应正文上运行，因此上游接口的响应（JSON、文本或 HTML）最多读取 apiResponseMaxBytes 字节，超出时按上游失败处理。
+const apiResponseMaxBytes = 1024 * 1024;
+
+// 上游接口的响应超过 apiResponseMaxBytes 时 axios 抛出的错误
+function isApiResponseTooLarge(error) {
+    return error.code === 'ERR_BAD_RESPONSE' && error.message.startsWith('maxContentLength');
+}
 
-        groupedApis[groupName].forEach(entry => {
-            const key = entry.key; // Get the key
-            let paramsDesc = '';
-            if (entry.queryParams && entry.queryParams.length > 0) {
-            paramsDesc = entry.queryParams.map(p => {
-                 let desc = `<code class="text-nowrap">${p.name}</code>`;
-                 if(p.required) desc += '<span class="text-danger fw-bold" title="必需参数">*</span>';
-                 if(p.defaultValue) desc += ` <small class="text-muted">(默认: ${p.defaultValue})</small>`;
-                 if(p.description) desc += `<br><small class="text-muted fst-italic">${p.description}</small>`; // Description on new line
-                 return desc;
-            }).join('<hr class="my-1">'); // Separator between params
+function parseJsonPathBracket(content, fail) {
+    if (content === '*') return { type: 'wildcard' };
+    const quoted = /^(['"])(.*)\1$/.exec(content);
+    if (quoted) return { type: 'key', key: quoted[2] };
+    if (/^-?\d+$/.test(content)) return { type: 'index', index: parseInt(content, 10) };
+    const slice = /^(-?\d*):(-?\d*)$/.exec(content);
+    if (slice) {
+        return {
+            type: 'slice',
+            start: slice[1] === '' ? undefined : parseInt(slice[1], 10),
+            end: slice[2] === '' ? undefined : parseInt(slice[2], 10)
+        };
+    }
+    return fail(`unsupported selector [${content}]`);
+}
+
+// 把 JSONPath 解析为片段列表，语法错误时抛出错误。开头的 "$" 可以省略，因此 "data.url" 这样的旧写法同样有效。
+// allowRecursive 为 false 时不接受递归查找（".."），用于调用方通过参数传入的表达式
+function parseJsonPath(expression, { allowRecursive = true } = {}) {
+    const segments = [];
+    let index = expression.startsWith('$') ? 1 : 0;
+    const fail = (message) => { throw new Error(`Invalid JSONPath at position ${index}: ${message}`); };
+    while (index < expression.length) {
+        let recursive = false;
+        if (expression.startsWith('..', index)) {
+            if (!allowRecursive) fail("recursive descent ('..') is not allowed here");
+            recursive = true;
+            index += 2;
+        } else if (expression[index] === '.') {
+            index++;
+        } else if (expression[index] !== '[' && index > 0) {
+            fail("expected '.' or '['");
+        }
+        if (expression[index] === '[') {
+            const end = expression.indexOf(']', index);
+            if (end === -1) fail("missing ']'");
+            segments.push({ ...parseJsonPathBracket(expression.slice(index + 1, end).trim(), fail), recursive });
+            index = end + 1;
         } else {
-            paramsDesc = '<em class="text-muted">无</em>';
+            const name = /^[^.[\]\s]+/.exec(expression.slice(index))?.[0];
+            if (!name) fail('expected a field name');
+            segments.push(name === '*' ? { type: 'wildcard', recursive } : { type: 'key', key: name, recursive });
+            index += name.length;
         }
+    }
+    return segments;
+}
 
-        apiTableHtml += `
-                <tr>
-                    <td class="text-nowrap"><code>/${key}</code></td>
-                    <td>${entry.description || '<em class="text-muted">无描述</em>'}</td>
-                    <td class="text-nowrap">${entry.method === 'proxy' ? '<span class="badge bg-primary">服务器代理</span>' : '<span class="badge bg-secondary">浏览器重定向</span>'}</td>
-                    <td>${paramsDesc}</td>
-                </tr>`;
-        }); // End loop for endpoints within group
+function selectJsonPathChildren(value, segment) {
+    if (value === null || typeof value !== 'object') return [];
+    switch (segment.type) {
+        case 'key':
+            return Object.prototype.hasOwnProperty.call(value, segment.key) ? [value[segment.key]] : [];
+        case 'wildcard':
+            return Object.values(value);
+        case 'index': {
+            if (!Array.isArray(value)) return [];
+            const position = segment.index < 0 ? value.length + segment.index : segment.index;
+            return position >= 0 && position < value.length ? [value[position]] : [];
+        }
+        case 'slice':
+            return Array.isArray(value) ? value.slice(segment.start, segment.end) : [];
+        default:
+            return [];
+    }
+}
 
-        apiTableHtml += `
-            </tbody>
-        </table>
-        </div>`;
-        groupedApiHtml += apiTableHtml; // Add table for the group
-    }); // End loop for groups
+// 单次求值最多访问的节点数和递归查找的最大深度，多个 ".." 叠加时工作量会成倍增长，超出后放弃并报错
+const jsonPathMaxNodes = 10000;
+const jsonPathMaxDepth = 32;
 
-    groupedApiHtml += `<p class="text-muted mt-2"><small><span class="text-danger fw-bold">*</span> 表示必需参数</small></p>`;
+function collectJsonDescendants(value, visit, into = [], depth = 0) {
+    if (depth > jsonPathMaxDepth) throw new Error(`JSONPath recursion exceeds the maximum depth of ${jsonPathMaxDepth}.`);
+    visit(1);
+    into.push(value);
+    if (value !== null && typeof value === 'object') {
+        Object.values(value).forEach(child => collectJsonDescendants(child, visit, into, depth + 1));
+    }
+    return into;
+}
 
+// 返回所有匹配的值
+function evaluateJsonPath(data, segments) {
+    let visited = 0;
+    const visit = (count) => {
+        visited += count;
+        if (visited > jsonPathMaxNodes) throw new Error(`JSONPath visits more than ${jsonPathMaxNodes} nodes.`);
+    };
+    let nodes = [data];
+    for (const segment of segments) {
+        const scope = segment.recursive ? nodes.flatMap(node => collectJsonDescendants(node, visit)) : nodes;
+        nodes = scope.flatMap(node => selectJsonPathChildren(node, segment));
+        visit(nodes.length);
+    }
+    return nodes;
+}
 
-    // Construct the full HTML page with Bootstrap 5
-    const homeHtmlContent = `
-<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>API 转发服务</title>
-    <!-- 新 Bootstrap5 核心 CSS 文件 -->
-    <link rel="stylesheet" href="https://lf26-cdn-tos.bytecdntp.com/cdn/expire-1-M/twitter-bootstrap/5.1.3/css/bootstrap.min.css">
-    <!-- Optional: Bootstrap Icons CDN (using cdnjs) -->
-    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/bootstrap-icons/1.11.3/font/bootstrap-icons.min.css">
-    <!-- Pinyin Library for Emoticon Fetching (using unpkg) -->
-    <script src="https://unpkg.com/pinyin-pro@3.26.0/dist/index.js"></script> 
-    <style>
-        /* v0 Style Adjustments */
-        :root {
-            --v0-background: #ffffff; /* White background */
-            --v0-foreground: #111827; /* Darker gray text (Tailwind gray-900) */
-            --v0-muted: #f9fafb; /* Lighter gray for muted backgrounds (Tailwind gray-50) */
-            --v0-muted-foreground: #6b7280; /* Medium gray for muted text (Tailwind gray-500) */
-            --v0-border: #e5e7eb; /* Light gray border (Tailwind gray-200) */
-            --v0-input: #d1d5db; /* Input border (Tailwind gray-300) */
-            --v0-primary: #111827; /* Primary color (button bg) - Dark gray */
-            --v0-primary-foreground: #ffffff; /* Text on primary button - White */
-            --v0-secondary: #f3f4f6; /* Secondary button bg (Tailwind gray-100) */
-            --v0-secondary-foreground: #1f2937; /* Text on secondary button (Tailwind gray-800) */
-            --v0-card: #ffffff; /* Card background */
-            --v0-card-foreground: #111827; /* Card text */
-            --v0-radius: 0.5rem; /* Default border radius */
-            --v0-radius-lg: 0.75rem; /* Larger radius */
-            --v0-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06); /* Subtle shadow */
+// 上游返回的内容类型不对时 axios 不会解析 JSON，这里再尝试一次
+function parseJsonBody(data) {
+    if (typeof data !== 'string') return data;
+    try {
+        return JSON.parse(data);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+function toResponseText(data) {
+    if (typeof data === 'string') return data;
+    return data === undefined || data === null ? '' : JSON.stringify(data);
+}
+
+// 编译提取器，返回 (data) => 匹配到的值数组。表达式无效时抛出错误，保存配置时也用它检查表达式
+function compileResponseExtractor(extractor) {
+    switch (extractor.type) {
+        case 'jsonPath': {
+            const segments = parseJsonPath(extractor.expression, { allowRecursive: !extractor.fromCaller });
+            return data => evaluateJsonPath(parseJsonBody(data), segments);
         }
-        body { 
-            padding-top: 2rem; 
-            padding-bottom: 4rem; 
-            background-color: var(--v0-muted); /* Use muted for page background */
-            color: var(--v0-foreground);
-            font-family: ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans", sans-serif, "Apple Color Emoji", "Segoe UI Emoji", "Segoe UI Symbol", "Noto Color Emoji"; /* Tailwind default font stack */
+        case 'regex': {
+            const pattern = new RegExp(extractor.expression, `${extractor.flags || ''}g`);
+            return data => Array.from(toResponseText(data).matchAll(pattern), match => match[1] ?? match[0]);
         }
-        .container { max-width: 1140px; }
-        
-        /* Card Styles */
-        .card { 
-            background-color: var(--v0-card);
-            color: var(--v0-card-foreground);
-            border: 1px solid var(--v0-border); 
-            border-radius: var(--v0-radius-lg); /* Larger radius */
-            box-shadow: var(--v0-shadow); /* Use shadow variable */
-            margin-bottom: 1.5rem;
+        case 'css': {
+            const attribute = extractor.attribute || 'src';
+            parseHtml('').querySelectorAll(extractor.expression);
+            return data => parseHtml(toResponseText(data)).querySelectorAll(extractor.expression).map(element => element.getAttribute(attribute));
         }
-        .card-header {
-            background-color: var(--v0-card); 
-            border-bottom: 1px solid var(--v0-border);
-            padding: 1rem 1.5rem; /* Increased padding */
-            font-weight: 600; /* Bolder header */
-            border-radius: var(--v0-radius-lg) var(--v0-radius-lg) 0 0; /* Match card radius */
+        default:
+            throw new Error(`Unknown extractor type '${extractor.type}'.`);
+    }
+}
+
+function hasImageUrlExtractor(proxySettings) {
+    return !!(proxySettings?.extractor || proxySettings?.imageUrlField);
+}
+
+// proxySettings.imageUrlFieldFromParam 指定一个查询参数，由调用方决定从响应中取哪个字段：
+// 参数值以 "$" 开头时按 JSONPath 解析，否则按点号路径；参数为空时依次使用
+// imageUrlFieldFromParamDefault、imageUrlField。调用方传入的 JSONPath 标记为 fromCaller，不允许递归查找
+function getRequestProxySettings(proxySettings, params = {}) {
+    const paramName = proxySettings?.imageUrlFieldFromParam;
+    if (!paramName) return proxySettings;
+    const fromCaller = !!params[paramName];
+    const field = params[paramName] || proxySettings.imageUrlFieldFromParamDefault || proxySettings.imageUrlField || 'url';
+    return String(field).startsWith('$')
+        ? { ...proxySettings, extractor: { type: 'jsonPath', expression: String(field), fromCaller } }
+        : { ...proxySettings, extractor: undefined, imageUrlField: String(field) };
+}
+
+// 调用方传入的 JSONPath 在请求上游之前检查，无效时返回错误信息
+function checkCallerExtractor(proxySettings) {
+    if (!proxySettings?.extractor?.fromCaller) return null;
+    try {
+        compileResponseExtractor(proxySettings.extractor);
+        return null;
+    } catch (error) {
+        return `${proxySettings.imageUrlFieldFromParam}: ${error.message}`;
+    }
+}
+
+function describeImageUrlExtractor(proxySettings = {}) {
+    const extractor = proxySettings.extractor;
+    return extractor ? `${extractor.type} '${extractor.expression}'` : `field '${proxySettings.imageUrlField}'`;
+}
+
+// 按 proxySettings 从响应中取出所有候选链接（非空字符串）。匹配到字符串数组时展开数组，
+// 相对链接按 baseUrl（上游地址）补全。表达式无效时抛出错误
+function extractResponseValues(data, proxySettings = {}, baseUrl = null) {
+    const values = proxySettings.extractor
+        ? compileResponseExtractor(proxySettings.extractor)(data)
+        : [getValueByDotNotation(data, proxySettings.imageUrlField)];
+    return values
+        .flatMap(value => Array.isArray(value) ? value : [value])
+        .filter(value => typeof value === 'string' && value.trim())
+        .map((value) => {
+            if (!baseUrl) return value.trim();
+            try {
+                return new URL(value.trim(), baseUrl).href;
+            } catch (e) {
+                return value.trim();
+            }
+        });
+}
+
+function pickExtractedValue(values, extractor) {
+    if (values.length === 0) return null;
+    return extractor?.pick === 'random' ? values[Math.floor(Math.random() * values.length)] : values[0];
+}
+
+// 表达式本身的语法（JSONPath、正则、CSS 选择器）无法用 JSON Schema 描述，结构校验通过后再逐个编译检查
+function validateExtractorExpressions(config) {
+    const errors = [];
+    Object.entries(config.apiUrls || {}).forEach(([apiKey, entry]) => {
+        const extractor = entry.proxySettings?.extractor;
+        if (!extractor) return;
+        try {
+            compileResponseExtractor(extractor);
+        } catch (error) {
+            errors.push({ path: `apiUrls.${apiKey}.proxySettings.extractor.expression`, message: error.message });
         }
-        .card-body { padding: 1.5rem; }
-        .card-footer { 
-            background-color: var(--v0-muted); 
-            border-top: 1px solid var(--v0-border);
-            color: var(--v0-muted-foreground);
-            padding: 0.75rem 1.5rem; /* Match header padding */
-            border-radius: 0 0 var(--v0-radius-lg) var(--v0-radius-lg); /* Match card radius */
+    });
+    return errors;
+}
+
+// --- Forward Destination Policy (SSRF Protection) ---
+// 通用转发(/forward)允许用户指定任意目标地址，必须限制其只能访问公网 http/https 地址。
+// 可在配置的 forwardPolicy 字段中覆盖以下默认值。
+const defaultForwardPolicy = {
+    allowedSchemes: ['http', 'https'],
+    allowHosts: [],   // 非空时仅允许匹配的主机，支持通配符，如 "*.example.com"
+    denyHosts: [],    // 匹配的主机总是被拒绝，优先于 allowHosts
+    allowPrivateNetworks: false, // 是否允许访问内网/回环/链路本地等地址
+    maxRedirects: 5
+};
+
+// 不允许转发访问的地址段（回环、私有网络、链路本地、云元数据、组播等）
+const privateAddressList = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateAddressList.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateAddressList.addSubnet(address, prefix, 'ipv6'));
+
+function getForwardPolicy() {
+    return { ...defaultForwardPolicy, ...(currentConfig.forwardPolicy || {}) };
+}
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) {
+        return privateAddressList.check(address, 'ipv4');
+    }
+    if (family === 6) {
+        // BlockList 会自动按 IPv4 规则检查 IPv4-mapped 地址 (::ffff:127.0.0.1)
+        return privateAddressList.check(address, 'ipv6');
+    }
+    return true; // 无法识别的地址一律视为不安全
+}
+
+function matchHostPattern(hostname, pattern) {
+    const normalizedPattern = String(pattern).trim().toLowerCase();
+    if (!normalizedPattern) return false;
+    const regex = new RegExp('^' + normalizedPattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(hostname);
+}
+
+function createPolicyViolation(rule, reason, url) {
+    const error = new Error(reason);
+    error.policyViolation = { rule, reason, url };
+    return error;
+}
+
+// 检查单个目标地址是否符合转发策略，不符合时抛出带 policyViolation 的错误
+async function checkForwardDestination(targetUrl, policy) {
+    let parsed;
+    try {
+        parsed = new URL(targetUrl);
+    } catch (e) {
+        throw createPolicyViolation('invalidUrl', `Invalid URL: ${e.message}`, targetUrl);
+    }
+
+    const scheme = parsed.protocol.replace(/:$/, '').toLowerCase();
+    if (!policy.allowedSchemes.map(s => String(s).toLowerCase()).includes(scheme)) {
+        throw createPolicyViolation('allowedSchemes', `Scheme '${scheme}' is not allowed. Allowed: ${policy.allowedSchemes.join(', ')}`, targetUrl);
+    }
+
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const deniedBy = (policy.denyHosts || []).find(pattern => matchHostPattern(hostname, pattern));
+    if (deniedBy) {
+        throw createPolicyViolation('denyHosts', `Host '${hostname}' matches denied pattern '${deniedBy}'.`, targetUrl);
+    }
+    if (policy.allowHosts && policy.allowHosts.length > 0 && !policy.allowHosts.some(pattern => matchHostPattern(hostname, pattern))) {
+        throw createPolicyViolation('allowHosts', `Host '${hostname}' is not in the allowed host list.`, targetUrl);
+    }
+
+    if (!policy.allowPrivateNetworks) {
+        let addresses;
+        if (net.isIP(hostname)) {
+            addresses = [{ address: hostname }];
+        } else {
+            try {
+                addresses = await dns.promises.lookup(hostname, { all: true });
+            } catch (e) {
+                throw createPolicyViolation('dnsResolution', `Could not resolve host '${hostname}': ${e.code || e.message}`, targetUrl);
+            }
         }
-        .card img { 
-            max-height: 180px; /* Slightly smaller max height */
-            object-fit: contain; 
-            border-radius: calc(var(--v0-radius-lg) - 1px) calc(var(--v0-radius-lg) - 1px) 0 0; /* Match card radius */
-        }
-        
-        /* Button Styles */
-        .btn {
-             border-radius: var(--v0-radius);
-             padding: 0.5rem 1rem; /* Slightly smaller padding */
-             font-size: 0.875rem; /* Smaller font size */
-             font-weight: 500;
-             transition: background-color 0.15s ease-in-out, border-color 0.15s ease-in-out, color 0.15s ease-in-out, box-shadow 0.15s ease-in-out;
-             border: 1px solid transparent; /* Ensure border exists for consistent sizing */
-             line-height: 1.25rem; /* Ensure consistent height */
-        }
-        .btn:focus-visible { /* Modern focus ring */
-             outline: 2px solid transparent;
-             outline-offset: 2px;
-             box-shadow: 0 0 0 2px var(--v0-background), 0 0 0 4px var(--v0-primary);
-        }
-        .btn-primary {
-            background-color: var(--v0-primary);
-            border-color: var(--v0-primary);
-            color: var(--v0-primary-foreground);
-        }
-        .btn-primary:hover {
-            background-color: #374151; /* Tailwind gray-700 */
-            border-color: #374151;
-            color: var(--v0-primary-foreground);
-        }
-        .btn-outline-primary {
-             color: var(--v0-primary);
-             border-color: var(--v0-input); /* Use input border color */
-             background-color: var(--v0-background);
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            throw createPolicyViolation('privateNetwork', `Host '${hostname}' resolves to private address ${blocked.address}.`, targetUrl);
         }
-         .btn-outline-primary:hover {
-             background-color: var(--v0-secondary);
-             color: var(--v0-secondary-foreground);
-             border-color: var(--v0-input);
-         }
-         .btn-success { /* For copy button success state */
-             background-color: #22c55e; /* Tailwind green-500 */
-             border-color: #22c55e;
-             color: #ffffff;
-         }
-         .btn-success:hover {
-             background-color: #16a34a; /* Tailwind green-600 */
-             border-color: #16a34a;
-             color: #ffffff;
-         }
-        .btn-lg { padding: 0.75rem 1.5rem; font-size: 1rem; }
-        .btn-sm { padding: 0.25rem 0.75rem; font-size: 0.75rem; border-radius: calc(var(--v0-radius) - 0.125rem); }
+    }
+}
 
-        /* Table Styles */
-        .table { 
-            border-color: var(--v0-border); 
-            margin-bottom: 0; 
+// 供 axios 使用的 DNS 解析函数：连接时再次检查解析结果，防止 DNS rebinding
+function createPolicyLookup(policy) {
+    return async (hostname, options) => {
+        const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+        if (!policy.allowPrivateNetworks) {
+            const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+            if (blocked) {
+                throw createPolicyViolation('privateNetwork', `Host '${hostname}' resolves to private address ${blocked.address}.`, hostname);
+            }
         }
-        .table th, .table td { 
-            vertical-align: middle; 
-            padding: 0.75rem 1rem; /* Adjusted padding */
-            border-top: 1px solid var(--v0-border);
-            font-size: 0.875rem; /* Smaller font */
-            line-height: 1.25rem;
+        return addresses;
+    };
+}
+
+// 跨主机重定向时不再发送的请求头（与 axios 自动跟随重定向时的处理相同）
+const crossOriginRedirectDroppedHeaders = ['authorization', 'proxy-authorization', 'cookie'];
+
+// 下一跳的请求选项：303 以及 POST 的 301/302 改为不带请求体的 GET；跨主机时去掉鉴权和 Cookie 请求头
+function getRedirectHopOptions(options, status, crossOrigin) {
+    const method = String(options.method || 'get').toLowerCase();
+    const next = { ...options, headers: { ...(options.headers || {}) } };
+    if ((status === 303 && method !== 'head') || ((status === 301 || status === 302) && method === 'post')) {
+        next.method = 'get';
+        delete next.data;
+        Object.keys(next.headers).filter(name => name.toLowerCase() === 'content-type').forEach(name => delete next.headers[name]);
+    }
+    if (crossOrigin) {
+        Object.keys(next.headers).filter(name => crossOriginRedirectDroppedHeaders.includes(name.toLowerCase())).forEach(name => delete next.headers[name]);
+    }
+    return next;
+}
+
+// 按策略请求目标地址，手动跟随重定向并在每一跳重新校验
+async function fetchWithForwardPolicy(targetUrl, axiosOptions, policy) {
+    // params（query 鉴权的密钥）只附加在第一跳，重定向地址由上游给出，不能把密钥带到其他主机
+    const { params, ...firstHopOptions } = axiosOptions;
+    const secretParams = Object.keys(params || {});
+    let hopOptions = firstHopOptions;
+    let currentUrl = targetUrl;
+    for (let hop = 0; hop <= policy.maxRedirects; hop++) {
+        await checkForwardDestination(currentUrl, policy);
+        const response = await axios.request({
+            method: 'get',
+            ...hopOptions,
+            ...(hop === 0 && params ? { params } : {}),
+            url: currentUrl,
+            maxRedirects: 0,
+            lookup: createPolicyLookup(policy),
+            validateStatus: (status) => status >= 200 && status < 500,
+        });
+        const location = response.headers?.location;
+        if (response.status >= 300 && response.status < 400 && location) {
+            if (typeof response.data?.destroy === 'function') response.data.destroy();
+            const nextUrl = new URL(location, currentUrl).toString();
+            hopOptions = getRedirectHopOptions(hopOptions, response.status, safeUrlOrigin(currentUrl) !== safeUrlOrigin(nextUrl));
+            currentUrl = nextUrl;
+            console.log(`[Proxy] Following redirect (${hop + 1}/${policy.maxRedirects}) to: ${removeSearchParams(currentUrl, secretParams) || currentUrl}`);
+            continue;
         }
-        .table thead th {
-            border-bottom: 1px solid var(--v0-border); /* Standard border */
-            background-color: var(--v0-muted); 
-            color: var(--v0-muted-foreground); /* Muted text for header */
-            font-weight: 500;
-            text-transform: uppercase; /* Uppercase headers */
-            letter-spacing: 0.05em; /* Slight letter spacing */
-            font-size: 0.75rem; /* Smaller header font */
+        return response;
+    }
+    throw createPolicyViolation('maxRedirects', `Too many redirects (limit ${policy.maxRedirects}).`, currentUrl);
+}
+
+// --- Query Parameter Validation ---
+// queryParams 中每个参数可以声明类型和约束（未声明 type 时按字符串处理，与旧配置兼容）：
+//   type: string | int | float | boolean | enum | list
+//   min / max: int、float 的取值范围；list 的元素个数
+//   pattern: 整个值（list 为每个元素）需要匹配的正则；maxLength: 值（list 为每个元素）的最大长度
+//   validValues + caseInsensitive: 有效值（enum 必须填写），忽略大小写时输出 validValues 中的写法
+//   aliases: 参数的其他名称，如 kw → keyword；valueMap: 校验后的值替换，如 boolean 参数 { "true": "1", "false": "0" }
+//   separator: list 的分隔符，默认 ","；同名参数出现多次时也会合并
+// 校验后的值统一为字符串，list 用分隔符连接
+const queryParamBooleanValues = { true: 'true', '1': 'true', yes: 'true', on: 'true', false: 'false', '0': 'false', no: 'false', off: 'false' };
+
+function checkQueryParamRange(paramConfig, number, describe, unit = '') {
+    if (paramConfig.min !== undefined && number < paramConfig.min) return `Parameter '${paramConfig.name}' must ${describe} at least ${paramConfig.min}${unit}.`;
+    if (paramConfig.max !== undefined && number > paramConfig.max) return `Parameter '${paramConfig.name}' must ${describe} at most ${paramConfig.max}${unit}.`;
+    return null;
+}
+
+// 校验单个值（list 为单个元素），返回 { value } 或 { error }
+function checkQueryParamItem(paramConfig, text, type) {
+    const name = paramConfig.name;
+    if (paramConfig.maxLength !== undefined && text.length > paramConfig.maxLength) {
+        return { error: `Parameter '${name}' must be at most ${paramConfig.maxLength} characters.` };
+    }
+    if (paramConfig.pattern && !new RegExp(`^(?:${paramConfig.pattern})$`).test(text)) {
+        return { error: `Parameter '${name}' must match pattern ${paramConfig.pattern}.` };
+    }
+    let value = text;
+    if (type === 'int' || type === 'float') {
+        const valid = type === 'int' ? /^[+-]?\d+$/.test(text.trim()) : text.trim() !== '' && Number.isFinite(Number(text));
+        const number = Number(text);
+        if (!valid || (type === 'int' && !Number.isSafeInteger(number))) {
+            return { error: `Parameter '${name}' must be ${type === 'int' ? 'an integer' : 'a number'}.` };
         }
-        .table-striped > tbody > tr:nth-of-type(odd) > * {
-             background-color: var(--v0-muted); /* Use muted for striping */
-             color: var(--v0-foreground);
+        const rangeError = checkQueryParamRange(paramConfig, number, 'be');
+        if (rangeError) return { error: rangeError };
+        value = String(number);
+    } else if (type === 'boolean') {
+        value = queryParamBooleanValues[text.trim().toLowerCase()];
+        if (!value) return { error: `Parameter '${name}' must be true or false.` };
+    }
+    if (paramConfig.validValues) {
+        const validValues = paramConfig.validValues.map(String);
+        const match = paramConfig.caseInsensitive
+            ? validValues.find(validValue => validValue.toLowerCase() === value.toLowerCase())
+            : validValues.find(validValue => validValue === value);
+        if (match === undefined) return { error: `Invalid value for parameter '${name}'. Valid: ${validValues.join(', ')}.` };
+        value = match;
+    }
+    if (paramConfig.valueMap && Object.prototype.hasOwnProperty.call(paramConfig.valueMap, value)) {
+        value = String(paramConfig.valueMap[value]);
+    }
+    return { value };
+}
+
+// 校验一个参数的原始值（字符串、数字或同名参数出现多次时的数组），返回 { value } 或 { error }
+function checkQueryParamValue(paramConfig, rawValue) {
+    const type = paramConfig.type || 'string';
+    if (type === 'list') {
+        const separator = paramConfig.separator || ',';
+        const items = [].concat(rawValue).flatMap(value => String(value).split(separator)).map(item => item.trim()).filter(Boolean);
+        const countError = checkQueryParamRange(paramConfig, items.length, 'have', ' value(s)');
+        if (countError) return { error: countError };
+        const values = [];
+        for (const item of items) {
+            const result = checkQueryParamItem(paramConfig, item, 'string');
+            if (result.error) return result;
+            values.push(result.value);
         }
-        .table-hover > tbody > tr:hover > * {
-             background-color: #f3f4f6; /* Tailwind gray-100 */
-             color: var(--v0-foreground);
+        return { value: values.join(separator) };
+    }
+    if (Array.isArray(rawValue)) {
+        // 旧配置中未声明类型的参数出现多次时原样传递
+        if (type === 'string' && !paramConfig.validValues && !paramConfig.pattern && paramConfig.maxLength === undefined) return { value: rawValue };
+        return { error: `Parameter '${paramConfig.name}' must be given only once.` };
+    }
+    return checkQueryParamItem(paramConfig, String(rawValue), type);
+}
+
+// 请求头中不能出现的字符（与 Node.js 的检查相同）：换行等控制字符以及 Latin-1 以外的字符
+const invalidHeaderValuePattern = /[^\t\x20-\x7e\x80-\xff]/;
+
+// 按端点的 queryParams 校验请求参数，返回 { params, errors }。params 以参数名（而非别名）为键
+function validateQueryParams(queryParamsConfig, query) {
+    const params = {};
+    const errors = [];
+    for (const paramConfig of queryParamsConfig || []) {
+        const sourceName = [paramConfig.name, ...(paramConfig.aliases || [])].find(name => query[name] !== undefined);
+        if (sourceName !== undefined) {
+            const result = checkQueryParamValue(paramConfig, query[sourceName]);
+            if (result.error) {
+                errors.push(result.error);
+            } else if (paramConfig.target?.in === 'header' && invalidHeaderValuePattern.test(String(result.value))) {
+                // 作为请求头发送的值不能带换行，否则可能注入其他请求头
+                errors.push(`Parameter '${paramConfig.name}' contains characters that cannot be sent in a header.`);
+            } else {
+                params[paramConfig.name] = result.value;
+            }
+        } else if (paramConfig.required) {
+            errors.push(`Missing required query parameter: ${paramConfig.name}.`);
+        } else if (paramConfig.defaultValue !== undefined) {
+            const result = checkQueryParamValue(paramConfig, paramConfig.defaultValue);
+            params[paramConfig.name] = result.error ? paramConfig.defaultValue : result.value;
         }
-        .table-bordered { border: 1px solid var(--v0-border); }
-        .table-bordered th, .table-bordered td { border: 1px solid var(--v0-border); }
-        .table-responsive { margin-bottom: 1rem; border: 1px solid var(--v0-border); border-radius: var(--v0-radius); overflow: hidden; } /* Add border/radius to responsive container */
+    }
+    return { params, errors };
+}
 
-        /* Code & Pre Styles */
-        code { 
-            font-size: 0.875em; 
-            color: var(--v0-foreground); 
-            background-color: var(--v0-secondary); /* Use secondary bg */
-            padding: 0.2em 0.4em;
-            border-radius: 0.25rem; /* Slightly smaller radius */
-            font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace; /* Monospace font */
+// 调用密钥等由本服务处理的参数，透传未声明参数时也不会发给上游
+const reservedQueryParamNames = ['key'];
+
+// 按参数定义中的 target 决定校验后的参数如何发给上游：
+//   { in: 'query', name }  附加为查询参数（默认；name 省略时与参数同名）
+//   { in: 'path' }         按定义顺序附加为路径段
+//   { in: 'header', name } 作为请求头发送（由 getUpstreamRequestOptions 处理，仅 proxy/stream）
+//   { in: 'drop' }         不发送，只用于 URL 模板、请求体模板等
+// 端点开启 unknownParams.forward 时，未声明（也不是别名）的参数原样放入 forwarded，deny 中的名称除外（支持 * 通配符，不区分大小写）。
+// 返回 { query: [[name, value]], path: [value], forwarded: [[name, value]] }
+function getUpstreamParamPlacement(configEntry, validatedParams, query = {}) {
+    const placement = { query: [], path: [], forwarded: [] };
+    const definitions = configEntry.queryParams || [];
+    Object.entries(validatedParams).forEach(([name, value]) => {
+        const target = definitions.find(paramConfig => paramConfig.name === name)?.target || { in: 'query' };
+        if (target.in === 'query') placement.query.push([target.name || name, value]);
+        else if (target.in === 'path') placement.path.push(String(value));
+    });
+    if (configEntry.unknownParams?.forward) {
+        const declared = new Set(definitions.flatMap(paramConfig => [paramConfig.name, ...(paramConfig.aliases || [])]));
+        const deny = [...reservedQueryParamNames, ...(configEntry.unknownParams.deny || [])];
+        Object.entries(query).forEach(([name, value]) => {
+            if (declared.has(name) || deny.some(pattern => matchHostPattern(name.toLowerCase(), pattern))) return;
+            [].concat(value).forEach(item => placement.forwarded.push([name, String(item)]));
+        });
+    }
+    return placement;
+}
+
+// target 为 header 的参数对应的请求头
+function getParamRequestHeaders(configEntry, validatedParams) {
+    const headers = {};
+    (configEntry.queryParams || []).forEach((paramConfig) => {
+        if (paramConfig.target?.in === 'header' && validatedParams[paramConfig.name] !== undefined) {
+            headers[paramConfig.target.name || paramConfig.name] = String(validatedParams[paramConfig.name]);
         }
-        pre {
-            background-color: var(--v0-secondary); /* Use secondary bg */
-            border: 1px solid var(--v0-border);
-            border-radius: var(--v0-radius);
-            padding: 1rem;
-            color: var(--v0-foreground);
-            white-space: pre-wrap; 
-            word-break: break-word; 
-            font-size: 0.875rem;
-            line-height: 1.5;
-            font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace; /* Monospace font */
+    });
+    return headers;
+}
+
+// 检查参数定义之间的一致性：正则能否编译、enum 是否有有效值、默认值能否通过校验、名称和别名是否重复
+function validateQueryParamDefinitions(config) {
+    const errors = [];
+    Object.entries(config.apiUrls || {}).forEach(([apiKey, entry]) => {
+        const seenNames = new Set();
+        (entry.queryParams || []).forEach((paramConfig, index) => {
+            const path = `apiUrls.${apiKey}.queryParams[${index}]`;
+            [paramConfig.name, ...(paramConfig.aliases || [])].forEach((name, nameIndex) => {
+                if (seenNames.has(name)) errors.push({ path: `${path}.${nameIndex === 0 ? 'name' : 'aliases'}`, message: `duplicate parameter name '${name}'` });
+                seenNames.add(name);
+            });
+            if (paramConfig.pattern) {
+                try {
+                    new RegExp(paramConfig.pattern);
+                } catch (error) {
+                    errors.push({ path: `${path}.pattern`, message: error.message });
+                    return;
+                }
+            }
+            if (paramConfig.type === 'enum' && !(paramConfig.validValues?.length > 0)) {
+                errors.push({ path: `${path}.validValues`, message: 'is required when type is "enum"' });
+            }
+            if ((paramConfig.min !== undefined || paramConfig.max !== undefined) && !['int', 'float', 'list'].includes(paramConfig.type)) {
+                errors.push({ path: `${path}.${paramConfig.min !== undefined ? 'min' : 'max'}`, message: 'only applies when type is "int", "float" or "list"' });
+            } else if (paramConfig.min !== undefined && paramConfig.max !== undefined && paramConfig.min > paramConfig.max) {
+                errors.push({ path: `${path}.max`, message: 'must not be less than min' });
+            }
+            if (paramConfig.defaultValue !== undefined) {
+                const result = checkQueryParamValue(paramConfig, paramConfig.defaultValue);
+                if (result.error) errors.push({ path: `${path}.defaultValue`, message: result.error });
+            }
+            const target = paramConfig.target;
+            if (target?.in === 'header') {
+                if (entry.method === 'redirect') errors.push({ path: `${path}.target.in`, message: 'headers cannot be sent when method is "redirect"' });
+                if (!httpHeaderNamePattern.test(target.name || paramConfig.name)) errors.push({ path: `${path}.target.name`, message: 'is not a valid header name' });
+            } else if (target?.name && target.in !== 'query') {
+                errors.push({ path: `${path}.target.name`, message: 'only applies when target.in is "query" or "header"' });
+            }
+        });
+    });
+    return errors;
+}
+
+// --- URL Templates ---
+// 端点的 url（以及 upstreams 中的 url）可以写成模板，花括号中的内容在请求时替换：
+//   {name}             查询参数的值；没有同名参数时使用全局配置中的同名值（如 {baseTag}），都没有时为空
+//   {name|urlencode}   过滤器可以串联：urlencode、lowercase、uppercase、trim、
+//                      join（多个值用逗号连接，join:; 指定分隔符）、default:值（为空时使用）
+//   {#name}...{/name}  name 有值时才输出中间的内容，例如 {#seed}&seed={seed|urlencode}{/seed}
+//   {^name}...{/name}  name 没有值时才输出中间的内容
+// 不含花括号的 url 仍按原来的方式把查询参数附加到地址后面；使用模板时只有模板中引用的参数会出现在地址中。
+// 模板在第一个占位符之前没有确定主机（例如 "{url}"）时，目标地址由调用方决定，只能用于 proxy 方式并按 forwardPolicy 检查。
+const urlTemplateNamePattern = /^[A-Za-z0-9_-]+$/;
+const urlTemplateFilters = {
+    urlencode: value => encodeURIComponent(value),
+    lowercase: value => value.toLowerCase(),
+    uppercase: value => value.toUpperCase(),
+    trim: value => value.trim()
+};
+const urlTemplateFilterNames = [...Object.keys(urlTemplateFilters), 'join', 'default'];
+
+function isUrlTemplate(url) {
+    return typeof url === 'string' && url.includes('{');
+}
+
+// 把模板解析为节点树：{ type: 'text', text } | { type: 'variable', name, filters } | { type: 'section', name, inverted, children }。
+// 语法错误时抛出错误
+function parseUrlTemplate(template) {
+    const root = { name: null, children: [] };
+    const stack = [root];
+    const tagPattern = /\{([^{}]*)\}/g;
+    const pushText = (text, position) => {
+        if (!text) return;
+        if (/[{}]/.test(text)) throw new Error(`Unmatched brace near position ${position}.`);
+        stack[stack.length - 1].children.push({ type: 'text', text });
+    };
+    const checkName = (name, position) => {
+        if (!urlTemplateNamePattern.test(name)) throw new Error(`Invalid name '${name}' at position ${position}.`);
+        return name;
+    };
+    let lastIndex = 0;
+    let match;
+    while ((match = tagPattern.exec(template)) !== null) {
+        pushText(template.slice(lastIndex, match.index), lastIndex);
+        lastIndex = tagPattern.lastIndex;
+        const tag = match[1].trim();
+        const current = stack[stack.length - 1];
+        if (tag.startsWith('#') || tag.startsWith('^')) {
+            const section = { type: 'section', name: checkName(tag.slice(1).trim(), match.index), inverted: tag[0] === '^', children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (tag.startsWith('/')) {
+            const name = tag.slice(1).trim();
+            if (current === root || current.name !== name) throw new Error(`Unexpected {/${name}} at position ${match.index}.`);
+            stack.pop();
+        } else {
+            const [name, ...filterParts] = tag.split('|').map(part => part.trim());
+            const filters = filterParts.map((part) => {
+                const separator = part.indexOf(':');
+                const filter = separator === -1 ? { name: part } : { name: part.slice(0, separator).trim(), arg: part.slice(separator + 1) };
+                if (!urlTemplateFilterNames.includes(filter.name)) throw new Error(`Unknown filter '${filter.name}' at position ${match.index}.`);
+                return filter;
+            });
+            current.children.push({ type: 'variable', name: checkName(name, match.index), filters });
         }
-        
-        /* Alert Styles */
-        .alert {
-             border-radius: var(--v0-radius);
-             border: 1px solid transparent;
-             padding: 0.75rem 1rem; /* Adjusted padding */
-             font-size: 0.875rem;
+    }
+    pushText(template.slice(lastIndex), lastIndex);
+    if (stack.length > 1) throw new Error(`Missing {/${stack[stack.length - 1].name}}.`);
+    return root.children;
+}
+
+// 查询参数的值可能是数组（同名参数出现多次）
+function resolveUrlTemplateValue(name, params) {
+    const value = params[name];
+    if (Object.prototype.hasOwnProperty.call(params, name) && value !== undefined && value !== null) {
+        return Array.isArray(value) ? value.map(String) : String(value);
+    }
+    const globalValue = currentConfig[name];
+    return typeof globalValue === 'string' || typeof globalValue === 'number' ? String(globalValue) : '';
+}
+
+function isEmptyUrlTemplateValue(value) {
+    return Array.isArray(value) ? value.length === 0 : value === '';
+}
+
+function applyUrlTemplateFilter(value, filter) {
+    if (filter.name === 'join') return Array.isArray(value) ? value.join(filter.arg ?? ',') : value;
+    if (filter.name === 'default') return isEmptyUrlTemplateValue(value) ? (filter.arg ?? '') : value;
+    const apply = urlTemplateFilters[filter.name];
+    return Array.isArray(value) ? value.map(item => apply(item)) : apply(value);
+}
+
+function renderUrlTemplateNodes(nodes, params) {
+    return nodes.map((node) => {
+        if (node.type === 'text') return node.text;
+        const value = resolveUrlTemplateValue(node.name, params);
+        if (node.type === 'section') {
+            return isEmptyUrlTemplateValue(value) === node.inverted ? renderUrlTemplateNodes(node.children, params) : '';
         }
-        .alert-info {
-             color: #0c5460; /* Keep original colors for now */
-             background-color: #d1ecf1;
-             border-color: #bee5eb;
+        const result = node.filters.reduce(applyUrlTemplateFilter, value);
+        return Array.isArray(result) ? result.join(',') : result;
+    }).join('');
+}
+
+// 返回模板固定的目标：绝对地址返回 origin，本站相对路径返回 'relative'，主机由参数决定时返回 null
+function getUrlTemplateOrigin(template) {
+    const prefix = template.split('{')[0];
+    const absolute = /^(https?:\/\/[^/?#]+)([/?#]|$)/i.exec(prefix);
+    if (absolute && (absolute[2] || prefix === template)) return new URL(absolute[1]).origin;
+    if (/^\/(?![/\\])/.test(prefix)) return 'relative';
+    return null;
+}
+
+function hasFixedUrlTemplateOrigin(url) {
+    return !isUrlTemplate(url) || getUrlTemplateOrigin(url) !== null;
+}
+
+// 渲染模板。参数的值不能改变模板固定的主机（例如用 "/" 开头的值把相对路径变成 "//other.host"）
+function renderUrlTemplate(template, params) {
+    const url = renderUrlTemplateNodes(parseUrlTemplate(template), params);
+    const origin = getUrlTemplateOrigin(template);
+    if (origin === 'relative' ? /^\/[/\\]/.test(url) : (origin && safeUrlOrigin(url) !== origin)) {
+        throw new Error('Parameter values must not change the target host.');
+    }
+    return url;
+}
+
+function safeUrlOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch (e) {
+        return null;
+    }
+}
+
+// 旧版本用 urlConstruction 字段选择写死在代码中的特殊路由，读取配置时转换为等价的 url 模板。
+// 直接修改传入的配置，返回转换的端点数
+function upgradeLegacyUrlConstruction(config) {
+    let upgraded = 0;
+    const ensureQueryParam = (entry, param) => {
+        entry.queryParams = Array.isArray(entry.queryParams) ? entry.queryParams : [];
+        let existing = entry.queryParams.find(p => p && p.name === param.name);
+        if (!existing) {
+            existing = { name: param.name };
+            entry.queryParams.push(existing);
         }
-        .alert-info .bi { 
-             margin-right: 0.5rem;
-             vertical-align: text-bottom; /* Align icon better */
+        Object.entries(param).forEach(([field, value]) => {
+            if (existing[field] === undefined) existing[field] = value;
+        });
+    };
+    Object.entries(config?.apiUrls || {}).forEach(([apiKey, entry]) => {
+        if (!entry || typeof entry !== 'object') return;
+        switch (entry.urlConstruction) {
+            case 'special_forward':
+                // 旧路由固定从 field 参数读取字段名
+                entry.url = '{url}';
+                ensureQueryParam(entry, { name: 'url', required: true });
+                ensureQueryParam(entry, { name: 'field', required: false });
+                entry.proxySettings = { ...entry.proxySettings, imageUrlFieldFromParam: 'field' };
+                break;
+            case 'special_pollinations':
+                entry.url = `${entry.url || ''}{tags|urlencode}%2c{baseTag}?&model=${entry.modelName ?? ''}&nologo=true`;
+                ensureQueryParam(entry, { name: 'tags', required: true });
+                break;
+            case 'special_draw_redirect':
+                entry.url = '/{model}?tags={tags|urlencode}';
+                entry.method = 'redirect';
+                ensureQueryParam(entry, { name: 'tags', required: true });
+                ensureQueryParam(entry, { name: 'model', defaultValue: 'flux', validValues: ['flux', 'turbo'] });
+                break;
+            default:
+                return;
         }
+        console.log(`[Config] Converted /${apiKey} from urlConstruction '${entry.urlConstruction}' to URL template: ${entry.url}`);
+        delete entry.urlConstruction;
+        delete entry.modelName;
+        upgraded++;
+    });
+    return upgraded;
+}
 
-        /* Other Styles */
-        .p-5 { padding: 3rem !important; } /* Increased padding */
-        .py-5 { padding-top: 3rem !important; padding-bottom: 3rem !important; }
-        .mb-4 { margin-bottom: 1.5rem !important; }
-        .mt-4 { margin-top: 1.5rem !important; }
-        .mt-3 { margin-top: 1rem !important; }
-        .mt-2 { margin-top: 0.5rem !important; }
-        .bg-light { background-color: var(--v0-card) !important; border: 1px solid var(--v0-border); } /* Use card bg and add border */
-        .rounded-3 { border-radius: var(--v0-radius-lg) !important; } /* Use large radius */
-        .text-muted { color: var(--v0-muted-foreground) !important; }
-        .fw-bold { font-weight: 600 !important; } 
-        .display-5 { font-size: 2.25rem; font-weight: 700; } /* Slightly smaller, bolder */
-        .fs-4 { font-size: 1.125rem; line-height: 1.75rem; } /* Adjusted size and line height */
-        h1, h2, h3, h5 { font-weight: 600; color: var(--v0-foreground); }
-        h2.h5 { font-size: 1rem; font-weight: 600; } /* Adjust size for card headers */
-        hr.my-1 { margin-top: 0.25rem !important; margin-bottom: 0.25rem !important; opacity: 0.1;}
-        .badge { border-radius: 0.375rem; padding: 0.25em 0.6em; font-weight: 500; font-size: 0.75rem; } /* Smaller badge */
-        .bg-primary { background-color: var(--v0-primary) !important; color: var(--v0-primary-foreground); }
-        .bg-secondary { background-color: var(--v0-secondary) !important; color: var(--v0-secondary-foreground); }
-    </style>
-</head>
-<body>
-    <main class="container">
-        <div class="p-5 mb-4 bg-light rounded-3">
-          <div class="container-fluid py-5">
-            <h1 class="display-5 fw-bold">API 转发服务</h1>
-            <p class="col-md-8 fs-4">使用此服务转发 API 请求。所有配置均可通过管理页面动态修改。</p>
-             <a href="/admin" class="btn btn-primary btn-lg" role="button"><i class="bi bi-gear-fill"></i> 前往管理页面</a>
-          </div>
-        </div>
-        
-        <!-- LLM 提示词生成卡片 -->
-        <div class="card mb-4">
-            <div class="card-header d-flex justify-content-between align-items-center">
-                <h2 class="h5 mb-0">LLM 提示词</h2>
-                <button id="copy-prompt-btn" class="btn btn-sm btn-outline-primary"><i class="bi bi-clipboard"></i> 复制</button>
-            </div>
-            <div class="card-body">
-                <div class="alert alert-info mb-2">
-                    <small><i class="bi bi-info-circle"></i> 以下是自动生成的 LLM 提示词，适合嵌入到 YAML 文件中。每行都有适当的缩进，复制后可直接粘贴到配置文件中。</small>
-                </div>
-                <pre id="llm-prompt" class="bg-light p-3 rounded" style="white-space: pre-wrap; word-break: break-word; font-size: 0.875rem;">${llmPrompt}</pre>
-            </div>
-        </div>
+// 检查所有端点的 url 模板：语法正确；主机由参数决定的模板只能用于 proxy 方式，且不能带密钥或启用预取缓存
+function validateUrlTemplates(config) {
+    const errors = [];
+    Object.entries(config.apiUrls || {}).forEach(([apiKey, entry]) => {
+        const urls = [['url', entry.url], ...(entry.upstreams || []).map((upstream, index) => [`upstreams[${index}].url`, upstream.url])];
+        urls.filter(([, url]) => isUrlTemplate(url)).forEach(([field, url]) => {
+            const path = `apiUrls.${apiKey}.${field}`;
+            try {
+                parseUrlTemplate(url);
+            } catch (error) {
+                errors.push({ path, message: error.message });
+                return;
+            }
+            const origin = getUrlTemplateOrigin(url);
+            if (origin === 'relative') {
+                if (entry.method !== 'redirect') errors.push({ path, message: 'relative URLs can only be used when method is "redirect"' });
+                return;
+            }
+            if (origin !== null) return;
+            if (entry.method !== 'proxy') {
+                errors.push({ path, message: 'the target host must be fixed unless method is "proxy"' });
+            } else if (entry.cacheSettings?.enabled) {
+                errors.push({ path, message: 'image cache cannot be used when the target host comes from parameters' });
+            } else if (getRequestSecretNames(entry.request).length > 0) {
+                errors.push({ path, message: 'secrets cannot be sent when the target host comes from parameters' });
+            }
+        });
+    });
+    return errors;
+}
 
-        <div class="card mb-4">
-            <div class="card-header"><h2 class="h5 mb-0">可用 API 端点</h2></div>
-            <div class="card-body">
-                ${groupedApiHtml}
-            </div>
-        </div>
+// --- Upstream Request Customization ---
+// 端点的 request 设置自定义发往上游的请求，只对 proxy、stream 方式（以及健康检查、图片预取）生效，
+// redirect 方式由浏览器直接访问上游，不会带上这些设置：
+//   method: GET（默认）、POST、PUT、PATCH 或 DELETE
+//   headers: { "User-Agent": "...", "X-Api-Key": "{{env.MY_API_KEY}}" }
+//   body / contentType: 请求体模板，{{参数名}} 替换为查询参数的值；contentType 默认 application/json
+//   auth: { type: 'bearer', tokenEnv } | { type: 'basic', username, passwordEnv } | { type: 'query', param, valueEnv }
+// 密钥只能通过环境变量引用（{{env.NAME}} 或 auth 中的 *Env 字段），配置、导出文件和管理界面中只有变量名。
+const envReferencePattern = /\{\{\s*env\.([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const requestParamPattern = /\{\{\s*([A-Za-z0-9_-]+)\s*\}\}/g;
+const requestAuthSecretFields = ['tokenEnv', 'passwordEnv', 'valueEnv'];
+
+function readSecretEnv(name) {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${name} is not set.`);
+    }
+    return value;
+}
 
-        <div class="card">
-             <div class="card-header"><h2 class="h5 mb-0">示例</h2></div>
-             <div class="card-body">
-                <div class="row row-cols-1 row-cols-md-3 g-4">
-                    <div class="col">
-                        <div class="card h-100 text-center">
-                            <img src="/doro" class="card-img-top p-3" alt="随机 doro 贴纸">
-                            <div class="card-footer text-muted"><small>随机 Doro 贴纸 (<code>/doro</code>)</small></div>
-                        </div>
-                    </div>
-                     <div class="col">
-                        <div class="card h-100 text-center">
-                            <img src="/anime1" class="card-img-top p-3" alt="随机二次元图片">
-                            <div class="card-footer text-muted"><small>随机二次元图片 (<code>/anime1</code>)</small></div>
-                        </div>
-                    </div>
-                     <div class="col">
-                        <div class="card h-100 text-center">
-                            <img src="/baisi" class="card-img-top p-3" alt="白丝图片">
-                            <div class="card-footer text-muted"><small>白丝图片 (<code>/baisi</code>)</small></div>
-                        </div>
-                    </div>
-                </div>
-                <p class="text-muted mt-3"><small>注意：示例图片可能因 API 端点配置更改而变化。</small></p>
-             </div>
-        </div>
-    </main>
-    <!-- Popper.js -->
-    <script src="https://lf6-cdn-tos.bytecdntp.com/cdn/expire-1-M/popper.js/2.11.2/umd/popper.min.js"></script>
-    <!-- Bootstrap 5 JS -->
-    <script src="https://lf26-cdn-tos.bytecdntp.com/cdn/expire-1-M/twitter-bootstrap/5.1.3/js/bootstrap.min.js"></script>
-    
-    <!-- 复制按钮脚本 -->
-    <script>
-        document.addEventListener('DOMContentLoaded', function() {
-            const promptElement = document.getElementById('llm-prompt');
-            const copyButton = document.getElementById('copy-prompt-btn');
-            
-            if (promptElement && copyButton) {
-                // 复制按钮功能
-                copyButton.addEventListener('click', () => {
-                    const textToCopy = promptElement.textContent;
-                    navigator.clipboard.writeText(textToCopy).then(() => {
-                        // 显示复制成功提示
-                        const originalText = copyButton.innerHTML;
-                        copyButton.innerHTML = '<i class="bi bi-check"></i> 已复制';
-                        copyButton.classList.remove('btn-outline-primary');
-                        copyButton.classList.add('btn-success');
-                        
-                        setTimeout(() => {
-                            copyButton.innerHTML = originalText;
-                            copyButton.classList.remove('btn-success');
-                            copyButton.classList.add('btn-outline-primary');
-                        }, 2000);
-                    }).catch(err => {
-                        console.error('复制失败:', err);
-                        alert('复制失败，请手动复制');
-                    });
-                });
-            }
-        });
-    </script>
-</body>
-</html>
-`;
-    res.setHeader('Content-Type', 'text/html');
-    res.send(homeHtmlContent);
-});
+// 替换模板中的 {{env.NAME}} 和 {{参数名}}（没有该参数时替换为空字符串），escape 按请求体格式转义替换的值
+function renderRequestTemplate(template, params, escape = value => value) {
+    return template
+        .replace(envReferencePattern, (match, name) => escape(readSecretEnv(name)))
+        .replace(requestParamPattern, (match, name) => Object.prototype.hasOwnProperty.call(params, name) ? escape(String(params[name])) : '');
+}
 
-// --- Admin Interface Routes ---
-// 验证管理员权限的中间件
-function checkAdminAuth(req, res, next) {
-    // 检查cookie中的token
-    const tokenFromCookie = req.cookies?.[adminCookieName];
-    
-    // 如果有效token，允许访问
-    if (tokenFromCookie === adminToken) {
-        return next();
+function getRequestBodyEscaper(contentType) {
+    if (/json/i.test(contentType)) return value => JSON.stringify(value).slice(1, -1);
+    if (/x-www-form-urlencoded/i.test(contentType)) return encodeURIComponent;
+    return undefined;
+}
+
+// 生成请求上游时附加的 axios 选项 { method, headers, data, params }。引用的环境变量未设置时抛出错误
+function getUpstreamRequestOptions(configEntry, params = {}) {
+    if (configEntry.method !== 'proxy' && configEntry.method !== 'stream') return {};
+    const paramHeaders = getParamRequestHeaders(configEntry, params);
+    if (!configEntry.request && Object.keys(paramHeaders).length === 0) return {};
+    const request = configEntry.request || {};
+    const options = { method: (request.method || 'GET').toLowerCase(), headers: {} };
+    Object.entries(request.headers || {}).forEach(([name, value]) => {
+        options.headers[name] = renderRequestTemplate(value, params);
+    });
+    Object.assign(options.headers, paramHeaders);
+    if (request.body !== undefined && options.method !== 'get') {
+        const contentType = request.contentType || 'application/json';
+        options.data = renderRequestTemplate(request.body, params, getRequestBodyEscaper(contentType));
+        options.headers['Content-Type'] = contentType;
     }
-    
-    // 如果是API请求，返回401状态码
-    if (req.path.startsWith('/config') || req.headers.accept?.includes('application/json')) {
-        return res.status(401).json({ error: 'Unauthorized' });
+    const auth = request.auth;
+    if (auth?.type === 'bearer') {
+        options.headers['Authorization'] = `Bearer ${readSecretEnv(auth.tokenEnv)}`;
+    } else if (auth?.type === 'basic') {
+        options.headers['Authorization'] = `Basic ${Buffer.from(`${auth.username}:${readSecretEnv(auth.passwordEnv)}`).toString('base64')}`;
+    } else if (auth?.type === 'query') {
+        // 通过 axios 的 params 附加，日志中打印的目标地址不会包含密钥
+        options.params = { [auth.param]: readSecretEnv(auth.valueEnv) };
     }
-    
-    // 否则重定向到登录页面
-    res.redirect('/admin-login');
+    return options;
 }
 
-// 登录页面
-app.get('/admin-login', (req, res) => {
-    console.log("[Router] Handling request for /admin-login");
-    const loginHtmlContent = `
-<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>API 转发管理登录</title>
-    <link rel="stylesheet" href="https://lf26-cdn-tos.bytecdntp.com/cdn/expire-1-M/twitter-bootstrap/5.1.3/css/bootstrap.min.css">
-    <style>
-        /* v0 Style Adjustments */
-        :root {
-            --v0-background: #ffffff; /* White background */
-            --v0-foreground: #09090b; /* Near black text */
-            --v0-muted: #f9fafb; /* Lighter gray (Tailwind gray-50) */
-            --v0-muted-foreground: #6b7280; /* Medium gray (Tailwind gray-500) */
-            --v0-border: #e5e7eb; /* Light gray border (Tailwind gray-200) */
-            --v0-input: #d1d5db; /* Input border (Tailwind gray-300) */
-            --v0-primary: #111827; /* Dark gray (Tailwind gray-900) */
-            --v0-primary-foreground: #ffffff; /* White */
-            --v0-destructive: #ef4444; /* Red (Tailwind red-500) */
-            --v0-destructive-foreground: #ffffff; /* White */
-            --v0-card: #ffffff; /* Card background */
-            --v0-card-foreground: #111827; /* Card text */
-            --v0-radius: 0.5rem; /* Default border radius */
-            --v0-radius-lg: 0.75rem; /* Larger radius */
-            --v0-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06); /* Subtle shadow */
-        }
-        body { 
-            background-color: var(--v0-muted); 
-            height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            font-family: ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans", sans-serif, "Apple Color Emoji", "Segoe UI Emoji", "Segoe UI Symbol", "Noto Color Emoji"; /* Tailwind default font stack */
-            color: var(--v0-foreground);
+// 去掉地址中的指定查询参数（query 鉴权的密钥），地址无效时返回 null
+function removeSearchParams(url, names) {
+    try {
+        const parsed = new URL(url);
+        names.forEach(name => parsed.searchParams.delete(name));
+        return parsed.href;
+    } catch (e) {
+        return null;
+    }
+}
+
+// 上游响应的最终地址（跟随重定向后；fetchWithForwardPolicy 手动跟随时为最后一跳请求的地址）。
+// axios 会把 params 中的 query 鉴权密钥拼进这个地址，用于日志、补全链接或返回给调用方之前先去掉这些参数
+function getUpstreamResponseUrl(response, fallbackUrl) {
+    const responseUrl = response.request?.res?.responseUrl || response.config?.url || fallbackUrl;
+    const secretParams = Object.keys(response.config?.params || {});
+    if (secretParams.length === 0) return responseUrl;
+    return removeSearchParams(responseUrl, secretParams) || fallbackUrl;
+}
+
+// 端点 request 设置中引用的环境变量名
+function getRequestSecretNames(request) {
+    if (!request) return [];
+    const names = new Set();
+    const collect = (text) => {
+        for (const match of String(text).matchAll(envReferencePattern)) names.add(match[1]);
+    };
+    Object.values(request.headers || {}).forEach(collect);
+    if (request.body !== undefined) collect(request.body);
+    requestAuthSecretFields.forEach((field) => {
+        if (request.auth?.[field]) names.add(request.auth[field]);
+    });
+    return [...names];
+}
+
+// --- Upstream Selection & Failover ---
+// 每个端点除主 URL 外还可以配置 upstreams: [{ url, weight }] 作为额外上游，
+// upstreamStrategy 为 "weighted"（默认，按权重随机）或 "roundRobin"（按权重轮询）。
+// 连续失败达到阈值的上游会被标记为不健康，冷却期内排在健康上游之后。
+const upstreamFailureThreshold = 3;
+const upstreamCooldownMs = 60 * 1000;
+const upstreamHealth = new Map(); // key: `${apiKey} ${url}`
+const roundRobinCounters = new Map(); // key: apiKey
+
+function getEndpointUpstreams(configEntry) {
+    const list = [];
+    if (configEntry.url) {
+        list.push({ url: configEntry.url, weight: configEntry.weight ?? 1 });
+    }
+    (configEntry.upstreams || []).forEach(upstream => {
+        if (upstream && upstream.url) {
+            list.push({ url: upstream.url, weight: upstream.weight ?? 1 });
         }
-        .login-container {
-            max-width: 400px;
-            width: 100%;
-            padding: 2.5rem; 
-            background-color: var(--v0-card);
-            border-radius: var(--v0-radius-lg); /* Larger radius */
-            border: 1px solid var(--v0-border);
-            box-shadow: var(--v0-shadow); /* Use shadow variable */
+    });
+    return list;
+}
+
+function getUpstreamHealth(apiKey, url) {
+    const key = `${apiKey} ${url}`;
+    if (!upstreamHealth.has(key)) {
+        upstreamHealth.set(key, { consecutiveFailures: 0, unhealthyUntil: 0, lastError: null, lastFailureAt: null, lastSuccessAt: null });
+    }
+    return upstreamHealth.get(key);
+}
+
+function isUpstreamHealthy(apiKey, url) {
+    const health = upstreamHealth.get(`${apiKey} ${url}`);
+    return !health || health.unhealthyUntil <= Date.now();
+}
+
+function recordUpstreamResult(apiKey, url, success, errorMessage) {
+    const health = getUpstreamHealth(apiKey, url);
+    if (success) {
+        health.consecutiveFailures = 0;
+        health.unhealthyUntil = 0;
+        health.lastSuccessAt = new Date().toISOString();
+        return;
+    }
+    health.consecutiveFailures++;
+    health.lastError = errorMessage || 'Unknown error';
+    health.lastFailureAt = new Date().toISOString();
+    if (health.consecutiveFailures >= upstreamFailureThreshold) {
+        health.unhealthyUntil = Date.now() + upstreamCooldownMs;
+        console.warn(`[Upstream] /${apiKey} ${url} marked unhealthy after ${health.consecutiveFailures} consecutive failures.`);
+    }
+}
+
+// 按权重打乱顺序（权重越大越可能排在前面），权重为 0 的上游仅作为最后的备选
+function orderByWeightedRandom(upstreams) {
+    const remaining = upstreams.filter(u => u.weight > 0);
+    const ordered = [];
+    while (remaining.length > 0) {
+        const totalWeight = remaining.reduce((sum, u) => sum + u.weight, 0);
+        let pick = Math.random() * totalWeight;
+        let index = remaining.findIndex(u => (pick -= u.weight) < 0);
+        if (index === -1) index = remaining.length - 1;
+        ordered.push(remaining.splice(index, 1)[0]);
+    }
+    return ordered.concat(upstreams.filter(u => !(u.weight > 0)));
+}
+
+function orderByRoundRobin(apiKey, upstreams) {
+    const weighted = upstreams.filter(u => u.weight > 0);
+    const totalWeight = weighted.reduce((sum, u) => sum + u.weight, 0);
+    if (totalWeight === 0) return upstreams;
+    const counter = roundRobinCounters.get(apiKey) || 0;
+    roundRobinCounters.set(apiKey, counter + 1);
+    let slot = counter % totalWeight;
+    const startIndex = weighted.findIndex(u => (slot -= u.weight) < 0);
+    return weighted.slice(startIndex).concat(weighted.slice(0, startIndex), upstreams.filter(u => !(u.weight > 0)));
+}
+
+// 返回按优先级排序的上游列表：健康的在前（按策略排序），不健康的按恢复时间排在后面
+function selectUpstreams(apiKey, configEntry) {
+    const upstreams = getEndpointUpstreams(configEntry);
+    if (upstreams.length <= 1) return upstreams;
+    const healthy = upstreams.filter(u => isUpstreamHealthy(apiKey, u.url));
+    const unhealthy = upstreams
+        .filter(u => !isUpstreamHealthy(apiKey, u.url))
+        .sort((a, b) => getUpstreamHealth(apiKey, a.url).unhealthyUntil - getUpstreamHealth(apiKey, b.url).unhealthyUntil);
+    const orderedHealthy = configEntry.upstreamStrategy === 'roundRobin'
+        ? orderByRoundRobin(apiKey, healthy)
+        : orderByWeightedRandom(healthy);
+    return orderedHealthy.concat(unhealthy);
+}
+
+// 按 getUpstreamParamPlacement 的结果把参数附加到上游基础 URL。url 是模板时按模板渲染
+// （参数值改变目标主机时抛出错误），此时声明过的参数由模板决定位置，只附加透传的未声明参数
+function buildTargetUrl(baseUrl, validatedParams, apiKey, placement) {
+    const isTemplate = isUrlTemplate(baseUrl);
+    let targetUrl = isTemplate ? renderUrlTemplate(baseUrl, validatedParams) : baseUrl;
+    const queryEntries = isTemplate ? placement.forwarded : [...placement.query, ...placement.forwarded];
+    const pathSegments = isTemplate ? [] : placement.path;
+    if (queryEntries.length === 0 && pathSegments.length === 0) return targetUrl;
+    const pathSuffix = pathSegments.map(segment => encodeURIComponent(segment)).join('/');
+    try {
+        const base = new URL(targetUrl); // Use URL constructor to handle existing params
+        if (pathSuffix) base.pathname = base.pathname.replace(/\/?$/, '/') + pathSuffix;
+        queryEntries.forEach(([key, value]) => {
+            base.searchParams.append(key, value);
+        });
+        targetUrl = base.toString();
+    } catch(e) {
+         // Fallback for potentially invalid base URLs in config (or relative redirect paths), just append
+         console.warn(`[Handler /${apiKey}] Could not parse base URL, appending params directly. Error: ${e.message}`);
+         if (pathSuffix) {
+             const queryIndex = targetUrl.search(/[?#]/);
+             const path = queryIndex === -1 ? targetUrl : targetUrl.slice(0, queryIndex);
+             targetUrl = path.replace(/\/?$/, '/') + pathSuffix + (queryIndex === -1 ? '' : targetUrl.slice(queryIndex));
+         }
+         if (queryEntries.length > 0) {
+             const urlSearchParams = new URLSearchParams(queryEntries);
+             targetUrl += (targetUrl.includes('?') ? '&' : '?') + urlSearchParams.toString();
+         }
+    }
+    return targetUrl;
+}
+
+// 汇总所有端点上游的健康状态，供管理界面展示
+function getUpstreamHealthReport() {
+    const report = {};
+    const now = Date.now();
+    for (const apiKey in (currentConfig.apiUrls || {})) {
+        report[apiKey] = getEndpointUpstreams(currentConfig.apiUrls[apiKey]).map(upstream => {
+            const health = upstreamHealth.get(`${apiKey} ${upstream.url}`);
+            return {
+                url: upstream.url,
+                weight: upstream.weight,
+                healthy: !health || health.unhealthyUntil <= now,
+                consecutiveFailures: health?.consecutiveFailures || 0,
+                unhealthyUntil: health && health.unhealthyUntil > now ? new Date(health.unhealthyUntil).toISOString() : null,
+                lastError: health?.lastError || null,
+                lastFailureAt: health?.lastFailureAt || null,
+                lastSuccessAt: health?.lastSuccessAt || null
+            };
+        });
+    }
+    return report;
+}
+
+// --- Redirect Responses ---
+// redirect 和 proxy 方式最终都以重定向响应客户端，redirectSettings 控制状态码和缓存相关的响应头：
+//   kind: random（默认，每次请求得到不同的图片）| deterministic（相同参数总是得到相同的图片），决定默认的 Cache-Control
+//   status: 301 | 302 | 303 | 307 | 308，默认 302
+//   cacheControl: Cache-Control 响应头，空字符串表示不发送；vary: Vary 响应头中的请求头名称
+//   cacheBust: 在上游地址后附加随机参数（cacheBustParam，默认 _t），避免客户端或 CDN 一直使用缓存的同一张图片
+const redirectDefaultsByKind = {
+    random: { status: 302, cacheControl: 'no-store' },
+    deterministic: { status: 302, cacheControl: 'public, max-age=86400' }
+};
+
+function getRedirectSettings(configEntry) {
+    const settings = configEntry.redirectSettings || {};
+    return { ...redirectDefaultsByKind[settings.kind || 'random'], cacheBustParam: '_t', ...settings };
+}
+
+function appendCacheBustParam(url, param) {
+    const hashIndex = url.indexOf('#');
+    const base = hashIndex === -1 ? url : url.slice(0, hashIndex);
+    const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+    const nonce = crypto.randomBytes(6).toString('hex');
+    return `${base}${base.includes('?') ? '&' : '?'}${encodeURIComponent(param)}=${nonce}${hash}`;
+}
+
+function sendRedirect(res, url, settings) {
+    if (settings.cacheControl) res.setHeader('Cache-Control', settings.cacheControl);
+    (settings.vary || []).forEach(name => res.vary(name));
+    return res.redirect(settings.status, url);
+}
+
+// --- Image URL Validation ---
+// proxy 端点提取到图片链接后，按 proxySettings.urlValidation 检查链接是否指向图片：
+//   'extension'（默认）链接路径以媒体文件扩展名结尾；'head' 发送 HEAD 请求检查 Content-Type；
+//   'sniff' 下载开头的字节按文件头识别；'off' 不检查。
+// 默认只接受图片，allowedMediaTypes 中加入 'video'、'audio' 后也接受视频、音频。
+// HEAD 和文件头检查需要请求图源，结果缓存一分钟。
+const mediaFileExtensions = {
+    image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg', 'avif', 'ico'],
+    video: ['mp4', 'webm', 'mov', 'm4v', 'ogv', 'mkv'],
+    audio: ['mp3', 'ogg', 'oga', 'wav', 'flac', 'm4a', 'aac', 'opus']
+};
+const imageUrlCheckTtlMs = 60 * 1000;
+const imageUrlCheckCacheLimit = 1000;
+const imageUrlCheckTimeoutMs = 5000;
+const imageUrlSniffBytes = 512;
+const imageUrlCheckCache = new Map(); // key: `${mode} ${url}`，值: { mediaType, detail, expiresAt }
+
+function getMediaTypeFromExtension(url) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname;
+    } catch (e) {
+        return null;
+    }
+    const extension = path.posix.extname(pathname).slice(1).toLowerCase();
+    return Object.keys(mediaFileExtensions).find(type => mediaFileExtensions[type].includes(extension)) || null;
+}
+
+function getMediaTypeFromContentType(contentType) {
+    return /^(image|video|audio)\//i.exec(contentType || '')?.[1].toLowerCase() || null;
+}
+
+// 按文件头识别媒体类型，返回 'image'、'video'、'audio' 或 null
+function sniffMediaType(buffer) {
+    const ascii = (start, end) => buffer.toString('latin1', start, end);
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image'; // JPEG
+    if (ascii(0, 8) === '\x89PNG\r\n\x1a\n' || ascii(0, 4) === 'GIF8' || ascii(0, 2) === 'BM' || ascii(0, 4) === '\x00\x00\x01\x00') return 'image';
+    if (ascii(0, 4) === 'RIFF') {
+        return { 'WEBP': 'image', 'AVI ': 'video', 'WAVE': 'audio' }[ascii(8, 12)] || null;
+    }
+    if (ascii(4, 8) === 'ftyp') {
+        const brand = ascii(8, 12);
+        if (/^(avif|avis|heic|heix|mif1|msf1)$/.test(brand)) return 'image';
+        return /^M4[AB] $/.test(brand) ? 'audio' : 'video';
+    }
+    if (ascii(0, 4) === '\x1a\x45\xdf\xa3') return 'video'; // WebM / Matroska
+    if (ascii(0, 3) === 'ID3' || ascii(0, 4) === 'fLaC' || ascii(0, 4) === 'OggS') return 'audio';
+    if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return 'audio'; // MPEG 音频帧
+    if (/^\s*</.test(ascii(0, 16)) && /<svg[\s>]/i.test(ascii(0, buffer.length))) return 'image';
+    return null;
+}
+
+// 请求图源。链接来自上游响应，每一跳重定向都要经过目标地址策略检查
+function requestMediaUrl(url, axiosOptions, destinationPolicy) {
+    return fetchWithForwardPolicy(url, { timeout: imageUrlCheckTimeoutMs, ...axiosOptions }, destinationPolicy);
+}
+
+// 只读取响应流开头的 maxBytes 字节，然后关闭连接
+function readStreamHead(stream, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+        const finish = () => {
+            stream.destroy();
+            resolve(Buffer.concat(chunks).subarray(0, maxBytes));
+        };
+        stream.on('data', chunk => {
+            chunks.push(chunk);
+            received += chunk.length;
+            if (received >= maxBytes) finish();
+        });
+        stream.on('end', finish);
+        stream.on('error', reject);
+    });
+}
+
+async function checkMediaUrlByHead(url, destinationPolicy) {
+    let response = await requestMediaUrl(url, { method: 'head' }, destinationPolicy);
+    if (response.status === 405 || response.status === 501) {
+        // 不支持 HEAD 的服务器改为只请求第一个字节
+        response = await requestMediaUrl(url, { responseType: 'stream', headers: { Range: 'bytes=0-0' } }, destinationPolicy);
+        response.data.destroy();
+    }
+    if (response.status >= 400) return { mediaType: null, detail: `HTTP ${response.status}` };
+    const contentType = response.headers['content-type'] || '';
+    return { mediaType: getMediaTypeFromContentType(contentType), contentType: contentType || null, detail: `Content-Type ${contentType || 'none'}` };
+}
+
+async function checkMediaUrlBySniffing(url, destinationPolicy) {
+    const response = await requestMediaUrl(url, { responseType: 'stream', headers: { Range: `bytes=0-${imageUrlSniffBytes - 1}` } }, destinationPolicy);
+    if (response.status >= 400) {
+        response.data.destroy();
+        return { mediaType: null, detail: `HTTP ${response.status}` };
+    }
+    const mediaType = sniffMediaType(await readStreamHead(response.data, imageUrlSniffBytes));
+    return { mediaType, contentType: response.headers['content-type'] || null, detail: mediaType ? `${mediaType} file signature` : 'unrecognized file signature' };
+}
+
+function cacheMediaUrlCheck(key, result) {
+    imageUrlCheckCache.delete(key);
+    imageUrlCheckCache.set(key, { ...result, expiresAt: Date.now() + imageUrlCheckTtlMs });
+    while (imageUrlCheckCache.size > imageUrlCheckCacheLimit) {
+        imageUrlCheckCache.delete(imageUrlCheckCache.keys().next().value);
+    }
+}
+
+// 按端点的校验策略检查提取到的链接，返回 { valid, mediaType, contentType, reason }（contentType 只在请求过图源时才有）。
+// 请求图源失败（超时等）视为无效且不缓存；目标地址策略（默认为 forwardPolicy）拦截时抛出错误
+async function validateMediaUrl(url, proxySettings = {}, destinationPolicy = getForwardPolicy()) {
+    const mode = proxySettings.urlValidation || 'extension';
+    if (mode === 'off') return { valid: true, mediaType: null, reason: 'validation off' };
+    let result;
+    if (mode === 'extension') {
+        const mediaType = getMediaTypeFromExtension(url);
+        result = { mediaType, detail: mediaType ? `${mediaType} file extension` : 'no media file extension' };
+    } else {
+        const cacheKey = `${mode} ${url}`;
+        const cached = imageUrlCheckCache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) {
+            result = cached;
+        } else {
+            try {
+                result = mode === 'head' ? await checkMediaUrlByHead(url, destinationPolicy) : await checkMediaUrlBySniffing(url, destinationPolicy);
+                cacheMediaUrlCheck(cacheKey, result);
+            } catch (error) {
+                if (error.policyViolation) throw error;
+                result = { mediaType: null, detail: error.message };
+            }
         }
-        .login-header {
-            text-align: center;
-            margin-bottom: 2rem;
+    }
+    const allowedMediaTypes = proxySettings.allowedMediaTypes || ['image'];
+    if (!result.mediaType) return { valid: false, mediaType: null, reason: result.detail };
+    if (!allowedMediaTypes.includes(result.mediaType)) {
+        return { valid: false, mediaType: result.mediaType, reason: `${result.detail} (${result.mediaType} is not allowed)` };
+    }
+    return { valid: true, mediaType: result.mediaType, contentType: result.contentType || null, reason: result.detail };
+}
+
+// 按 proxySettings（extractor 或 imageUrlField）从上游响应中提取图片链接，找不到时返回 null。
+// 链接是否真的指向图片由调用方决定：代理请求用 validateMediaUrl 检查，流式请求在下载时检查 Content-Type。
+// baseUrl 为上游地址，用于补全 HTML 等响应中的相对链接。
+function extractImageUrl(data, proxySettings = {}, baseUrl = null) {
+    if (!hasImageUrlExtractor(proxySettings)) return null;
+    const source = describeImageUrlExtractor(proxySettings);
+    let imageUrl;
+    try {
+        imageUrl = pickExtractedValue(extractResponseValues(data, proxySettings, baseUrl), proxySettings.extractor);
+    } catch (error) {
+        console.error(`[Proxy] Extractor ${source} failed: ${error.message}`);
+        return null;
+    }
+    if (imageUrl) {
+        console.log(`[Proxy] Image URL found via ${source}: ${imageUrl}`);
+        return imageUrl;
+    }
+    console.log(`[Proxy] ${source} did not yield an image URL.`);
+    return null;
+}
+
+// 代理请求。options.upstream 用于记录上游健康状态；
+// options.canFailover 为 true 时，上游失败不会写入响应而是返回 null，由调用方切换到下一个上游。
+// 上游地址和提取出的图片地址都由服务器请求，每一跳都按 forwardPolicy 检查（上游在内网时需要设置 allowPrivateNetworks）。
+async function handleProxyRequest(targetUrl, proxySettings = {}, res, options = {}) {
+    const upstream = options.upstream;
+    const forwardPolicy = getForwardPolicy();
+    try {
+        console.log(`[Proxy] Requesting: ${targetUrl}`);
+        const requestOptions = {
+            timeout: 15000, // Increased timeout slightly
+            maxContentLength: apiResponseMaxBytes,
+            maxBodyLength: apiResponseMaxBytes,
+            validateStatus: (status) => status >= 200 && status < 500,
+            ...options.request,
+        };
+        const response = await fetchWithForwardPolicy(targetUrl, requestOptions, forwardPolicy);
+
+        if (response.status >= 400) {
+            console.warn(`[Proxy] Target API returned status ${response.status} for ${targetUrl}`);
+            if (upstream) recordUpstreamResult(upstream.apiKey, upstream.url, false, `HTTP ${response.status}`);
+            if (options.canFailover) return null;
+            return res.status(response.status).json(response.data || { error: `Target API error (Status ${response.status})` });
         }
-        .login-header h2 {
-            font-size: 1.5rem; /* Slightly smaller heading */
-            font-weight: 600;
-            color: var(--v0-foreground);
-            margin-bottom: 0.5rem;
+        if (upstream) recordUpstreamResult(upstream.apiKey, upstream.url, true);
+
+        const imageUrl = extractImageUrl(response.data, proxySettings, getUpstreamResponseUrl(response, targetUrl));
+        const validation = imageUrl ? await validateMediaUrl(imageUrl, proxySettings, forwardPolicy) : null;
+
+        if (validation?.valid) {
+            console.log(`[Proxy] Redirecting to image URL: ${imageUrl}`);
+            return sendRedirect(res, imageUrl, options.redirect || getRedirectSettings({}));
+        } else {
+            const fallback = proxySettings.fallbackAction || 'returnJson';
+            if (validation) console.log(`[Proxy] Rejected image URL ${imageUrl}: ${validation.reason}`);
+            console.log(`[Proxy] Image URL not found/invalid. Fallback: ${fallback}`);
+            if (fallback === 'error') {
+                if (validation) {
+                    return res.status(404).json({ error: 'Extracted URL did not pass media validation.', targetUrl: targetUrl, imageUrl, reason: validation.reason });
+                }
+                return res.status(404).json({ error: 'Could not extract image URL from target API response.', targetUrl: targetUrl });
+            } else if (typeof response.data === 'string') {
+                // 文本或 HTML 响应按纯文本返回，避免上游页面以本站的源执行
+                return res.type('text/plain').send(response.data);
+            } else {
+                return res.json(response.data);
+            }
         }
-        .login-header p {
-            color: var(--v0-muted-foreground);
-            font-size: 0.875rem; /* Smaller text */
+    } catch (error) {
+        console.error(`[Proxy] Request failed for ${targetUrl}:`, error.message);
+        if (error.policyViolation) {
+            return res.status(403).json({
+                error: 'Destination blocked by forward policy.',
+                rule: error.policyViolation.rule,
+                reason: error.policyViolation.reason,
+                blockedUrl: error.policyViolation.url,
+                targetUrl: targetUrl
+            });
         }
-        .error-message {
-            color: var(--v0-destructive); 
-            background-color: #fef2f2; /* Tailwind red-50 */
-            border: 1px solid #fca5a5; /* Tailwind red-300 */
-            border-radius: var(--v0-radius); /* Standard radius */
-            padding: 0.75rem 1rem;
-            margin-bottom: 1.5rem;
-            font-size: 0.875rem;
-            display: none; 
-        }
-        .form-label {
-            font-weight: 500;
-            margin-bottom: 0.5rem;
-            font-size: 0.875rem;
-            color: var(--v0-foreground);
+        if (upstream) recordUpstreamResult(upstream.apiKey, upstream.url, false, error.message);
+        if (options.canFailover) return null;
+        if (error.response) {
+             return res.status(error.response.status).json(error.response.data || { error: 'Proxy target returned an error' });
+        } else if (isApiResponseTooLarge(error)) {
+            return res.status(502).json({ error: `Target API response exceeds ${apiResponseMaxBytes} bytes.`, targetUrl: targetUrl });
+        } else if (error.request) {
+            return res.status(504).json({ error: 'Proxy request timed out or failed', targetUrl: targetUrl });
+        } else {
+            return res.status(500).json({ error: 'Proxy request setup failed', message: error.message });
         }
-        .form-control {
-            display: block;
-            width: 100%;
-            padding: 0.5rem 0.75rem; /* Adjusted padding */
-            font-size: 0.875rem; /* Smaller font */
-            font-weight: 400;
-            line-height: 1.5;
-            color: var(--v0-foreground);
-            background-color: var(--v0-background);
-            background-clip: padding-box;
-            border: 1px solid var(--v0-input);
-            appearance: none;
-            border-radius: var(--v0-radius);
-            transition: border-color .15s ease-in-out,box-shadow .15s ease-in-out;
+    }
+}
+
+// --- Stream-through Requests ---
+// method 为 "stream" 时，服务器下载最终图片并直接返回图片内容，而不是 302 重定向。
+// 适用于拒绝跨域重定向的客户端，或有防盗链（Referer 检查）的图源。
+const defaultStreamMaxBytes = 10 * 1024 * 1024;
+const streamableContentTypePattern = /^(image|video|audio)\//i;
+
+function getStreamRequestOptions(streamSettings = {}) {
+    return {
+        timeout: 15000,
+        responseType: 'stream',
+        headers: { ...(streamSettings.headers || {}) },
+        validateStatus: (status) => status >= 200 && status < 500,
+    };
+}
+
+// 将响应流读入 Buffer，超过 maxBytes 时中断并报错
+function readStreamToBuffer(stream, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+        stream.on('data', chunk => {
+            received += chunk.length;
+            if (received > maxBytes) {
+                stream.destroy();
+                return reject(new Error(`Response exceeds ${maxBytes} bytes`));
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+// 读取图片 API 的 JSON、文本或 HTML 响应流（限制大小），用于从中提取图片链接
+async function readApiResponseStream(stream, maxBytes, contentType) {
+    const text = (await readStreamToBuffer(stream, maxBytes)).toString('utf8');
+    if (!/json/i.test(contentType)) return text;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid JSON response: ${e.message}`);
+    }
+}
+
+function createStreamError(status, body, reason, upstreamFailure = true) {
+    const error = new Error(reason);
+    error.streamStatus = status;
+    error.streamBody = body;
+    error.upstreamFailure = upstreamFailure;
+    return error;
+}
+
+// 请求上游并打开图片响应流（上游返回 JSON 时先提取图片链接）。signal 用于中止请求（客户端断开、批量请求超时）。
+// 上游和提取出的图片地址都由服务器请求并把内容返回给调用方，因此两次请求的每一跳都按 forwardPolicy 检查。
+// 成功时返回 { stream, imageUrl, contentType, contentLength }，失败时抛出带 streamStatus 的错误。
+async function openUpstreamImage(targetUrl, configEntry, upstreamRequest = {}, signal = undefined) {
+    const streamSettings = configEntry.streamSettings || {};
+    const proxySettings = configEntry.proxySettings || {};
+    const maxBytes = streamSettings.maxBytes || defaultStreamMaxBytes;
+    const requestOptions = getStreamRequestOptions(streamSettings);
+    const forwardPolicy = getForwardPolicy();
+
+    let response;
+    let imageUrl = targetUrl;
+    try {
+        console.log(`[Stream] Requesting: ${targetUrl}`);
+        // 自定义请求设置（鉴权等）只用于请求上游，不会发给提取出的图片地址
+        response = await fetchWithForwardPolicy(targetUrl, {
+            ...requestOptions,
+            ...upstreamRequest,
+            headers: { ...requestOptions.headers, ...upstreamRequest.headers },
+            signal
+        }, forwardPolicy);
+        if (response.status >= 400) {
+            response.data.destroy();
+            console.warn(`[Stream] Target API returned status ${response.status} for ${targetUrl}`);
+            throw createStreamError(response.status, { error: `Target API error (Status ${response.status})` }, `HTTP ${response.status}`);
         }
-        .form-control:focus {
-            color: var(--v0-foreground);
-            background-color: var(--v0-background);
-            border-color: var(--v0-primary); 
-            outline: 0;
-            box-shadow: 0 0 0 2px var(--v0-background), 0 0 0 4px var(--v0-primary); /* Modern focus ring */
+
+        // 目标返回的不是图片（JSON、文本或 HTML）时，按提取器找出真正的图片地址再下载
+        const initialContentType = response.headers['content-type'] || '';
+        if (hasImageUrlExtractor(proxySettings) && !streamableContentTypePattern.test(initialContentType)) {
+            const data = await readApiResponseStream(response.data, apiResponseMaxBytes, initialContentType);
+            imageUrl = extractImageUrl(data, proxySettings, getUpstreamResponseUrl(response, targetUrl));
+            if (!imageUrl) {
+                throw createStreamError(404, { error: 'Could not extract image URL from target API response.', targetUrl: targetUrl }, 'Image URL not found', false);
+            }
+            response = await fetchWithForwardPolicy(imageUrl, { ...requestOptions, signal }, forwardPolicy);
+            if (response.status >= 400) {
+                response.data.destroy();
+                throw createStreamError(502, { error: `Image host returned status ${response.status}`, imageUrl }, `Image HTTP ${response.status}`);
+            }
         }
-        .btn {
-             border-radius: var(--v0-radius);
-             padding: 0.5rem 1rem; /* Adjusted padding */
-             font-size: 0.875rem; /* Smaller font */
-             font-weight: 500;
-             transition: background-color 0.15s ease-in-out, border-color 0.15s ease-in-out, color 0.15s ease-in-out, box-shadow 0.15s ease-in-out;
-             display: inline-flex; 
-             align-items: center;
-             justify-content: center;
-             line-height: 1.25rem; /* Consistent height */
-             border: 1px solid transparent;
+    } catch (error) {
+        if (error.streamStatus) throw error;
+        if (error.policyViolation) {
+            console.warn(`[Stream] Blocked by forward policy: ${error.message}`);
+            throw createPolicyStreamError(error, imageUrl);
         }
-         .btn:focus-visible { /* Modern focus ring */
-             outline: 2px solid transparent;
-             outline-offset: 2px;
-             box-shadow: 0 0 0 2px var(--v0-background), 0 0 0 4px var(--v0-primary);
+        console.error(`[Stream] Request failed for ${imageUrl}:`, error.message);
+        throw createStreamError(error.request ? 504 : 502, { error: 'Stream request timed out or failed', targetUrl: imageUrl }, error.message);
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    if (!streamableContentTypePattern.test(contentType)) {
+        response.data.destroy();
+        console.warn(`[Stream] Upstream returned non-media content type '${contentType}' for ${imageUrl}`);
+        throw createStreamError(502, { error: 'Upstream did not return an image.', contentType: contentType || null, targetUrl: imageUrl }, `Unexpected content type: ${contentType || 'none'}`);
+    }
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    if (!isNaN(contentLength) && contentLength > maxBytes) {
+        response.data.destroy();
+        throw createStreamError(502, { error: `Upstream image is too large (${contentLength} bytes, limit ${maxBytes}).`, targetUrl: imageUrl }, 'Image too large');
+    }
+    return {
+        stream: response.data,
+        // 上游重定向到图片时为最终地址
+        imageUrl: getUpstreamResponseUrl(response, imageUrl),
+        contentType,
+        contentLength: isNaN(contentLength) ? null : contentLength,
+        lastModified: response.headers['last-modified'] || null,
+        etag: response.headers['etag'] || null
+    };
+}
+
+// 流式代理请求。options 与 handleProxyRequest 相同（upstream / canFailover）。
+async function handleStreamRequest(targetUrl, configEntry, res, options = {}) {
+    const upstream = options.upstream;
+    const streamSettings = configEntry.streamSettings || {};
+    const maxBytes = streamSettings.maxBytes || defaultStreamMaxBytes;
+
+    // 客户端在上游响应之前断开时中止上游请求（包括提取图片链接后的第二次请求）
+    const controller = new AbortController();
+    const abortOnClose = () => {
+        if (!res.writableFinished) controller.abort();
+    };
+    res.on('close', abortOnClose);
+
+    let image;
+    try {
+        image = await openUpstreamImage(targetUrl, configEntry, options.request, controller.signal);
+    } catch (error) {
+        res.off('close', abortOnClose);
+        // 客户端已断开，不算作上游失败，也不再切换到下一个上游
+        if (controller.signal.aborted) {
+            console.log(`[Stream] Client disconnected, aborted request for ${targetUrl}`);
+            return res;
         }
-        .btn-primary {
-            background-color: var(--v0-primary);
-            border-color: var(--v0-primary);
-            color: var(--v0-primary-foreground);
+        if (upstream) recordUpstreamResult(upstream.apiKey, upstream.url, !error.upstreamFailure, error.message);
+        if (options.canFailover && error.upstreamFailure) return null;
+        return res.status(error.streamStatus || 502).json(error.streamBody || { error: error.message });
+    }
+    res.off('close', abortOnClose);
+    if (upstream) recordUpstreamResult(upstream.apiKey, upstream.url, true);
+    if (res.destroyed) {
+        image.stream.destroy();
+        return res;
+    }
+
+    res.setHeader('Content-Type', image.contentType);
+    if (image.contentLength !== null) res.setHeader('Content-Length', image.contentLength);
+    // 随机图片默认不缓存，可通过 streamSettings.cacheControl 覆盖
+    res.setHeader('Cache-Control', streamSettings.cacheControl || 'no-store');
+    if (image.lastModified) res.setHeader('Last-Modified', image.lastModified);
+    if (image.etag) res.setHeader('ETag', image.etag);
+
+    // 没有 Content-Length 时边传输边计数，超出限制立即中断
+    let received = 0;
+    image.stream.on('data', chunk => {
+        received += chunk.length;
+        if (received > maxBytes) {
+            console.warn(`[Stream] Aborting ${image.imageUrl}: exceeded ${maxBytes} bytes.`);
+            image.stream.destroy();
+            res.destroy();
         }
-        .btn-primary:hover {
-            background-color: #374151; /* Tailwind gray-700 */
-            border-color: #374151;
-            color: var(--v0-primary-foreground);
+    });
+    image.stream.on('error', error => {
+        console.error(`[Stream] Stream error for ${image.imageUrl}:`, error.message);
+        res.destroy();
+    });
+    // 客户端中途断开时停止下载上游图片，pipe 只会解除连接而不会关闭上游流
+    res.on('close', () => {
+        if (!res.writableFinished) image.stream.destroy();
+    });
+    console.log(`[Stream] Streaming ${image.contentType}${image.contentLength === null ? '' : ` (${image.contentLength} bytes)`} from ${image.imageUrl}`);
+    image.stream.pipe(res);
+    return res;
+}
+
+// --- Image Cache (Prefetch Pool + LRU) ---
+// 为设置了 cacheSettings.enabled 的 proxy / stream 端点预取图片：stream 端点缓存图片内容，
+// proxy 端点缓存解析出的图片链接。每次请求从池中取出一张（随机图片不会重复返回），
+// 然后在后台补充；总大小超过 IMAGE_CACHE_MAX_BYTES 时淘汰最久未访问的池中最早的图片。
+// 只有参数取值可以枚举（默认值、布尔值或 validValues 中的值）的请求才使用缓存，避免调用方用任意参数组合
+// 创建大量缓存池、让服务器不断预取；池的总数不超过 IMAGE_CACHE_MAX_POOLS，超出时移除最久未访问的池，补充失败而清空的池也会被移除。
+const imageCacheMaxBytes = parseInt(process.env.IMAGE_CACHE_MAX_BYTES || '', 10) || 64 * 1024 * 1024;
+const imageCacheMaxPools = parseInt(process.env.IMAGE_CACHE_MAX_POOLS || '', 10) || 100;
+const defaultImageCachePoolSize = 5;
+const imageCachePools = new Map(); // key: apiKey + 排序后的查询参数
+const imageCacheStats = { hits: 0, misses: 0, evictions: 0, prefetchErrors: 0, totalBytes: 0 };
+
+function isImageCacheEnabled(configEntry) {
+    return !!configEntry.cacheSettings?.enabled && (configEntry.method === 'proxy' || configEntry.method === 'stream');
+}
+
+// 请求能否使用缓存：端点启用了缓存、没有透传参数，并且每个参数的取值都在可枚举的范围内
+function canUseImageCache(configEntry, params, placement) {
+    if (!isImageCacheEnabled(configEntry) || placement.forwarded.length > 0) return false;
+    return Object.entries(params).every(([name, value]) => {
+        const paramConfig = (configEntry.queryParams || []).find(item => item.name === name);
+        if (!paramConfig) return false;
+        if (paramConfig.type === 'boolean' || paramConfig.validValues?.length > 0) return true;
+        return paramConfig.defaultValue !== undefined && String(paramConfig.defaultValue) === String(value);
+    });
+}
+
+function getImageCacheKey(apiKey, params) {
+    const query = new URLSearchParams(Object.entries(params).sort(([a], [b]) => a.localeCompare(b))).toString();
+    return query ? `${apiKey}?${query}` : apiKey;
+}
+
+function getImageCachePool(cacheKey, context) {
+    let pool = imageCachePools.get(cacheKey);
+    if (!pool) {
+        if (imageCachePools.size >= imageCacheMaxPools) evictLeastRecentImageCachePool();
+        pool = { key: cacheKey, apiKey: context.apiKey, items: [], bytes: 0, hits: 0, misses: 0, evictions: 0, refilling: false, lastAccessAt: Date.now() };
+        imageCachePools.set(cacheKey, pool);
+    }
+    pool.context = context;
+    return pool;
+}
+
+async function fetchImageCacheItem(context) {
+    const { apiKey, configEntry, params } = context;
+    const upstream = selectUpstreams(apiKey, configEntry)[0];
+    if (!upstream) throw new Error('No upstream configured');
+    const redirectSettings = getRedirectSettings(configEntry);
+    let targetUrl = buildTargetUrl(upstream.url, params, apiKey, getUpstreamParamPlacement(configEntry, params));
+    if (configEntry.method === 'proxy' && redirectSettings.cacheBust) targetUrl = appendCacheBustParam(targetUrl, redirectSettings.cacheBustParam);
+    const upstreamRequest = getUpstreamRequestOptions(configEntry, params);
+    const proxySettings = getRequestProxySettings(configEntry.proxySettings, params);
+
+    if (configEntry.method === 'stream') {
+        const image = await openUpstreamImage(targetUrl, { ...configEntry, proxySettings }, upstreamRequest);
+        const buffer = await readStreamToBuffer(image.stream, configEntry.streamSettings?.maxBytes || defaultStreamMaxBytes);
+        return { imageUrl: image.imageUrl, targetUrl, contentType: image.contentType, buffer, size: buffer.length, fetchedAt: Date.now() };
+    }
+
+    const response = await fetchWithForwardPolicy(targetUrl, { timeout: 15000, maxContentLength: apiResponseMaxBytes, maxBodyLength: apiResponseMaxBytes, ...upstreamRequest }, getForwardPolicy());
+    if (response.status >= 400) throw new Error(`Target API error (Status ${response.status})`);
+    const imageUrl = extractImageUrl(response.data, proxySettings, getUpstreamResponseUrl(response, targetUrl));
+    if (!imageUrl) throw new Error('Could not extract image URL from target API response.');
+    const validation = await validateMediaUrl(imageUrl, proxySettings);
+    if (!validation.valid) throw new Error(`Image URL rejected: ${validation.reason}`);
+    return { imageUrl, targetUrl, contentType: validation.contentType, size: Buffer.byteLength(imageUrl), fetchedAt: Date.now() };
+}
+
+function removeImageCachePool(pool) {
+    if (imageCachePools.get(pool.key) !== pool) return;
+    imageCachePools.delete(pool.key);
+    imageCacheStats.totalBytes -= pool.bytes;
+    imageCacheStats.evictions += pool.items.length;
+}
+
+function evictLeastRecentImageCachePool() {
+    let lruPool = null;
+    for (const pool of imageCachePools.values()) {
+        if (!lruPool || pool.lastAccessAt < lruPool.lastAccessAt) lruPool = pool;
+    }
+    if (lruPool) removeImageCachePool(lruPool);
+}
+
+function evictImageCacheItem(pool) {
+    const item = pool.items.shift();
+    if (!item) return;
+    pool.bytes -= item.size;
+    pool.evictions++;
+    imageCacheStats.totalBytes -= item.size;
+    imageCacheStats.evictions++;
+}
+
+// 超出总大小预算时，从最久未访问的池开始淘汰最早缓存的图片
+function enforceImageCacheBudget() {
+    while (imageCacheStats.totalBytes > imageCacheMaxBytes) {
+        let lruPool = null;
+        for (const pool of imageCachePools.values()) {
+            if (pool.items.length > 0 && (!lruPool || pool.lastAccessAt < lruPool.lastAccessAt)) {
+                lruPool = pool;
+            }
         }
-        .w-100 { width: 100% !important; }
-        .mb-3 { margin-bottom: 1rem !important; } /* Reduced margin */
-    </style>
-</head>
-<body>
-    <div class="login-container">
-        <div class="login-header">
-            <h2>API 转发管理登录</h2>
-            <p class="text-muted">请输入管理员令牌进行登录</p>
-        </div>
-        <div id="error-message" class="error-message"></div>
-        <form id="login-form">
-            <div class="mb-3">
-                <label for="token" class="form-label">管理令牌</label>
-                <input type="password" class="form-control" id="token" required>
-            </div>
-            <button type="submit" class="btn btn-primary w-100">登录</button>
-        </form>
-    </div>
+        if (!lruPool) break;
+        evictImageCacheItem(lruPool);
+    }
+}
 
-    <script>
-        const form = document.getElementById('login-form');
-        const errorMessage = document.getElementById('error-message');
-        
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const token = document.getElementById('token').value;
-            
+function scheduleImageCacheRefill(pool) {
+    if (pool.refilling) return;
+    pool.refilling = true;
+    (async () => {
+        const poolSize = pool.context.configEntry.cacheSettings?.poolSize || defaultImageCachePoolSize;
+        let failures = 0;
+        // 连续失败 3 次或池已被清空（配置变更）时停止补充
+        while (pool.items.length < poolSize && failures < 3 && imageCachePools.get(pool.key) === pool) {
             try {
-                const response = await fetch('/admin-auth', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({ token })
-                });
-                
-                if (response.ok) {
-                    // 登录成功，重定向到管理页面
-                    window.location.href = '/admin';
-                } else {
-                    // 显示错误信息
-                    const data = await response.json();
-                    errorMessage.textContent = data.error || '登录失败，请检查令牌是否正确';
-                    errorMessage.style.display = 'block';
+                const item = await fetchImageCacheItem(pool.context);
+                if (!item.buffer && pool.items.some(existing => existing.imageUrl === item.imageUrl)) {
+                    failures++; // 上游返回了重复的图片链接
+                    continue;
                 }
+                if (imageCachePools.get(pool.key) !== pool) break;
+                const evictionsBefore = pool.evictions;
+                pool.items.push(item);
+                pool.bytes += item.size;
+                imageCacheStats.totalBytes += item.size;
+                enforceImageCacheBudget();
+                // 预算不足以容纳整个池时停止补充，避免反复下载又淘汰
+                if (pool.evictions !== evictionsBefore) break;
+                failures = 0;
             } catch (error) {
-                errorMessage.textContent = '登录请求失败，请重试';
-                errorMessage.style.display = 'block';
-                console.error('Login error:', error);
+                failures++;
+                imageCacheStats.prefetchErrors++;
+                console.warn(`[Cache] Prefetch failed for ${pool.key}:`, error.message);
             }
-        });
-    </script>
-</body>
-</html>
-    `;
-    res.setHeader('Content-Type', 'text/html');
-    res.send(loginHtmlContent);
-});
+        }
+    })().finally(() => {
+        pool.refilling = false;
+        // 一张也没能补充（上游持续失败）时移除这个池，下一次请求再重新创建
+        if (pool.items.length === 0) removeImageCachePool(pool);
+    });
+}
 
-// 处理登录请求
-app.post('/admin-auth', express.json(), (req, res) => {
-    const { token } = req.body;
-    
-    if (token === adminToken) {
-        // 设置cookie，有效期24小时
-        res.cookie(adminCookieName, token, { 
-            maxAge: 24 * 60 * 60 * 1000, // 24小时
-            httpOnly: true,
-            sameSite: 'strict'
-        });
-        res.json({ success: true });
+// 从缓存池取出一张图片（未命中时返回 null），并触发后台补充
+function takeFromImageCache(cacheKey, context) {
+    const pool = getImageCachePool(cacheKey, context);
+    pool.lastAccessAt = Date.now();
+    const item = pool.items.shift();
+    if (item) {
+        pool.bytes -= item.size;
+        imageCacheStats.totalBytes -= item.size;
+        pool.hits++;
+        imageCacheStats.hits++;
     } else {
-        res.status(401).json({ error: '无效的管理令牌' });
+        pool.misses++;
+        imageCacheStats.misses++;
     }
-});
+    scheduleImageCacheRefill(pool);
+    return item || null;
+}
 
-// 管理员退出
-app.get('/admin-logout', (req, res) => {
-    res.clearCookie(adminCookieName);
-    res.redirect('/admin-login');
-});
+function sendCachedImage(item, configEntry, res) {
+    res.setHeader('X-Cache', 'HIT');
+    if (item.buffer) {
+        res.setHeader('Content-Type', item.contentType);
+        res.setHeader('Cache-Control', configEntry.streamSettings?.cacheControl || 'no-store');
+        return res.send(item.buffer);
+    }
+    return sendRedirect(res, item.imageUrl, getRedirectSettings(configEntry));
+}
 
-// 管理界面（需要验证）
-app.get('/admin', checkAdminAuth, (req, res) => {
-    console.log("[Router] Handling request for /admin (Admin Interface)");
-    const adminHtmlContent = `
-<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>API 转发配置管理</title>
-    <!-- 新 Bootstrap5 核心 CSS 文件 -->
-    <link rel="stylesheet" href="https://lf26-cdn-tos.bytecdntp.com/cdn/expire-1-M/twitter-bootstrap/5.1.3/css/bootstrap.min.css">
-    <!-- Optional: Bootstrap Icons CDN (using cdnjs) -->
-    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/bootstrap-icons/1.11.3/font/bootstrap-icons.min.css">
-    <!-- Pinyin Library for Emoticon Fetching (using unpkg) -->
-    <script src="https://unpkg.com/pinyin-pro@3.26.0/dist/index.js"></script>
-    <style>
-        /* v0 Style Adjustments */
-        :root {
-            --v0-background: #ffffff; /* White background */
-            --v0-foreground: #09090b; /* Near black text */
-            --v0-muted: #f9fafb; /* Lighter gray (Tailwind gray-50) */
-            --v0-muted-foreground: #6b7280; /* Medium gray (Tailwind gray-500) */
-            --v0-border: #e5e7eb; /* Light gray border (Tailwind gray-200) */
-            --v0-input: #d1d5db; /* Input border (Tailwind gray-300) */
-            --v0-primary: #111827; /* Dark gray (Tailwind gray-900) */
-            --v0-primary-foreground: #ffffff; /* White */
-            --v0-secondary: #f3f4f6; /* Secondary button bg (Tailwind gray-100) */
-            --v0-secondary-foreground: #1f2937; /* Text on secondary button (Tailwind gray-800) */
-            --v0-destructive: #ef4444; /* Red (Tailwind red-500) */
-            --v0-destructive-foreground: #ffffff; /* White */
-            --v0-success: #22c55e; /* Green (Tailwind green-500) */
-            --v0-success-foreground: #ffffff; /* White */
-            --v0-card: #ffffff; /* Card background */
-            --v0-card-foreground: #111827; /* Card text */
-            --v0-radius: 0.5rem; /* Default border radius */
-            --v0-radius-sm: 0.375rem; /* Smaller radius */
-            --v0-radius-lg: 0.75rem; /* Larger radius */
-            --v0-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06); /* Subtle shadow */
-        }
-        body { 
-            background-color: var(--v0-muted); 
-            padding-top: 2rem; 
-            padding-bottom: 4rem; 
-            font-family: ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans", sans-serif, "Apple Color Emoji", "Segoe UI Emoji", "Segoe UI Symbol", "Noto Color Emoji"; /* Tailwind default font stack */
-            color: var(--v0-foreground);
+function clearImageCache() {
+    imageCachePools.clear();
+    imageCacheStats.totalBytes = 0;
+}
+
+function getImageCacheReport() {
+    return {
+        maxBytes: imageCacheMaxBytes,
+        ...imageCacheStats,
+        pools: Array.from(imageCachePools.values()).map(pool => ({
+            key: pool.key,
+            apiKey: pool.apiKey,
+            items: pool.items.length,
+            bytes: pool.bytes,
+            hits: pool.hits,
+            misses: pool.misses,
+            evictions: pool.evictions,
+            refilling: pool.refilling,
+            lastAccessAt: new Date(pool.lastAccessAt).toISOString()
+        }))
+    };
+}
+
+// --- Background Health Checks ---
+// 定期探测所有端点的上游，记录延迟、最终状态码和内容类型，供 /status 页面展示。
+// 设置 HEALTH_CHECK_INTERVAL=0 可关闭定时探测（单位：秒，默认 600）。
+const healthCheckIntervalMs = (parseInt(process.env.HEALTH_CHECK_INTERVAL ?? '600', 10) || 0) * 1000;
+const healthCheckTimeoutMs = 15000;
+const healthCheckConcurrency = 5;
+const healthCheckState = { results: {}, lastRunStartedAt: null, lastRunFinishedAt: null, running: false };
+let healthProbe = defaultHealthProbe;
+
+// 探测函数可替换（例如测试时指向本地桩服务器），签名: async ({ apiKey, configEntry, url }) => result
+function setHealthProbe(probe) {
+    healthProbe = probe || defaultHealthProbe;
+}
+
+// 使用参数默认值构造探测地址；存在没有默认值的必需参数，或上游地址不是固定主机的绝对地址时返回 null（跳过）
+function getHealthCheckParams(configEntry) {
+    const hasUncheckableUpstream = getEndpointUpstreams(configEntry).some((upstream) => {
+        if (!isUrlTemplate(upstream.url)) return false;
+        const origin = getUrlTemplateOrigin(upstream.url);
+        return origin === null || origin === 'relative';
+    });
+    if (hasUncheckableUpstream) {
+        return null;
+    }
+    const { params, errors } = validateQueryParams(configEntry.queryParams, {});
+    return errors.length > 0 ? null : params;
+}
+
+async function defaultHealthProbe({ configEntry, url, params = {} }) {
+    const startedAt = Date.now();
+    // 代理类端点以及配置了图片链接提取的流式端点返回的是 JSON、文本或 HTML
+    const proxySettings = getRequestProxySettings(configEntry.proxySettings, params);
+    const isProxy = configEntry.method === 'proxy' || (configEntry.method === 'stream' && hasImageUrlExtractor(proxySettings));
+    const upstreamRequest = getUpstreamRequestOptions(configEntry, params);
+    const response = await axios.request({
+        ...upstreamRequest,
+        url,
+        timeout: healthCheckTimeoutMs,
+        maxRedirects: 5,
+        maxContentLength: apiResponseMaxBytes,
+        maxBodyLength: apiResponseMaxBytes,
+        // 重定向类端点只需要响应头，不下载图片内容
+        responseType: isProxy ? 'json' : 'stream',
+        headers: { ...(configEntry.method === 'stream' ? configEntry.streamSettings?.headers : {}), ...upstreamRequest.headers },
+        validateStatus: () => true,
+    });
+    const latencyMs = Date.now() - startedAt;
+    if (!isProxy && response.data && typeof response.data.destroy === 'function') {
+        response.data.destroy();
+    }
+    const contentType = response.headers['content-type'] || null;
+    const result = {
+        httpStatus: response.status,
+        contentType,
+        latencyMs,
+    };
+
+    if (response.status < 200 || response.status >= 300) {
+        return { ...result, status: 'down', error: `HTTP ${response.status}` };
+    }
+    if (isProxy) {
+        if (!hasImageUrlExtractor(proxySettings)) return { ...result, status: 'up' };
+        const imageUrl = extractImageUrl(response.data, proxySettings, getUpstreamResponseUrl(response, url));
+        if (!imageUrl) {
+            return { ...result, status: 'degraded', error: `No image URL found via ${describeImageUrlExtractor(proxySettings)}` };
         }
-        .container { max-width: 960px; }
-        
-        /* Card Styles */
-        .card { 
-            background-color: var(--v0-card);
-            color: var(--v0-card-foreground);
-            border: 1px solid var(--v0-border); 
-            border-radius: var(--v0-radius-lg); 
-            box-shadow: var(--v0-shadow); /* Use shadow variable */
-            margin-bottom: 1.5rem; 
-        }
-        .card-header { 
-            background-color: var(--v0-card); 
-            border-bottom: 1px solid var(--v0-border);
-            padding: 1rem 1.5rem; 
-            font-weight: 600; 
-            display: flex; 
-            justify-content: space-between; 
-            align-items: center; 
-            border-radius: var(--v0-radius-lg) var(--v0-radius-lg) 0 0; 
-        }
-        .card-body { padding: 1.5rem; }
+        return { ...result, status: 'up' };
+    }
+    if (!contentType || !/^(image|video)\//i.test(contentType)) {
+        return { ...result, status: 'degraded', error: `Unexpected content type: ${contentType || 'none'}` };
+    }
+    return { ...result, status: 'up' };
+}
 
-        /* API Key Input in Header */
-        .api-key-input { 
-            font-weight: 600; 
-            border: none; 
-            border-bottom: 1px solid var(--v0-input); /* Use input border color */
-            padding: 0.25rem 0.5rem; 
-            background: transparent; 
-            color: var(--v0-primary); 
-            margin-left: 0.5rem; 
-            width: auto; 
-            max-width: 250px; 
-            border-radius: 0; 
-            transition: border-color 0.15s ease-in-out, box-shadow 0.15s ease-in-out;
-            font-size: 1rem; /* Match header font size */
-        }
-        .api-key-input:focus { 
-            outline: none; 
-            border-bottom-color: var(--v0-primary); 
-            box-shadow: 0 1px 0 0 var(--v0-primary); /* Subtle bottom focus shadow */
-        }
-        
-        /* Form Elements */
-        .form-label {
-            font-weight: 500;
-            font-size: 0.875rem;
-            color: var(--v0-foreground);
-            margin-bottom: 0.375rem; /* Adjusted margin */
+async function checkEndpointHealth(apiKey, configEntry) {
+    const checkedAt = new Date().toISOString();
+    const params = getHealthCheckParams(configEntry);
+    if (!params) {
+        return { status: 'skipped', checkedAt, reason: 'Endpoint requires parameters or its URL is not a fixed absolute address.', upstreams: [] };
+    }
+
+    const upstreams = [];
+    const placement = getUpstreamParamPlacement(configEntry, params);
+    for (const upstream of getEndpointUpstreams(configEntry)) {
+        const url = buildTargetUrl(upstream.url, params, apiKey, placement);
+        let result;
+        try {
+            result = await healthProbe({ apiKey, configEntry, url, params });
+        } catch (error) {
+            result = { status: 'down', error: error.message };
         }
-        .col-form-label { padding-top: calc(0.5rem + 1px); padding-bottom: calc(0.5rem + 1px); font-size: 0.875rem; } 
-        .form-control, .form-select {
-            display: block;
-            width: 100%;
-            padding: 0.5rem 0.75rem; 
-            font-size: 0.875rem; 
-            font-weight: 400;
-            line-height: 1.25rem; /* Consistent line height */
-            color: var(--v0-foreground);
-            background-color: var(--v0-background);
-            background-clip: padding-box;
-            border: 1px solid var(--v0-input);
-            appearance: none;
-            border-radius: var(--v0-radius); 
-            transition: border-color .15s ease-in-out,box-shadow .15s ease-in-out;
+        recordUpstreamResult(apiKey, upstream.url, result.status !== 'down', result.error);
+        upstreams.push({ url: upstream.url, ...result });
+    }
+
+    // 端点状态取最好的上游状态
+    const statusRank = { up: 0, degraded: 1, down: 2 };
+    const best = upstreams.reduce((a, b) => (statusRank[b.status] ?? 2) < (statusRank[a.status] ?? 2) ? b : a, upstreams[0]);
+    return {
+        status: best ? best.status : 'skipped',
+        checkedAt,
+        httpStatus: best?.httpStatus ?? null,
+        contentType: best?.contentType ?? null,
+        latencyMs: best?.latencyMs ?? null,
+        error: best?.status === 'up' ? null : (best?.error || null),
+        upstreams
+    };
+}
+
+async function runHealthChecks() {
+    if (healthCheckState.running) {
+        console.log('[HealthCheck] A health check run is already in progress, skipping.');
+        return healthCheckState;
+    }
+    healthCheckState.running = true;
+    healthCheckState.lastRunStartedAt = new Date().toISOString();
+    const entries = Object.entries(currentConfig.apiUrls || {});
+    console.log(`[HealthCheck] Probing ${entries.length} endpoints...`);
+    try {
+        const results = {};
+        let nextIndex = 0;
+        const worker = async () => {
+            while (nextIndex < entries.length) {
+                const [apiKey, configEntry] = entries[nextIndex++];
+                results[apiKey] = await checkEndpointHealth(apiKey, configEntry);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(healthCheckConcurrency, entries.length) }, worker));
+        healthCheckState.results = results;
+        healthCheckState.lastRunFinishedAt = new Date().toISOString();
+        const downCount = Object.values(results).filter(r => r.status === 'down').length;
+        console.log(`[HealthCheck] Finished. ${downCount} endpoint(s) down.`);
+    } catch (error) {
+        console.error('[HealthCheck] Health check run failed:', error);
+    } finally {
+        healthCheckState.running = false;
+    }
+    return healthCheckState;
+}
+
+function startHealthCheckScheduler() {
+    if (!healthCheckIntervalMs) {
+        console.log('[HealthCheck] Scheduled health checks disabled.');
+        return;
+    }
+    runHealthChecks();
+    setInterval(runHealthChecks, healthCheckIntervalMs).unref();
+    console.log(`[HealthCheck] Scheduled health checks every ${healthCheckIntervalMs / 1000}s.`);
+}
+
+// 状态报告不需要登录即可查看，每个上游只列出探测结果，不包含上游地址或提取出的图片链接
+function toPublicUpstreamResult({ status, httpStatus, contentType, latencyMs, error }) {
+    return { status, httpStatus: httpStatus ?? null, contentType: contentType ?? null, latencyMs: latencyMs ?? null, error: error ?? null };
+}
+
+function getHealthStatusReport() {
+    const endpoints = {};
+    for (const apiKey in (currentConfig.apiUrls || {})) {
+        const entry = currentConfig.apiUrls[apiKey];
+        const result = healthCheckState.results[apiKey] || { status: 'unknown' };
+        endpoints[apiKey] = {
+            group: entry.group || '未分组',
+            description: entry.description || '',
+            method: entry.method,
+            ...result,
+            ...(result.upstreams ? { upstreams: result.upstreams.map(toPublicUpstreamResult) } : {})
+        };
+    }
+    return {
+        lastRunStartedAt: healthCheckState.lastRunStartedAt,
+        lastRunFinishedAt: healthCheckState.lastRunFinishedAt,
+        running: healthCheckState.running,
+        endpoints
+    };
+}
+
+// --- Rate Limiting ---
+// 令牌桶限流：每个客户端 IP 在每个端点上各有一个桶。全局默认值来自配置的 rateLimit 字段，
+// 端点可以通过自己的 rateLimit 字段覆盖（设置为 false 表示该端点不限流）。
+// 默认使用内存计数；设置 RATE_LIMIT_STORE=mongodb 时使用 MongoDB 共享计数（多实例部署）。
+const defaultRateLimit = { enabled: false, limit: 60, windowSeconds: 60 };
+const rateLimitStoreType = process.env.RATE_LIMIT_STORE === 'mongodb' && mongoUri ? 'mongodb' : 'memory';
+const rateLimitBuckets = new Map(); // key: `${ip} ${apiKey}`
+const rateLimitCollectionName = `${collectionName}_ratelimits`;
+let rateLimitCollectionPromise = null;
+
+// 返回端点生效的限流规则，未启用时返回 null
+function getEffectiveRateLimit(configEntry) {
+    const globalLimit = { ...defaultRateLimit, ...(currentConfig.rateLimit || {}) };
+    if (configEntry.rateLimit === false) return null;
+    if (configEntry.rateLimit && typeof configEntry.rateLimit === 'object') {
+        const merged = { ...globalLimit, enabled: true, ...configEntry.rateLimit };
+        return merged.enabled ? merged : null;
+    }
+    return globalLimit.enabled ? globalLimit : null;
+}
+
+function consumeMemoryToken(key, capacity, refillPerMs, now) {
+    let bucket = rateLimitBuckets.get(key);
+    if (!bucket) {
+        bucket = { tokens: capacity, updatedAt: now };
+        rateLimitBuckets.set(key, bucket);
+    }
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    bucket.fullAt = now + (capacity - bucket.tokens) / refillPerMs;
+    return { allowed, tokens: bucket.tokens };
+}
+
+function getRateLimitCollection() {
+    if (!rateLimitCollectionPromise) {
+        rateLimitCollectionPromise = (async () => {
+            const collection = await getPersistentCollection(rateLimitCollectionName);
+            await collection.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+            return collection;
+        })().catch(error => {
+            rateLimitCollectionPromise = null;
+            throw error;
+        });
+    }
+    return rateLimitCollectionPromise;
+}
+
+// 在 MongoDB 中原子地补充并消耗令牌
+async function consumeMongoToken(key, capacity, refillPerMs, now, windowSeconds) {
+    const collection = await getRateLimitCollection();
+    const nowDate = new Date(now);
+    const doc = await collection.findOneAndUpdate(
+        { _id: key },
+        [
+            { $set: {
+                tokens: { $min: [capacity, { $add: [
+                    { $ifNull: ['$tokens', capacity] },
+                    { $multiply: [{ $subtract: [nowDate, { $ifNull: ['$updatedAt', nowDate] }] }, refillPerMs] }
+                ] }] },
+                updatedAt: nowDate,
+                expireAt: new Date(now + windowSeconds * 2000)
+            } },
+            { $set: { allowed: { $gte: ['$tokens', 1] } } },
+            { $set: { tokens: { $cond: ['$allowed', { $subtract: ['$tokens', 1] }, '$tokens'] } } }
+        ],
+        { upsert: true, returnDocument: 'after' }
+    );
+    return { allowed: doc.allowed, tokens: doc.tokens };
+}
+
+async function consumeRateLimitToken(key, rule) {
+    const capacity = rule.limit;
+    const refillPerMs = rule.limit / (rule.windowSeconds * 1000);
+    const now = Date.now();
+    if (rateLimitStoreType === 'mongodb') {
+        try {
+            return await consumeMongoToken(key, capacity, refillPerMs, now, rule.windowSeconds);
+        } catch (error) {
+            // MongoDB 不可用时退回到内存计数，避免限流故障导致服务不可用
+            console.error('[RateLimit] MongoDB store failed, falling back to memory:', error.message);
         }
-        textarea.form-control { min-height: calc(1.25rem * 3 + 1rem + 2px); } /* Adjust based on line height */
-        .form-control:focus, .form-select:focus {
-            color: var(--v0-foreground);
-            background-color: var(--v0-background);
-            border-color: var(--v0-primary);
-            outline: 0;
-            box-shadow: 0 0 0 2px var(--v0-background), 0 0 0 4px var(--v0-primary); /* Modern focus ring */
+    }
+    return consumeMemoryToken(key, capacity, refillPerMs, now);
+}
+
+// 为客户端在端点上消耗一个令牌。返回 { headers, error }：headers 为要附加的限流响应头（未启用限流时为空），
+// 超出限制时 error 为 { status, body }
+async function applyRateLimit(clientIp, apiKey, configEntry) {
+    const rule = getEffectiveRateLimit(configEntry);
+    if (!rule || !(rule.limit > 0) || !(rule.windowSeconds > 0)) return { headers: {}, error: null };
+
+    const { allowed, tokens } = await consumeRateLimitToken(`${clientIp} ${apiKey}`, rule);
+    const refillPerSecond = rule.limit / rule.windowSeconds;
+    const remaining = Math.max(0, Math.floor(tokens));
+    const headers = {
+        'RateLimit-Policy': `${rule.limit};w=${rule.windowSeconds}`,
+        'RateLimit-Limit': rule.limit,
+        'RateLimit-Remaining': remaining,
+        'RateLimit-Reset': Math.ceil((rule.limit - tokens) / refillPerSecond)
+    };
+    if (allowed) return { headers, error: null };
+
+    const retryAfter = Math.max(1, Math.ceil((1 - tokens) / refillPerSecond));
+    console.warn(`[RateLimit] ${clientIp} exceeded limit for /${apiKey} (${rule.limit}/${rule.windowSeconds}s).`);
+    headers['Retry-After'] = retryAfter;
+    return { headers, error: { status: 429, body: { error: 'Too many requests.', limit: rule.limit, windowSeconds: rule.windowSeconds, retryAfter } } };
+}
+
+// 退还 applyRateLimit 消耗的令牌，用于已经计数但最终没有处理的请求（例如批量请求中超时的项）
+async function refundRateLimitToken(clientIp, apiKey, configEntry) {
+    const rule = getEffectiveRateLimit(configEntry);
+    if (!rule || !(rule.limit > 0) || !(rule.windowSeconds > 0)) return;
+    const key = `${clientIp} ${apiKey}`;
+    if (rateLimitStoreType === 'mongodb') {
+        try {
+            const collection = await getRateLimitCollection();
+            await collection.updateOne({ _id: key }, [{ $set: { tokens: { $min: [rule.limit, { $add: ['$tokens', 1] }] } } }]);
+            return;
+        } catch (error) {
+            console.error('[RateLimit] Failed to refund token in MongoDB:', error.message);
         }
-        .form-control[readonly] {
-             background-color: var(--v0-muted);
-             opacity: 0.7; /* Slightly faded */
-             cursor: not-allowed;
+    }
+    const bucket = rateLimitBuckets.get(key);
+    if (bucket) bucket.tokens = Math.min(rule.limit, bucket.tokens + 1);
+}
+
+// 没有信任反向代理时，经过代理的请求都以代理的 IP 计数，所有客户端共用一个桶。
+// 收到带 X-Forwarded-For 的请求时提示设置 TRUST_PROXY（只提示一次）
+let warnedRateLimitBehindProxy = false;
+function warnIfRateLimitBehindProxy(req, configEntry) {
+    if (warnedRateLimitBehindProxy || req.app.get('trust proxy') || !req.get('X-Forwarded-For') || !getEffectiveRateLimit(configEntry)) return;
+    warnedRateLimitBehindProxy = true;
+    console.warn(`[RateLimit] Requests arrive through a proxy (X-Forwarded-For is set) but TRUST_PROXY is off, so every client is counted as ${req.ip} and shares one rate limit. Set TRUST_PROXY to the number of proxies in front of this server.`);
+}
+
+async function rateLimitMiddleware(req, res, next) {
+    const apiKey = req.params.apiKey;
+    const configEntry = currentConfig.apiUrls ? currentConfig.apiUrls[apiKey] : undefined;
+    if (!configEntry) return next();
+    warnIfRateLimitBehindProxy(req, configEntry);
+    const { headers, error } = await applyRateLimit(req.ip, apiKey, configEntry);
+    res.set(headers);
+    if (error) return res.status(error.status).json(error.body);
+    return next();
+}
+
+// 定期清理已经回满的内存令牌桶（回满的桶与新建的桶等价）
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of rateLimitBuckets) {
+        if (now >= bucket.fullAt) rateLimitBuckets.delete(key);
+    }
+}, 10 * 60 * 1000).unref();
+
+// --- Consumer API Keys ---
+// 可选的调用方密钥：端点的 access 设置为 "key" 时，请求必须通过 X-API-Key 请求头或 ?key= 参数携带有效密钥。
+// 密钥只保存 SHA-256 哈希；可限制可访问的分组/端点、每日调用次数，并可随时吊销。
+// 存储位置：MongoDB（与配置同库的独立集合），否则为本地文件（需允许文件操作），再否则仅保存在内存中。
+const consumerKeysCollectionName = `${collectionName}_keys`;
+// 以 "." 开头，express.static 默认不会对外提供该文件
+const consumerKeysPath = path.join(__dirname, '.consumer-keys.json');
+const consumerKeyHeaderName = 'x-api-key';
+let consumerKeys = [];
+let consumerKeysFileSaveTimer = null;
+
+function hashConsumerKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function getTodayDateString() {
+    return new Date().toISOString().slice(0, 10); // UTC 日期，每日配额在 UTC 0 点重置
+}
+
+// 返回给管理界面的密钥信息（不包含哈希）
+function toPublicConsumerKey(record) {
+    const { keyHash, ...rest } = record;
+    const usedToday = record.usage?.date === getTodayDateString() ? record.usage.count : 0;
+    return { ...rest, usedToday };
+}
+
+async function loadConsumerKeys() {
+    if (mongoUri) {
+        try {
+            const collection = await getPersistentCollection(consumerKeysCollectionName);
+            consumerKeys = (await collection.find({}).toArray()).map(({ _id, ...record }) => ({ ...record, id: _id }));
+            console.log(`Loaded ${consumerKeys.length} consumer keys from MongoDB.`);
+            return;
+        } catch (error) {
+            console.error('Error loading consumer keys from MongoDB:', error);
         }
-        .form-check-input {
-             width: 1em; /* Standard size */
-             height: 1em;
-             margin-top: 0.25em; /* Adjust alignment */
-             border-radius: 0.25em;
-             border: 1px solid var(--v0-input);
+    }
+    if (enableFileOperations && fs.existsSync(consumerKeysPath)) {
+        try {
+            consumerKeys = JSON.parse(fs.readFileSync(consumerKeysPath, 'utf8'));
+            console.log(`Loaded ${consumerKeys.length} consumer keys from local file.`);
+        } catch (error) {
+            console.error('Error loading consumer keys from file:', error);
         }
-        .form-check-input:focus {
-             border-color: var(--v0-primary);
-             outline: 0;
-             box-shadow: 0 0 0 2px var(--v0-background), 0 0 0 4px var(--v0-primary);
+    }
+}
+
+// 文件模式下合并短时间内的多次写入（例如调用计数）
+function scheduleConsumerKeysFileSave() {
+    if (!enableFileOperations || consumerKeysFileSaveTimer) return;
+    consumerKeysFileSaveTimer = setTimeout(() => {
+        consumerKeysFileSaveTimer = null;
+        fs.writeFile(consumerKeysPath, JSON.stringify(consumerKeys, null, 2), 'utf8', (err) => {
+            if (err) console.error('Error writing consumer keys file:', err);
+        });
+    }, 1000);
+}
+
+async function persistConsumerKey(record) {
+    if (mongoUri) {
+        const { id, ...doc } = record;
+        const collection = await getPersistentCollection(consumerKeysCollectionName);
+        await collection.replaceOne({ _id: id }, doc, { upsert: true });
+    }
+    scheduleConsumerKeysFileSave();
+}
+
+async function removeConsumerKey(id) {
+    consumerKeys = consumerKeys.filter(record => record.id !== id);
+    if (mongoUri) {
+        const collection = await getPersistentCollection(consumerKeysCollectionName);
+        await collection.deleteOne({ _id: id });
+    }
+    scheduleConsumerKeysFileSave();
+}
+
+// 记录一次调用并返回当日已用次数。MongoDB 模式下使用原子更新，多实例共享配额。
+async function incrementConsumerKeyUsage(record) {
+    const today = getTodayDateString();
+    if (mongoUri) {
+        try {
+            const collection = await getPersistentCollection(consumerKeysCollectionName);
+            const doc = await collection.findOneAndUpdate(
+                { _id: record.id },
+                [{ $set: {
+                    usage: { $cond: [
+                        { $eq: ['$usage.date', today] },
+                        { date: today, count: { $add: ['$usage.count', 1] } },
+                        { date: today, count: 1 }
+                    ] },
+                    lastUsedAt: new Date().toISOString()
+                } }],
+                { returnDocument: 'after' }
+            );
+            if (doc) {
+                record.usage = doc.usage;
+                record.lastUsedAt = doc.lastUsedAt;
+                return doc.usage.count;
+            }
+        } catch (error) {
+            console.error('[ConsumerKey] Failed to update usage in MongoDB, counting in memory:', error.message);
         }
-        .form-check-input:checked {
-             background-color: var(--v0-primary);
-             border-color: var(--v0-primary);
+    }
+    if (record.usage?.date !== today) {
+        record.usage = { date: today, count: 0 };
+    }
+    record.usage.count++;
+    record.lastUsedAt = new Date().toISOString();
+    scheduleConsumerKeysFileSave();
+    return record.usage.count;
+}
+
+// 撤销 incrementConsumerKeyUsage 记录的一次调用，用于已经计数但最终没有处理的请求
+async function refundConsumerKeyUsage(record) {
+    const today = getTodayDateString();
+    if (mongoUri) {
+        try {
+            const collection = await getPersistentCollection(consumerKeysCollectionName);
+            const doc = await collection.findOneAndUpdate(
+                { _id: record.id, 'usage.date': today, 'usage.count': { $gt: 0 } },
+                { $inc: { 'usage.count': -1 } },
+                { returnDocument: 'after' }
+            );
+            if (doc) record.usage = doc.usage;
+            return;
+        } catch (error) {
+            console.error('[ConsumerKey] Failed to refund usage in MongoDB:', error.message);
         }
-        .form-switch .form-check-input {
-             width: 2em; /* Standard switch width */
-             margin-left: -2.5em;
-             background-image: url("data:image/svg+xml,%3csvg xmlns='http://www.w3.org/2000/svg' viewBox='-4 -4 8 8'%3e%3ccircle r='3' fill='rgba(107, 114, 128, 0.25)'/%3e%3c/svg%3e"); /* Gray-500 at 25% opacity */
-             background-position: left center;
-             border-radius: 2em;
-             transition: background-position .15s ease-in-out;
+    }
+    if (record.usage?.date !== today || !(record.usage.count > 0)) return;
+    record.usage.count--;
+    scheduleConsumerKeysFileSave();
+}
+
+function isConsumerKeyInScope(record, apiKey, configEntry) {
+    const groups = record.groups || [];
+    const endpoints = record.endpoints || [];
+    if (groups.length === 0 && endpoints.length === 0) return true;
+    return endpoints.includes(apiKey) || groups.includes(configEntry.group || '未分组');
+}
+
+// 检查端点要求的调用密钥并记录一次调用。返回 { record, headers, error }：端点不需要密钥时 record 为 null，
+// headers 为配额响应头，检查不通过时 error 为 { status, body }
+async function checkConsumerKey(providedKey, apiKey, configEntry) {
+    if (configEntry.access !== 'key') return { record: null, headers: {}, error: null };
+
+    if (!providedKey) {
+        return { headers: {}, error: { status: 401, body: { error: 'API key required.', details: [`Pass the key via the X-API-Key header or the 'key' query parameter.`] } } };
+    }
+    const keyHash = hashConsumerKey(String(providedKey));
+    const record = consumerKeys.find(item => item.keyHash === keyHash);
+    if (!record) {
+        return { headers: {}, error: { status: 401, body: { error: 'Invalid API key.' } } };
+    }
+    if (record.revoked) {
+        return { headers: {}, error: { status: 403, body: { error: 'API key has been revoked.' } } };
+    }
+    if (!isConsumerKeyInScope(record, apiKey, configEntry)) {
+        return { headers: {}, error: { status: 403, body: { error: `API key is not allowed to access /${apiKey}.` } } };
+    }
+
+    const used = await incrementConsumerKeyUsage(record);
+    const headers = {};
+    if (record.dailyQuota > 0) {
+        headers['X-Quota-Limit'] = record.dailyQuota;
+        headers['X-Quota-Remaining'] = Math.max(0, record.dailyQuota - used);
+        if (used > record.dailyQuota) {
+            console.warn(`[ConsumerKey] Key '${record.name}' exceeded daily quota (${record.dailyQuota}).`);
+            return { headers, error: { status: 429, body: { error: 'Daily quota exceeded for this API key.', dailyQuota: record.dailyQuota } } };
         }
-        .form-switch .form-check-input:focus {
-             background-image: url("data:image/svg+xml,%3csvg xmlns='http://www.w3.org/2000/svg' viewBox='-4 -4 8 8'%3e%3ccircle r='3' fill='rgba(107, 114, 128, 0.25)'/%3e%3c/svg%3e");
+    }
+    return { record, headers, error: null };
+}
+
+async function consumerKeyMiddleware(req, res, next) {
+    const apiKey = req.params.apiKey;
+    const configEntry = currentConfig.apiUrls ? currentConfig.apiUrls[apiKey] : undefined;
+    if (!configEntry) return next();
+
+    const { record, headers, error } = await checkConsumerKey(req.get(consumerKeyHeaderName) || req.query.key, apiKey, configEntry);
+    res.set(headers);
+    if (error) return res.status(error.status).json(error.body);
+    if (record) req.consumerKey = record;
+    return next();
+}
+
+function normalizeConsumerKeyInput(body = {}) {
+    const toList = (value) => Array.isArray(value)
+        ? value.map(item => String(item).trim()).filter(Boolean)
+        : (typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+    const fields = {};
+    if (body.name !== undefined) fields.name = String(body.name).trim();
+    if (body.groups !== undefined) fields.groups = toList(body.groups);
+    if (body.endpoints !== undefined) fields.endpoints = toList(body.endpoints);
+    if (body.dailyQuota !== undefined) fields.dailyQuota = Math.max(0, parseInt(body.dailyQuota, 10) || 0);
+    if (body.revoked !== undefined) fields.revoked = !!body.revoked;
+    return fields;
+}
+
+// --- Config Revision History ---
+// 每次保存配置都会记录一个递增编号的版本（时间、操作者、可选说明），可以比较任意两个版本并回滚。
+// 版本保存在配置所在的存储后端中（本地文件模式为 .config-history.json，无持久化或只读模式为内存）。
+// 只保留最近 CONFIG_HISTORY_LIMIT 个版本（默认 100，0 表示不限制）。
+const configHistoryLimit = parseInt(process.env.CONFIG_HISTORY_LIMIT ?? '100', 10) || 0;
+
+async function getLatestConfigRevisionNumber() {
+    return configStore.history.latest();
+}
+
+async function addConfigRevision(config, author, message) {
+    const record = { config, author, message: message || '', createdAt: new Date().toISOString() };
+    const revision = await configStore.history.add(record, configHistoryLimit);
+    console.log(`[ConfigHistory] Recorded revision ${revision} by ${author}.`);
+    return revision;
+}
+
+// 返回版本摘要（不含配置内容），最新的在前
+async function listConfigRevisions() {
+    return configStore.history.list();
+}
+
+async function getConfigRevision(revision) {
+    if (isNaN(revision)) return null;
+    return configStore.history.get(revision);
+}
+
+// 结构化比较两个 JSON 值，返回 [{ op: 'added' | 'removed' | 'changed', path, before, after }]
+function diffJson(before, after, basePath = '') {
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    const isObject = value => value !== null && typeof value === 'object';
+    if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return keys.flatMap((key) => {
+            const childPath = Array.isArray(after) ? `${basePath}[${key}]` : (basePath ? `${basePath}.${key}` : key);
+            if (!(key in before)) return [{ op: 'added', path: childPath, after: after[key] }];
+            if (!(key in after)) return [{ op: 'removed', path: childPath, before: before[key] }];
+            return diffJson(before[key], after[key], childPath);
+        });
+    }
+    return [{ op: 'changed', path: basePath || '(root)', before, after }];
+}
+
+// --- Config Hot Reload ---
+// 多实例部署时，把其他实例保存的配置同步到本实例。如何发现变化由存储后端决定
+// （MongoDB change stream 或轮询、Redis 发布订阅、SQLite/URL 轮询、监听 config.json）。
+// 支持的后端中，每个实例定期报告已加载的配置版本，保存时据此统计有多少实例已确认新版本。
+const configAckTimeoutMs = parseInt(process.env.CONFIG_ACK_TIMEOUT_MS ?? '3000', 10) || 0;
+const instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+let stopWatchingConfig = null;
+let configSyncTimer = null;
+
+async function reportInstanceVersion() {
+    if (!configStore.instances) return;
+    try {
+        await configStore.instances.report(instanceId, configVersion);
+    } catch (error) {
+        console.error('[ConfigSync] Failed to report instance status:', error.message);
+    }
+}
+
+// 等待仍在运行的实例确认指定版本（最多 CONFIG_ACK_TIMEOUT_MS 毫秒），返回 { acknowledged, total }
+async function waitForConfigAcks(version) {
+    if (!configStore.instances) return { acknowledged: 1, total: 1 };
+    await reportInstanceVersion();
+    const deadline = Date.now() + configAckTimeoutMs;
+    try {
+        while (true) {
+            const instances = await configStore.instances.list(new Date(Date.now() - configPollIntervalMs * 2));
+            const acknowledged = instances.filter(instance => instance.configVersion >= version).length;
+            if (acknowledged >= instances.length || Date.now() >= deadline) {
+                return { acknowledged, total: instances.length };
+            }
+            await new Promise(resolve => setTimeout(resolve, 250));
         }
-        .form-switch .form-check-input:checked {
-             background-position: right center;
-             background-image: url("data:image/svg+xml,%3csvg xmlns='http://www.w3.org/2000/svg' viewBox='-4 -4 8 8'%3e%3ccircle r='3' fill='%23fff'/%3e%3c/svg%3e"); 
+    } catch (error) {
+        console.error('[ConfigSync] Failed to count instance acknowledgements:', error.message);
+        return null;
+    }
+}
+
+// 启动时存储不可用的话，管理员账户和调用密钥也没能加载，恢复后一并重新加载
+function handleStorageRecovered() {
+    configLoadFailed = false;
+    console.log(`[ConfigSync] Storage recovered; configuration loaded from ${configStore.name}.`);
+    Promise.all([loadAdminUsers(), loadConsumerKeys()]).catch((error) => {
+        console.error('[ConfigSync] Failed to reload accounts and keys:', error);
+    });
+}
+
+// 应用从存储中读到的配置。调用方需持有配置写锁。
+// version 为 null 表示后端没有版本号（本地文件、URL），内容不同时本地版本号加一
+function applyExternalConfig(config, version) {
+    if (version !== null && version <= configVersion && !configLoadFailed) return false;
+    if (configLoadFailed) handleStorageRecovered();
+    upgradeLegacyUrlConstruction(config);
+    if (JSON.stringify(config) === JSON.stringify(currentConfig)) {
+        if (version !== null) configVersion = version;
+        return false;
+    }
+    currentConfig = config;
+    configVersion = version ?? configVersion + 1;
+    configValidationErrors = validateConfig(config);
+    clearImageCache();
+    console.log(`[ConfigSync] Reloaded configuration version ${configVersion} from ${configStore.name}.`);
+    if (configValidationErrors.length > 0) {
+        console.warn(`[ConfigSync] Reloaded configuration has ${configValidationErrors.length} schema error(s).`);
+    }
+    return true;
+}
+
+async function reloadConfigFromStore() {
+    try {
+        const applied = await withConfigWriteLock(async () => {
+            const stored = await configStore.load();
+            if (!stored) {
+                // 存储可以访问但还没有配置，下一次保存会创建
+                if (configLoadFailed) handleStorageRecovered();
+                return false;
+            }
+            return applyExternalConfig(stored.config, stored.version);
+        });
+        if (applied) await reportInstanceVersion();
+    } catch (error) {
+        // 文件可能正在被写入、存储暂时不可用等，等待下一次变化或轮询
+        console.warn(`[ConfigSync] Failed to reload configuration from ${configStore.name}: ${error.message}`);
+    }
+}
+
+function startConfigSync() {
+    if (!configStore.persistent) return;
+    stopWatchingConfig = configStore.watch(reloadConfigFromStore);
+    reportInstanceVersion();
+    configSyncTimer = setInterval(() => {
+        reportInstanceVersion();
+        // 启动时没能读取配置的话，定期重试
+        if (configLoadFailed) reloadConfigFromStore();
+    }, configPollIntervalMs);
+    configSyncTimer.unref();
+    console.log(`[ConfigSync] Watching ${configStore.name} for configuration changes (instance ${instanceId}).`);
+}
+
+// 关闭时停止同步，并从实例列表中移除自己，避免保存时继续等待这个实例确认
+async function stopConfigSync() {
+    clearInterval(configSyncTimer);
+    if (stopWatchingConfig) stopWatchingConfig();
+    if (configStore.instances && (!configStore.status || configStore.status() === 'ok')) {
+        try {
+            await configStore.instances.remove(instanceId);
+        } catch (error) {
+            console.error('[ConfigSync] Failed to unregister instance:', error.message);
         }
-        .form-check-label { font-size: 0.875rem; padding-left: 0.5em; } /* Add padding for switch */
-        
-        /* Buttons */
-        .btn {
-             border-radius: var(--v0-radius);
-             padding: 0.5rem 1rem; 
-             font-size: 0.875rem;
-             font-weight: 500;
-             transition: background-color 0.15s ease-in-out, border-color 0.15s ease-in-out, color 0.15s ease-in-out, opacity 0.15s ease-in-out, box-shadow 0.15s ease-in-out;
-             display: inline-flex;
-             align-items: center;
-             justify-content: center;
-             gap: 0.375rem; /* Reduced gap */
-             line-height: 1.25rem; /* Consistent height */
-             border: 1px solid transparent;
-        }
-         .btn:focus-visible { /* Modern focus ring */
-             outline: 2px solid transparent;
-             outline-offset: 2px;
-             box-shadow: 0 0 0 2px var(--v0-background), 0 0 0 4px var(--v0-primary);
+    }
+}
+
+// --- Admin Accounts & Sessions ---
+// 管理员账户的密码使用 scrypt 哈希保存，登录后签发随机会话 ID（cookie 中附带 HMAC 签名），会话保存在服务端。
+// 账户与会话的存储方式和调用密钥相同：MongoDB > 本地文件（仅账户）> 内存。
+// 内置管理员由 ADMIN_TOKEN 提供，不写入存储；使用默认令牌时，只要存在其他账户就会被停用。
+const adminUsersCollectionName = `${collectionName}_admins`;
+const adminSessionsCollectionName = `${collectionName}_sessions`;
+const adminUsersPath = path.join(__dirname, '.admin-users.json');
+const adminSessionMaxAgeMs = 24 * 60 * 60 * 1000; // 24小时
+const minAdminPasswordLength = 8;
+const loginMaxFailures = 5;
+const loginLockoutMs = 15 * 60 * 1000;
+let adminUsers = [];
+const adminSessions = new Map(); // sessionId -> { username, expiresAt }（未配置 MongoDB 时使用）
+const loginFailures = new Map(); // 客户端 IP -> { count, firstFailureAt, lockedUntil }
+let adminSessionsCollectionPromise = null;
+
+// scrypt 计算量较大，使用异步版本在线程池中执行，避免登录请求阻塞事件循环
+const scryptAsync = util.promisify(crypto.scrypt);
+
+async function hashAdminPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scryptAsync(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyAdminPassword(password, passwordHash) {
+    const [scheme, salt, hash] = String(passwordHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scryptAsync(String(password), Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// 管理员角色，按权限从低到高排列：viewer 只读；editor 可以修改端点配置；owner 还可以管理账户、调用密钥等鉴权设置
+const adminRoles = ['viewer', 'editor', 'owner'];
+
+function getAdminRoleLevel(role) {
+    return adminRoles.indexOf(role);
+}
+
+function hasAdminRole(adminUser, minimumRole) {
+    return getAdminRoleLevel(adminUser?.role) >= getAdminRoleLevel(minimumRole);
+}
+
+function sendRoleForbidden(req, res, minimumRole) {
+    console.warn(`[Auth] Admin '${req.adminUser?.username}' (${req.adminUser?.role}) denied ${req.method} ${req.path}: requires ${minimumRole}.`);
+    return res.status(403).json({ error: 'Forbidden', details: [`This action requires the '${minimumRole}' role; you are '${req.adminUser?.role}'.`] });
+}
+
+// 在 checkAdminAuth 之后使用，例如 requireAdminRole('editor')
+function requireAdminRole(minimumRole) {
+    return (req, res, next) => hasAdminRole(req.adminUser, minimumRole) ? next() : sendRoleForbidden(req, res, minimumRole);
+}
+
+// 用户不存在时也计算一次哈希，避免通过响应时间判断用户名是否存在
+const dummyAdminPasswordHashPromise = hashAdminPassword(crypto.randomBytes(16).toString('hex'));
+const builtinAdminUser = { username: builtinAdminUsername, passwordHash: null, role: 'owner', builtin: true };
+const builtinAdminPasswordHashPromise = hashAdminPassword(adminToken).then(hash => {
+    builtinAdminUser.passwordHash = hash;
+});
+
+function isBuiltinAdminActive(users = adminUsers) {
+    if (!isUsingDefaultAdminToken) return true;
+    return allowDefaultAdminToken && users.length === 0;
+}
+
+// 修改账户前检查，保证至少还有一个可用的 owner，避免所有人都无法管理账户
+function hasActiveOwner(users) {
+    return users.some(user => user.role === 'owner') || isBuiltinAdminActive(users);
+}
+
+function findAdminUser(username) {
+    const stored = adminUsers.find(user => user.username === username);
+    if (stored) return stored;
+    if (username === builtinAdminUser.username && isBuiltinAdminActive()) return builtinAdminUser;
+    return null;
+}
+
+function warnIfDefaultAdminToken() {
+    if (!isUsingDefaultAdminToken) return;
+    const line = '!'.repeat(72);
+    if (!allowDefaultAdminToken) {
+        console.error(`${line}\n[Auth] ADMIN_TOKEN is not set (or is "admin") in a production environment.\n[Auth] The built-in admin account is DISABLED. Set ADMIN_TOKEN to a strong secret,\n[Auth] or ALLOW_DEFAULT_ADMIN_TOKEN=true to override (not recommended).\n${line}`);
+    } else if (adminUsers.length === 0) {
+        console.warn(`${line}\n[Auth] WARNING: the admin interface accepts the DEFAULT token "admin".\n[Auth] Set ADMIN_TOKEN to a strong secret before exposing this server.\n${line}`);
+    } else {
+        console.log('[Auth] Default ADMIN_TOKEN ignored because named admin accounts exist.');
+    }
+}
+
+async function loadAdminUsers() {
+    if (mongoUri) {
+        try {
+            const collection = await getPersistentCollection(adminUsersCollectionName);
+            adminUsers = (await collection.find({}).toArray()).map(({ _id, ...user }) => ({ role: 'owner', ...user, username: _id }));
+            console.log(`Loaded ${adminUsers.length} admin accounts from MongoDB.`);
+            return;
+        } catch (error) {
+            console.error('Error loading admin accounts from MongoDB:', error);
         }
-        .btn-primary {
-            background-color: var(--v0-primary); border-color: var(--v0-primary); color: var(--v0-primary-foreground);
+    }
+    if (enableFileOperations && fs.existsSync(adminUsersPath)) {
+        try {
+            // 引入角色之前创建的账户拥有全部权限，视为 owner
+            adminUsers = JSON.parse(fs.readFileSync(adminUsersPath, 'utf8')).map(user => ({ role: 'owner', ...user }));
+            console.log(`Loaded ${adminUsers.length} admin accounts from local file.`);
+        } catch (error) {
+            console.error('Error loading admin accounts from file:', error);
         }
-        .btn-primary:hover { background-color: #374151; border-color: #374151; color: var(--v0-primary-foreground); } /* Tailwind gray-700 */
-        .btn-primary:disabled { background-color: var(--v0-primary); border-color: var(--v0-primary); color: var(--v0-primary-foreground); opacity: 0.5; cursor: not-allowed; }
-        
-        .btn-success { 
-            background-color: var(--v0-success); border-color: var(--v0-success); color: var(--v0-success-foreground);
+    }
+}
+
+async function persistAdminUsers(changedUser, deletedUsername) {
+    if (mongoUri) {
+        const collection = await getPersistentCollection(adminUsersCollectionName);
+        if (deletedUsername) {
+            await collection.deleteOne({ _id: deletedUsername });
+        } else {
+            const { username, ...doc } = changedUser;
+            await collection.replaceOne({ _id: username }, doc, { upsert: true });
         }
-        .btn-success:hover { background-color: #16a34a; border-color: #16a34a; } /* Tailwind green-600 */
-        
-        .btn-danger { 
-            background-color: var(--v0-destructive); border-color: var(--v0-destructive); color: var(--v0-destructive-foreground);
+    } else if (enableFileOperations) {
+        await fs.promises.writeFile(adminUsersPath, JSON.stringify(adminUsers, null, 2), 'utf8');
+    }
+}
+
+function getAdminSessionsCollection() {
+    if (!adminSessionsCollectionPromise) {
+        adminSessionsCollectionPromise = getPersistentCollection(adminSessionsCollectionName).then(async (collection) => {
+            await collection.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+            return collection;
+        }).catch((error) => {
+            adminSessionsCollectionPromise = null;
+            throw error;
+        });
+    }
+    return adminSessionsCollectionPromise;
+}
+
+function signSessionId(sessionId) {
+    const signature = crypto.createHmac('sha256', sessionSecret).update(sessionId).digest('base64url');
+    return `${sessionId}.${signature}`;
+}
+
+// 校验 cookie 签名，返回会话 ID；签名无效时返回 null
+function unsignSessionCookie(cookieValue) {
+    if (typeof cookieValue !== 'string') return null;
+    const dot = cookieValue.lastIndexOf('.');
+    if (dot <= 0) return null;
+    const sessionId = cookieValue.slice(0, dot);
+    const expected = Buffer.from(signSessionId(sessionId));
+    const actual = Buffer.from(cookieValue);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? sessionId : null;
+}
+
+async function createAdminSession(username) {
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + adminSessionMaxAgeMs;
+    if (mongoUri) {
+        const collection = await getAdminSessionsCollection();
+        await collection.insertOne({ _id: sessionId, username, expireAt: new Date(expiresAt) });
+    } else {
+        adminSessions.set(sessionId, { username, expiresAt });
+    }
+    return sessionId;
+}
+
+async function getAdminSession(sessionId) {
+    if (mongoUri) {
+        const collection = await getAdminSessionsCollection();
+        const doc = await collection.findOne({ _id: sessionId });
+        // TTL 索引的清理有延迟，这里再检查一次过期时间
+        return doc && doc.expireAt.getTime() > Date.now() ? { username: doc.username } : null;
+    }
+    const session = adminSessions.get(sessionId);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+        adminSessions.delete(sessionId);
+        return null;
+    }
+    return session;
+}
+
+async function destroyAdminSession(sessionId) {
+    if (mongoUri) {
+        const collection = await getAdminSessionsCollection();
+        await collection.deleteOne({ _id: sessionId });
+    } else {
+        adminSessions.delete(sessionId);
+    }
+}
+
+// 注销某个用户的所有会话（删除账户或修改密码时），可保留当前会话
+async function destroyUserSessions(username, exceptSessionId) {
+    if (mongoUri) {
+        const collection = await getAdminSessionsCollection();
+        await collection.deleteMany({ username, _id: { $ne: exceptSessionId } });
+        return;
+    }
+    for (const [sessionId, session] of adminSessions) {
+        if (session.username === username && sessionId !== exceptSessionId) adminSessions.delete(sessionId);
+    }
+}
+
+// 返回剩余锁定秒数，未锁定时返回 0
+function getLoginLockSeconds(clientIp) {
+    const entry = loginFailures.get(clientIp);
+    if (!entry || !entry.lockedUntil) return 0;
+    const remainingMs = entry.lockedUntil - Date.now();
+    if (remainingMs <= 0) {
+        loginFailures.delete(clientIp);
+        return 0;
+    }
+    return Math.ceil(remainingMs / 1000);
+}
+
+function recordLoginFailure(clientIp) {
+    const now = Date.now();
+    let entry = loginFailures.get(clientIp);
+    if (!entry || now - entry.firstFailureAt > loginLockoutMs) {
+        entry = { count: 0, firstFailureAt: now, lockedUntil: 0 };
+        loginFailures.set(clientIp, entry);
+    }
+    entry.count++;
+    if (entry.count >= loginMaxFailures) {
+        entry.lockedUntil = now + loginLockoutMs;
+        console.warn(`[Auth] Locking admin login for ${clientIp} after ${entry.count} failed attempts.`);
+    }
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [clientIp, entry] of loginFailures) {
+        if (Math.max(entry.lockedUntil, entry.firstFailureAt + loginLockoutMs) <= now) loginFailures.delete(clientIp);
+    }
+    for (const [sessionId, session] of adminSessions) {
+        if (session.expiresAt <= now) adminSessions.delete(sessionId);
+    }
+}, 60 * 1000).unref();
+
+// --- Express App Setup ---
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// 部署在反向代理（如 Vercel、Nginx）之后时需要信任 X-Forwarded-For 才能获得真实客户端 IP。
+// TRUST_PROXY 可设置为 true/false、代理层数或 Express 支持的地址列表。
+const trustProxySetting = process.env.TRUST_PROXY ?? (process.env.VERCEL ? 'true' : 'false');
+app.set('trust proxy', trustProxySetting === 'true' ? true : trustProxySetting === 'false' ? false : (/^\d+$/.test(trustProxySetting) ? parseInt(trustProxySetting, 10) : trustProxySetting));
+
+app.use(cors());
+// 完整配置和导入的 bundle 可能比默认的 100kb 大
+app.use(express.json({ limit: '5mb' }));
+// 添加cookie解析中间件
+app.use(require('cookie-parser')());
+// Serve static files like config.json (for loading in admin page)
+// We will handle admin.html explicitly below.
+app.use(express.static(path.join(__dirname)));
+
+// --- Configuration Management API ---
+app.get('/config', checkAdminAuth, (req, res) => {
+    // Send the current in-memory config
+    res.setHeader('ETag', computeEtag(currentConfig));
+    res.json(currentConfig);
+});
+
+// 各端点上游的健康状态（由代理请求的成功/失败累计得出）
+app.get('/upstream-health', checkAdminAuth, (req, res) => {
+    res.json(getUpstreamHealthReport());
+});
+
+// 图片缓存统计 / 清空
+app.get('/api/admin/cache', checkAdminAuth, (req, res) => {
+    res.json(getImageCacheReport());
+});
+
+app.delete('/api/admin/cache', checkAdminAuth, requireAdminRole('editor'), (req, res) => {
+    clearImageCache();
+    res.json({ message: 'Image cache cleared.' });
+});
+
+// --- Consumer API Key Management ---
+app.get('/api/admin/keys', checkAdminAuth, requireAdminRole('owner'), (req, res) => {
+    res.json(consumerKeys.map(toPublicConsumerKey));
+});
+
+// 创建密钥。明文密钥只在此响应中返回一次。
+app.post('/api/admin/keys', checkAdminAuth, requireAdminRole('owner'), async (req, res) => {
+    const fields = normalizeConsumerKeyInput(req.body);
+    if (!fields.name) {
+        return res.status(400).json({ error: 'Key name is required.' });
+    }
+    const plainKey = `af_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+        id: crypto.randomUUID(),
+        name: fields.name,
+        keyHash: hashConsumerKey(plainKey),
+        keyPrefix: plainKey.slice(0, 10),
+        groups: fields.groups || [],
+        endpoints: fields.endpoints || [],
+        dailyQuota: fields.dailyQuota || 0,
+        revoked: false,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        usage: { date: getTodayDateString(), count: 0 }
+    };
+    consumerKeys.push(record);
+    try {
+        await persistConsumerKey(record);
+    } catch (error) {
+        console.error('Error saving consumer key:', error);
+        return res.status(500).json({ error: 'Key created in memory but could not be persisted.', key: plainKey, record: toPublicConsumerKey(record) });
+    }
+    res.status(201).json({ key: plainKey, record: toPublicConsumerKey(record) });
+});
+
+app.patch('/api/admin/keys/:id', checkAdminAuth, requireAdminRole('owner'), async (req, res) => {
+    const record = consumerKeys.find(item => item.id === req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: 'Key not found.' });
+    }
+    const fields = normalizeConsumerKeyInput(req.body);
+    if (fields.name === '') {
+        return res.status(400).json({ error: 'Key name cannot be empty.' });
+    }
+    Object.assign(record, fields);
+    try {
+        await persistConsumerKey(record);
+    } catch (error) {
+        console.error('Error saving consumer key:', error);
+        return res.status(500).json({ error: 'Key updated in memory but could not be persisted.' });
+    }
+    res.json(toPublicConsumerKey(record));
+});
+
+app.delete('/api/admin/keys/:id', checkAdminAuth, requireAdminRole('owner'), async (req, res) => {
+    if (!consumerKeys.some(item => item.id === req.params.id)) {
+        return res.status(404).json({ error: 'Key not found.' });
+    }
+    try {
+        await removeConsumerKey(req.params.id);
+    } catch (error) {
+        console.error('Error deleting consumer key:', error);
+        return res.status(500).json({ error: 'Failed to delete key from storage.' });
+    }
+    res.json({ message: 'Key deleted.' });
+});
+
+function getEndpointUrlList(entry) {
+    return JSON.stringify([entry?.url, ...(Array.isArray(entry?.upstreams) ? entry.upstreams.map(upstream => upstream?.url) : [])]);
+}
+
+// 只有 owner 可以修改的鉴权相关设置：转发策略，把需要调用密钥的端点改为公开，
+// 以及引用环境变量密钥的上游请求（新增引用或修改这类端点的上游地址都可能把密钥发到别处）
+function findOwnerOnlyConfigChanges(oldConfig, newConfig) {
+    const changes = [];
+    if (JSON.stringify(oldConfig.forwardPolicy ?? null) !== JSON.stringify(newConfig.forwardPolicy ?? null)) {
+        changes.push('forwardPolicy');
+    }
+    Object.entries(oldConfig.apiUrls || {}).forEach(([apiKey, entry]) => {
+        const newEntry = newConfig.apiUrls[apiKey];
+        if (entry.access === 'key' && newEntry && newEntry.access !== 'key') {
+            changes.push(`apiUrls.${apiKey}.access`);
         }
-        .btn-danger:hover { background-color: #dc2626; border-color: #dc2626; } /* Tailwind red-600 */
-        
-        .btn-outline-secondary { 
-             color: var(--v0-secondary-foreground);
-             border-color: var(--v0-input);
-             background-color: var(--v0-background);
+    });
+    Object.entries(newConfig.apiUrls || {}).forEach(([apiKey, newEntry]) => {
+        const secretNames = getRequestSecretNames(newEntry?.request);
+        if (secretNames.length === 0) return;
+        const entry = oldConfig.apiUrls?.[apiKey];
+        const oldSecretNames = getRequestSecretNames(entry?.request);
+        if (!entry || secretNames.some(name => !oldSecretNames.includes(name)) || getEndpointUrlList(entry) !== getEndpointUrlList(newEntry)) {
+            changes.push(`apiUrls.${apiKey}.request`);
         }
-         .btn-outline-secondary:hover {
-             background-color: var(--v0-secondary);
-             border-color: var(--v0-input);
-             color: var(--v0-secondary-foreground);
-         }
-        
-        .btn-sm { padding: 0.25rem 0.75rem; font-size: 0.75rem; border-radius: var(--v0-radius-sm); gap: 0.25rem; }
-        .btn-lg { padding: 0.625rem 1.25rem; font-size: 1rem; } /* Adjusted large button */
-        .save-button .spinner-border { width: 1em; height: 1em; border-width: .15em; } /* Thinner spinner */
+    });
+    return changes;
+}
 
-        /* Specific Sections */
-        .proxy-settings, .query-params { 
-            margin-top: 1.5rem; 
-            padding-top: 1.5rem; 
-            border-top: 1px solid var(--v0-border); 
-        }
-        .proxy-settings h5, .query-params h5 {
-             font-size: 0.875rem; /* Smaller heading */
-             font-weight: 600;
-             margin-bottom: 1rem;
-             color: var(--v0-foreground);
-             text-transform: uppercase; /* Uppercase subheadings */
-             letter-spacing: 0.05em;
+// 非 owner 修改了只有 owner 可以修改的设置时返回 403 的 { status, body }，否则返回 null。
+// 必须在写锁内、与写入使用同一份 currentConfig 调用，否则比较的可能是已被其他请求替换的旧配置
+function checkOwnerOnlyConfigChanges(adminUser, newConfig) {
+    if (hasAdminRole(adminUser, 'owner')) return null;
+    const ownerOnlyChanges = findOwnerOnlyConfigChanges(currentConfig, newConfig);
+    if (ownerOnlyChanges.length === 0) return null;
+    return { status: 403, body: { error: 'Only owners can change these settings.', details: ownerOnlyChanges } };
+}
+
+// 配置写操作串行执行，避免两个请求基于同一份旧配置修改、互相覆盖
+let configWriteQueue = Promise.resolve();
+
+function withConfigWriteLock(task) {
+    const run = configWriteQueue.then(task);
+    configWriteQueue = run.catch(() => {});
+    return run;
+}
+
+// 基于内容计算 ETag，用于 If-Match 乐观并发控制
+function computeEtag(value) {
+    return `"${crypto.createHash('sha1').update(JSON.stringify(value ?? null)).digest('base64url')}"`;
+}
+
+// 没有 If-Match 请求头时视为满足（与旧客户端兼容）
+function isIfMatchSatisfied(req, etag) {
+    const ifMatch = req.get('if-match');
+    if (!ifMatch || ifMatch.trim() === '*') return true;
+    return ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+}
+
+// 应用新配置：先写入持久存储，成功后再记录版本并更新内存中的配置。返回 { status, body }。
+// 保存失败时内存中的配置、版本历史和 ETag 都保持不变，客户端可以直接重试
+async function applyConfigChange(newConfig, author, message) {
+    if (configStore.readOnly) {
+        return { status: 403, body: { error: `Configuration is read-only (CONFIG_STORE=${configStore.name}).` } };
+    }
+    if (configLoadFailed) {
+        return { status: 503, body: { error: 'Configuration storage is unavailable. Saving is disabled until the stored configuration can be loaded.' } };
+    }
+    upgradeLegacyUrlConstruction(newConfig);
+    const validationErrors = validateConfig(newConfig);
+    if (validationErrors.length > 0) {
+        return { status: 400, body: { error: 'Configuration is invalid.', details: validationErrors } };
+    }
+
+    const result = await persistConfig(newConfig);
+    if (result.status !== 200) return result;
+
+    let revision = null;
+    try {
+        // 第一次保存时，先把保存前的配置记录下来，这样第一次保存也可以回滚
+        if (await getLatestConfigRevisionNumber() === 0 && currentConfig.apiUrls) {
+            await addConfigRevision(currentConfig, 'system', 'Configuration before first tracked save');
         }
-        .param-item { 
-            border: 1px solid var(--v0-border); 
-            padding: 1rem; 
-            margin-bottom: 1rem; 
-            border-radius: var(--v0-radius); 
-            background-color: var(--v0-muted); /* Muted background for param items */
-            position: relative; 
+        revision = await addConfigRevision(newConfig, author, message);
+    } catch (error) {
+        console.error('[ConfigHistory] Failed to record revision:', error);
+    }
+
+    currentConfig = newConfig;
+    configValidationErrors = [];
+    // 缓存池中保存的是旧配置下的图片，配置变更后全部丢弃
+    clearImageCache();
+
+    result.body.revision = revision;
+    result.body.version = configVersion;
+    result.body.instances = await waitForConfigAcks(configVersion);
+    return result;
+}
+
+// 请求体可以直接是配置对象，也可以是 { config, message }（message 为可选的版本说明）
+app.post('/config', checkAdminAuth, requireAdminRole('editor'), async (req, res) => {
+    const wrapped = req.body && typeof req.body === 'object' && !req.body.apiUrls && req.body.config;
+    const newConfig = wrapped ? req.body.config : req.body;
+    const message = wrapped && typeof req.body.message === 'string' ? req.body.message.trim().slice(0, 500) : '';
+    if (!newConfig || typeof newConfig !== 'object' || !newConfig.apiUrls) {
+        return res.status(400).json({ error: 'Invalid configuration format.' });
+    }
+    try {
+        const { status, body } = await withConfigWriteLock(async () => {
+            const currentEtag = computeEtag(currentConfig);
+            if (!isIfMatchSatisfied(req, currentEtag)) {
+                return { status: 409, body: { error: 'Configuration was modified by someone else. Reload and try again.', etag: currentEtag } };
+            }
+            const denied = checkOwnerOnlyConfigChanges(req.adminUser, newConfig);
+            if (denied) return denied;
+            const result = await applyConfigChange(newConfig, req.adminUser.username, message);
+            res.setHeader('ETag', computeEtag(currentConfig));
+            return result;
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        // 捕获内存更新或JSON序列化过程中的潜在错误
+        console.error('Error processing new configuration:', error);
+        res.status(500).json({ error: 'Failed to process new configuration.' });
+    }
+});
+
+// --- Config Revision History ---
+app.get('/api/admin/revisions', checkAdminAuth, async (req, res) => {
+    try {
+        res.json({ revisions: await listConfigRevisions(), limit: configHistoryLimit });
+    } catch (error) {
+        console.error('[ConfigHistory] Failed to list revisions:', error);
+        res.status(500).json({ error: 'Failed to load revision history.' });
+    }
+});
+
+// 比较两个版本；to 省略或为 "current" 时与当前生效的配置比较
+app.get('/api/admin/revisions/diff', checkAdminAuth, async (req, res) => {
+    const from = parseInt(req.query.from, 10);
+    const to = req.query.to === undefined || req.query.to === 'current' ? 'current' : parseInt(req.query.to, 10);
+    if (isNaN(from) || (to !== 'current' && isNaN(to))) {
+        return res.status(400).json({ error: "Query parameters 'from' (revision number) and 'to' (revision number or 'current') are required." });
+    }
+    try {
+        const fromRevision = await getConfigRevision(from);
+        const toRevision = to === 'current' ? { config: currentConfig } : await getConfigRevision(to);
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({ error: `Revision ${!fromRevision ? from : to} not found.` });
         }
-        .param-item .remove-param-button { 
-            position: absolute; 
-            top: 0.5rem; 
-            right: 0.5rem; 
-            padding: 0.1rem 0.4rem; 
-            background-color: var(--v0-background); /* Ensure visibility on muted bg */
-            border-color: var(--v0-border);
-            color: var(--v0-destructive);
+        res.json({ from, to, changes: diffJson(fromRevision.config, toRevision.config) });
+    } catch (error) {
+        console.error('[ConfigHistory] Failed to diff revisions:', error);
+        res.status(500).json({ error: 'Failed to compare revisions.' });
+    }
+});
+
+app.get('/api/admin/revisions/:revision', checkAdminAuth, async (req, res) => {
+    try {
+        const record = await getConfigRevision(parseInt(req.params.revision, 10));
+        if (!record) {
+            return res.status(404).json({ error: `Revision ${req.params.revision} not found.` });
         }
-         .param-item .remove-param-button:hover {
-             background-color: var(--v0-destructive);
-             border-color: var(--v0-destructive);
-             color: var(--v0-destructive-foreground);
-         }
-        .global-setting-item { 
-            padding: 1rem 1.5rem; 
-            border: 1px solid var(--v0-border); 
-            background-color: var(--v0-muted); 
-            border-radius: var(--v0-radius); 
-            margin-bottom: 1.5rem; 
+        res.json(record);
+    } catch (error) {
+        console.error('[ConfigHistory] Failed to load revision:', error);
+        res.status(500).json({ error: 'Failed to load revision.' });
+    }
+});
+
+// 回滚会生成一个新版本，内容与目标版本相同
+app.post('/api/admin/revisions/:revision/rollback', checkAdminAuth, requireAdminRole('editor'), async (req, res) => {
+    const revisionNumber = parseInt(req.params.revision, 10);
+    try {
+        const record = await getConfigRevision(revisionNumber);
+        if (!record) {
+            return res.status(404).json({ error: `Revision ${req.params.revision} not found.` });
         }
-        .group-title { 
-            margin-top: 2rem; /* Reduced top margin */
-            margin-bottom: 1rem; 
-            font-size: 1.125rem; /* Adjusted group title size */
-            font-weight: 600;
-            color: var(--v0-muted-foreground); 
-            border-bottom: 1px solid var(--v0-border); 
-            padding-bottom: 0.5rem; 
+        const { status, body } = await withConfigWriteLock(async () => {
+            const denied = checkOwnerOnlyConfigChanges(req.adminUser, record.config);
+            if (denied) return denied;
+            console.log(`[ConfigHistory] Admin '${req.adminUser.username}' rolling back to revision ${revisionNumber}.`);
+            return applyConfigChange(record.config, req.adminUser.username, `Rollback to revision ${revisionNumber}`);
+        });
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('[ConfigHistory] Rollback failed:', error);
+        res.status(500).json({ error: 'Failed to roll back configuration.' });
+    }
+});
+
+// --- Endpoint Management API ---
+// 按端点读写配置，写操作支持 If-Match（ETag 不匹配时返回 409），每次写入都会记录一个配置版本。
+// 写请求体格式：{ config, message }（创建时还需要 key）；message 为可选的版本说明。
+const endpointKeyPattern = /^[A-Za-z0-9_-]+$/;
+// 这些路径已被系统路由占用
+const reservedEndpointKeys = new Set(['admin', 'admin-login', 'admin-auth', 'admin-logout', 'config', 'api', 'status', 'upstream-health', 'batch']);
+
+function validateEndpointKey(key) {
+    if (typeof key !== 'string' || !endpointKeyPattern.test(key)) {
+        return 'Endpoint key may only contain letters, digits, "-" and "_".';
+    }
+    if (reservedEndpointKeys.has(key)) {
+        return `Endpoint key '${key}' is reserved.`;
+    }
+    return null;
+}
+
+// 字段的具体检查（包括 url 是否必填）由配置 Schema 负责，这样错误中带有字段路径
+function validateEndpointEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return "Field 'config' must be an endpoint object.";
+    return null;
+}
+
+function getWriteMessage(body, fallback) {
+    return typeof body?.message === 'string' && body.message.trim() ? body.message.trim().slice(0, 500) : fallback;
+}
+
+function toEndpointResource(key, entry) {
+    return { key, etag: computeEtag(entry), config: entry };
+}
+
+// 在写锁内修改配置副本。mutate 返回 { status, body } 表示拒绝修改，返回 { result } 表示修改成功，
+// result 会与存储结果（message、revision）合并后返回给客户端
+async function updateEndpoints(req, res, message, mutate, successStatus = 200) {
+    const { status, body, etag } = await withConfigWriteLock(async () => {
+        const draft = { ...currentConfig, apiUrls: { ...(currentConfig.apiUrls || {}) } };
+        const outcome = mutate(draft);
+        if (outcome.status) return outcome;
+        const denied = checkOwnerOnlyConfigChanges(req.adminUser, draft);
+        if (denied) return denied;
+        const applied = await applyConfigChange(draft, req.adminUser.username, message);
+        // 变更被拒绝（校验失败、保存失败等）时原样返回错误，不能带上未生效的新资源和 ETag
+        if (applied.status !== 200) return applied;
+        return { status: successStatus, body: { ...outcome.result, ...applied.body }, etag: outcome.result.etag };
+    });
+    if (etag) res.setHeader('ETag', etag);
+    res.status(status).json(body);
+}
+
+function createEndpointConflict(key, entry) {
+    return { status: 409, body: { error: `Endpoint '${key}' was modified by someone else. Reload and try again.`, key, etag: computeEtag(entry), current: entry } };
+}
+
+app.get('/api/admin/endpoints', checkAdminAuth, (req, res) => {
+    res.json(Object.entries(currentConfig.apiUrls || {}).map(([key, entry]) => toEndpointResource(key, entry)));
+});
+
+app.get('/api/admin/endpoints/:key', checkAdminAuth, (req, res) => {
+    const entry = currentConfig.apiUrls?.[req.params.key];
+    if (!entry) {
+        return res.status(404).json({ error: `Endpoint '${req.params.key}' not found.` });
+    }
+    res.setHeader('ETag', computeEtag(entry));
+    res.json(toEndpointResource(req.params.key, entry));
+});
+
+app.post('/api/admin/endpoints', checkAdminAuth, requireAdminRole('editor'), async (req, res) => {
+    const key = req.body?.key;
+    const entry = req.body?.config;
+    const invalid = validateEndpointKey(key) || validateEndpointEntry(entry);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    await updateEndpoints(req, res, getWriteMessage(req.body, `Create endpoint /${key}`), (draft) => {
+        if (draft.apiUrls[key]) {
+            return { status: 409, body: { error: `Endpoint '${key}' already exists.`, key } };
         }
-        .group-title:first-of-type { margin-top: 0; } 
+        draft.apiUrls[key] = entry;
+        return { result: toEndpointResource(key, entry) };
+    }, 201).catch(error => handleEndpointWriteError(res, error));
+});
 
-        /* Alert/Message Styles */
-        #message { 
-            margin-top: 1.5rem; 
-            border-radius: var(--v0-radius);
-            padding: 0.75rem 1rem; /* Adjusted padding */
-            font-size: 0.875rem;
+app.put('/api/admin/endpoints/:key', checkAdminAuth, requireAdminRole('editor'), async (req, res) => {
+    const key = req.params.key;
+    const entry = req.body?.config;
+    const invalid = validateEndpointEntry(entry);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    await updateEndpoints(req, res, getWriteMessage(req.body, `Update endpoint /${key}`), (draft) => {
+        const existing = draft.apiUrls[key];
+        if (!existing) return { status: 404, body: { error: `Endpoint '${key}' not found.` } };
+        if (!isIfMatchSatisfied(req, computeEtag(existing))) return createEndpointConflict(key, existing);
+        draft.apiUrls[key] = entry;
+        return { result: toEndpointResource(key, entry) };
+    }).catch(error => handleEndpointWriteError(res, error));
+});
+
+app.delete('/api/admin/endpoints/:key', checkAdminAuth, requireAdminRole('editor'), async (req, res) => {
+    const key = req.params.key;
+    await updateEndpoints(req, res, getWriteMessage(req.query, `Delete endpoint /${key}`), (draft) => {
+        const existing = draft.apiUrls[key];
+        if (!existing) return { status: 404, body: { error: `Endpoint '${key}' not found.` } };
+        if (!isIfMatchSatisfied(req, computeEtag(existing))) return createEndpointConflict(key, existing);
+        delete draft.apiUrls[key];
+        return { result: { key, deleted: true } };
+    }).catch(error => handleEndpointWriteError(res, error));
+});
+
+// 重命名端点，保持它在配置中的位置
+app.post('/api/admin/endpoints/:key/rename', checkAdminAuth, requireAdminRole('editor'), async (req, res) => {
+    const key = req.params.key;
+    const newKey = req.body?.newKey;
+    const invalid = validateEndpointKey(newKey);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    await updateEndpoints(req, res, getWriteMessage(req.body, `Rename endpoint /${key} to /${newKey}`), (draft) => {
+        const existing = draft.apiUrls[key];
+        if (!existing) return { status: 404, body: { error: `Endpoint '${key}' not found.` } };
+        if (!isIfMatchSatisfied(req, computeEtag(existing))) return createEndpointConflict(key, existing);
+        if (newKey !== key && draft.apiUrls[newKey]) return { status: 409, body: { error: `Endpoint '${newKey}' already exists.`, key: newKey } };
+        draft.apiUrls = Object.fromEntries(Object.entries(draft.apiUrls).map(([k, v]) => [k === key ? newKey : k, v]));
+        return { result: toEndpointResource(newKey, existing) };
+    }).catch(error => handleEndpointWriteError(res, error));
+});
+
+// 用粘贴的示例响应测试图片链接提取设置，请求体：{ proxySettings, sample, baseUrl }
+// 返回所有匹配到的链接（matches）以及按 pick 设置选中的链接（imageUrl），不会请求上游
+app.post('/api/admin/extractor-test', checkAdminAuth, (req, res) => {
+    const { proxySettings, sample, baseUrl } = req.body || {};
+    if (!proxySettings || typeof proxySettings !== 'object' || !hasImageUrlExtractor(proxySettings)) {
+        return res.status(400).json({ error: "Field 'proxySettings' must contain an extractor or imageUrlField." });
+    }
+    if (proxySettings.extractor && typeof proxySettings.extractor.expression !== 'string') {
+        return res.status(400).json({ error: "Field 'proxySettings.extractor.expression' must be a string." });
+    }
+    if (typeof sample !== 'string') {
+        return res.status(400).json({ error: "Field 'sample' must be a string." });
+    }
+    // 和上游响应一样处理：能解析为 JSON 的按 JSON 处理，否则按文本
+    const data = parseJsonBody(sample) ?? sample;
+    let matches;
+    try {
+        matches = extractResponseValues(data, proxySettings, typeof baseUrl === 'string' && /^https?:\/\//i.test(baseUrl) ? baseUrl : null);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid extractor.', details: error.message });
+    }
+    res.json({ matches, imageUrl: pickExtractedValue(matches, proxySettings.extractor) });
+});
+
+// 端点上游请求中引用的环境变量是否已设置，供管理界面显示（不返回变量的值）
+app.get('/api/admin/secrets', checkAdminAuth, (req, res) => {
+    const secrets = new Map();
+    Object.entries(currentConfig.apiUrls || {}).forEach(([apiKey, entry]) => {
+        getRequestSecretNames(entry.request).forEach((name) => {
+            if (!secrets.has(name)) secrets.set(name, { name, set: !!process.env[name], endpoints: [] });
+            secrets.get(name).endpoints.push(apiKey);
+        });
+    });
+    res.json([...secrets.values()]);
+});
+
+app.get('/api/admin/groups', checkAdminAuth, (req, res) => {
+    const groups = new Map();
+    Object.entries(currentConfig.apiUrls || {}).forEach(([key, entry]) => {
+        const name = entry.group || '未分组';
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(key);
+    });
+    res.json([...groups].map(([name, endpoints]) => ({ name, endpoints })));
+});
+
+// 重命名分组（移动该分组下的所有端点）
+app.post('/api/admin/groups/:name/rename', checkAdminAuth, requireAdminRole('editor'), async (req, res) => {
+    const name = req.params.name;
+    const newName = typeof req.body?.newName === 'string' ? req.body.newName.trim() : '';
+    if (!newName) {
+        return res.status(400).json({ error: "Field 'newName' is required." });
+    }
+    await updateEndpoints(req, res, getWriteMessage(req.body, `Rename group '${name}' to '${newName}'`), (draft) => {
+        const keys = Object.keys(draft.apiUrls).filter(key => (draft.apiUrls[key].group || '未分组') === name);
+        if (keys.length === 0) return { status: 404, body: { error: `Group '${name}' not found.` } };
+        keys.forEach((key) => { draft.apiUrls[key] = { ...draft.apiUrls[key], group: newName }; });
+        return { result: { name: newName, endpoints: keys.map(key => toEndpointResource(key, draft.apiUrls[key])) } };
+    }).catch(error => handleEndpointWriteError(res, error));
+});
+
+// 把端点移动到分组：{ keys: [...], etags: { key: etag } }，etags 可选，不匹配时返回 409
+app.post('/api/admin/groups/:name/endpoints', checkAdminAuth, requireAdminRole('editor'), async (req, res) => {
+    const name = req.params.name.trim();
+    const keys = Array.isArray(req.body?.keys) ? req.body.keys : [];
+    const etags = req.body?.etags || {};
+    if (!name || keys.length === 0) {
+        return res.status(400).json({ error: "A group name and a non-empty 'keys' array are required." });
+    }
+    await updateEndpoints(req, res, getWriteMessage(req.body, `Move ${keys.length} endpoint(s) to group '${name}'`), (draft) => {
+        const missing = keys.filter(key => !draft.apiUrls[key]);
+        if (missing.length > 0) return { status: 404, body: { error: 'Some endpoints were not found.', details: missing } };
+        const conflicts = keys.filter(key => etags[key] && etags[key] !== computeEtag(draft.apiUrls[key]));
+        if (conflicts.length > 0) return { status: 409, body: { error: 'Some endpoints were modified by someone else. Reload and try again.', details: conflicts } };
+        keys.forEach((key) => { draft.apiUrls[key] = { ...draft.apiUrls[key], group: name }; });
+        return { result: { name, endpoints: keys.map(key => toEndpointResource(key, draft.apiUrls[key])) } };
+    }).catch(error => handleEndpointWriteError(res, error));
+});
+
+// 除 apiUrls 之外的全局设置（baseTag、rateLimit、forwardPolicy 等）
+function getGlobalSettings(config) {
+    const { apiUrls, ...settings } = config;
+    return settings;
+}
+
+app.get('/api/admin/settings', checkAdminAuth, (req, res) => {
+    const settings = getGlobalSettings(currentConfig);
+    res.setHeader('ETag', computeEtag(settings));
+    res.json(settings);
+});
+
+// 合并更新全局设置：{ settings: { baseTag, rateLimit, ... }, message }
+app.patch('/api/admin/settings', checkAdminAuth, requireAdminRole('editor'), async (req, res) => {
+    const changes = req.body?.settings;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || 'apiUrls' in changes) {
+        return res.status(400).json({ error: "Field 'settings' must be an object and cannot contain 'apiUrls'." });
+    }
+    await updateEndpoints(req, res, getWriteMessage(req.body, `Update settings: ${Object.keys(changes).join(', ')}`), (draft) => {
+        const currentEtag = computeEtag(getGlobalSettings(draft));
+        if (!isIfMatchSatisfied(req, currentEtag)) {
+            return { status: 409, body: { error: 'Settings were modified by someone else. Reload and try again.', etag: currentEtag, current: getGlobalSettings(draft) } };
         }
-        .alert-success {
-             color: #0f5132; /* Tailwind green-800 */
-             background-color: #d1fae5; /* Tailwind green-100 */
-             border-color: #a7f3d0; /* Tailwind green-200 */
+        Object.assign(draft, changes);
+        return { result: { etag: computeEtag(getGlobalSettings(draft)), settings: getGlobalSettings(draft) } };
+    }).catch(error => handleEndpointWriteError(res, error));
+});
+
+function handleEndpointWriteError(res, error) {
+    console.error('Error updating endpoint configuration:', error);
+    if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to update configuration.' });
+    }
+}
+
+// --- Config Import / Export ---
+// 导出整个配置或部分分组/端点为带格式版本号的 bundle 文件，导入时选择已存在端点的处理方式，并可以先预览（dryRun）。
+// bundle 格式：{ format: 'api-forward-bundle', version: 1, exportedAt, exportedBy, configVersion, endpoints: { key: config }, settings? }
+const configBundleFormat = 'api-forward-bundle';
+const configBundleVersion = 1;
+const importModes = ['skip', 'overwrite', 'rename'];
+
+// 支持 ?groups=a,b 和 ?groups=a&groups=b 两种写法
+function parseListQuery(value) {
+    return [].concat(value ?? []).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+app.get('/api/admin/export', checkAdminAuth, (req, res) => {
+    const groups = parseListQuery(req.query.groups);
+    const keys = parseListQuery(req.query.endpoints);
+    const partial = groups.length > 0 || keys.length > 0;
+    const apiUrls = currentConfig.apiUrls || {};
+    const missing = keys.filter(key => !apiUrls[key]);
+    if (missing.length > 0) {
+        return res.status(404).json({ error: `Endpoints not found: ${missing.join(', ')}.` });
+    }
+
+    const endpoints = {};
+    Object.entries(apiUrls).forEach(([key, entry]) => {
+        if (!partial || keys.includes(key) || groups.includes(entry.group || '未分组')) {
+            endpoints[key] = entry;
         }
-        .alert-danger {
-             color: #991b1b; /* Tailwind red-800 */
-             background-color: #fee2e2; /* Tailwind red-100 */
-             border-color: #fca5a5; /* Tailwind red-300 */
+    });
+    const bundle = {
+        format: configBundleFormat,
+        version: configBundleVersion,
+        exportedAt: new Date().toISOString(),
+        exportedBy: req.adminUser.username,
+        configVersion,
+        endpoints
+    };
+    // 部分导出默认不包含全局设置，可以用 settings=true/false 指定
+    if (req.query.settings !== undefined ? req.query.settings === 'true' : !partial) {
+        bundle.settings = getGlobalSettings(currentConfig);
+    }
+    const timestamp = bundle.exportedAt.replace(/[-:]/g, '').replace(/\..*$/, '').replace('T', '-');
+    res.setHeader('Content-Disposition', `attachment; filename="api-forward-${partial ? 'partial' : 'config'}-${timestamp}.json"`);
+    res.json(bundle);
+});
+
+// 检查导入的 bundle，也接受直接从 GET /config 复制的配置（{ apiUrls, ...settings }）。返回 { bundle } 或 { error }
+function normalizeImportBundle(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: "Field 'bundle' must be an object." };
+    }
+    let bundle = input;
+    if (input.format === undefined && input.apiUrls) {
+        bundle = { endpoints: input.apiUrls, settings: getGlobalSettings(input) };
+    } else if (input.format !== configBundleFormat) {
+        return { error: `Not an ${configBundleFormat} file.` };
+    } else if (!Number.isInteger(input.version) || input.version < 1 || input.version > configBundleVersion) {
+        return { error: `Unsupported bundle version ${input.version}; this server supports version ${configBundleVersion}.` };
+    }
+    if (!bundle.endpoints || typeof bundle.endpoints !== 'object' || Array.isArray(bundle.endpoints)) {
+        return { error: "Bundle field 'endpoints' must be an object." };
+    }
+    for (const [key, entry] of Object.entries(bundle.endpoints)) {
+        const invalid = validateEndpointKey(key) || validateEndpointEntry(entry);
+        if (invalid) return { error: `${key}: ${invalid}` };
+    }
+    upgradeLegacyUrlConstruction({ apiUrls: bundle.endpoints });
+    if (bundle.settings !== undefined && (!bundle.settings || typeof bundle.settings !== 'object' || Array.isArray(bundle.settings) || 'apiUrls' in bundle.settings)) {
+        return { error: "Bundle field 'settings' must be an object and cannot contain 'apiUrls'." };
+    }
+    return { bundle };
+}
+
+// 把 bundle 合并到配置副本中，返回每个端点的处理结果：
+// created / overwritten / renamed（导入为 targetKey）/ skipped（已存在，未导入）/ unchanged（内容相同）
+function mergeImportBundle(draft, bundle, mode, includeSettings) {
+    const endpoints = Object.entries(bundle.endpoints).map(([key, entry]) => {
+        const existing = draft.apiUrls[key];
+        if (!existing) {
+            draft.apiUrls[key] = entry;
+            return { key, action: 'created' };
         }
-        
-        /* Tooltip */
-        .tooltip-icon { cursor: help; color: var(--v0-muted-foreground); margin-left: 0.25rem; vertical-align: middle; }
-        .tooltip-inner { background-color: var(--v0-primary); color: var(--v0-primary-foreground); font-size: 0.75rem; padding: 0.375rem 0.625rem; border-radius: var(--v0-radius-sm); box-shadow: var(--v0-shadow); }
-        .tooltip.bs-tooltip-top .tooltip-arrow::before { border-top-color: var(--v0-primary); }
-        .tooltip.bs-tooltip-bottom .tooltip-arrow::before { border-bottom-color: var(--v0-primary); }
-        .tooltip.bs-tooltip-start .tooltip-arrow::before { border-left-color: var(--v0-primary); }
-        .tooltip.bs-tooltip-end .tooltip-arrow::before { border-right-color: var(--v0-primary); }
+        if (JSON.stringify(existing) === JSON.stringify(entry)) {
+            return { key, action: 'unchanged' };
+        }
+        if (mode === 'skip') {
+            return { key, action: 'skipped', changes: diffJson(existing, entry) };
+        }
+        if (mode === 'overwrite') {
+            draft.apiUrls[key] = entry;
+            return { key, action: 'overwritten', changes: diffJson(existing, entry) };
+        }
+        let suffix = 2;
+        while (draft.apiUrls[`${key}-${suffix}`] || bundle.endpoints[`${key}-${suffix}`]) suffix++;
+        draft.apiUrls[`${key}-${suffix}`] = entry;
+        return { key, action: 'renamed', targetKey: `${key}-${suffix}` };
+    });
 
-        /* Utility Overrides */
-        .mb-4 { margin-bottom: 1.5rem !important; }
-        .mt-4 { margin-top: 1.5rem !important; }
-        .text-muted { color: var(--v0-muted-foreground) !important; }
-        .text-sm-end { text-align: right !important; } 
-        .h3 { font-size: 1.25rem; font-weight: 600; } /* Smaller main heading */
-        .spinner-border { color: var(--v0-primary); }
-        .spinner-border-sm { width: 1rem; height: 1rem; border-width: 0.15em; }
+    let settings = null;
+    if (includeSettings && bundle.settings) {
+        const before = getGlobalSettings(draft);
+        Object.assign(draft, bundle.settings);
+        settings = diffJson(before, getGlobalSettings(draft));
+    }
+    return { endpoints, settings };
+}
+
+// 请求体：{ bundle, mode: 'skip' | 'overwrite' | 'rename', includeSettings, dryRun, message }
+app.post('/api/admin/import', checkAdminAuth, requireAdminRole('editor'), async (req, res) => {
+    const mode = req.body?.mode ?? 'skip';
+    if (!importModes.includes(mode)) {
+        return res.status(400).json({ error: `Mode must be one of: ${importModes.join(', ')}.` });
+    }
+    const { bundle, error } = normalizeImportBundle(req.body?.bundle);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const includeSettings = req.body.includeSettings === true;
+
+    if (req.body.dryRun === true) {
+        const draft = { ...currentConfig, apiUrls: { ...(currentConfig.apiUrls || {}) } };
+        const plan = mergeImportBundle(draft, bundle, mode, includeSettings);
+        return res.json({
+            dryRun: true,
+            mode,
+            ...plan,
+            errors: validateConfig(draft),
+            ownerOnlyChanges: hasAdminRole(req.adminUser, 'owner') ? [] : findOwnerOnlyConfigChanges(currentConfig, draft)
+        });
+    }
+
+    const message = getWriteMessage(req.body, `Import ${Object.keys(bundle.endpoints).length} endpoint(s) (${mode})`);
+    await updateEndpoints(req, res, message, (draft) => {
+        const plan = mergeImportBundle(draft, bundle, mode, includeSettings);
+        const changed = plan.endpoints.some(item => item.action !== 'skipped' && item.action !== 'unchanged') || plan.settings?.length > 0;
+        if (!changed) {
+            return { status: 200, body: { dryRun: false, mode, ...plan, message: 'Nothing to import.' } };
+        }
+        return { result: { dryRun: false, mode, ...plan } };
+    }).catch(error => handleEndpointWriteError(res, error));
+});
+
+// --- Status Page & Health Check API ---
+// 存储状态：MongoDB 不可用或启动时没能读取到存储的配置时为 degraded
+function getStorageReadiness() {
+    const storeStatus = configStore.status ? configStore.status() : 'ok';
+    const degraded = storeStatus !== 'ok' || !isMongoHealthy() || configLoadFailed;
+    return {
+        status: degraded ? 'degraded' : 'ok',
+        store: configStore.name,
+        storeStatus,
+        mongodb: mongoState.status,
+        config: configLoadFailed ? 'fallback' : 'loaded',
+        configVersion
+    };
+}
+
+// 就绪探针：存储降级时返回 503，便于负载均衡或编排系统摘除该实例
+app.get('/api/health', (req, res) => {
+    const readiness = getStorageReadiness();
+    res.status(readiness.status === 'ok' ? 200 : 503).json(readiness);
+});
+
+app.get('/api/status', (req, res) => {
+    res.json(getHealthStatusReport());
+});
+
+// 手动触发一次完整的健康检查
+app.post('/api/status/run', checkAdminAuth, requireAdminRole('editor'), async (req, res) => {
+    await runHealthChecks();
+    res.json(getHealthStatusReport());
+});
+
+// 上游返回的错误信息和响应头等内容插入状态页之前需要转义
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+app.get('/status', (req, res) => {
+    console.log("[Router] Handling request for /status (Status Page)");
+    const report = getHealthStatusReport();
+
+    const groupedEndpoints = {};
+    for (const key in report.endpoints) {
+        const entry = report.endpoints[key];
+        if (!groupedEndpoints[entry.group]) {
+            groupedEndpoints[entry.group] = [];
+        }
+        groupedEndpoints[entry.group].push({ key, ...entry });
+    }
+    const sortedGroups = Object.keys(groupedEndpoints).sort((a, b) => {
+        const order = {'通用转发': 1, 'AI绘图': 2, '二次元图片': 3, '三次元图片': 4, '表情包': 5, '未分组': 99};
+        return (order[a] || 99) - (order[b] || 99);
+    });
+
+    const statusBadges = {
+        up: '<span class="badge bg-success">正常</span>',
+        degraded: '<span class="badge bg-warning text-dark">异常</span>',
+        down: '<span class="badge bg-danger">不可用</span>',
+        skipped: '<span class="badge bg-secondary">未检测</span>',
+        unknown: '<span class="badge bg-secondary">等待检测</span>'
+    };
+    const counts = { up: 0, degraded: 0, down: 0 };
+    Object.values(report.endpoints).forEach(entry => {
+        if (counts[entry.status] !== undefined) counts[entry.status]++;
+    });
+
+    let groupedStatusHtml = '';
+    sortedGroups.forEach(groupName => {
+        groupedStatusHtml += `<h3 class="mt-4">${groupName}</h3>
+        <div class="table-responsive">
+        <table class="table table-striped table-hover table-bordered table-sm">
+            <thead>
+                <tr>
+                    <th scope="col" class="text-nowrap">端点路径</th>
+                    <th scope="col">描述</th>
+                    <th scope="col" class="text-nowrap">状态</th>
+                    <th scope="col" class="text-nowrap">HTTP</th>
+                    <th scope="col" class="text-nowrap">内容类型</th>
+                    <th scope="col" class="text-nowrap">延迟</th>
+                    <th scope="col" class="text-nowrap">检测时间</th>
+                </tr>
+            </thead>
+            <tbody>`;
+        groupedEndpoints[groupName].sort((a, b) => a.key.localeCompare(b.key));
+        groupedEndpoints[groupName].forEach(entry => {
+            const detail = entry.error || entry.reason || '';
+            groupedStatusHtml += `
+                <tr>
+                    <td class="text-nowrap"><code>/${entry.key}</code></td>
+                    <td>${entry.description || '<em class="text-muted">无描述</em>'}${detail ? `<br><small class="text-muted">${escapeHtml(detail)}</small>` : ''}</td>
+                    <td class="text-nowrap">${statusBadges[entry.status] || statusBadges.unknown}</td>
+                    <td class="text-nowrap">${entry.httpStatus ?? '-'}</td>
+                    <td class="text-nowrap"><small>${entry.contentType ? escapeHtml(entry.contentType) : '-'}</small></td>
+                    <td class="text-nowrap">${entry.latencyMs != null ? `${entry.latencyMs} ms` : '-'}</td>
+                    <td class="text-nowrap"><small>${entry.checkedAt ? new Date(entry.checkedAt).toLocaleString('zh-CN') : '-'}</small></td>
+                </tr>`;
+        });
+        groupedStatusHtml += `
+            </tbody>
+        </table>
+        </div>`;
+    });
+
+    const statusHtmlContent = `
+<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>API 上游状态</title>
+    <link rel="stylesheet" href="https://lf26-cdn-tos.bytecdntp.com/cdn/expire-1-M/twitter-bootstrap/5.1.3/css/bootstrap.min.css">
+    <style>
+        body { padding-top: 2rem; padding-bottom: 4rem; background-color: #f9fafb; color: #111827; }
+        .container { max-width: 1140px; }
+        .card { border: 1px solid #e5e7eb; border-radius: 0.75rem; box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06); margin-bottom: 1.5rem; }
+        .table th, .table td { vertical-align: middle; font-size: 0.875rem; }
+        h1, h3 { font-weight: 600; }
     </style>
 </head>
 <body>
     <main class="container">
         <div class="d-flex justify-content-between align-items-center mb-4 flex-wrap gap-2">
-            <h1 class="h3 mb-0">API 转发配置管理</h1>
-             <div class="d-flex gap-2 flex-wrap">
-                 <button type="button" class="btn btn-info fetch-emoticons-button" onclick="fetchAndAddEmoticons(this)" disabled><i class="bi bi-cloud-download"></i> 在线拉取表情包</button>
-                 <button type="button" class="btn btn-secondary" onclick="addNewGroup()"><i class="bi bi-folder-plus"></i> 添加新分组</button> <!-- Add New Group Button -->
-                 <button type="button" class="btn btn-success add-endpoint-button" onclick="addApiEndpoint()"><i class="bi bi-plus-lg"></i> 添加新 API 端点</button>
-                 <a href="/admin-logout" class="btn btn-outline-secondary"><i class="bi bi-box-arrow-right"></i> 退出登录</a>
-             </div>
+            <h1 class="h3 mb-0">API 上游状态</h1>
+            <a href="/" class="btn btn-outline-secondary btn-sm">返回首页</a>
+        </div>
+        <div class="card">
+            <div class="card-body">
+                <p class="mb-2">
+                    ${statusBadges.up} ${counts.up}
+                    ${statusBadges.degraded} ${counts.degraded}
+                    ${statusBadges.down} ${counts.down}
+                </p>
+                <p class="text-muted mb-0"><small>
+                    最近一次检测：${report.lastRunFinishedAt ? new Date(report.lastRunFinishedAt).toLocaleString('zh-CN') : '尚未完成'}${report.running ? '（检测中…）' : ''}。
+                    JSON 数据：<a href="/api/status"><code>/api/status</code></a>
+                </small></p>
+            </div>
         </div>
+        <div class="card">
+            <div class="card-body">
+                ${groupedStatusHtml || '<p class="text-muted mb-0">当前没有配置任何 API 端点。</p>'}
+            </div>
+        </div>
+    </main>
+</body>
+</html>
+`;
+    res.setHeader('Content-Type', 'text/html');
+    res.send(statusHtmlContent);
+});
 
-        <p class="text-muted mb-4">在这里修改、添加或删除 API 转发规则。点击“在线拉取表情包”可自动添加常用表情包 API。所有更改将在点击下方“保存所有配置”按钮后**立即生效**。</p>
+// --- JSON Response Mode ---
+// 请求带 ?format=json，或 Accept 头接受 application/json 而不接受图片时，端点不再重定向或返回图片内容，而是返回解析出的图片信息：
+//   { url, endpoint, upstream, contentType, fetchedAt }（upstream 为实际请求的上游地址，contentType 未知时为 null）
+// redirect 端点由服务器请求上游并跟随 Location 得到最终地址（每一跳都按 forwardPolicy 检查；目标是本站相对路径时直接在本进程中解析对应端点）；
+// ?count=N 返回 N 个不重复的结果 { endpoint, results: [...] }，
+// 上游重复或失败导致不足 N 个时返回已得到的结果。端点自己声明了 format 或 count 参数时，这两个名称按普通参数处理。
+const jsonResponseMaxCount = parseInt(process.env.JSON_RESPONSE_MAX_COUNT || '', 10) || 10;
+const jsonResponseMaxRedirects = 5;
+
+function isDeclaredQueryParam(configEntry, name) {
+    return (configEntry.queryParams || []).some(paramConfig => paramConfig.name === name || (paramConfig.aliases || []).includes(name));
+}
+
+// 读取 JSON 响应的 format、count 参数，返回 { count, multiple, query }（query 为去掉这两个参数后的查询参数）或 { error }
+function getJsonResponseQuery(configEntry, originalQuery) {
+    const query = { ...originalQuery };
+    if (!isDeclaredQueryParam(configEntry, 'format') && query.format === 'json') delete query.format;
+    const count = isDeclaredQueryParam(configEntry, 'count') ? undefined : query.count;
+    if (count === undefined) return { count: 1, multiple: false, query };
+    delete query.count;
+    const parsed = typeof count === 'string' && /^\d+$/.test(count) ? parseInt(count, 10) : NaN;
+    if (!(parsed >= 1 && parsed <= jsonResponseMaxCount)) {
+        return { error: `Parameter 'count' must be an integer between 1 and ${jsonResponseMaxCount}.` };
+    }
+    return { count: parsed, multiple: true, query };
+}
+
+// 不需要 JSON 响应时返回 null，否则返回 getJsonResponseQuery 的结果
+function getJsonResponseMode(req, configEntry) {
+    const format = isDeclaredQueryParam(configEntry, 'format') ? undefined : req.query.format;
+    const count = isDeclaredQueryParam(configEntry, 'count') ? undefined : req.query.count;
+    // Accept 头只在不接受图片时生效：axios 等库默认的 "application/json, text/plain, */*" 仍然得到重定向
+    const acceptsJsonOnly = !!req.accepts('application/json') && !req.accepts('image/*');
+    if (format !== 'json' && count === undefined && !acceptsJsonOnly) return null;
+    return getJsonResponseQuery(configEntry, req.query);
+}
+
+// 把转发策略拒绝的错误转换为与 openUpstreamImage 相同形式的错误
+function createPolicyStreamError(error, targetUrl) {
+    return createStreamError(403, {
+        error: 'Destination blocked by forward policy.',
+        rule: error.policyViolation.rule,
+        reason: error.policyViolation.reason,
+        blockedUrl: error.policyViolation.url,
+        targetUrl
+    }, error.message, false);
+}
+
+// 请求 redirect 端点的上游并跟随重定向，返回最终地址和 Content-Type。
+// 服务器代替客户端发出请求，因此包括第一跳在内的每一跳都按 forwardPolicy 检查
+async function followUpstreamRedirects(url, signal = undefined) {
+    const forwardPolicy = getForwardPolicy();
+    const policy = { ...forwardPolicy, maxRedirects: Math.min(forwardPolicy.maxRedirects, jsonResponseMaxRedirects) };
+    let response;
+    try {
+        response = await fetchWithForwardPolicy(url, {
+            timeout: 15000,
+            responseType: 'stream',
+            headers: { Accept: 'image/*,*/*;q=0.8' },
+            signal
+        }, policy);
+    } catch (error) {
+        if (error.policyViolation?.rule === 'maxRedirects') {
+            throw createStreamError(502, { error: `Target API redirected more than ${policy.maxRedirects} times.`, targetUrl: url }, 'Too many redirects');
+        }
+        if (error.policyViolation) throw createPolicyStreamError(error, url);
+        if (error.response) {
+            error.response.data?.destroy?.();
+            throw createStreamError(502, { error: `Target API error (Status ${error.response.status})`, targetUrl: url }, `HTTP ${error.response.status}`);
+        }
+        throw createStreamError(error.request ? 504 : 502, { error: 'Target API request timed out or failed.', targetUrl: url }, error.message);
+    }
+    response.data.destroy();
+    const finalUrl = response.config.url;
+    if (response.status >= 400) {
+        throw createStreamError(response.status, { error: `Target API error (Status ${response.status})`, targetUrl: finalUrl }, `HTTP ${response.status}`);
+    }
+    return { url: finalUrl, contentType: response.headers['content-type'] || null };
+}
+
+// redirect 端点的目标是本站相对路径（如 "/anime1?size=large"）时，不通过 HTTP 请求自己，
+// 而是直接解析对应的端点，并像客户端跟随重定向访问该端点一样检查限流和调用密钥。depth 用于防止端点互相重定向
+async function resolveLocalRedirectTarget(targetUrl, caller, depth) {
+    if (depth >= jsonResponseMaxRedirects) {
+        throw createStreamError(502, { error: `Target API redirected more than ${jsonResponseMaxRedirects} times.`, targetUrl }, 'Too many redirects');
+    }
+    // 只用于拆分路径和查询参数，不会请求这个地址
+    const parsed = new URL(targetUrl, 'http://localhost');
+    const apiKey = decodeURIComponent(parsed.pathname.slice(1));
+    const configEntry = currentConfig.apiUrls ? currentConfig.apiUrls[apiKey] : undefined;
+    if (!configEntry || !configEntry.method) {
+        throw createStreamError(502, { error: 'Redirect target is not an endpoint of this service.', targetUrl }, 'Unknown local redirect target', false);
+    }
+    const query = {};
+    parsed.searchParams.forEach((value, name) => {
+        query[name] = name in query ? [].concat(query[name], value) : value;
+    });
+
+    const rateLimit = await applyRateLimit(caller.ip, apiKey, configEntry);
+    if (rateLimit.error) throw createStreamError(rateLimit.error.status, rateLimit.error.body, 'Rate limited', false);
+    const consumerKey = await checkConsumerKey(query.key || caller.key, apiKey, configEntry);
+    if (consumerKey.error) throw createStreamError(consumerKey.error.status, consumerKey.error.body, 'Consumer key rejected', false);
+    const { context, error } = prepareEndpointRequest(apiKey, configEntry, query);
+    if (error) throw createStreamError(error.status, error.body, 'Invalid redirect target', false);
+    const image = await resolveEndpointImage(context, caller, depth + 1);
+    return { url: image.url, contentType: image.contentType };
+}
+
+// 请求 proxy 端点的上游并提取、校验图片链接，失败时抛出与 openUpstreamImage 相同形式的错误
+async function resolveProxyImage(targetUrl, proxySettings = {}, upstreamRequest = {}, signal = undefined) {
+    const forwardPolicy = getForwardPolicy();
+    try {
+        const requestOptions = {
+            timeout: 15000,
+            maxContentLength: apiResponseMaxBytes,
+            maxBodyLength: apiResponseMaxBytes,
+            validateStatus: (status) => status >= 200 && status < 500,
+            ...upstreamRequest,
+            signal
+        };
+        const response = await fetchWithForwardPolicy(targetUrl, requestOptions, forwardPolicy);
+        if (response.status >= 400) {
+            throw createStreamError(response.status, { error: `Target API error (Status ${response.status})`, targetUrl }, `HTTP ${response.status}`);
+        }
+        const imageUrl = extractImageUrl(response.data, proxySettings, getUpstreamResponseUrl(response, targetUrl));
+        if (!imageUrl) {
+            throw createStreamError(404, { error: 'Could not extract image URL from target API response.', targetUrl }, 'Image URL not found', false);
+        }
+        const validation = await validateMediaUrl(imageUrl, proxySettings, forwardPolicy);
+        if (!validation.valid) {
+            throw createStreamError(404, { error: 'Extracted URL did not pass media validation.', targetUrl, imageUrl, reason: validation.reason }, validation.reason, false);
+        }
+        return { url: imageUrl, contentType: validation.contentType };
+    } catch (error) {
+        if (error.streamStatus) throw error;
+        if (error.policyViolation) throw createPolicyStreamError(error, targetUrl);
+        if (isApiResponseTooLarge(error)) throw createStreamError(502, { error: `Target API response exceeds ${apiResponseMaxBytes} bytes.`, targetUrl }, error.message);
+        throw createStreamError(error.request ? 504 : 502, { error: 'Proxy request timed out or failed', targetUrl }, error.message);
+    }
+}
+
+// 按端点的方式解析一张图片，依次尝试各个上游（redirect 端点与正常请求一样只使用第一个）。
+// context 由 prepareEndpointRequest 生成；caller 为 { ip, key, signal }：客户端 IP 和调用密钥在解析本站相对地址时使用，
+// signal（可选）中止后不再请求上游，进行中的请求也会被取消。
+// 成功时返回 { url, upstream, contentType, fetchedAt }，失败时抛出带 streamStatus 的错误
+async function resolveEndpointImage(context, caller, depth = 0) {
+    const { apiKey, configEntry, upstreams, redirectSettings } = context;
+    const attempts = configEntry.method === 'redirect' ? 1 : upstreams.length;
+    let lastError = null;
+    for (let i = 0; i < attempts; i++) {
+        let targetUrl = context.targetUrls[i];
+        if (redirectSettings.cacheBust && configEntry.method !== 'stream') targetUrl = appendCacheBustParam(targetUrl, redirectSettings.cacheBustParam);
+        try {
+            let image;
+            if (configEntry.method === 'redirect') {
+                image = getUrlTemplateOrigin(upstreams[i].url) === 'relative'
+                    ? await resolveLocalRedirectTarget(targetUrl, caller, depth)
+                    : await followUpstreamRedirects(targetUrl, caller.signal);
+            } else if (configEntry.method === 'stream') {
+                // 只需要最终地址和类型，不下载图片内容
+                const opened = await openUpstreamImage(targetUrl, context.requestEntry, context.upstreamRequest, caller.signal);
+                opened.stream.destroy();
+                image = { url: opened.imageUrl, contentType: opened.contentType };
+            } else {
+                image = await resolveProxyImage(targetUrl, context.requestEntry.proxySettings, context.upstreamRequest, caller.signal);
+            }
+            if (configEntry.method !== 'redirect') recordUpstreamResult(apiKey, upstreams[i].url, true);
+            return { ...image, upstream: targetUrl, fetchedAt: new Date().toISOString() };
+        } catch (error) {
+            const failure = error.streamStatus ? error : createStreamError(502, { error: 'Failed to resolve image URL.', targetUrl }, error.message);
+            // 请求被中止不是上游的问题，不计入上游健康状态，也不再尝试其他上游
+            if (caller.signal?.aborted) throw failure;
+            if (configEntry.method !== 'redirect') recordUpstreamResult(apiKey, upstreams[i].url, !failure.upstreamFailure, failure.message);
+            lastError = failure;
+            if (!failure.upstreamFailure) break;
+            console.warn(`[JSON /${apiKey}] Upstream ${upstreams[i].url} failed (${failure.message}).`);
+        }
+    }
+    throw lastError;
+}
+
+// 缓存命中时直接使用池中的图片，否则请求上游
+async function resolveEndpointImageOrCached(context, caller) {
+    const { apiKey, configEntry, validatedParams, placement } = context;
+    if (canUseImageCache(configEntry, validatedParams, placement)) {
+        const cached = takeFromImageCache(getImageCacheKey(apiKey, validatedParams), { apiKey, configEntry, params: validatedParams });
+        if (cached) {
+            return { url: cached.imageUrl, upstream: cached.targetUrl || null, contentType: cached.contentType || null, fetchedAt: new Date(cached.fetchedAt).toISOString(), cached: true };
+        }
+    }
+    return resolveEndpointImage(context, caller);
+}
+
+// 解析 count 个不重复的结果。相同参数总是得到相同图片的端点（redirectSettings.kind 为 deterministic）只请求一次
+async function resolveEndpointImages(context, count, caller) {
+    const results = [];
+    const maxAttempts = context.redirectSettings.kind === 'deterministic' ? 1 : count * 2;
+    for (let attempt = 0; attempt < maxAttempts && results.length < count; attempt++) {
+        caller.signal?.throwIfAborted();
+        let image;
+        try {
+            image = await resolveEndpointImageOrCached(context, caller);
+        } catch (error) {
+            if (results.length === 0) throw error;
+            console.warn(`[JSON /${context.apiKey}] Returning ${results.length} of ${count} results: ${error.message}`);
+            break;
+        }
+        if (!results.some(result => result.url === image.url)) results.push(image);
+    }
+    return results;
+}
+
+// 解析图片并生成 JSON 响应，返回 { status, body, images }（失败时 images 为空）
+async function buildJsonResponse(context, mode, caller) {
+    const { apiKey } = context;
+    let images;
+    try {
+        images = await resolveEndpointImages(context, mode.count, caller);
+    } catch (error) {
+        console.error(`[JSON /${apiKey}] Failed to resolve image URL: ${error.message}`);
+        return { status: error.streamStatus || 502, body: error.streamBody || { error: error.message }, images: [] };
+    }
+    const results = images.map(({ url, upstream, contentType, fetchedAt }) => ({ url, endpoint: apiKey, upstream, contentType, fetchedAt }));
+    console.log(`[JSON /${apiKey}] Resolved ${results.length} image URL(s).`);
+    return { status: 200, body: mode.multiple ? { endpoint: apiKey, results } : results[0], images };
+}
+
+async function sendJsonResponse(context, mode, req, res) {
+    const caller = { ip: req.ip, key: req.get(consumerKeyHeaderName) || req.query.key };
+    const { status, body, images } = await buildJsonResponse(context, mode, caller);
+    if (status === 200) {
+        if (canUseImageCache(context.configEntry, context.validatedParams, context.placement)) {
+            res.setHeader('X-Cache', images.some(image => image.cached) ? 'HIT' : 'MISS');
+        }
+        if (context.redirectSettings.cacheControl) res.setHeader('Cache-Control', context.redirectSettings.cacheControl);
+    }
+    return res.status(status).json(body);
+}
+
+// --- Wildcard API Route Handler ---
+// 校验查询参数并计算各上游的目标地址（尚未附加防缓存参数）。
+// 返回 { context }，或 { error: { status, body } } 由调用方写入响应
+function prepareEndpointRequest(apiKey, configEntry, query) {
+    const { params: validatedParams, errors } = validateQueryParams(configEntry.queryParams, query);
+    if (errors.length > 0) {
+        return { error: { status: 400, body: { error: 'Invalid query parameters.', details: errors } } };
+    }
+
+    // 健康的上游在前，按端点的策略排序
+    const upstreams = selectUpstreams(apiKey, configEntry);
+    if (upstreams.length === 0) {
+         console.error(`[Handler /${apiKey}] Error: Configuration URL is missing.`);
+         return { error: { status: 500, body: { error: "Internal server error: API configuration URL is missing." } } };
+    }
+    // 配置校验不允许这种组合；手动修改的配置文件也不能借此绕过 forwardPolicy
+    if (configEntry.method !== 'proxy' && upstreams.some(upstream => !hasFixedUrlTemplateOrigin(upstream.url))) {
+        console.error(`[Handler /${apiKey}] Error: URL template without a fixed host is only allowed for proxy endpoints.`);
+        return { error: { status: 500, body: { error: 'Internal server error: API configuration URL is invalid.' } } };
+    }
+    const placement = getUpstreamParamPlacement(configEntry, validatedParams, query);
+    let targetUrls;
+    try {
+        targetUrls = upstreams.map(upstream => buildTargetUrl(upstream.url, validatedParams, apiKey, placement));
+    } catch (error) {
+        return { error: { status: 400, body: { error: 'Invalid query parameters.', details: [error.message] } } };
+    }
+    const requestProxySettings = getRequestProxySettings(configEntry.proxySettings, validatedParams);
+    const extractorError = checkCallerExtractor(requestProxySettings);
+    if (extractorError) {
+        return { error: { status: 400, body: { error: 'Invalid query parameters.', details: [extractorError] } } };
+    }
+    let upstreamRequest;
+    try {
+        upstreamRequest = getUpstreamRequestOptions(configEntry, validatedParams);
+    } catch (error) {
+        // 不把变量名等细节返回给调用方
+        console.error(`[Handler /${apiKey}] Failed to prepare upstream request: ${error.message}`);
+        return { error: { status: 500, body: { error: 'Upstream credentials are not configured.' } } };
+    }
+    return {
+        context: {
+            apiKey,
+            configEntry,
+            validatedParams,
+            upstreams,
+            placement,
+            targetUrls,
+            upstreamRequest,
+            requestEntry: { ...configEntry, proxySettings: requestProxySettings },
+            redirectSettings: getRedirectSettings(configEntry)
+        }
+    };
+}
+
+app.get('/:apiKey', rateLimitMiddleware, consumerKeyMiddleware, async (req, res, next) => {
+    const apiKey = req.params.apiKey;
+    console.log(`[Router] Received request for /${apiKey}`);
+
+    // Ignore requests for static files handled by express.static
+    // Check if the request looks like a file extension common for static assets
+     if (apiKey.includes('.') || apiKey === 'favicon.ico') {
+         console.log(`[Router] Ignoring likely static file request: /${apiKey}`);
+         return next(); // Pass to express.static or 404 handler
+     }
+
+    // --- Handle Special System Routes ---
+     if (apiKey === 'config') { // Let the dedicated /config route handle this
+         console.log(`[Router] Passing /config request to dedicated handler.`);
+         return next();
+     }
+     if (apiKey === 'admin') { // Let the dedicated /admin route handle this
+         console.log(`[Router] Passing /admin request to dedicated handler.`);
+         return next();
+     }
+     // Add other potential static files or system routes here if needed
+
+    // --- Lookup API Config ---
+    const configEntry = currentConfig.apiUrls ? currentConfig.apiUrls[apiKey] : undefined;
+
+    if (!configEntry || !configEntry.method) {
+        console.log(`[Router] No valid configuration found for /${apiKey}. Passing to 404.`);
+        return next(); // No config found, let Express handle 404
+    }
+    console.log(`[Router] Found config for /${apiKey}:`, configEntry);
+
+
+    // --- Generic Handler Logic ---
+    // 响应形式取决于 Accept 头（JSON 或重定向/图片），共享缓存需要分别缓存
+    res.vary('Accept');
+    const jsonMode = getJsonResponseMode(req, configEntry);
+    if (jsonMode?.error) {
+        return res.status(400).json({ error: 'Invalid query parameters.', details: [jsonMode.error] });
+    }
+
+    // 1. Validate Query Parameters, select upstreams and build target URLs
+    const { context, error } = prepareEndpointRequest(apiKey, configEntry, jsonMode ? jsonMode.query : req.query);
+    if (error) return res.status(error.status).json(error.body);
+    const { validatedParams, upstreams, placement, upstreamRequest, requestEntry, redirectSettings } = context;
+
+    // 2. Return the resolved image URL as JSON when requested
+    if (jsonMode) return sendJsonResponse(context, jsonMode, req, res);
+
+    let targetUrls = context.targetUrls;
+    if (redirectSettings.cacheBust && configEntry.method !== 'stream') {
+        targetUrls = targetUrls.map(url => appendCacheBustParam(url, redirectSettings.cacheBustParam));
+    }
+
+    // 3. Serve from the image cache when enabled (falls through to a live request on miss).
+    // 缓存按参数分池；参数取值无法枚举或带有透传参数的请求直接请求上游
+    if (canUseImageCache(configEntry, validatedParams, placement)) {
+        const cached = takeFromImageCache(getImageCacheKey(apiKey, validatedParams), { apiKey, configEntry, params: validatedParams });
+        if (cached) {
+            console.log(`[Handler /${apiKey}] Serving from image cache: ${cached.imageUrl}`);
+            return sendCachedImage(cached, configEntry, res);
+        }
+        res.setHeader('X-Cache', 'MISS');
+    }
+
+    // 4. Handle Request based on Method
+    if (configEntry.method === 'proxy' || configEntry.method === 'stream') {
+        // 依次尝试各个上游，失败时自动切换到下一个
+        for (let i = 0; i < upstreams.length; i++) {
+            const targetUrl = targetUrls[i];
+            console.log(`[Handler /${apiKey}] Constructed target URL (upstream ${i + 1}/${upstreams.length}): ${targetUrl}`);
+            const upstreamOptions = {
+                upstream: { apiKey, url: upstreams[i].url },
+                canFailover: i < upstreams.length - 1,
+                request: upstreamRequest,
+                redirect: redirectSettings
+            };
+            const result = configEntry.method === 'stream'
+                ? await handleStreamRequest(targetUrl, requestEntry, res, upstreamOptions)
+                : await handleProxyRequest(targetUrl, requestEntry.proxySettings, res, upstreamOptions);
+            if (result !== null) return result;
+            console.warn(`[Handler /${apiKey}] Upstream ${upstreams[i].url} failed, trying next upstream.`);
+        }
+    } else { // 'redirect'
+        const targetUrl = targetUrls[0];
+        console.log(`[Handler /${apiKey}] Constructed target URL: ${targetUrl}`);
+        try {
+            console.log(`[Handler /${apiKey}] Redirecting to: ${targetUrl}`);
+            return sendRedirect(res, targetUrl, redirectSettings);
+        } catch (error) {
+            console.error(`[Handler /${apiKey}] Error during redirect:`, error.message);
+            return res.status(500).json({ error: `Failed to redirect for ${apiKey}` });
+        }
+    }
+});
+
+
+// --- Batch Requests ---
+// POST /batch 一次解析多个端点：{ "items": [{ "endpoint": "anime1", "params": { "count": 3 } }, ...] }
+// 每一项都按 JSON 响应模式解析，results 与 items 顺序相同，每项为 GET /<endpoint>?format=json 的响应内容加上 status 和 endpoint。
+// 限流和调用密钥按项检查（密钥取 params.key，否则取整个请求的 X-API-Key 请求头或 ?key= 参数）。
+// 同时最多解析 BATCH_CONCURRENCY 项；超过 BATCH_TIMEOUT_MS 仍未完成的项返回 504 并中止其上游请求，不再开始新的项，
+// 这些项不计入限流和调用配额。
+const batchMaxItems = parseInt(process.env.BATCH_MAX_ITEMS || '', 10) || 20;
+const batchConcurrency = parseInt(process.env.BATCH_CONCURRENCY || '', 10) || 4;
+const batchTimeoutMs = parseInt(process.env.BATCH_TIMEOUT_MS || '', 10) || 30000;
+
+// 把 params 转换为与查询字符串相同的形式（字符串或字符串数组），格式不对时返回 null
+function toBatchQuery(params) {
+    if (params === undefined) return {};
+    if (!params || typeof params !== 'object' || Array.isArray(params)) return null;
+    const query = {};
+    for (const [name, value] of Object.entries(params)) {
+        const values = [].concat(value);
+        if (values.length === 0 || values.some(item => !['string', 'number', 'boolean'].includes(typeof item))) return null;
+        query[name] = Array.isArray(value) ? values.map(String) : String(value);
+    }
+    return query;
+}
+
+// 解析一项，返回 { status, body }
+async function resolveBatchItem(item, req, signal) {
+    if (!item || typeof item !== 'object' || typeof item.endpoint !== 'string') {
+        return { status: 400, body: { error: 'Invalid batch item.', details: ["Each item must be an object with an 'endpoint' string."] } };
+    }
+    const apiKey = item.endpoint;
+    const configEntry = currentConfig.apiUrls ? currentConfig.apiUrls[apiKey] : undefined;
+    if (!configEntry || !configEntry.method) {
+        return { status: 404, body: { error: `Endpoint '${apiKey}' not found.` } };
+    }
+    const query = toBatchQuery(item.params);
+    if (!query) {
+        return { status: 400, body: { error: 'Invalid query parameters.', details: ["'params' must be an object whose values are strings, numbers, booleans or arrays of them."] } };
+    }
+
+    const rateLimit = await applyRateLimit(req.ip, apiKey, configEntry);
+    if (rateLimit.error) return rateLimit.error;
+    const caller = { ip: req.ip, key: query.key || req.get(consumerKeyHeaderName) || req.query.key, signal };
+    let consumerKey = { record: null };
+    try {
+        consumerKey = await checkConsumerKey(caller.key, apiKey, configEntry);
+        if (consumerKey.error) return consumerKey.error;
+
+        const mode = getJsonResponseQuery(configEntry, query);
+        if (mode.error) return { status: 400, body: { error: 'Invalid query parameters.', details: [mode.error] } };
+        const { context, error } = prepareEndpointRequest(apiKey, configEntry, mode.query);
+        if (error) return error;
+        return await buildJsonResponse(context, mode, caller);
+    } finally {
+        // 批量请求已超时，调用方收到的是 504：退还这一项消耗的限流令牌和调用配额
+        if (signal.aborted) {
+            await refundRateLimitToken(req.ip, apiKey, configEntry);
+            if (consumerKey.record) await refundConsumerKeyUsage(consumerKey.record);
+        }
+    }
+}
+
+app.post('/batch', async (req, res) => {
+    const items = req.body?.items;
+    if (!Array.isArray(items) || items.length === 0 || items.length > batchMaxItems) {
+        return res.status(400).json({ error: 'Invalid batch request.', details: [`'items' must be an array of 1 to ${batchMaxItems} items.`] });
+    }
+    console.log(`[Batch] Resolving ${items.length} item(s).`);
+    const results = new Array(items.length).fill(null);
+    let nextIndex = 0;
+    let timedOut = false;
+    // 超时后中止所有进行中的项，不让它们在响应之后继续请求上游
+    const controller = new AbortController();
+
+    const worker = async () => {
+        while (!timedOut && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await resolveBatchItem(items[index], req, controller.signal);
+            } catch (error) {
+                console.error(`[Batch] Item ${index} failed:`, error);
+                results[index] = { status: 500, body: { error: 'Internal server error.' } };
+            }
+        }
+    };
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+            resolve();
+        }, batchTimeoutMs);
+    });
+    const workers = Array.from({ length: Math.min(batchConcurrency, items.length) }, worker);
+    await Promise.race([Promise.all(workers), timeout]);
+    clearTimeout(timer);
+
+    const pending = results.filter(result => result === null).length;
+    if (pending > 0) console.warn(`[Batch] Timed out after ${batchTimeoutMs}ms with ${pending} item(s) unresolved.`);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({
+        results: items.map((item, index) => {
+            const result = results[index] || { status: 504, body: { error: 'Batch request timed out before this item was resolved.' } };
+            return { status: result.status, endpoint: typeof item?.endpoint === 'string' ? item.endpoint : null, ...result.body };
+        })
+    });
+});
+
+
+// --- Home Route (API List & Examples) ---
+// Needs to be registered *before* the wildcard route
+app.get('/', (req, res) => {
+    console.log("[Router] Handling request for / (Home Page)");
+    // Group endpoints by group name
+    const groupedApis = {};
+    for (const key in currentConfig.apiUrls) {
+        const entry = currentConfig.apiUrls[key];
+        const group = entry.group || '未分组';
+        if (!groupedApis[group]) {
+            groupedApis[group] = [];
+        }
+        groupedApis[group].push({ key, ...entry });
+    }
+    
+    // 为 LLM 提示词准备数据
+    const baseURL = `${req.protocol}://${req.get('host')}`;
+    const pathFunctions = [];
+    
+    // 按组排序的顺序
+    const groupOrder = {'AI绘图': 1, '二次元图片': 2, '三次元图片': 3, '表情包': 4, '未分组': 99};
+    
+    // 准备所有 API 配置
+    const allApis = [];
+    for (const key in currentConfig.apiUrls) {
+        allApis.push({ key, ...currentConfig.apiUrls[key] });
+    }
+    
+    // 按组和名称排序
+    allApis.sort((a, b) => {
+        const orderA = groupOrder[a.group || '未分组'] || 50;
+        const orderB = groupOrder[b.group || '未分组'] || 50;
+        return orderA - orderB || a.key.localeCompare(b.key);
+    });
+    
+    // 生成路径功能描述
+    allApis.forEach(entry => {
+        const key = entry.key;
+        const group = entry.group || '未分组';
+        const description = entry.description || group;
+        
+        // 格式化路径描述
+        let pathDesc = '';
+        
+        // AI绘图类型需要特殊处理tags参数
+        if (group === 'AI绘图') {
+            pathDesc = `${description}:/${key}?tags=<tags>`;
+        } 
+        // 其他类型直接使用路径
+        else {
+            pathDesc = `${description}:/${key}`;
+        }
+        
+        pathFunctions.push(pathDesc);
+    });
+    
+    // 生成完整提示词，适合嵌入到 YAML 文件中，每行都有缩进
+    const llmPrompt = `    picture_url: |
+    {{ 
+    根据用户请求，选择合适的图片API路径，生成并返回完整URL。仅输出最终URL，不要添加其他文字。
+    基础URL：${baseURL}
+    可用路径（不要修改路径格式）：
+${pathFunctions.map(path => `    - ${path}`).join('\n')}
+    特殊说明：
+    1. AI绘图路径(/flux, /turbo)需要tags参数
+    2. 生成tags时，将用户描述转化为50个左右的关键词，用英文逗号分隔
+    3. 所有参数必须进行URL编码
+    4. 严禁生成色情内容
+    示例：如果用户请求“给我一张山水画”，应返回：${baseURL}/flux?tags=mountains%2Cwater%2Clandscape%2Ctraditional%2Cchinese%2Cpainting%2Cscenery}}`;
+    
+
+    // Sort groups
+    const sortedGroups = Object.keys(groupedApis).sort((a, b) => {
+        const order = {'通用转发': 1, 'AI绘图': 2, '二次元图片': 3, '三次元图片': 4, '表情包': 5, '未分组': 99};
+        return (order[a] || 99) - (order[b] || 99);
+    });
+
+    let groupedApiHtml = '';
+    sortedGroups.forEach(groupName => {
+        groupedApiHtml += `<h3 class="mt-4">${groupName}</h3>`;
+        let apiTableHtml = `
+        <div class="table-responsive">
+        <table class="table table-striped table-hover table-bordered table-sm">
+            <thead>
+                <tr>
+                    <th scope="col" class="text-nowrap">端点路径</th>
+                    <th scope="col">描述</th>
+                    <th scope="col" class="text-nowrap">处理方式</th>
+                    <th scope="col">参数</th>
+                </tr>
+            </thead>
+            <tbody>`;
+
+        // Sort endpoints within the group
+        groupedApis[groupName].sort((a, b) => a.key.localeCompare(b.key));
+
+        groupedApis[groupName].forEach(entry => {
+            const key = entry.key; // Get the key
+            let paramsDesc = '';
+            if (entry.queryParams && entry.queryParams.length > 0) {
+            paramsDesc = entry.queryParams.map(p => {
+                 let desc = `<code class="text-nowrap">${p.name}</code>`;
+                 if(p.required) desc += '<span class="text-danger fw-bold" title="必需参数">*</span>';
+                 if(p.aliases && p.aliases.length > 0) desc += ` <small class="text-muted">(别名: ${p.aliases.join(', ')})</small>`;
+                 if(p.defaultValue) desc += ` <small class="text-muted">(默认: ${p.defaultValue})</small>`;
+                 if(p.description) desc += `<br><small class="text-muted fst-italic">${p.description}</small>`; // Description on new line
+                 return desc;
+            }).join('<hr class="my-1">'); // Separator between params
+        } else {
+            paramsDesc = '<em class="text-muted">无</em>';
+        }
+
+        apiTableHtml += `
+                <tr>
+                    <td class="text-nowrap"><code>/${key}</code>${entry.access === 'key' ? ' <span class="badge bg-warning text-dark" title="需要通过 X-API-Key 请求头或 key 参数携带调用密钥">需要密钥</span>' : ''}</td>
+                    <td>${entry.description || '<em class="text-muted">无描述</em>'}</td>
+                    <td class="text-nowrap">${entry.method === 'proxy' ? '<span class="badge bg-primary">服务器代理</span>' : entry.method === 'stream' ? '<span class="badge bg-primary">服务器中转</span>' : '<span class="badge bg-secondary">浏览器重定向</span>'}</td>
+                    <td>${paramsDesc}</td>
+                </tr>`;
+        }); // End loop for endpoints within group
+
+        apiTableHtml += `
+            </tbody>
+        </table>
+        </div>`;
+        groupedApiHtml += apiTableHtml; // Add table for the group
+    }); // End loop for groups
+
+    groupedApiHtml += `<p class="text-muted mt-2"><small><span class="text-danger fw-bold">*</span> 表示必需参数</small></p>`;
+
+
+    // Construct the full HTML page with Bootstrap 5
+    const homeHtmlContent = `
+<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>API 转发服务</title>
+    <!-- 新 Bootstrap5 核心 CSS 文件 -->
+    <link rel="stylesheet" href="https://lf26-cdn-tos.bytecdntp.com/cdn/expire-1-M/twitter-bootstrap/5.1.3/css/bootstrap.min.css">
+    <!-- Optional: Bootstrap Icons CDN (using cdnjs) -->
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/bootstrap-icons/1.11.3/font/bootstrap-icons.min.css">
+    <!-- Pinyin Library for Emoticon Fetching (using unpkg) -->
+    <script src="https://unpkg.com/pinyin-pro@3.26.0/dist/index.js"></script> 
+    <style>
+        /* v0 Style Adjustments */
+        :root {
+            --v0-background: #ffffff; /* White background */
+            --v0-foreground: #111827; /* Darker gray text (Tailwind gray-900) */
+            --v0-muted: #f9fafb; /* Lighter gray for muted backgrounds (Tailwind gray-50) */
+            --v0-muted-foreground: #6b7280; /* Medium gray for muted text (Tailwind gray-500) */
+            --v0-border: #e5e7eb; /* Light gray border (Tailwind gray-200) */
+            --v0-input: #d1d5db; /* Input border (Tailwind gray-300) */
+            --v0-primary: #111827; /* Primary color (button bg) - Dark gray */
+            --v0-primary-foreground: #ffffff; /* Text on primary button - White */
+            --v0-secondary: #f3f4f6; /* Secondary button bg (Tailwind gray-100) */
+            --v0-secondary-foreground: #1f2937; /* Text on secondary button (Tailwind gray-800) */
+            --v0-card: #ffffff; /* Card background */
+            --v0-card-foreground: #111827; /* Card text */
+            --v0-radius: 0.5rem; /* Default border radius */
+            --v0-radius-lg: 0.75rem; /* Larger radius */
+            --v0-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06); /* Subtle shadow */
+        }
+        body { 
+            padding-top: 2rem; 
+            padding-bottom: 4rem; 
+            background-color: var(--v0-muted); /* Use muted for page background */
+            color: var(--v0-foreground);
+            font-family: ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans", sans-serif, "Apple Color Emoji", "Segoe UI Emoji", "Segoe UI Symbol", "Noto Color Emoji"; /* Tailwind default font stack */
+        }
+        .container { max-width: 1140px; }
+        
+        /* Card Styles */
+        .card { 
+            background-color: var(--v0-card);
+            color: var(--v0-card-foreground);
+            border: 1px solid var(--v0-border); 
+            border-radius: var(--v0-radius-lg); /* Larger radius */
+            box-shadow: var(--v0-shadow); /* Use shadow variable */
+            margin-bottom: 1.5rem;
+        }
+        .card-header {
+            background-color: var(--v0-card); 
+            border-bottom: 1px solid var(--v0-border);
+            padding: 1rem 1.5rem; /* Increased padding */
+            font-weight: 600; /* Bolder header */
+            border-radius: var(--v0-radius-lg) var(--v0-radius-lg) 0 0; /* Match card radius */
+        }
+        .card-body { padding: 1.5rem; }
+        .card-footer { 
+            background-color: var(--v0-muted); 
+            border-top: 1px solid var(--v0-border);
+            color: var(--v0-muted-foreground);
+            padding: 0.75rem 1.5rem; /* Match header padding */
+            border-radius: 0 0 var(--v0-radius-lg) var(--v0-radius-lg); /* Match card radius */
+        }
+        .card img { 
+            max-height: 180px; /* Slightly smaller max height */
+            object-fit: contain; 
+            border-radius: calc(var(--v0-radius-lg) - 1px) calc(var(--v0-radius-lg) - 1px) 0 0; /* Match card radius */
+        }
+        
+        /* Button Styles */
+        .btn {
+             border-radius: var(--v0-radius);
+             padding: 0.5rem 1rem; /* Slightly smaller padding */
+             font-size: 0.875rem; /* Smaller font size */
+             font-weight: 500;
+             transition: background-color 0.15s ease-in-out, border-color 0.15s ease-in-out, color 0.15s ease-in-out, box-shadow 0.15s ease-in-out;
+             border: 1px solid transparent; /* Ensure border exists for consistent sizing */
+             line-height: 1.25rem; /* Ensure consistent height */
+        }
+        .btn:focus-visible { /* Modern focus ring */
+             outline: 2px solid transparent;
+             outline-offset: 2px;
+             box-shadow: 0 0 0 2px var(--v0-background), 0 0 0 4px var(--v0-primary);
+        }
+        .btn-primary {
+            background-color: var(--v0-primary);
+            border-color: var(--v0-primary);
+            color: var(--v0-primary-foreground);
+        }
+        .btn-primary:hover {
+            background-color: #374151; /* Tailwind gray-700 */
+            border-color: #374151;
+            color: var(--v0-primary-foreground);
+        }
+        .btn-outline-primary {
+             color: var(--v0-primary);
+             border-color: var(--v0-input); /* Use input border color */
+             background-color: var(--v0-background);
+        }
+         .btn-outline-primary:hover {
+             background-color: var(--v0-secondary);
+             color: var(--v0-secondary-foreground);
+             border-color: var(--v0-input);
+         }
+         .btn-success { /* For copy button success state */
+             background-color: #22c55e; /* Tailwind green-500 */
+             border-color: #22c55e;
+             color: #ffffff;
+         }
+         .btn-success:hover {
+             background-color: #16a34a; /* Tailwind green-600 */
+             border-color: #16a34a;
+             color: #ffffff;
+         }
+        .btn-lg { padding: 0.75rem 1.5rem; font-size: 1rem; }
+        .btn-sm { padding: 0.25rem 0.75rem; font-size: 0.75rem; border-radius: calc(var(--v0-radius) - 0.125rem); }
+
+        /* Table Styles */
+        .table { 
+            border-color: var(--v0-border); 
+            margin-bottom: 0; 
+        }
+        .table th, .table td { 
+            vertical-align: middle; 
+            padding: 0.75rem 1rem; /* Adjusted padding */
+            border-top: 1px solid var(--v0-border);
+            font-size: 0.875rem; /* Smaller font */
+            line-height: 1.25rem;
+        }
+        .table thead th {
+            border-bottom: 1px solid var(--v0-border); /* Standard border */
+            background-color: var(--v0-muted); 
+            color: var(--v0-muted-foreground); /* Muted text for header */
+            font-weight: 500;
+            text-transform: uppercase; /* Uppercase headers */
+            letter-spacing: 0.05em; /* Slight letter spacing */
+            font-size: 0.75rem; /* Smaller header font */
+        }
+        .table-striped > tbody > tr:nth-of-type(odd) > * {
+             background-color: var(--v0-muted); /* Use muted for striping */
+             color: var(--v0-foreground);
+        }
+        .table-hover > tbody > tr:hover > * {
+             background-color: #f3f4f6; /* Tailwind gray-100 */
+             color: var(--v0-foreground);
+        }
+        .table-bordered { border: 1px solid var(--v0-border); }
+        .table-bordered th, .table-bordered td { border: 1px solid var(--v0-border); }
+        .table-responsive { margin-bottom: 1rem; border: 1px solid var(--v0-border); border-radius: var(--v0-radius); overflow: hidden; } /* Add border/radius to responsive container */
+
+        /* Code & Pre Styles */
+        code { 
+            font-size: 0.875em; 
+            color: var(--v0-foreground); 
+            background-color: var(--v0-secondary); /* Use secondary bg */
+            padding: 0.2em 0.4em;
+            border-radius: 0.25rem; /* Slightly smaller radius */
+            font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace; /* Monospace font */
+        }
+        pre {
+            background-color: var(--v0-secondary); /* Use secondary bg */
+            border: 1px solid var(--v0-border);
+            border-radius: var(--v0-radius);
+            padding: 1rem;
+            color: var(--v0-foreground);
+            white-space: pre-wrap; 
+            word-break: break-word; 
+            font-size: 0.875rem;
+            line-height: 1.5;
+            font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace; /* Monospace font */
+        }
+        
+        /* Alert Styles */
+        .alert {
+             border-radius: var(--v0-radius);
+             border: 1px solid transparent;
+             padding: 0.75rem 1rem; /* Adjusted padding */
+             font-size: 0.875rem;
+        }
+        .alert-info {
+             color: #0c5460; /* Keep original colors for now */
+             background-color: #d1ecf1;
+             border-color: #bee5eb;
+        }
+        .alert-info .bi { 
+             margin-right: 0.5rem;
+             vertical-align: text-bottom; /* Align icon better */
+        }
+
+        /* Other Styles */
+        .p-5 { padding: 3rem !important; } /* Increased padding */
+        .py-5 { padding-top: 3rem !important; padding-bottom: 3rem !important; }
+        .mb-4 { margin-bottom: 1.5rem !important; }
+        .mt-4 { margin-top: 1.5rem !important; }
+        .mt-3 { margin-top: 1rem !important; }
+        .mt-2 { margin-top: 0.5rem !important; }
+        .bg-light { background-color: var(--v0-card) !important; border: 1px solid var(--v0-border); } /* Use card bg and add border */
+        .rounded-3 { border-radius: var(--v0-radius-lg) !important; } /* Use large radius */
+        .text-muted { color: var(--v0-muted-foreground) !important; }
+        .fw-bold { font-weight: 600 !important; } 
+        .display-5 { font-size: 2.25rem; font-weight: 700; } /* Slightly smaller, bolder */
+        .fs-4 { font-size: 1.125rem; line-height: 1.75rem; } /* Adjusted size and line height */
+        h1, h2, h3, h5 { font-weight: 600; color: var(--v0-foreground); }
+        h2.h5 { font-size: 1rem; font-weight: 600; } /* Adjust size for card headers */
+        hr.my-1 { margin-top: 0.25rem !important; margin-bottom: 0.25rem !important; opacity: 0.1;}
+        .badge { border-radius: 0.375rem; padding: 0.25em 0.6em; font-weight: 500; font-size: 0.75rem; } /* Smaller badge */
+        .bg-primary { background-color: var(--v0-primary) !important; color: var(--v0-primary-foreground); }
+        .bg-secondary { background-color: var(--v0-secondary) !important; color: var(--v0-secondary-foreground); }
+    </style>
+</head>
+<body>
+    <main class="container">
+        <div class="p-5 mb-4 bg-light rounded-3">
+          <div class="container-fluid py-5">
+            <h1 class="display-5 fw-bold">API 转发服务</h1>
+            <p class="col-md-8 fs-4">使用此服务转发 API 请求。所有配置均可通过管理页面动态修改。</p>
+             <a href="/admin" class="btn btn-primary btn-lg" role="button"><i class="bi bi-gear-fill"></i> 前往管理页面</a>
+             <a href="/status" class="btn btn-outline-primary btn-lg" role="button"><i class="bi bi-activity"></i> 上游状态</a>
+          </div>
+        </div>
+        
+        <!-- LLM 提示词生成卡片 -->
+        <div class="card mb-4">
+            <div class="card-header d-flex justify-content-between align-items-center">
+                <h2 class="h5 mb-0">LLM 提示词</h2>
+                <button id="copy-prompt-btn" class="btn btn-sm btn-outline-primary"><i class="bi bi-clipboard"></i> 复制</button>
+            </div>
+            <div class="card-body">
+                <div class="alert alert-info mb-2">
+                    <small><i class="bi bi-info-circle"></i> 以下是自动生成的 LLM 提示词，适合嵌入到 YAML 文件中。每行都有适当的缩进，复制后可直接粘贴到配置文件中。</small>
+                </div>
+                <pre id="llm-prompt" class="bg-light p-3 rounded" style="white-space: pre-wrap; word-break: break-word; font-size: 0.875rem;">${llmPrompt}</pre>
+            </div>
+        </div>
+
+        <div class="card mb-4">
+            <div class="card-header"><h2 class="h5 mb-0">可用 API 端点</h2></div>
+            <div class="card-body">
+                ${groupedApiHtml}
+            </div>
+        </div>
+
+        <div class="card">
+             <div class="card-header"><h2 class="h5 mb-0">示例</h2></div>
+             <div class="card-body">
+                <div class="row row-cols-1 row-cols-md-3 g-4">
+                    <div class="col">
+                        <div class="card h-100 text-center">
+                            <img src="/doro" class="card-img-top p-3" alt="随机 doro 贴纸">
+                            <div class="card-footer text-muted"><small>随机 Doro 贴纸 (<code>/doro</code>)</small></div>
+                        </div>
+                    </div>
+                     <div class="col">
+                        <div class="card h-100 text-center">
+                            <img src="/anime1" class="card-img-top p-3" alt="随机二次元图片">
+                            <div class="card-footer text-muted"><small>随机二次元图片 (<code>/anime1</code>)</small></div>
+                        </div>
+                    </div>
+                     <div class="col">
+                        <div class="card h-100 text-center">
+                            <img src="/baisi" class="card-img-top p-3" alt="白丝图片">
+                            <div class="card-footer text-muted"><small>白丝图片 (<code>/baisi</code>)</small></div>
+                        </div>
+                    </div>
+                </div>
+                <p class="text-muted mt-3"><small>注意：示例图片可能因 API 端点配置更改而变化。</small></p>
+             </div>
+        </div>
+    </main>
+    <!-- Popper.js -->
+    <script src="https://lf6-cdn-tos.bytecdntp.com/cdn/expire-1-M/popper.js/2.11.2/umd/popper.min.js"></script>
+    <!-- Bootstrap 5 JS -->
+    <script src="https://lf26-cdn-tos.bytecdntp.com/cdn/expire-1-M/twitter-bootstrap/5.1.3/js/bootstrap.min.js"></script>
+    
+    <!-- 复制按钮脚本 -->
+    <script>
+        document.addEventListener('DOMContentLoaded', function() {
+            const promptElement = document.getElementById('llm-prompt');
+            const copyButton = document.getElementById('copy-prompt-btn');
+            
+            if (promptElement && copyButton) {
+                // 复制按钮功能
+                copyButton.addEventListener('click', () => {
+                    const textToCopy = promptElement.textContent;
+                    navigator.clipboard.writeText(textToCopy).then(() => {
+                        // 显示复制成功提示
+                        const originalText = copyButton.innerHTML;
+                        copyButton.innerHTML = '<i class="bi bi-check"></i> 已复制';
+                        copyButton.classList.remove('btn-outline-primary');
+                        copyButton.classList.add('btn-success');
+                        
+                        setTimeout(() => {
+                            copyButton.innerHTML = originalText;
+                            copyButton.classList.remove('btn-success');
+                            copyButton.classList.add('btn-outline-primary');
+                        }, 2000);
+                    }).catch(err => {
+                        console.error('复制失败:', err);
+                        alert('复制失败，请手动复制');
+                    });
+                });
+            }
+        });
+    </script>
+</body>
+</html>
+`;
+    res.setHeader('Content-Type', 'text/html');
+    res.send(homeHtmlContent);
+});
+
+// --- Admin Interface Routes ---
+// 验证管理员权限的中间件
+async function checkAdminAuth(req, res, next) {
+    // 检查cookie中的会话
+    const sessionId = unsignSessionCookie(req.cookies?.[adminCookieName]);
+    let session = null;
+    if (sessionId) {
+        try {
+            session = await getAdminSession(sessionId);
+        } catch (error) {
+            console.error('[Auth] Failed to read admin session:', error);
+            return res.status(503).json({ error: 'Session store unavailable' });
+        }
+    }
+    const adminUser = session ? findAdminUser(session.username) : null;
+
+    // 如果会话有效且账户仍然存在，允许访问
+    if (adminUser) {
+        req.adminUser = adminUser;
+        req.adminSessionId = sessionId;
+        return next();
+    }
+    
+    // 如果是API请求，返回401状态码
+    if (req.path.startsWith('/config') || req.path.startsWith('/api/') || req.headers.accept?.includes('application/json')) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    // 否则重定向到登录页面
+    res.redirect('/admin-login');
+}
+
+// 登录页面
+app.get('/admin-login', (req, res) => {
+    console.log("[Router] Handling request for /admin-login");
+    const loginHtmlContent = `
+<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>API 转发管理登录</title>
+    <link rel="stylesheet" href="https://lf26-cdn-tos.bytecdntp.com/cdn/expire-1-M/twitter-bootstrap/5.1.3/css/bootstrap.min.css">
+    <style>
+        /* v0 Style Adjustments */
+        :root {
+            --v0-background: #ffffff; /* White background */
+            --v0-foreground: #09090b; /* Near black text */
+            --v0-muted: #f9fafb; /* Lighter gray (Tailwind gray-50) */
+            --v0-muted-foreground: #6b7280; /* Medium gray (Tailwind gray-500) */
+            --v0-border: #e5e7eb; /* Light gray border (Tailwind gray-200) */
+            --v0-input: #d1d5db; /* Input border (Tailwind gray-300) */
+            --v0-primary: #111827; /* Dark gray (Tailwind gray-900) */
+            --v0-primary-foreground: #ffffff; /* White */
+            --v0-destructive: #ef4444; /* Red (Tailwind red-500) */
+            --v0-destructive-foreground: #ffffff; /* White */
+            --v0-card: #ffffff; /* Card background */
+            --v0-card-foreground: #111827; /* Card text */
+            --v0-radius: 0.5rem; /* Default border radius */
+            --v0-radius-lg: 0.75rem; /* Larger radius */
+            --v0-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06); /* Subtle shadow */
+        }
+        body { 
+            background-color: var(--v0-muted); 
+            height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-family: ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans", sans-serif, "Apple Color Emoji", "Segoe UI Emoji", "Segoe UI Symbol", "Noto Color Emoji"; /* Tailwind default font stack */
+            color: var(--v0-foreground);
+        }
+        .login-container {
+            max-width: 400px;
+            width: 100%;
+            padding: 2.5rem; 
+            background-color: var(--v0-card);
+            border-radius: var(--v0-radius-lg); /* Larger radius */
+            border: 1px solid var(--v0-border);
+            box-shadow: var(--v0-shadow); /* Use shadow variable */
+        }
+        .login-header {
+            text-align: center;
+            margin-bottom: 2rem;
+        }
+        .login-header h2 {
+            font-size: 1.5rem; /* Slightly smaller heading */
+            font-weight: 600;
+            color: var(--v0-foreground);
+            margin-bottom: 0.5rem;
+        }
+        .login-header p {
+            color: var(--v0-muted-foreground);
+            font-size: 0.875rem; /* Smaller text */
+        }
+        .error-message {
+            color: var(--v0-destructive); 
+            background-color: #fef2f2; /* Tailwind red-50 */
+            border: 1px solid #fca5a5; /* Tailwind red-300 */
+            border-radius: var(--v0-radius); /* Standard radius */
+            padding: 0.75rem 1rem;
+            margin-bottom: 1.5rem;
+            font-size: 0.875rem;
+            display: none; 
+        }
+        .form-label {
+            font-weight: 500;
+            margin-bottom: 0.5rem;
+            font-size: 0.875rem;
+            color: var(--v0-foreground);
+        }
+        .form-control {
+            display: block;
+            width: 100%;
+            padding: 0.5rem 0.75rem; /* Adjusted padding */
+            font-size: 0.875rem; /* Smaller font */
+            font-weight: 400;
+            line-height: 1.5;
+            color: var(--v0-foreground);
+            background-color: var(--v0-background);
+            background-clip: padding-box;
+            border: 1px solid var(--v0-input);
+            appearance: none;
+            border-radius: var(--v0-radius);
+            transition: border-color .15s ease-in-out,box-shadow .15s ease-in-out;
+        }
+        .form-control:focus {
+            color: var(--v0-foreground);
+            background-color: var(--v0-background);
+            border-color: var(--v0-primary); 
+            outline: 0;
+            box-shadow: 0 0 0 2px var(--v0-background), 0 0 0 4px var(--v0-primary); /* Modern focus ring */
+        }
+        .btn {
+             border-radius: var(--v0-radius);
+             padding: 0.5rem 1rem; /* Adjusted padding */
+             font-size: 0.875rem; /* Smaller font */
+             font-weight: 500;
+             transition: background-color 0.15s ease-in-out, border-color 0.15s ease-in-out, color 0.15s ease-in-out, box-shadow 0.15s ease-in-out;
+             display: inline-flex; 
+             align-items: center;
+             justify-content: center;
+             line-height: 1.25rem; /* Consistent height */
+             border: 1px solid transparent;
+        }
+         .btn:focus-visible { /* Modern focus ring */
+             outline: 2px solid transparent;
+             outline-offset: 2px;
+             box-shadow: 0 0 0 2px var(--v0-background), 0 0 0 4px var(--v0-primary);
+        }
+        .btn-primary {
+            background-color: var(--v0-primary);
+            border-color: var(--v0-primary);
+            color: var(--v0-primary-foreground);
+        }
+        .btn-primary:hover {
+            background-color: #374151; /* Tailwind gray-700 */
+            border-color: #374151;
+            color: var(--v0-primary-foreground);
+        }
+        .w-100 { width: 100% !important; }
+        .mb-3 { margin-bottom: 1rem !important; } /* Reduced margin */
+    </style>
+</head>
+<body>
+    <div class="login-container">
+        <div class="login-header">
+            <h2>API 转发管理登录</h2>
+            <p class="text-muted">请输入管理员账户和密码进行登录</p>
+        </div>
+        <div id="error-message" class="error-message"></div>
+        <form id="login-form">
+            <div class="mb-3">
+                <label for="username" class="form-label">用户名</label>
+                <input type="text" class="form-control" id="username" value="${builtinAdminUsername}" autocomplete="username" required>
+            </div>
+            <div class="mb-3">
+                <label for="password" class="form-label">密码</label>
+                <input type="password" class="form-control" id="password" autocomplete="current-password" required>
+            </div>
+            <button type="submit" class="btn btn-primary w-100">登录</button>
+        </form>
+    </div>
+
+    <script>
+        const form = document.getElementById('login-form');
+        const errorMessage = document.getElementById('error-message');
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const username = document.getElementById('username').value.trim();
+            const password = document.getElementById('password').value;
+            
+            try {
+                const response = await fetch('/admin-auth', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ username, password })
+                });
+                
+                if (response.ok) {
+                    // 登录成功，重定向到管理页面
+                    window.location.href = '/admin';
+                } else {
+                    // 显示错误信息
+                    const data = await response.json();
+                    errorMessage.textContent = data.error || '登录失败，请检查用户名和密码是否正确';
+                    errorMessage.style.display = 'block';
+                }
+            } catch (error) {
+                errorMessage.textContent = '登录请求失败，请重试';
+                errorMessage.style.display = 'block';
+                console.error('Login error:', error);
+            }
+        });
+    </script>
+</body>
+</html>
+    `;
+    res.setHeader('Content-Type', 'text/html');
+    res.send(loginHtmlContent);
+});
+
+// 处理登录请求
+app.post('/admin-auth', express.json(), async (req, res) => {
+    const clientIp = req.ip;
+    const lockSeconds = getLoginLockSeconds(clientIp);
+    if (lockSeconds > 0) {
+        res.setHeader('Retry-After', lockSeconds);
+        return res.status(429).json({ error: `登录失败次数过多，请在 ${Math.ceil(lockSeconds / 60)} 分钟后重试` });
+    }
+
+    // 兼容旧的登录方式：只提交 token 时视为内置管理员登录
+    const username = String(req.body?.username || builtinAdminUsername).trim();
+    const password = String(req.body?.password ?? req.body?.token ?? '');
+    const adminUser = findAdminUser(username);
+    if (adminUser === builtinAdminUser) await builtinAdminPasswordHashPromise;
+    const passwordValid = await verifyAdminPassword(password, adminUser ? adminUser.passwordHash : await dummyAdminPasswordHashPromise);
+
+    if (!adminUser || !passwordValid) {
+        recordLoginFailure(clientIp);
+        console.warn(`[Auth] Failed admin login for '${username}' from ${clientIp}.`);
+        return res.status(401).json({ error: '用户名或密码错误' });
+    }
+
+    loginFailures.delete(clientIp);
+    try {
+        const sessionId = await createAdminSession(adminUser.username);
+        res.cookie(adminCookieName, signSessionId(sessionId), {
+            maxAge: adminSessionMaxAgeMs,
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure
+        });
+    } catch (error) {
+        console.error('[Auth] Failed to create admin session:', error);
+        return res.status(503).json({ error: '无法创建会话，请稍后重试' });
+    }
+    console.log(`[Auth] Admin '${adminUser.username}' logged in from ${clientIp}.`);
+    res.json({ success: true, username: adminUser.username });
+});
+
+// 管理员退出
+app.get('/admin-logout', async (req, res) => {
+    const sessionId = unsignSessionCookie(req.cookies?.[adminCookieName]);
+    if (sessionId) {
+        try {
+            await destroyAdminSession(sessionId);
+        } catch (error) {
+            console.error('[Auth] Failed to destroy admin session:', error);
+        }
+    }
+    res.clearCookie(adminCookieName);
+    res.redirect('/admin-login');
+});
+
+// --- Admin Account Management ---
+function toPublicAdminUser(user) {
+    return { username: user.username, role: user.role, builtin: !!user.builtin, createdAt: user.createdAt || null };
+}
+
+app.get('/api/admin/users', checkAdminAuth, requireAdminRole('owner'), (req, res) => {
+    const users = adminUsers.map(toPublicAdminUser);
+    if (isBuiltinAdminActive() && !adminUsers.some(user => user.username === builtinAdminUser.username)) {
+        users.unshift(toPublicAdminUser(builtinAdminUser));
+    }
+    res.json({ currentUser: req.adminUser.username, usingDefaultToken: isUsingDefaultAdminToken && isBuiltinAdminActive(), users });
+});
+
+app.post('/api/admin/users', checkAdminAuth, requireAdminRole('owner'), async (req, res) => {
+    const username = String(req.body?.username || '').trim();
+    const password = String(req.body?.password || '');
+    if (!/^[\w.@-]{1,64}$/.test(username)) {
+        return res.status(400).json({ error: 'Username must be 1-64 characters of letters, digits, "_", ".", "@" or "-".' });
+    }
+    if (password.length < minAdminPasswordLength) {
+        return res.status(400).json({ error: `Password must be at least ${minAdminPasswordLength} characters.` });
+    }
+    const role = req.body?.role || 'viewer';
+    if (!adminRoles.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${adminRoles.join(', ')}.` });
+    }
+    if (adminUsers.some(user => user.username === username) || username === builtinAdminUser.username) {
+        return res.status(409).json({ error: `Admin '${username}' already exists.` });
+    }
+    const user = { username, passwordHash: await hashAdminPassword(password), role, createdAt: new Date().toISOString() };
+    if (!hasActiveOwner([...adminUsers, user])) {
+        return res.status(400).json({ error: 'Creating this account would disable the default admin and leave no owner. Create an owner account first.' });
+    }
+    adminUsers.push(user);
+    try {
+        await persistAdminUsers(user);
+    } catch (error) {
+        adminUsers = adminUsers.filter(item => item !== user);
+        console.error('Error saving admin account:', error);
+        return res.status(500).json({ error: 'Failed to save admin account.' });
+    }
+    console.log(`[Auth] Admin '${req.adminUser.username}' created admin account '${username}'.`);
+    res.status(201).json(toPublicAdminUser(user));
+});
+
+// 修改密码（并注销该账户的其他会话）或角色。任何人都可以修改自己的密码，其他修改需要 owner
+app.patch('/api/admin/users/:username', checkAdminAuth, async (req, res) => {
+    const isSelf = req.params.username === req.adminUser.username;
+    if ((!isSelf || req.body?.role !== undefined) && !hasAdminRole(req.adminUser, 'owner')) {
+        return sendRoleForbidden(req, res, 'owner');
+    }
+    const user = adminUsers.find(item => item.username === req.params.username);
+    if (!user) {
+        return res.status(404).json({ error: req.params.username === builtinAdminUser.username ? 'The built-in admin is configured by ADMIN_TOKEN.' : 'Admin not found.' });
+    }
+    const password = req.body?.password;
+    if (password !== undefined && String(password).length < minAdminPasswordLength) {
+        return res.status(400).json({ error: `Password must be at least ${minAdminPasswordLength} characters.` });
+    }
+    const role = req.body?.role;
+    if (role !== undefined && !adminRoles.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${adminRoles.join(', ')}.` });
+    }
+    if (role !== undefined && !hasActiveOwner(adminUsers.map(item => item === user ? { ...item, role } : item))) {
+        return res.status(400).json({ error: 'At least one owner must remain.' });
+    }
+    const previous = { ...user };
+    if (password !== undefined) user.passwordHash = await hashAdminPassword(String(password));
+    if (role !== undefined) user.role = role;
+    try {
+        await persistAdminUsers(user);
+        if (password !== undefined) await destroyUserSessions(user.username, req.adminSessionId);
+    } catch (error) {
+        Object.assign(user, previous);
+        console.error('Error updating admin account:', error);
+        return res.status(500).json({ error: 'Failed to update admin account.' });
+    }
+    res.json(toPublicAdminUser(user));
+});
+
+app.delete('/api/admin/users/:username', checkAdminAuth, requireAdminRole('owner'), async (req, res) => {
+    const username = req.params.username;
+    if (username === req.adminUser.username) {
+        return res.status(400).json({ error: 'You cannot delete your own account.' });
+    }
+    if (!adminUsers.some(user => user.username === username)) {
+        return res.status(404).json({ error: username === builtinAdminUser.username ? 'The built-in admin cannot be deleted.' : 'Admin not found.' });
+    }
+    if (!hasActiveOwner(adminUsers.filter(user => user.username !== username))) {
+        return res.status(400).json({ error: 'At least one owner must remain.' });
+    }
+    const previousUsers = adminUsers;
+    adminUsers = adminUsers.filter(user => user.username !== username);
+    try {
+        await persistAdminUsers(null, username);
+        await destroyUserSessions(username);
+    } catch (error) {
+        adminUsers = previousUsers;
+        console.error('Error deleting admin account:', error);
+        return res.status(500).json({ error: 'Failed to delete admin account.' });
+    }
+    console.log(`[Auth] Admin '${req.adminUser.username}' deleted admin account '${username}'.`);
+    res.json({ message: 'Admin deleted.' });
+});
+
+// 管理界面（需要验证）
+app.get('/admin', checkAdminAuth, (req, res) => {
+    console.log("[Router] Handling request for /admin (Admin Interface)");
+    const adminHtmlContent = `
+<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>API 转发配置管理</title>
+    <!-- 新 Bootstrap5 核心 CSS 文件 -->
+    <link rel="stylesheet" href="https://lf26-cdn-tos.bytecdntp.com/cdn/expire-1-M/twitter-bootstrap/5.1.3/css/bootstrap.min.css">
+    <!-- Optional: Bootstrap Icons CDN (using cdnjs) -->
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/bootstrap-icons/1.11.3/font/bootstrap-icons.min.css">
+    <!-- Pinyin Library for Emoticon Fetching (using unpkg) -->
+    <script src="https://unpkg.com/pinyin-pro@3.26.0/dist/index.js"></script>
+    <style>
+        /* v0 Style Adjustments */
+        :root {
+            --v0-background: #ffffff; /* White background */
+            --v0-foreground: #09090b; /* Near black text */
+            --v0-muted: #f9fafb; /* Lighter gray (Tailwind gray-50) */
+            --v0-muted-foreground: #6b7280; /* Medium gray (Tailwind gray-500) */
+            --v0-border: #e5e7eb; /* Light gray border (Tailwind gray-200) */
+            --v0-input: #d1d5db; /* Input border (Tailwind gray-300) */
+            --v0-primary: #111827; /* Dark gray (Tailwind gray-900) */
+            --v0-primary-foreground: #ffffff; /* White */
+            --v0-secondary: #f3f4f6; /* Secondary button bg (Tailwind gray-100) */
+            --v0-secondary-foreground: #1f2937; /* Text on secondary button (Tailwind gray-800) */
+            --v0-destructive: #ef4444; /* Red (Tailwind red-500) */
+            --v0-destructive-foreground: #ffffff; /* White */
+            --v0-success: #22c55e; /* Green (Tailwind green-500) */
+            --v0-success-foreground: #ffffff; /* White */
+            --v0-card: #ffffff; /* Card background */
+            --v0-card-foreground: #111827; /* Card text */
+            --v0-radius: 0.5rem; /* Default border radius */
+            --v0-radius-sm: 0.375rem; /* Smaller radius */
+            --v0-radius-lg: 0.75rem; /* Larger radius */
+            --v0-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06); /* Subtle shadow */
+        }
+        body { 
+            background-color: var(--v0-muted); 
+            padding-top: 2rem; 
+            padding-bottom: 4rem; 
+            font-family: ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans", sans-serif, "Apple Color Emoji", "Segoe UI Emoji", "Segoe UI Symbol", "Noto Color Emoji"; /* Tailwind default font stack */
+            color: var(--v0-foreground);
+        }
+        .container { max-width: 960px; }
+        
+        /* Card Styles */
+        .card { 
+            background-color: var(--v0-card);
+            color: var(--v0-card-foreground);
+            border: 1px solid var(--v0-border); 
+            border-radius: var(--v0-radius-lg); 
+            box-shadow: var(--v0-shadow); /* Use shadow variable */
+            margin-bottom: 1.5rem; 
+        }
+        .card-header { 
+            background-color: var(--v0-card); 
+            border-bottom: 1px solid var(--v0-border);
+            padding: 1rem 1.5rem; 
+            font-weight: 600; 
+            display: flex; 
+            justify-content: space-between; 
+            align-items: center; 
+            border-radius: var(--v0-radius-lg) var(--v0-radius-lg) 0 0; 
+        }
+        .card-body { padding: 1.5rem; }
+
+        /* API Key Input in Header */
+        .api-key-input { 
+            font-weight: 600; 
+            border: none; 
+            border-bottom: 1px solid var(--v0-input); /* Use input border color */
+            padding: 0.25rem 0.5rem; 
+            background: transparent; 
+            color: var(--v0-primary); 
+            margin-left: 0.5rem; 
+            width: auto; 
+            max-width: 250px; 
+            border-radius: 0; 
+            transition: border-color 0.15s ease-in-out, box-shadow 0.15s ease-in-out;
+            font-size: 1rem; /* Match header font size */
+        }
+        .api-key-input:focus { 
+            outline: none; 
+            border-bottom-color: var(--v0-primary); 
+            box-shadow: 0 1px 0 0 var(--v0-primary); /* Subtle bottom focus shadow */
+        }
+        
+        /* Form Elements */
+        .form-label {
+            font-weight: 500;
+            font-size: 0.875rem;
+            color: var(--v0-foreground);
+            margin-bottom: 0.375rem; /* Adjusted margin */
+        }
+        .col-form-label { padding-top: calc(0.5rem + 1px); padding-bottom: calc(0.5rem + 1px); font-size: 0.875rem; } 
+        .form-control, .form-select {
+            display: block;
+            width: 100%;
+            padding: 0.5rem 0.75rem; 
+            font-size: 0.875rem; 
+            font-weight: 400;
+            line-height: 1.25rem; /* Consistent line height */
+            color: var(--v0-foreground);
+            background-color: var(--v0-background);
+            background-clip: padding-box;
+            border: 1px solid var(--v0-input);
+            appearance: none;
+            border-radius: var(--v0-radius); 
+            transition: border-color .15s ease-in-out,box-shadow .15s ease-in-out;
+        }
+        textarea.form-control { min-height: calc(1.25rem * 3 + 1rem + 2px); } /* Adjust based on line height */
+        .form-control:focus, .form-select:focus {
+            color: var(--v0-foreground);
+            background-color: var(--v0-background);
+            border-color: var(--v0-primary);
+            outline: 0;
+            box-shadow: 0 0 0 2px var(--v0-background), 0 0 0 4px var(--v0-primary); /* Modern focus ring */
+        }
+        .form-control[readonly] {
+             background-color: var(--v0-muted);
+             opacity: 0.7; /* Slightly faded */
+             cursor: not-allowed;
+        }
+        .form-check-input {
+             width: 1em; /* Standard size */
+             height: 1em;
+             margin-top: 0.25em; /* Adjust alignment */
+             border-radius: 0.25em;
+             border: 1px solid var(--v0-input);
+        }
+        .form-check-input:focus {
+             border-color: var(--v0-primary);
+             outline: 0;
+             box-shadow: 0 0 0 2px var(--v0-background), 0 0 0 4px var(--v0-primary);
+        }
+        .form-check-input:checked {
+             background-color: var(--v0-primary);
+             border-color: var(--v0-primary);
+        }
+        .form-switch .form-check-input {
+             width: 2em; /* Standard switch width */
+             margin-left: -2.5em;
+             background-image: url("data:image/svg+xml,%3csvg xmlns='http://www.w3.org/2000/svg' viewBox='-4 -4 8 8'%3e%3ccircle r='3' fill='rgba(107, 114, 128, 0.25)'/%3e%3c/svg%3e"); /* Gray-500 at 25% opacity */
+             background-position: left center;
+             border-radius: 2em;
+             transition: background-position .15s ease-in-out;
+        }
+        .form-switch .form-check-input:focus {
+             background-image: url("data:image/svg+xml,%3csvg xmlns='http://www.w3.org/2000/svg' viewBox='-4 -4 8 8'%3e%3ccircle r='3' fill='rgba(107, 114, 128, 0.25)'/%3e%3c/svg%3e");
+        }
+        .form-switch .form-check-input:checked {
+             background-position: right center;
+             background-image: url("data:image/svg+xml,%3csvg xmlns='http://www.w3.org/2000/svg' viewBox='-4 -4 8 8'%3e%3ccircle r='3' fill='%23fff'/%3e%3c/svg%3e"); 
+        }
+        .form-check-label { font-size: 0.875rem; padding-left: 0.5em; } /* Add padding for switch */
+        
+        /* Buttons */
+        .btn {
+             border-radius: var(--v0-radius);
+             padding: 0.5rem 1rem; 
+             font-size: 0.875rem;
+             font-weight: 500;
+             transition: background-color 0.15s ease-in-out, border-color 0.15s ease-in-out, color 0.15s ease-in-out, opacity 0.15s ease-in-out, box-shadow 0.15s ease-in-out;
+             display: inline-flex;
+             align-items: center;
+             justify-content: center;
+             gap: 0.375rem; /* Reduced gap */
+             line-height: 1.25rem; /* Consistent height */
+             border: 1px solid transparent;
+        }
+         .btn:focus-visible { /* Modern focus ring */
+             outline: 2px solid transparent;
+             outline-offset: 2px;
+             box-shadow: 0 0 0 2px var(--v0-background), 0 0 0 4px var(--v0-primary);
+        }
+        .btn-primary {
+            background-color: var(--v0-primary); border-color: var(--v0-primary); color: var(--v0-primary-foreground);
+        }
+        .btn-primary:hover { background-color: #374151; border-color: #374151; color: var(--v0-primary-foreground); } /* Tailwind gray-700 */
+        .btn-primary:disabled { background-color: var(--v0-primary); border-color: var(--v0-primary); color: var(--v0-primary-foreground); opacity: 0.5; cursor: not-allowed; }
+        
+        .btn-success { 
+            background-color: var(--v0-success); border-color: var(--v0-success); color: var(--v0-success-foreground);
+        }
+        .btn-success:hover { background-color: #16a34a; border-color: #16a34a; } /* Tailwind green-600 */
+        
+        .btn-danger { 
+            background-color: var(--v0-destructive); border-color: var(--v0-destructive); color: var(--v0-destructive-foreground);
+        }
+        .btn-danger:hover { background-color: #dc2626; border-color: #dc2626; } /* Tailwind red-600 */
+        
+        .btn-outline-secondary { 
+             color: var(--v0-secondary-foreground);
+             border-color: var(--v0-input);
+             background-color: var(--v0-background);
+        }
+         .btn-outline-secondary:hover {
+             background-color: var(--v0-secondary);
+             border-color: var(--v0-input);
+             color: var(--v0-secondary-foreground);
+         }
+        
+        .btn-sm { padding: 0.25rem 0.75rem; font-size: 0.75rem; border-radius: var(--v0-radius-sm); gap: 0.25rem; }
+        .btn-lg { padding: 0.625rem 1.25rem; font-size: 1rem; } /* Adjusted large button */
+        .save-button .spinner-border { width: 1em; height: 1em; border-width: .15em; } /* Thinner spinner */
+
+        /* Specific Sections */
+        .proxy-settings, .query-params { 
+            margin-top: 1.5rem; 
+            padding-top: 1.5rem; 
+            border-top: 1px solid var(--v0-border); 
+        }
+        .proxy-settings h5, .query-params h5 {
+             font-size: 0.875rem; /* Smaller heading */
+             font-weight: 600;
+             margin-bottom: 1rem;
+             color: var(--v0-foreground);
+             text-transform: uppercase; /* Uppercase subheadings */
+             letter-spacing: 0.05em;
+        }
+        .param-item { 
+            border: 1px solid var(--v0-border); 
+            padding: 1rem; 
+            margin-bottom: 1rem; 
+            border-radius: var(--v0-radius); 
+            background-color: var(--v0-muted); /* Muted background for param items */
+            position: relative; 
+        }
+        .param-item .remove-param-button { 
+            position: absolute; 
+            top: 0.5rem; 
+            right: 0.5rem; 
+            padding: 0.1rem 0.4rem; 
+            background-color: var(--v0-background); /* Ensure visibility on muted bg */
+            border-color: var(--v0-border);
+            color: var(--v0-destructive);
+        }
+         .param-item .remove-param-button:hover {
+             background-color: var(--v0-destructive);
+             border-color: var(--v0-destructive);
+             color: var(--v0-destructive-foreground);
+         }
+        .global-setting-item { 
+            padding: 1rem 1.5rem; 
+            border: 1px solid var(--v0-border); 
+            background-color: var(--v0-muted); 
+            border-radius: var(--v0-radius); 
+            margin-bottom: 1.5rem; 
+        }
+        .group-title { 
+            margin-top: 2rem; /* Reduced top margin */
+            margin-bottom: 1rem; 
+            font-size: 1.125rem; /* Adjusted group title size */
+            font-weight: 600;
+            color: var(--v0-muted-foreground); 
+            border-bottom: 1px solid var(--v0-border); 
+            padding-bottom: 0.5rem; 
+        }
+        .group-title:first-of-type { margin-top: 0; } 
+
+        /* Alert/Message Styles */
+        #message { 
+            margin-top: 1.5rem; 
+            border-radius: var(--v0-radius);
+            padding: 0.75rem 1rem; /* Adjusted padding */
+            font-size: 0.875rem;
+        }
+        .alert-success {
+             color: #0f5132; /* Tailwind green-800 */
+             background-color: #d1fae5; /* Tailwind green-100 */
+             border-color: #a7f3d0; /* Tailwind green-200 */
+        }
+        .alert-danger {
+             color: #991b1b; /* Tailwind red-800 */
+             background-color: #fee2e2; /* Tailwind red-100 */
+             border-color: #fca5a5; /* Tailwind red-300 */
+        }
+        
+        /* Tooltip */
+        .tooltip-icon { cursor: help; color: var(--v0-muted-foreground); margin-left: 0.25rem; vertical-align: middle; }
+        .tooltip-inner { background-color: var(--v0-primary); color: var(--v0-primary-foreground); font-size: 0.75rem; padding: 0.375rem 0.625rem; border-radius: var(--v0-radius-sm); box-shadow: var(--v0-shadow); }
+        .tooltip.bs-tooltip-top .tooltip-arrow::before { border-top-color: var(--v0-primary); }
+        .tooltip.bs-tooltip-bottom .tooltip-arrow::before { border-bottom-color: var(--v0-primary); }
+        .tooltip.bs-tooltip-start .tooltip-arrow::before { border-left-color: var(--v0-primary); }
+        .tooltip.bs-tooltip-end .tooltip-arrow::before { border-right-color: var(--v0-primary); }
+
+        /* Utility Overrides */
+        .mb-4 { margin-bottom: 1.5rem !important; }
+        .mt-4 { margin-top: 1.5rem !important; }
+        .text-muted { color: var(--v0-muted-foreground) !important; }
+        .text-sm-end { text-align: right !important; } 
+        .h3 { font-size: 1.25rem; font-weight: 600; } /* Smaller main heading */
+        .spinner-border { color: var(--v0-primary); }
+        .spinner-border-sm { width: 1rem; height: 1rem; border-width: 0.15em; }
+        /* Role-based visibility (enforced again on the server) */
+        body.role-viewer .requires-editor, body:not(.role-owner) .requires-owner { display: none !important; }
+    </style>
+</head>
+<body class="role-${req.adminUser.role}">
+    <main class="container">
+        <div class="d-flex justify-content-between align-items-center mb-4 flex-wrap gap-2">
+            <h1 class="h3 mb-0">API 转发配置管理</h1>
+             <div class="d-flex gap-2 flex-wrap">
+                 <button type="button" class="btn btn-info fetch-emoticons-button requires-editor" onclick="fetchAndAddEmoticons(this)" disabled><i class="bi bi-cloud-download"></i> 在线拉取表情包</button>
+                 <button type="button" class="btn btn-secondary requires-editor" onclick="addNewGroup()"><i class="bi bi-folder-plus"></i> 添加新分组</button> <!-- Add New Group Button -->
+                 <button type="button" class="btn btn-success add-endpoint-button requires-editor" onclick="addApiEndpoint()"><i class="bi bi-plus-lg"></i> 添加新 API 端点</button>
+                 ${req.adminUser.builtin ? '' : `<button type="button" class="btn btn-outline-secondary" onclick="changeAdminPassword('${req.adminUser.username}')"><i class="bi bi-key"></i> 修改密码</button>`}
+                 <a href="/admin-logout" class="btn btn-outline-secondary" title="当前用户：${req.adminUser.username}"><i class="bi bi-box-arrow-right"></i> 退出登录（${req.adminUser.username} · ${{ viewer: '只读', editor: '编辑', owner: '所有者' }[req.adminUser.role]}）</a>
+             </div>
+        </div>
+
+        ${configStore.readOnly ? `<div class="alert alert-info" role="alert"><i class="bi bi-lock"></i> 当前配置来自只读存储（<code>CONFIG_STORE=${configStore.name}</code>），无法在此保存修改。</div>` : ''}
+        ${configLoadFailed ? `<div class="alert alert-danger" role="alert"><i class="bi bi-database-exclamation"></i> 无法从存储（${configStore.name}）读取配置，当前显示的是备用配置（本地文件或空配置），保存已被禁用。存储恢复后会自动加载其中的配置，请稍后刷新页面。</div>` : (!isMongoHealthy() ? `<div class="alert alert-warning" role="alert"><i class="bi bi-database-exclamation"></i> MongoDB 连接异常（${mongoState.status}），保存配置、调用密钥和登录会话等功能可能失败。</div>` : '')}
+        ${isUsingDefaultAdminToken && req.adminUser.builtin ? `<div class="alert alert-danger" role="alert"><i class="bi bi-exclamation-triangle"></i> 当前使用默认管理令牌 <code>admin</code> 登录，任何人都可以访问此页面。请设置环境变量 <code>ADMIN_TOKEN</code>，或在下方“管理员账户”中创建一个所有者账户（创建后默认账户将被停用）。</div>` : ''}
+
+        <p class="text-muted mb-4">在这里修改、添加或删除 API 转发规则。点击“在线拉取表情包”可自动添加常用表情包 API。所有更改将在点击下方“保存所有配置”按钮后**立即生效**。</p>
+
+        <div id="config-errors-alert" class="alert alert-warning" role="alert" style="display: none;"></div>
+
+        <!-- Batch Actions Section -->
+        <div id="batch-actions-section" class="card mb-4" style="display: none;">
+            <div class="card-body d-flex flex-wrap align-items-center gap-3">
+                 <div class="d-flex flex-wrap align-items-center gap-3 requires-editor">
+                     <div class="form-check">
+                         <input class="form-check-input" type="checkbox" value="" id="select-all-checkbox" onchange="toggleSelectAll(this.checked)">
+                         <label class="form-check-label" for="select-all-checkbox">
+                             全选/取消
+                         </label>
+                     </div>
+                     <button id="batch-delete-button" type="button" class="btn btn-danger btn-sm" onclick="batchDeleteEndpoints()" disabled>
+                         <i class="bi bi-trash"></i> 批量删除 (<span id="selected-count">0</span>)
+                     </button>
+                     <div class="input-group input-group-sm" style="max-width: 300px;">
+                         <label class="input-group-text" for="batch-move-group-select">移动到分组:</label>
+                         <select class="form-select" id="batch-move-group-select" disabled>
+                             <option value="" selected disabled>选择目标分组...</option>
+                             {/* Group options will be populated by JS */}
+                         </select>
+                         <button id="batch-move-button" class="btn btn-outline-primary" type="button" onclick="batchMoveGroup()" disabled>
+                             <i class="bi bi-folder-symlink"></i> 移动
+                         </button>
+                     </div>
+                 </div>
+                 <div class="d-flex flex-wrap gap-2 ms-auto">
+                     <a class="btn btn-outline-secondary btn-sm" href="/api/admin/export" download title="下载包含所有端点和全局设置的配置文件">
+                         <i class="bi bi-download"></i> 导出全部
+                     </a>
+                     <button id="export-selected-button" type="button" class="btn btn-outline-secondary btn-sm requires-editor" onclick="exportSelectedEndpoints()" disabled>
+                         <i class="bi bi-download"></i> 导出所选
+                     </button>
+                     <button type="button" class="btn btn-outline-primary btn-sm requires-editor" onclick="document.getElementById('import-file-input').click()" title="从导出的配置文件导入端点">
+                         <i class="bi bi-upload"></i> 导入
+                     </button>
+                     <input type="file" id="import-file-input" class="d-none" accept=".json,application/json" onchange="previewImportFile(this)">
+                 </div>
+             </div>
+             <div id="import-panel" class="card-body border-top requires-editor" style="display: none;">
+                 <div class="d-flex flex-wrap align-items-center gap-3 mb-3">
+                     <strong>导入 <span id="import-file-name"></span></strong>
+                     <div class="input-group input-group-sm" style="max-width: 280px;">
+                         <label class="input-group-text" for="import-mode-select">已存在的端点:</label>
+                         <select class="form-select" id="import-mode-select" onchange="refreshImportPreview()">
+                             <option value="skip" selected>跳过</option>
+                             <option value="overwrite">覆盖</option>
+                             <option value="rename">重命名后导入</option>
+                         </select>
+                     </div>
+                     <div class="form-check">
+                         <input class="form-check-input" type="checkbox" id="import-settings-checkbox" onchange="refreshImportPreview()">
+                         <label class="form-check-label" for="import-settings-checkbox">同时导入全局设置</label>
+                     </div>
+                 </div>
+                 <div id="import-preview"></div>
+                 <div class="d-flex gap-2 mt-3">
+                     <button id="import-confirm-button" type="button" class="btn btn-primary btn-sm" onclick="confirmImport()" disabled>
+                         <i class="bi bi-check-lg"></i> 确认导入
+                     </button>
+                     <button type="button" class="btn btn-outline-secondary btn-sm" onclick="closeImportPanel()">取消</button>
+                 </div>
+             </div>
+        </div>
+
+        <!-- Global Settings Card -->
+        <div class="card mb-4">
+            <div class="card-header">
+                <h2 class="h5 mb-0">AI绘图 基础tag</h2>
+            </div>
+            <div class="card-body">
+                 <div class="row mb-3 align-items-center global-setting-item">
+                     <label for="baseTag" class="col-sm-3 col-form-label text-sm-end" title="用于 AI 绘图 API 的通用附加标签">AI基础 Tag:</label>
+                     <div class="col-sm-8">
+                         <input type="text" class="form-control" id="baseTag" name="baseTag" placeholder="例如: masterpiece%20best%20quality">
+                     </div>
+                     <div class="col-sm-1">
+                          <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="这个 Tag 会自动附加到 AI 绘图请求的末尾，以提升图像质量。请使用 URL 编码格式。"></i>
+                     </div>
+                 </div>
+            </div>
+        </div>
+
+        <!-- Global Rate Limit Card -->
+        <div class="card mb-4">
+            <div class="card-header">
+                <h2 class="h5 mb-0">全局限流</h2>
+            </div>
+            <div class="card-body">
+                 <div class="row mb-3 align-items-center global-setting-item">
+                     <label for="rateLimitEnabled" class="col-sm-3 form-check-label text-sm-end">启用限流:</label>
+                     <div class="col-sm-8">
+                         <div class="form-check form-switch">
+                             <input class="form-check-input" type="checkbox" role="switch" id="rateLimitEnabled">
+                         </div>
+                     </div>
+                 </div>
+                 <div class="row mb-3 align-items-center global-setting-item">
+                     <label for="rateLimitLimit" class="col-sm-3 col-form-label text-sm-end">默认频率:</label>
+                     <div class="col-sm-5">
+                         <div class="input-group">
+                             <input type="number" min="1" class="form-control" id="rateLimitLimit" placeholder="60" aria-label="请求次数">
+                             <span class="input-group-text">次 /</span>
+                             <input type="number" min="1" class="form-control" id="rateLimitWindow" placeholder="60" aria-label="时间窗口（秒）">
+                             <span class="input-group-text">秒</span>
+                         </div>
+                     </div>
+                     <div class="col-sm-1">
+                          <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="每个客户端 IP 在每个端点上的默认请求频率限制。端点可以单独设置自定义限流或不限流。"></i>
+                     </div>
+                 </div>
+            </div>
+        </div>
+
+        <!-- Image Cache Stats Card -->
+        <div class="card mb-4">
+            <div class="card-header d-flex justify-content-between align-items-center">
+                <h2 class="h5 mb-0">图片缓存统计</h2>
+                <div class="d-flex gap-2">
+                    <button type="button" class="btn btn-outline-secondary btn-sm" onclick="loadCacheStats()"><i class="bi bi-arrow-clockwise"></i> 刷新</button>
+                    <button type="button" class="btn btn-outline-danger btn-sm requires-editor" onclick="clearCache()"><i class="bi bi-trash"></i> 清空缓存</button>
+                </div>
+            </div>
+            <div class="card-body" id="cache-stats-container">
+                <p class="text-muted mb-0">点击“刷新”查看缓存命中情况。</p>
+            </div>
+        </div>
+
+        <!-- Config History Card -->
+        <div class="card mb-4">
+            <div class="card-header d-flex justify-content-between align-items-center">
+                <h2 class="h5 mb-0">配置历史</h2>
+                <div class="d-flex gap-2 align-items-center">
+                    <div class="input-group input-group-sm" style="width: auto;">
+                        <span class="input-group-text">对比版本</span>
+                        <input type="number" min="1" class="form-control" id="diffFrom" style="max-width: 5rem;" aria-label="起始版本">
+                        <span class="input-group-text">→</span>
+                        <input type="text" class="form-control" id="diffTo" style="max-width: 5rem;" placeholder="当前" aria-label="目标版本">
+                        <button type="button" class="btn btn-outline-secondary" onclick="showConfigDiff(document.getElementById('diffFrom').value, document.getElementById('diffTo').value || 'current')">对比</button>
+                    </div>
+                    <button type="button" class="btn btn-outline-secondary btn-sm" onclick="loadConfigHistory()"><i class="bi bi-arrow-clockwise"></i> 刷新</button>
+                </div>
+            </div>
+            <div class="card-body">
+                <div id="config-diff-container" class="mb-3" style="display: none;"></div>
+                <div id="config-history-container">
+                    <p class="text-muted mb-0">正在加载配置历史...</p>
+                </div>
+            </div>
+        </div>
+
+        <!-- Consumer API Keys Card -->
+        <div class="card mb-4 requires-owner">
+            <div class="card-header d-flex justify-content-between align-items-center">
+                <h2 class="h5 mb-0">调用密钥</h2>
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="loadConsumerKeys()"><i class="bi bi-arrow-clockwise"></i> 刷新</button>
+            </div>
+            <div class="card-body">
+                <div class="row g-2 mb-3 align-items-end">
+                    <div class="col-sm-3">
+                        <label for="newKeyName" class="form-label small">名称</label>
+                        <input type="text" class="form-control form-control-sm" id="newKeyName" placeholder="例如：我的博客">
+                    </div>
+                    <div class="col-sm-3">
+                        <label for="newKeyGroups" class="form-label small">允许的分组</label>
+                        <input type="text" class="form-control form-control-sm" id="newKeyGroups" placeholder="逗号分隔，留空为全部">
+                    </div>
+                    <div class="col-sm-3">
+                        <label for="newKeyEndpoints" class="form-label small">允许的端点</label>
+                        <input type="text" class="form-control form-control-sm" id="newKeyEndpoints" placeholder="逗号分隔，留空为全部">
+                    </div>
+                    <div class="col-sm-2">
+                        <label for="newKeyQuota" class="form-label small">每日配额</label>
+                        <input type="number" min="0" class="form-control form-control-sm" id="newKeyQuota" placeholder="0 = 不限">
+                    </div>
+                    <div class="col-sm-1">
+                        <button type="button" class="btn btn-primary btn-sm w-100" onclick="createConsumerKey()"><i class="bi bi-plus-lg"></i> 创建</button>
+                    </div>
+                </div>
+                <div id="consumer-keys-container">
+                    <p class="text-muted mb-0">正在加载密钥...</p>
+                </div>
+            </div>
+        </div>
+
+        <!-- Admin Accounts Card -->
+        <div class="card mb-4 requires-owner">
+            <div class="card-header d-flex justify-content-between align-items-center">
+                <h2 class="h5 mb-0">管理员账户</h2>
+                <button type="button" class="btn btn-outline-secondary btn-sm" onclick="loadAdminUsers()"><i class="bi bi-arrow-clockwise"></i> 刷新</button>
+            </div>
+            <div class="card-body">
+                <div class="row g-2 mb-3 align-items-end">
+                    <div class="col-sm-3">
+                        <label for="newAdminUsername" class="form-label small">用户名</label>
+                        <input type="text" class="form-control form-control-sm" id="newAdminUsername" autocomplete="off">
+                    </div>
+                    <div class="col-sm-2">
+                        <label for="newAdminRole" class="form-label small">角色</label>
+                        <select class="form-select form-select-sm" id="newAdminRole">
+                            <option value="viewer">只读</option>
+                            <option value="editor">编辑</option>
+                            <option value="owner">所有者</option>
+                        </select>
+                    </div>
+                    <div class="col-sm-4">
+                        <label for="newAdminPassword" class="form-label small">密码</label>
+                        <input type="password" class="form-control form-control-sm" id="newAdminPassword" autocomplete="new-password" placeholder="至少 8 个字符">
+                    </div>
+                    <div class="col-sm-3">
+                        <button type="button" class="btn btn-primary btn-sm w-100" onclick="createAdminUser()"><i class="bi bi-person-plus"></i> 添加管理员</button>
+                    </div>
+                </div>
+                <div id="admin-users-container">
+                    <p class="text-muted mb-0">正在加载管理员账户...</p>
+                </div>
+            </div>
+        </div>
+
+        <form id="config-form">
+            <div id="api-configs-container">
+                <!-- Initial Loading Indicator -->
+                 <div class="text-center">
+                    <div class="spinner-border text-primary" role="status">
+                        <span class="visually-hidden">正在加载配置...</span>
+                    </div>
+                    <p class="mt-2">正在加载配置...</p>
+                </div>
+            </div>
+
+            <!-- Global settings placeholder removed -->
+
+
+            <input type="text" class="form-control mt-4 requires-editor" id="saveMessage" maxlength="500" placeholder="保存说明（可选），会记录在配置历史中">
+            <button type="submit" class="btn btn-primary w-100 btn-lg save-button mt-3 requires-editor">
+                 <i class="bi bi-save"></i> 保存所有配置
+            </button>
+        </form>
+        <div id="message" class="alert mt-4" role="alert" style="display: none;"></div>
+    </main>
+
+    <!-- Bootstrap 5 JS Bundle CDN -->
+    <script src="https://lf6-cdn-tos.bytecdntp.com/cdn/expire-1-M/popper.js/2.11.2/umd/popper.min.js"></script>
+    <script src="https://lf26-cdn-tos.bytecdntp.com/cdn/expire-1-M/twitter-bootstrap/5.1.3/js/bootstrap.min.js"></script>
+    <script>
+        const currentAdminRole = '${req.adminUser.role}';
+        // 服务器加载配置时发现的 Schema 错误
+        const loadedConfigErrors = ${JSON.stringify(configValidationErrors).replace(/</g, '\\u003c')};
+        const adminRoleLabels = { viewer: '只读', editor: '编辑', owner: '所有者' };
+        const form = document.getElementById('config-form');
+        const apiConfigsContainer = document.getElementById('api-configs-container');
+        // Get baseTag input from its new location
+        const baseTagInput = document.getElementById('baseTag'); // Directly get the input now
+        const messageDiv = document.getElementById('message');
+        let currentConfigData = { apiUrls: {}, baseTag: "" };
+        let upstreamHealthData = {};
+        // 最近一次从服务器加载的状态：保存时只提交有变化的端点，并通过 If-Match 检测并发修改
+        let savedEndpoints = {}; // 端点路径 -> { etag, snapshot }
+        let savedSettings = { etag: null, snapshot: null };
+        let savedKeyAliases = {}; // 卡片的原始路径 -> 已在服务器上重命名后的路径
+        let bootstrapTooltipList = [];
+
+        function showMessage(text, type = 'success') {
+            messageDiv.textContent = text;
+            messageDiv.className = \`alert alert-\${type === 'success' ? 'success' : 'danger'} mt-4\`;
+            messageDiv.style.display = 'block';
+            messageDiv.setAttribute('role', 'alert');
+            messageDiv.scrollIntoView({ behavior: 'smooth', block: 'end' });
+            setTimeout(() => {
+                 messageDiv.style.display = 'none';
+            }, 7000);
+        }
+
+        function sanitizeApiKey(key) {
+            // Remove any characters that are not letters, numbers, hyphens, or underscores
+            let sanitized = key.replace(/[^a-zA-Z0-9-_]/g, ''); 
+            // Allow keys to start with numbers
+            return sanitized;
+        }
+
+        function initializeTooltips(container) {
+            if (typeof bootstrap === 'undefined' || typeof bootstrap.Tooltip === 'undefined') {
+                console.warn('Bootstrap Tooltip component not ready yet, skipping initialization.');
+                return;
+            }
+            const tooltipTriggerList = [].slice.call(container.querySelectorAll('[data-bs-toggle="tooltip"]'));
+            const newTooltips = tooltipTriggerList.map(function (tooltipTriggerEl) {
+                const existingTooltip = bootstrap.Tooltip.getInstance(tooltipTriggerEl);
+                if (existingTooltip) { existingTooltip.dispose(); }
+                try { return new bootstrap.Tooltip(tooltipTriggerEl); }
+                catch (e) { console.error("Failed to initialize tooltip:", tooltipTriggerEl, e); return null; }
+            }).filter(Boolean);
+            bootstrapTooltipList = bootstrapTooltipList.concat(newTooltips);
+        }
+
+        function disposeAllTooltips() {
+             if (typeof bootstrap !== 'undefined' && bootstrap.Tooltip) {
+                 bootstrapTooltipList.forEach(tooltip => { try { tooltip.dispose(); } catch (e) { console.warn("Error disposing tooltip:", e); } });
+             }
+             bootstrapTooltipList = [];
+        }
+
+        function renderApiEndpoint(apiKey, configEntry) {
+            const card = document.createElement('div');
+            card.className = 'card';
+            card.setAttribute('data-api-key', apiKey);
+
+            const cardHeader = document.createElement('div');
+            cardHeader.className = 'card-header d-flex justify-content-between align-items-center'; // Use flexbox for alignment
+            cardHeader.innerHTML = \`
+                <div class="d-flex align-items-center">
+                     <input class="form-check-input me-2 endpoint-checkbox" type="checkbox" value="\${apiKey}" onchange="handleCheckboxChange()">
+                     <span>端点: /<input type="text" value="\${apiKey}" class="api-key-input" aria-label="API 端点路径" placeholder="路径名" required></span>
+                </div>
+                <button type="button" class="btn btn-danger btn-sm delete-endpoint-button" aria-label="删除此端点" onclick="removeApiEndpoint(this.closest('.card'))">
+                    <i class="bi bi-trash"></i> 删除
+                </button>\`;
+            card.appendChild(cardHeader);
+
+            const cardBody = document.createElement('div');
+            cardBody.className = 'card-body';
+
+            // Group Input
+            cardBody.innerHTML += \`
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-group" class="col-sm-3 col-form-label text-sm-end" title="用于分类显示的组名">分组:</label>
+                    <div class="col-sm-9">
+                        <input type="text" class="form-control" id="ep-\${apiKey}-group" name="\${apiKey}-group" value="\${configEntry.group || ''}" placeholder="例如: AI绘图, 表情包">
+                    </div>
+                </div>\`;
+
+            // Description, URL, Method... (rest of the innerHTML generation is the same as before)
+             // Description
+            cardBody.innerHTML += \`
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-description" class="col-sm-3 col-form-label text-sm-end" title="这个 API 端点的用途说明">描述:</label>
+                    <div class="col-sm-9">
+                        <textarea class="form-control" id="ep-\${apiKey}-description" name="\${apiKey}-description" placeholder="例如：获取随机猫咪图片">\${configEntry.description || ''}</textarea>
+                    </div>
+                </div>\`;
+
+            // URL
+            cardBody.innerHTML += \`
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-url" class="col-sm-3 col-form-label text-sm-end" title="目标 API 的基础地址">目标 URL:</label>
+                    <div class="col-sm-8">
+                        <input type="text" class="form-control" id="ep-\${apiKey}-url" name="\${apiKey}-url" value="\${configEntry.url || ''}" placeholder="https://api.example.com/data 或 https://api.example.com/{category}" required>
+                    </div>
+                     <div class="col-sm-1">
+                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="可以写成模板：{参数名} 替换为查询参数的值，支持 {tags|urlencode}、{size|default:large}、{#seed}&seed={seed}{/seed} 等写法。使用模板时查询参数不会自动附加到地址后面。"></i>
+                     </div>
+                </div>\`;
+
+            // Method Dropdown
+            cardBody.innerHTML += \`
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-method" class="col-sm-3 col-form-label text-sm-end" title="服务器处理此请求的方式">处理方式:</label>
+                    <div class="col-sm-8">
+                        <select class="form-select" id="ep-\${apiKey}-method" name="\${apiKey}-method">
+                            <option value="redirect" \${configEntry.method === 'redirect' ? 'selected' : ''}>浏览器重定向 (302)</option>
+                            <option value="proxy" \${configEntry.method === 'proxy' ? 'selected' : ''}>服务器代理请求</option>
+                            <option value="stream" \${configEntry.method === 'stream' ? 'selected' : ''}>服务器中转图片</option>
+                        </select>
+                    </div>
+                     <div class="col-sm-1">
+                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title='"重定向": 服务器告诉浏览器去访问目标 URL。"代理": 服务器代替浏览器去访问目标 URL，然后将结果返回给浏览器。"中转": 服务器下载图片后直接返回图片内容，适用于有防盗链或不接受跨域重定向的场景。'></i>
+                     </div>
+                </div>\`;
+
+            // Rate Limit Override
+            const rateLimitMode = configEntry.rateLimit === false ? 'off' : (configEntry.rateLimit ? 'custom' : 'default');
+            cardBody.innerHTML += \`
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-rateLimitMode" class="col-sm-3 col-form-label text-sm-end" title="此端点的限流规则">限流:</label>
+                    <div class="col-sm-3">
+                        <select class="form-select" id="ep-\${apiKey}-rateLimitMode" name="\${apiKey}-rateLimitMode">
+                            <option value="default" \${rateLimitMode === 'default' ? 'selected' : ''}>使用全局设置</option>
+                            <option value="custom" \${rateLimitMode === 'custom' ? 'selected' : ''}>自定义</option>
+                            <option value="off" \${rateLimitMode === 'off' ? 'selected' : ''}>不限流</option>
+                        </select>
+                    </div>
+                    <div class="col-sm-5">
+                        <div class="input-group">
+                            <input type="number" min="1" class="form-control" id="ep-\${apiKey}-rateLimitLimit" value="\${configEntry.rateLimit?.limit ?? ''}" placeholder="次数" aria-label="请求次数">
+                            <span class="input-group-text">次 /</span>
+                            <input type="number" min="1" class="form-control" id="ep-\${apiKey}-rateLimitWindow" value="\${configEntry.rateLimit?.windowSeconds ?? ''}" placeholder="秒" aria-label="时间窗口（秒）">
+                            <span class="input-group-text">秒</span>
+                        </div>
+                    </div>
+                     <div class="col-sm-1">
+                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="每个客户端 IP 在此端点上的请求频率限制（令牌桶）。选择“自定义”时填写次数和时间窗口，超出后返回 429。"></i>
+                     </div>
+                </div>\`;
+
+            // Access Control
+            cardBody.innerHTML += \`
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-access" class="col-sm-3 col-form-label text-sm-end" title="调用此端点是否需要密钥">访问权限:</label>
+                    <div class="col-sm-8">
+                        <select class="form-select" id="ep-\${apiKey}-access" name="\${apiKey}-access" \${configEntry.access === 'key' && currentAdminRole !== 'owner' ? 'disabled title="只有所有者可以将需要密钥的端点改为公开"' : ''}>
+                            <option value="public" \${configEntry.access !== 'key' ? 'selected' : ''}>公开</option>
+                            <option value="key" \${configEntry.access === 'key' ? 'selected' : ''}>需要调用密钥</option>
+                        </select>
+                    </div>
+                     <div class="col-sm-1">
+                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="需要调用密钥时，请求须通过 X-API-Key 请求头或 key 参数携带在“调用密钥”中创建的密钥。"></i>
+                     </div>
+                </div>\`;
+
+            // Upstreams Container (additional upstreams for failover)
+            const upstreamsDiv = document.createElement('div');
+            upstreamsDiv.className = 'upstreams mt-3 pt-3 border-top';
+            upstreamsDiv.innerHTML = \`
+                <h5>上游与故障转移</h5>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-upstreamStrategy" class="col-sm-3 col-form-label text-sm-end" title="存在多个上游时的选择方式">选择策略:</label>
+                    <div class="col-sm-8">
+                        <select class="form-select" id="ep-\${apiKey}-upstreamStrategy" name="\${apiKey}-upstreamStrategy">
+                            <option value="weighted" \${configEntry.upstreamStrategy !== 'roundRobin' ? 'selected' : ''}>按权重随机</option>
+                            <option value="roundRobin" \${configEntry.upstreamStrategy === 'roundRobin' ? 'selected' : ''}>按权重轮询</option>
+                        </select>
+                    </div>
+                     <div class="col-sm-1">
+                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="目标 URL 与下方的备用上游一起参与选择。连续失败 3 次的上游会暂时标记为不健康，代理请求失败时自动切换到下一个上游。权重为 0 的上游只在其他上游都失败时使用。"></i>
+                     </div>
+                </div>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-weight" class="col-sm-3 col-form-label text-sm-end" title="目标 URL 的权重">目标 URL 权重:</label>
+                    <div class="col-sm-3">
+                        <input type="number" min="0" class="form-control" id="ep-\${apiKey}-weight" name="\${apiKey}-weight" value="\${configEntry.weight ?? 1}">
+                    </div>
+                    <div class="col-sm-6">\${renderUpstreamHealthBadge(apiKey, configEntry.url)}</div>
+                </div>\`;
+            const upstreamsListDiv = document.createElement('div');
+            upstreamsListDiv.id = \`ep-\${apiKey}-upstreams-list\`;
+            (configEntry.upstreams || []).forEach(upstream => {
+                renderUpstream(upstreamsListDiv, apiKey, upstream);
+            });
+            upstreamsDiv.appendChild(upstreamsListDiv);
+
+            const addUpstreamButton = document.createElement('button');
+            addUpstreamButton.type = 'button';
+            addUpstreamButton.innerHTML = '<i class="bi bi-plus-circle"></i> 添加备用上游';
+            addUpstreamButton.className = 'btn btn-outline-secondary btn-sm mt-2';
+            addUpstreamButton.onclick = () => renderUpstream(upstreamsListDiv, apiKey, { url: '', weight: 1 });
+            upstreamsDiv.appendChild(addUpstreamButton);
+            cardBody.appendChild(upstreamsDiv);
+
+            // Proxy Settings Container
+            const proxySettingsDiv = document.createElement('div');
+            proxySettingsDiv.className = 'proxy-settings mt-3 pt-3 border-top';
+            proxySettingsDiv.style.display = (configEntry.method === 'proxy' || configEntry.method === 'stream') ? 'block' : 'none';
+            proxySettingsDiv.innerHTML = '<h5>代理设置</h5>';
+            // 字段名由查询参数决定的端点（如通用转发）不在此处编辑提取方式
+            const fieldFromParam = configEntry.proxySettings?.imageUrlFieldFromParam;
+
+            // Image URL Extractor
+            proxySettingsDiv.innerHTML += \`
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-extractorType" class="col-sm-3 col-form-label text-sm-end" title="如何从目标 API 的响应中找出图片链接">提取方式:</label>
+                    <div class="col-sm-8">
+                        <select class="form-select" id="ep-\${apiKey}-extractorType" name="\${apiKey}-extractorType" \${fieldFromParam ? 'disabled' : ''}>
+                            <option value="">字段路径（JSON，用点分隔）</option>
+                            <option value="jsonPath">JSONPath</option>
+                            <option value="regex">正则表达式（文本响应）</option>
+                            <option value="css">CSS 选择器（HTML 响应）</option>
+                        </select>
+                    </div>
+                    <div class="col-sm-1">
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="JSONPath 支持 [0]、[-1]、[*]、[1:3] 和 ..key，例如 $.data[*].urls.original；正则表达式有捕获组时取第一个捕获组；CSS 选择器取匹配元素的属性（默认 src），相对链接会按目标地址补全。"></i>
+                    </div>
+                </div>\`;
+
+            // Image URL Field / Extractor Expression
+            proxySettingsDiv.innerHTML += \`
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-imageUrlField" class="col-sm-3 col-form-label text-sm-end" title="包含图片链接的字段路径，或所选提取方式的表达式">图片链接字段:</label>
+                    <div class="col-sm-8">
+                        <input type="text" class="form-control" id="ep-\${apiKey}-imageUrlField" name="\${apiKey}-imageUrlField" placeholder="例如: data.url、$.data[*].url 或 img.main" \${fieldFromParam ? 'readonly' : ''}>
+                    </div>
+                     <div class="col-sm-1">
+                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="\${fieldFromParam ? \`此端点的图片链接字段由 '\${escapeHtml(fieldFromParam)}' 查询参数决定（以 $ 开头时按 JSONPath 解析）。\` : '用于从响应中提取图片链接。字段路径用点(.)访问嵌套字段，如 "result.data.imageUrl"。如果为空，则不尝试提取。'}"></i>
+                     </div>
+                </div>
+                <div class="row mb-3 align-items-center" id="ep-\${apiKey}-extractorOptions">
+                    <label for="ep-\${apiKey}-extractorPick" class="col-sm-3 col-form-label text-sm-end">匹配到多个时:</label>
+                    <div class="col-sm-3">
+                        <select class="form-select" id="ep-\${apiKey}-extractorPick" name="\${apiKey}-extractorPick">
+                            <option value="first">取第一个</option>
+                            <option value="random">随机取一个</option>
+                        </select>
+                    </div>
+                    <div class="col-sm-5 extractor-regex-option">
+                        <input type="text" class="form-control" id="ep-\${apiKey}-extractorFlags" name="\${apiKey}-extractorFlags" placeholder="正则标志（可选），如 i">
+                    </div>
+                    <div class="col-sm-5 extractor-css-option">
+                        <input type="text" class="form-control" id="ep-\${apiKey}-extractorAttribute" name="\${apiKey}-extractorAttribute" placeholder="读取的属性，默认 src">
+                    </div>
+                </div>
+                <div class="row mb-3">
+                    <div class="col-sm-8 offset-sm-3">
+                        <button type="button" class="btn btn-outline-secondary btn-sm" id="ep-\${apiKey}-extractorTestToggle"><i class="bi bi-play-circle"></i> 用示例响应测试</button>
+                        <div id="ep-\${apiKey}-extractorTestPanel" style="display: none;">
+                            <textarea class="form-control font-monospace mt-2" rows="5" id="ep-\${apiKey}-extractorSample" placeholder="粘贴目标 API 返回的 JSON、文本或 HTML"></textarea>
+                            <button type="button" class="btn btn-outline-primary btn-sm mt-2" id="ep-\${apiKey}-extractorTestButton">测试提取</button>
+                            <div class="small mt-2" id="ep-\${apiKey}-extractorResult"></div>
+                        </div>
+                    </div>
+                </div>\`;
+
+
+            // Image URL Validation
+            const urlValidation = configEntry.proxySettings?.urlValidation || 'extension';
+            const allowedMediaTypes = configEntry.proxySettings?.allowedMediaTypes || ['image'];
+            proxySettingsDiv.innerHTML += \`
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-urlValidation" class="col-sm-3 col-form-label text-sm-end" title="重定向前如何确认提取到的链接指向图片">图片链接校验:</label>
+                    <div class="col-sm-4">
+                        <select class="form-select" id="ep-\${apiKey}-urlValidation" name="\${apiKey}-urlValidation">
+                            <option value="extension" \${urlValidation === 'extension' ? 'selected' : ''}>检查扩展名</option>
+                            <option value="head" \${urlValidation === 'head' ? 'selected' : ''}>HEAD 请求检查 Content-Type</option>
+                            <option value="sniff" \${urlValidation === 'sniff' ? 'selected' : ''}>下载文件头识别</option>
+                            <option value="off" \${urlValidation === 'off' ? 'selected' : ''}>不检查</option>
+                        </select>
+                    </div>
+                    <div class="col-sm-4">
+                        <div class="form-check form-check-inline">
+                            <input class="form-check-input" type="checkbox" id="ep-\${apiKey}-allowVideo" \${allowedMediaTypes.includes('video') ? 'checked' : ''}>
+                            <label class="form-check-label" for="ep-\${apiKey}-allowVideo">允许视频</label>
+                        </div>
+                        <div class="form-check form-check-inline">
+                            <input class="form-check-input" type="checkbox" id="ep-\${apiKey}-allowAudio" \${allowedMediaTypes.includes('audio') ? 'checked' : ''}>
+                            <label class="form-check-label" for="ep-\${apiKey}-allowAudio">允许音频</label>
+                        </div>
+                    </div>
+                    <div class="col-sm-1">
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="仅对代理（proxy）方式生效。“检查扩展名”要求链接路径以 .jpg、.png 等结尾；没有扩展名的 CDN 链接可以改用 HEAD 请求或文件头识别（结果缓存一分钟）。中转（stream）方式总是在下载时检查内容类型。"></i>
+                    </div>
+                </div>\`;
+
+            // Fallback Action Dropdown
+            proxySettingsDiv.innerHTML += \`
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-fallbackAction" class="col-sm-3 col-form-label text-sm-end" title="当无法提取到图片链接时的处理方式">提取图片失败时:</label>
+                    <div class="col-sm-8">
+                        <select class="form-select" id="ep-\${apiKey}-fallbackAction" name="\${apiKey}-fallbackAction">
+                            <option value="returnJson" \${(configEntry.proxySettings?.fallbackAction === 'returnJson' || !configEntry.proxySettings?.fallbackAction) ? 'selected' : ''}>返回原始 JSON</option>
+                            <option value="error" \${configEntry.proxySettings?.fallbackAction === 'error' ? 'selected' : ''}>返回错误信息</option>
+                        </select>
+                    </div>
+                     <div class="col-sm-1">
+                          <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title='如果设置了“图片链接字段”但无法找到有效的图片链接，服务器应如何响应。'></i>
+                     </div>
+                </div>\`;
+            cardBody.appendChild(proxySettingsDiv);
+
+            // 表达式可能包含引号，等 HTML 拼接完成后再通过属性赋值
+            const extractor = configEntry.proxySettings?.extractor;
+            const extractorTypeSelect = proxySettingsDiv.querySelector(\`#ep-\${apiKey}-extractorType\`);
+            extractorTypeSelect.value = extractor?.type || '';
+            const imageUrlFieldInput = proxySettingsDiv.querySelector(\`#ep-\${apiKey}-imageUrlField\`);
+            if (fieldFromParam) {
+                imageUrlFieldInput.placeholder = \`(由 '\${fieldFromParam}' 参数决定)\`;
+            } else {
+                imageUrlFieldInput.value = extractor?.expression || configEntry.proxySettings?.imageUrlField || '';
+            }
+            proxySettingsDiv.querySelector(\`#ep-\${apiKey}-extractorPick\`).value = extractor?.pick || 'first';
+            proxySettingsDiv.querySelector(\`#ep-\${apiKey}-extractorFlags\`).value = extractor?.flags || '';
+            proxySettingsDiv.querySelector(\`#ep-\${apiKey}-extractorAttribute\`).value = extractor?.attribute || '';
+            const updateExtractorOptions = () => {
+                const type = extractorTypeSelect.value;
+                proxySettingsDiv.querySelector(\`#ep-\${apiKey}-extractorOptions\`).style.display = type ? '' : 'none';
+                proxySettingsDiv.querySelector('.extractor-regex-option').style.display = type === 'regex' ? '' : 'none';
+                proxySettingsDiv.querySelector('.extractor-css-option').style.display = type === 'css' ? '' : 'none';
+            };
+            extractorTypeSelect.addEventListener('change', updateExtractorOptions);
+            updateExtractorOptions();
+            proxySettingsDiv.querySelector(\`#ep-\${apiKey}-extractorTestToggle\`).addEventListener('click', () => {
+                const panel = proxySettingsDiv.querySelector(\`#ep-\${apiKey}-extractorTestPanel\`);
+                panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+            });
+            proxySettingsDiv.querySelector(\`#ep-\${apiKey}-extractorTestButton\`).addEventListener('click', () => testImageUrlExtractor(cardBody, apiKey));
+
+            // Upstream Request Settings Container
+            const upstreamRequest = configEntry.request || {};
+            const requestAuth = upstreamRequest.auth || {};
+            const requestSettingsDiv = document.createElement('div');
+            requestSettingsDiv.className = 'request-settings mt-3 pt-3 border-top';
+            requestSettingsDiv.style.display = (configEntry.method === 'proxy' || configEntry.method === 'stream') ? 'block' : 'none';
+            requestSettingsDiv.innerHTML = \`
+                <h5>上游请求</h5>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-requestMethod" class="col-sm-3 col-form-label text-sm-end" title="请求上游时使用的 HTTP 方法">请求方法:</label>
+                    <div class="col-sm-3">
+                        <select class="form-select" id="ep-\${apiKey}-requestMethod" name="\${apiKey}-requestMethod">
+                            \${['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].map(method => \`<option value="\${method}" \${(upstreamRequest.method || 'GET') === method ? 'selected' : ''}>\${method}</option>\`).join('')}
+                        </select>
+                    </div>
+                    <div class="col-sm-5 offset-sm-1">
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="只对代理（proxy）和中转（stream）方式生效。请求头和请求体中可以用 {{env.变量名}} 引用环境变量，请求体中的 {{参数名}} 会替换为查询参数的值。"></i>
+                    </div>
+                </div>
+                <div class="row mb-3">
+                    <label for="ep-\${apiKey}-requestHeaders" class="col-sm-3 col-form-label text-sm-end" title="每行一个请求头">请求头:</label>
+                    <div class="col-sm-8">
+                        <textarea class="form-control font-monospace" rows="2" id="ep-\${apiKey}-requestHeaders" name="\${apiKey}-requestHeaders" placeholder="每行一个，例如: X-Api-Key: {{env.MY_API_KEY}}"></textarea>
+                    </div>
+                </div>
+                <div class="row mb-3 request-body-row">
+                    <label for="ep-\${apiKey}-requestBody" class="col-sm-3 col-form-label text-sm-end" title="请求体模板">请求体:</label>
+                    <div class="col-sm-8">
+                        <textarea class="form-control font-monospace" rows="3" id="ep-\${apiKey}-requestBody" name="\${apiKey}-requestBody" placeholder='例如: {"prompt": "{{tags}}"}'></textarea>
+                        <input type="text" class="form-control mt-2" id="ep-\${apiKey}-requestContentType" name="\${apiKey}-requestContentType" placeholder="Content-Type，默认 application/json">
+                    </div>
+                </div>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-requestAuthType" class="col-sm-3 col-form-label text-sm-end" title="上游鉴权方式，密钥从环境变量读取">鉴权:</label>
+                    <div class="col-sm-3">
+                        <select class="form-select" id="ep-\${apiKey}-requestAuthType" name="\${apiKey}-requestAuthType">
+                            <option value="" \${!requestAuth.type ? 'selected' : ''}>无</option>
+                            <option value="bearer" \${requestAuth.type === 'bearer' ? 'selected' : ''}>Bearer Token</option>
+                            <option value="basic" \${requestAuth.type === 'basic' ? 'selected' : ''}>Basic</option>
+                            <option value="query" \${requestAuth.type === 'query' ? 'selected' : ''}>查询参数</option>
+                        </select>
+                    </div>
+                    <div class="col-sm-5 request-auth-bearer">
+                        <input type="text" class="form-control" id="ep-\${apiKey}-requestTokenEnv" name="\${apiKey}-requestTokenEnv" placeholder="Token 所在的环境变量名">
+                    </div>
+                    <div class="col-sm-5 request-auth-basic">
+                        <div class="input-group">
+                            <input type="text" class="form-control" id="ep-\${apiKey}-requestUsername" name="\${apiKey}-requestUsername" placeholder="用户名">
+                            <input type="text" class="form-control" id="ep-\${apiKey}-requestPasswordEnv" name="\${apiKey}-requestPasswordEnv" placeholder="密码所在的环境变量名">
+                        </div>
+                    </div>
+                    <div class="col-sm-5 request-auth-query">
+                        <div class="input-group">
+                            <input type="text" class="form-control" id="ep-\${apiKey}-requestAuthParam" name="\${apiKey}-requestAuthParam" placeholder="参数名，如 api_key">
+                            <input type="text" class="form-control" id="ep-\${apiKey}-requestValueEnv" name="\${apiKey}-requestValueEnv" placeholder="参数值所在的环境变量名">
+                        </div>
+                    </div>
+                </div>
+                <div class="row mb-3">
+                    <div class="col-sm-8 offset-sm-3 small text-muted" id="ep-\${apiKey}-requestSecrets">\${formatRequestSecrets(apiKey)}</div>
+                </div>\`;
+            cardBody.appendChild(requestSettingsDiv);
+
+            // 请求头和请求体可能包含引号，等 HTML 拼接完成后再通过属性赋值
+            requestSettingsDiv.querySelector(\`#ep-\${apiKey}-requestHeaders\`).value = Object.entries(upstreamRequest.headers || {}).map(([name, value]) => \`\${name}: \${value}\`).join('\\n');
+            requestSettingsDiv.querySelector(\`#ep-\${apiKey}-requestBody\`).value = upstreamRequest.body || '';
+            requestSettingsDiv.querySelector(\`#ep-\${apiKey}-requestContentType\`).value = upstreamRequest.contentType || '';
+            requestSettingsDiv.querySelector(\`#ep-\${apiKey}-requestTokenEnv\`).value = requestAuth.tokenEnv || '';
+            requestSettingsDiv.querySelector(\`#ep-\${apiKey}-requestUsername\`).value = requestAuth.username || '';
+            requestSettingsDiv.querySelector(\`#ep-\${apiKey}-requestPasswordEnv\`).value = requestAuth.passwordEnv || '';
+            requestSettingsDiv.querySelector(\`#ep-\${apiKey}-requestAuthParam\`).value = requestAuth.param || '';
+            requestSettingsDiv.querySelector(\`#ep-\${apiKey}-requestValueEnv\`).value = requestAuth.valueEnv || '';
+            const requestMethodSelect = requestSettingsDiv.querySelector(\`#ep-\${apiKey}-requestMethod\`);
+            const requestAuthSelect = requestSettingsDiv.querySelector(\`#ep-\${apiKey}-requestAuthType\`);
+            const updateRequestFields = () => {
+                requestSettingsDiv.querySelector('.request-body-row').style.display = requestMethodSelect.value === 'GET' ? 'none' : '';
+                ['bearer', 'basic', 'query'].forEach(type => {
+                    requestSettingsDiv.querySelector(\`.request-auth-\${type}\`).style.display = requestAuthSelect.value === type ? '' : 'none';
+                });
+            };
+            requestMethodSelect.addEventListener('change', updateRequestFields);
+            requestAuthSelect.addEventListener('change', updateRequestFields);
+            updateRequestFields();
+
+            // Stream Settings Container
+            const streamSettings = configEntry.streamSettings || {};
+            const streamHeaders = streamSettings.headers || {};
+            const streamSettingsDiv = document.createElement('div');
+            streamSettingsDiv.className = 'stream-settings mt-3 pt-3 border-top';
+            streamSettingsDiv.style.display = configEntry.method === 'stream' ? 'block' : 'none';
+            streamSettingsDiv.innerHTML = \`
+                <h5>中转设置</h5>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-streamReferer" class="col-sm-3 col-form-label text-sm-end" title="请求上游时发送的 Referer 头">Referer:</label>
+                    <div class="col-sm-9">
+                        <input type="text" class="form-control" id="ep-\${apiKey}-streamReferer" name="\${apiKey}-streamReferer" value="\${streamHeaders['Referer'] || ''}" placeholder="可选, 例如: https://www.pixiv.net/">
+                    </div>
+                </div>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-streamUserAgent" class="col-sm-3 col-form-label text-sm-end" title="请求上游时发送的 User-Agent 头">User-Agent:</label>
+                    <div class="col-sm-9">
+                        <input type="text" class="form-control" id="ep-\${apiKey}-streamUserAgent" name="\${apiKey}-streamUserAgent" value="\${streamHeaders['User-Agent'] || ''}" placeholder="可选">
+                    </div>
+                </div>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-streamMaxBytes" class="col-sm-3 col-form-label text-sm-end" title="允许中转的最大文件大小">最大大小 (MB):</label>
+                    <div class="col-sm-3">
+                        <input type="number" min="0" step="0.1" class="form-control" id="ep-\${apiKey}-streamMaxBytes" name="\${apiKey}-streamMaxBytes" value="\${streamSettings.maxBytes ? (streamSettings.maxBytes / 1024 / 1024) : ''}" placeholder="默认 10">
+                    </div>
+                </div>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-streamCacheControl" class="col-sm-3 col-form-label text-sm-end" title="返回给客户端的 Cache-Control 头">Cache-Control:</label>
+                    <div class="col-sm-8">
+                        <input type="text" class="form-control" id="ep-\${apiKey}-streamCacheControl" name="\${apiKey}-streamCacheControl" value="\${streamSettings.cacheControl || ''}" placeholder="默认 no-store">
+                    </div>
+                     <div class="col-sm-1">
+                          <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title='随机图片端点建议保持 no-store，固定图片可设置为 "public, max-age=86400"。'></i>
+                     </div>
+                </div>\`;
+            cardBody.appendChild(streamSettingsDiv);
+
+            // Redirect Response Settings Container
+            const redirectSettings = configEntry.redirectSettings || {};
+            const redirectSettingsDiv = document.createElement('div');
+            redirectSettingsDiv.className = 'redirect-settings mt-3 pt-3 border-top';
+            redirectSettingsDiv.style.display = (configEntry.method === 'redirect' || configEntry.method === 'proxy') ? 'block' : 'none';
+            redirectSettingsDiv.innerHTML = \`
+                <h5>重定向与缓存</h5>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-redirectKind" class="col-sm-3 col-form-label text-sm-end" title="决定默认的 Cache-Control">图片类型:</label>
+                    <div class="col-sm-4">
+                        <select class="form-select" id="ep-\${apiKey}-redirectKind">
+                            <option value="random">随机图片（默认 no-store）</option>
+                            <option value="deterministic">固定图片（默认缓存一天）</option>
+                        </select>
+                    </div>
+                    <div class="col-sm-4">
+                        <select class="form-select" id="ep-\${apiKey}-redirectStatus" title="重定向状态码">
+                            <option value="302">302 Found（默认）</option>
+                            <option value="301">301 Moved Permanently</option>
+                            <option value="303">303 See Other</option>
+                            <option value="307">307 Temporary Redirect</option>
+                            <option value="308">308 Permanent Redirect</option>
+                        </select>
+                    </div>
+                    <div class="col-sm-1">
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="301 和 308 会被浏览器长期缓存，随机图片端点请使用 302、303 或 307。"></i>
+                    </div>
+                </div>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-redirectCacheControl" class="col-sm-3 col-form-label text-sm-end" title="重定向响应的 Cache-Control 头">Cache-Control:</label>
+                    <div class="col-sm-8">
+                        <input type="text" class="form-control" id="ep-\${apiKey}-redirectCacheControl">
+                    </div>
+                    <div class="col-sm-1">
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="留空使用图片类型对应的默认值，填写 none 表示不发送。"></i>
+                    </div>
+                </div>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-redirectVary" class="col-sm-3 col-form-label text-sm-end" title="重定向响应的 Vary 头">Vary:</label>
+                    <div class="col-sm-8">
+                        <input type="text" class="form-control" id="ep-\${apiKey}-redirectVary" placeholder="可选, 请求头名称, 逗号分隔, 例如: Accept">
+                    </div>
+                </div>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-redirectCacheBust" class="col-sm-3 form-check-label text-sm-end" title="在上游地址后附加随机参数">防缓存参数:</label>
+                    <div class="col-sm-2">
+                        <div class="form-check form-switch">
+                            <input class="form-check-input" type="checkbox" role="switch" id="ep-\${apiKey}-redirectCacheBust" \${redirectSettings.cacheBust ? 'checked' : ''}>
+                        </div>
+                    </div>
+                    <div class="col-sm-3">
+                        <input type="text" class="form-control form-control-sm" id="ep-\${apiKey}-redirectCacheBustParam" placeholder="参数名, 默认 _t">
+                    </div>
+                    <div class="col-sm-1">
+                        <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="上游地址固定的随机图片接口，客户端可能一直显示缓存的同一张图片。开启后每次请求上游地址都会带上不同的随机值。"></i>
+                    </div>
+                </div>\`;
+            cardBody.appendChild(redirectSettingsDiv);
+            const redirectKindSelect = redirectSettingsDiv.querySelector(\`#ep-\${apiKey}-redirectKind\`);
+            const redirectCacheControlInput = redirectSettingsDiv.querySelector(\`#ep-\${apiKey}-redirectCacheControl\`);
+            redirectKindSelect.value = redirectSettings.kind || 'random';
+            redirectSettingsDiv.querySelector(\`#ep-\${apiKey}-redirectStatus\`).value = String(redirectSettings.status || 302);
+            redirectCacheControlInput.value = redirectSettings.cacheControl === '' ? 'none' : (redirectSettings.cacheControl || '');
+            redirectSettingsDiv.querySelector(\`#ep-\${apiKey}-redirectVary\`).value = (redirectSettings.vary || []).join(', ');
+            redirectSettingsDiv.querySelector(\`#ep-\${apiKey}-redirectCacheBustParam\`).value = redirectSettings.cacheBustParam || '';
+            const updateRedirectCacheControlPlaceholder = () => {
+                redirectCacheControlInput.placeholder = redirectKindSelect.value === 'deterministic' ? '默认 public, max-age=86400' : '默认 no-store';
+            };
+            redirectKindSelect.addEventListener('change', updateRedirectCacheControlPlaceholder);
+            updateRedirectCacheControlPlaceholder();
+
+            // Image Cache Settings Container
+            const cacheSettings = configEntry.cacheSettings || {};
+            const cacheSettingsDiv = document.createElement('div');
+            cacheSettingsDiv.className = 'cache-settings mt-3 pt-3 border-top';
+            cacheSettingsDiv.style.display = (configEntry.method === 'proxy' || configEntry.method === 'stream') ? 'block' : 'none';
+            cacheSettingsDiv.innerHTML = \`
+                <h5>图片缓存</h5>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-cacheEnabled" class="col-sm-3 form-check-label text-sm-end" title="预取图片并从缓存池返回">启用缓存:</label>
+                    <div class="col-sm-8">
+                        <div class="form-check form-switch">
+                            <input class="form-check-input" type="checkbox" role="switch" id="ep-\${apiKey}-cacheEnabled" name="\${apiKey}-cacheEnabled" \${cacheSettings.enabled ? 'checked' : ''}>
+                        </div>
+                    </div>
+                     <div class="col-sm-1">
+                          <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="启用后服务器会预先获取若干张图片，请求时直接从缓存池返回并在后台补充。中转端点缓存图片内容，代理端点缓存图片链接。"></i>
+                     </div>
+                </div>
+                <div class="row mb-3 align-items-center">
+                    <label for="ep-\${apiKey}-cachePoolSize" class="col-sm-3 col-form-label text-sm-end" title="缓存池中预取的图片数量">缓存池大小:</label>
+                    <div class="col-sm-3">
+                        <input type="number" min="1" max="50" class="form-control" id="ep-\${apiKey}-cachePoolSize" name="\${apiKey}-cachePoolSize" value="\${cacheSettings.poolSize || ''}" placeholder="默认 5">
+                    </div>
+                </div>\`;
+            cardBody.appendChild(cacheSettingsDiv);
+
+            // Query Parameters Container
+            const queryParamsDiv = document.createElement('div');
+            queryParamsDiv.className = 'query-params mt-3 pt-3 border-top';
+            queryParamsDiv.innerHTML = '<h5>查询参数配置</h5>';
+            const paramsListDiv = document.createElement('div');
+            paramsListDiv.id = \`ep-\${apiKey}-params-list\`;
+
+            (configEntry.queryParams || []).forEach((param, index) => {
+                renderQueryParam(paramsListDiv, apiKey, param, index);
+            });
+
+            queryParamsDiv.appendChild(paramsListDiv);
+
+            const addParamButton = document.createElement('button');
+            addParamButton.type = 'button';
+            addParamButton.innerHTML = '<i class="bi bi-plus-circle"></i> 添加查询参数';
+            addParamButton.className = 'btn btn-outline-secondary btn-sm add-param-button mt-2';
+            addParamButton.onclick = () => addQueryParam(paramsListDiv, apiKey);
+            queryParamsDiv.appendChild(addParamButton);
+
+            // 未声明参数的透传
+            const unknownParamsDiv = document.createElement('div');
+            unknownParamsDiv.className = 'row mt-3 align-items-center';
+            unknownParamsDiv.innerHTML = \`
+                <label for="ep-\${apiKey}-unknownParamsForward" class="col-sm-3 form-check-label text-sm-end" title="把上面没有声明的参数原样转发给上游">透传其他参数:</label>
+                <div class="col-sm-2">
+                    <div class="form-check form-switch">
+                        <input class="form-check-input" type="checkbox" role="switch" id="ep-\${apiKey}-unknownParamsForward" \${configEntry.unknownParams?.forward ? 'checked' : ''}>
+                    </div>
+                </div>
+                <div class="col-sm-6">
+                    <input type="text" class="form-control form-control-sm" id="ep-\${apiKey}-unknownParamsDeny" placeholder="不透传的参数（逗号分隔，支持 *）, 例如: debug,utm_*">
+                </div>
+                <div class="col-sm-1">
+                    <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="调用密钥参数 key 总是不会透传。"></i>
+                </div>\`;
+            unknownParamsDiv.querySelector(\`#ep-\${apiKey}-unknownParamsDeny\`).value = (configEntry.unknownParams?.deny || []).join(',');
+            queryParamsDiv.appendChild(unknownParamsDiv);
+
+            cardBody.appendChild(queryParamsDiv);
+            card.appendChild(cardBody);
+
+
+            // Event listener to toggle proxy settings visibility
+            const methodSelect = cardBody.querySelector(\`#ep-\${apiKey}-method\`);
+            methodSelect.addEventListener('change', (event) => {
+                proxySettingsDiv.style.display = (event.target.value === 'proxy' || event.target.value === 'stream') ? 'block' : 'none';
+                streamSettingsDiv.style.display = event.target.value === 'stream' ? 'block' : 'none';
+                cacheSettingsDiv.style.display = (event.target.value === 'proxy' || event.target.value === 'stream') ? 'block' : 'none';
+                requestSettingsDiv.style.display = (event.target.value === 'proxy' || event.target.value === 'stream') ? 'block' : 'none';
+                redirectSettingsDiv.style.display = (event.target.value === 'redirect' || event.target.value === 'proxy') ? 'block' : 'none';
+            });
+
+            return card;
+        }
+
+        function renderConfig() {
+            disposeAllTooltips(); // Dispose existing tooltips before clearing
+            apiConfigsContainer.innerHTML = '';
+            // --- Get references to batch elements ---
+            const batchActionsSection = document.getElementById('batch-actions-section');
+            const selectAllCheckbox = document.getElementById('select-all-checkbox');
+            const batchMoveGroupSelect = document.getElementById('batch-move-group-select');
+            // --- Ensure elements exist before proceeding ---
+            if (!batchActionsSection || !selectAllCheckbox || !batchMoveGroupSelect) {
+                 console.error("Batch action elements not found in the DOM!");
+                 return; // Stop rendering if essential elements are missing
+            }
+
+            // Clear previous group options in batch move dropdown
+            batchMoveGroupSelect.innerHTML = '<option value="" selected disabled>选择目标分组...</option>';
+            // Add "未分组" option explicitly
+            batchMoveGroupSelect.add(new Option('未分组', '未分组'));
+
+            const apiUrls = currentConfigData.apiUrls || {};
+            const groupedEndpoints = {};
+            const allGroupNames = new Set(['未分组']); // Start with '未分组'
+
+            for (const apiKey in apiUrls) {
+                const entry = apiUrls[apiKey];
+                const group = entry.group || '未分组';
+                allGroupNames.add(group); // Collect all unique group names
+                if (!groupedEndpoints[group]) { groupedEndpoints[group] = []; }
+                groupedEndpoints[group].push({ key: apiKey, config: entry });
+            }
 
-        <!-- Batch Actions Section -->
-        <div id="batch-actions-section" class="card mb-4" style="display: none;">
-            <div class="card-body d-flex flex-wrap align-items-center gap-3">
-                 <div class="form-check">
-                     <input class="form-check-input" type="checkbox" value="" id="select-all-checkbox" onchange="toggleSelectAll(this.checked)">
-                     <label class="form-check-label" for="select-all-checkbox">
-                         全选/取消
-                     </label>
-                 </div>
-                 <button id="batch-delete-button" type="button" class="btn btn-danger btn-sm" onclick="batchDeleteEndpoints()" disabled>
-                     <i class="bi bi-trash"></i> 批量删除 (<span id="selected-count">0</span>)
-                 </button>
-                 <div class="input-group input-group-sm" style="max-width: 300px;">
-                     <label class="input-group-text" for="batch-move-group-select">移动到分组:</label>
-                     <select class="form-select" id="batch-move-group-select" disabled>
-                         <option value="" selected disabled>选择目标分组...</option>
-                         {/* Group options will be populated by JS */}
-                     </select>
-                     <button id="batch-move-button" class="btn btn-outline-primary" type="button" onclick="batchMoveGroup()" disabled>
-                         <i class="bi bi-folder-symlink"></i> 移动
-                     </button>
-                 </div>
-             </div>
-        </div>
+            // Populate batch move dropdown with sorted unique group names
+            const sortedAllGroupNames = Array.from(allGroupNames).sort((a, b) => {
+                 const order = {'通用转发': 1, 'AI绘图': 2, '二次元图片': 3, '三次元图片': 4, '表情包': 5, '696898': 6, '未分组': 99}; // Added 696898
+                 return (order[a] || 99) - (order[b] || 99);
+            });
+            sortedAllGroupNames.forEach(groupName => {
+                 if (groupName !== '未分组') { // Avoid adding '未分组' twice
+                     batchMoveGroupSelect.add(new Option(groupName, groupName));
+                 }
+            });
 
-        <!-- Global Settings Card -->
-        <div class="card mb-4">
-            <div class="card-header">
-                <h2 class="h5 mb-0">AI绘图 基础tag</h2>
-            </div>
-            <div class="card-body">
-                 <div class="row mb-3 align-items-center global-setting-item">
-                     <label for="baseTag" class="col-sm-3 col-form-label text-sm-end" title="用于 AI 绘图 API 的通用附加标签">AI基础 Tag:</label>
-                     <div class="col-sm-8">
-                         <input type="text" class="form-control" id="baseTag" name="baseTag" placeholder="例如: masterpiece%20best%20quality">
-                     </div>
-                     <div class="col-sm-1">
-                          <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="这个 Tag 会自动附加到 AI 绘图请求的末尾，以提升图像质量。请使用 URL 编码格式。"></i>
-                     </div>
-                 </div>
-            </div>
-        </div>
 
-        <form id="config-form">
-            <div id="api-configs-container">
-                <!-- Initial Loading Indicator -->
-                 <div class="text-center">
-                    <div class="spinner-border text-primary" role="status">
-                        <span class="visually-hidden">正在加载配置...</span>
-                    </div>
-                    <p class="mt-2">正在加载配置...</p>
-                </div>
-            </div>
+            const sortedGroups = Object.keys(groupedEndpoints).sort((a, b) => {
+                 const order = {'通用转发': 1, 'AI绘图': 2, '二次元图片': 3, '三次元图片': 4, '表情包': 5, '696898': 6, '未分组': 99}; // Added 696898
+                 return (order[a] || 99) - (order[b] || 99);
+            });
+            
+            console.log('[Debug] Batch Actions Section Element:', batchActionsSection); // Debug Log 1
+            const numApiUrls = Object.keys(apiUrls).length;
+            console.log('[Debug] Number of API URLs:', numApiUrls); // Debug Log 2
 
-            <!-- Global settings placeholder removed -->
+            // --- Always show batch section, buttons might be disabled if empty ---
+            console.log('[Debug] Ensuring batch actions section is visible.'); // Debug Log 3b
+            batchActionsSection.style.display = 'block'; // Always show batch actions
 
+            // --- Render groups and endpoints ---
+            if (numApiUrls === 0) {
+                 apiConfigsContainer.innerHTML = '<div class="alert alert-info">当前没有配置任何 API 端点。点击“添加新 API 端点”开始。</div>';
+            } else {
+                 // Clear container before rendering groups
+                 apiConfigsContainer.innerHTML = '';
+                 sortedGroups.forEach(groupName => {
+                    const groupContainer = document.createElement('div'); // Container for the group
+                    groupContainer.id = \`group-\${groupName.replace(/\\s+/g, '-')}\`; // Create an ID for the group container
 
-            <button type="submit" class="btn btn-primary w-100 btn-lg save-button mt-4">
-                 <i class="bi bi-save"></i> 保存所有配置
-            </button>
-        </form>
-        <div id="message" class="alert mt-4" role="alert" style="display: none;"></div>
-    </main>
+                    const groupTitle = document.createElement('h2');
+                    groupTitle.className = 'group-title d-flex align-items-center'; // Use flex for alignment
+                    groupTitle.innerHTML = \`
+                         <input type="checkbox" class="form-check-input me-2 group-select-all-checkbox" onchange="toggleSelectGroup(this, '\${groupName}')" aria-label="全选/取消全选 \${groupName} 分组">
+                         \${groupName}
+                    \`;
+                    groupContainer.appendChild(groupTitle); // Add title with checkbox to group container
 
-    <!-- Bootstrap 5 JS Bundle CDN -->
-    <script src="https://lf6-cdn-tos.bytecdntp.com/cdn/expire-1-M/popper.js/2.11.2/umd/popper.min.js"></script>
-    <script src="https://lf26-cdn-tos.bytecdntp.com/cdn/expire-1-M/twitter-bootstrap/5.1.3/js/bootstrap.min.js"></script>
-    <script>
-        const form = document.getElementById('config-form');
-        const apiConfigsContainer = document.getElementById('api-configs-container');
-        // Get baseTag input from its new location
-        const baseTagInput = document.getElementById('baseTag'); // Directly get the input now
-        const messageDiv = document.getElementById('message');
-        let currentConfigData = { apiUrls: {}, baseTag: "" };
-        let bootstrapTooltipList = [];
+                    // Removed logic to inject global settings into AI group
 
-        function showMessage(text, type = 'success') {
-            messageDiv.textContent = text;
-            messageDiv.className = \`alert alert-\${type === 'success' ? 'success' : 'danger'} mt-4\`;
-            messageDiv.style.display = 'block';
-            messageDiv.setAttribute('role', 'alert');
-            messageDiv.scrollIntoView({ behavior: 'smooth', block: 'end' });
-            setTimeout(() => {
-                 messageDiv.style.display = 'none';
-            }, 7000);
-        }
+                    // Sort and render endpoints within the group
+                     groupedEndpoints[groupName].sort((a, b) => a.key.localeCompare(b.key));
+                    groupedEndpoints[groupName].forEach(item => {
+                        const cardElement = renderApiEndpoint(item.key, item.config);
+                        groupContainer.appendChild(cardElement); // Add card to group container
+                    });
 
-        function sanitizeApiKey(key) {
-            // Remove any characters that are not letters, numbers, hyphens, or underscores
-            let sanitized = key.replace(/[^a-zA-Z0-9-_]/g, ''); 
-            // Allow keys to start with numbers
-            return sanitized;
-        }
+                    apiConfigsContainer.appendChild(groupContainer); // Add the whole group container
+                });
+            }
 
-        function initializeTooltips(container) {
-            if (typeof bootstrap === 'undefined' || typeof bootstrap.Tooltip === 'undefined') {
-                console.warn('Bootstrap Tooltip component not ready yet, skipping initialization.');
-                return;
+            // Set the value for the globally placed baseTag input
+            if (baseTagInput) {
+                 baseTagInput.value = currentConfigData.baseTag || '';
+            } else {
+                 console.error("BaseTag input element not found in its new location!");
             }
-            const tooltipTriggerList = [].slice.call(container.querySelectorAll('[data-bs-toggle="tooltip"]'));
-            const newTooltips = tooltipTriggerList.map(function (tooltipTriggerEl) {
-                const existingTooltip = bootstrap.Tooltip.getInstance(tooltipTriggerEl);
-                if (existingTooltip) { existingTooltip.dispose(); }
-                try { return new bootstrap.Tooltip(tooltipTriggerEl); }
-                catch (e) { console.error("Failed to initialize tooltip:", tooltipTriggerEl, e); return null; }
-            }).filter(Boolean);
-            bootstrapTooltipList = bootstrapTooltipList.concat(newTooltips);
+
+            // Global rate limit settings
+            const rateLimit = currentConfigData.rateLimit || {};
+            document.getElementById('rateLimitEnabled').checked = !!rateLimit.enabled;
+            document.getElementById('rateLimitLimit').value = rateLimit.limit ?? '';
+            document.getElementById('rateLimitWindow').value = rateLimit.windowSeconds ?? '';
+
+
+            applyRolePermissions();
+            setTimeout(() => initializeTooltips(document.body), 100);
         }
 
-        function disposeAllTooltips() {
-             if (typeof bootstrap !== 'undefined' && bootstrap.Tooltip) {
-                 bootstrapTooltipList.forEach(tooltip => { try { tooltip.dispose(); } catch (e) { console.warn("Error disposing tooltip:", e); } });
-             }
-             bootstrapTooltipList = [];
+        // 只读角色：禁用所有可编辑的控件（服务器同样会拒绝保存）
+        function applyRolePermissions() {
+            if (currentAdminRole !== 'viewer') return;
+            document.querySelectorAll('#config-form input, #config-form select, #config-form textarea, #config-form button, .global-setting-item input').forEach(el => {
+                el.disabled = true;
+            });
         }
 
-        function renderApiEndpoint(apiKey, configEntry) {
-            const card = document.createElement('div');
-            card.className = 'card';
-            card.setAttribute('data-api-key', apiKey);
+        function renderQueryParam(container, apiKey, param, index) {
+             const paramDiv = document.createElement('div');
+             paramDiv.className = 'param-item p-3 mb-3';
+             const uniquePrefix = \`\${apiKey}-param-\${index}\`; // Keep original prefix logic for name attribute uniqueness
+             const uniqueIdPrefix = \`ep-\${apiKey}-param-\${index}\`; // New prefix for IDs
 
-            const cardHeader = document.createElement('div');
-            cardHeader.className = 'card-header d-flex justify-content-between align-items-center'; // Use flexbox for alignment
-            cardHeader.innerHTML = \`
-                <div class="d-flex align-items-center">
-                     <input class="form-check-input me-2 endpoint-checkbox" type="checkbox" value="\${apiKey}" onchange="handleCheckboxChange()">
-                     <span>端点: /<input type="text" value="\${apiKey}" class="api-key-input" aria-label="API 端点路径" placeholder="路径名" required></span>
+             paramDiv.innerHTML = \`
+                <button type="button" class="btn btn-danger btn-sm remove-param-button" title="移除此参数" onclick="removeQueryParam(this)"><i class="bi bi-x-lg"></i></button>
+                <div class="row mb-2 align-items-center">
+                    <label for="\${uniqueIdPrefix}-name" class="col-sm-3 col-form-label text-sm-end" title="URL 中的参数名">参数名称:</label>
+                    <div class="col-sm-9">
+                        <input type="text" class="form-control form-control-sm" id="\${uniqueIdPrefix}-name" name="\${uniquePrefix}-name" value="\${param.name || ''}" required placeholder="例如: keyword">
+                    </div>
                 </div>
-                <button type="button" class="btn btn-danger btn-sm delete-endpoint-button" aria-label="删除此端点" onclick="removeApiEndpoint(this.closest('.card'))">
-                    <i class="bi bi-trash"></i> 删除
-                </button>\`;
-            card.appendChild(cardHeader);
-
-            const cardBody = document.createElement('div');
-            cardBody.className = 'card-body';
-
-            // Group Input
-            cardBody.innerHTML += \`
-                <div class="row mb-3 align-items-center">
-                    <label for="ep-\${apiKey}-group" class="col-sm-3 col-form-label text-sm-end" title="用于分类显示的组名">分组:</label>
+                <div class="row mb-2 align-items-center">
+                    <label for="\${uniqueIdPrefix}-desc" class="col-sm-3 col-form-label text-sm-end" title="参数用途说明">参数描述:</label>
                     <div class="col-sm-9">
-                        <input type="text" class="form-control" id="ep-\${apiKey}-group" name="\${apiKey}-group" value="\${configEntry.group || ''}" placeholder="例如: AI绘图, 表情包">
+                        <textarea class="form-control form-control-sm" id="\${uniqueIdPrefix}-desc" name="\${uniquePrefix}-desc" placeholder="例如: 搜索关键词">\${param.description || ''}</textarea>
                     </div>
-                </div>\`;
-
-            // Description, URL, Method... (rest of the innerHTML generation is the same as before)
-             // Description
-            cardBody.innerHTML += \`
-                <div class="row mb-3 align-items-center">
-                    <label for="ep-\${apiKey}-description" class="col-sm-3 col-form-label text-sm-end" title="这个 API 端点的用途说明">描述:</label>
+                </div>
+                 <div class="row mb-2 align-items-center">
+                    <label for="\${uniqueIdPrefix}-required" class="col-sm-3 form-check-label text-sm-end" title="请求时必须提供此参数">是否必需:</label>
+                     <div class="col-sm-9">
+                        <div class="form-check form-switch">
+                             <input class="form-check-input" type="checkbox" role="switch" id="\${uniqueIdPrefix}-required" name="\${uniquePrefix}-required" \${param.required ? 'checked' : ''}>
+                        </div>
+                    </div>
+                </div>
+                 <div class="row mb-2 align-items-center">
+                    <label for="\${uniqueIdPrefix}-default" class="col-sm-3 col-form-label text-sm-end" title="未提供参数时的默认值">默认值:</label>
                     <div class="col-sm-9">
-                        <textarea class="form-control" id="ep-\${apiKey}-description" name="\${apiKey}-description" placeholder="例如：获取随机猫咪图片">\${configEntry.description || ''}</textarea>
+                        <input type="text" class="form-control form-control-sm" id="\${uniqueIdPrefix}-default" name="\${uniquePrefix}-default" value="\${param.defaultValue ?? ''}" placeholder="可选">
                     </div>
-                </div>\`;
-
-            // URL
-            cardBody.innerHTML += \`
-                <div class="row mb-3 align-items-center">
-                    <label for="ep-\${apiKey}-url" class="col-sm-3 col-form-label text-sm-end" title="目标 API 的基础地址">目标 URL:</label>
+                </div>
+                 <div class="row mb-2 align-items-center">
+                    <label for="\${uniqueIdPrefix}-validValues" class="col-sm-3 col-form-label text-sm-end" title="限制参数的有效值（逗号分隔）">有效值:</label>
                     <div class="col-sm-8">
-                        <input type="url" class="form-control" id="ep-\${apiKey}-url" name="\${apiKey}-url" value="\${configEntry.url || ''}" placeholder="https://api.example.com/data" required>
+                        <input type="text" class="form-control form-control-sm" id="\${uniqueIdPrefix}-validValues" name="\${uniquePrefix}-validValues" value="\${(Array.isArray(param.validValues) ? param.validValues : []).join(',')}" placeholder="可选, 例如: value1,value2">
                     </div>
                      <div class="col-sm-1">
-                         \${configEntry.urlConstruction && configEntry.urlConstruction.startsWith('special_') ? '<i class="bi bi-exclamation-triangle-fill text-warning tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="注意: 此端点使用特殊 URL 构建逻辑, 修改基础 URL 可能影响其功能。"></i>' : ''}
+                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title='如果填写，参数值必须是列表中的一个（用逗号分隔）。留空则不限制。'></i>
                      </div>
-                </div>\`;
-
-            // Method Dropdown
-            cardBody.innerHTML += \`
-                <div class="row mb-3 align-items-center">
-                    <label for="ep-\${apiKey}-method" class="col-sm-3 col-form-label text-sm-end" title="服务器处理此请求的方式">处理方式:</label>
-                    <div class="col-sm-8">
-                        <select class="form-select" id="ep-\${apiKey}-method" name="\${apiKey}-method">
-                            <option value="redirect" \${configEntry.method === 'redirect' ? 'selected' : ''}>浏览器重定向 (302)</option>
-                            <option value="proxy" \${configEntry.method === 'proxy' ? 'selected' : ''}>服务器代理请求</option>
+                </div>
+                 <div class="row mb-2 align-items-center">
+                    <label for="\${uniqueIdPrefix}-type" class="col-sm-3 col-form-label text-sm-end" title="参数值的类型，决定如何校验">类型:</label>
+                    <div class="col-sm-4">
+                        <select class="form-select form-select-sm" id="\${uniqueIdPrefix}-type" name="\${uniquePrefix}-type">
+                            <option value="string">字符串</option>
+                            <option value="int">整数</option>
+                            <option value="float">数字</option>
+                            <option value="boolean">布尔值</option>
+                            <option value="enum">枚举（必须是有效值之一）</option>
+                            <option value="list">列表</option>
+                        </select>
+                    </div>
+                    <div class="col-sm-5">
+                        <div class="form-check">
+                            <input class="form-check-input" type="checkbox" id="\${uniqueIdPrefix}-caseInsensitive" name="\${uniquePrefix}-caseInsensitive" \${param.caseInsensitive ? 'checked' : ''}>
+                            <label class="form-check-label" for="\${uniqueIdPrefix}-caseInsensitive">有效值忽略大小写</label>
+                        </div>
+                    </div>
+                </div>
+                 <div class="row mb-2 align-items-center">
+                    <label for="\${uniqueIdPrefix}-min" class="col-sm-3 col-form-label text-sm-end" title="整数、数字的取值范围；列表的元素个数">范围:</label>
+                    <div class="col-sm-4">
+                        <input type="number" step="any" class="form-control form-control-sm" id="\${uniqueIdPrefix}-min" name="\${uniquePrefix}-min" value="\${param.min ?? ''}" placeholder="最小值">
+                    </div>
+                    <div class="col-sm-4">
+                        <input type="number" step="any" class="form-control form-control-sm" id="\${uniqueIdPrefix}-max" name="\${uniquePrefix}-max" value="\${param.max ?? ''}" placeholder="最大值">
+                    </div>
+                </div>
+                 <div class="row mb-2 align-items-center">
+                    <label for="\${uniqueIdPrefix}-pattern" class="col-sm-3 col-form-label text-sm-end" title="整个值（列表为每个元素）需要匹配的正则表达式">格式:</label>
+                    <div class="col-sm-4">
+                        <input type="text" class="form-control form-control-sm" id="\${uniqueIdPrefix}-pattern" name="\${uniquePrefix}-pattern" placeholder="正则, 例如: [a-z0-9_]+">
+                    </div>
+                    <div class="col-sm-2">
+                        <input type="number" min="1" class="form-control form-control-sm" id="\${uniqueIdPrefix}-maxLength" name="\${uniquePrefix}-maxLength" value="\${param.maxLength ?? ''}" placeholder="最大长度" title="最大长度">
+                    </div>
+                    <div class="col-sm-2 param-separator-option">
+                        <input type="text" class="form-control form-control-sm" id="\${uniqueIdPrefix}-separator" name="\${uniquePrefix}-separator" placeholder="分隔符 ," title="列表的分隔符，默认逗号">
+                    </div>
+                </div>
+                 <div class="row mb-2 align-items-center">
+                    <label for="\${uniqueIdPrefix}-aliases" class="col-sm-3 col-form-label text-sm-end" title="参数的其他名称（逗号分隔），如 kw 作为 keyword 的别名">别名:</label>
+                    <div class="col-sm-9">
+                        <input type="text" class="form-control form-control-sm" id="\${uniqueIdPrefix}-aliases" name="\${uniquePrefix}-aliases" placeholder="可选, 例如: kw,q">
+                    </div>
+                </div>
+                 <div class="row mb-2 align-items-center">
+                    <label for="\${uniqueIdPrefix}-targetIn" class="col-sm-3 col-form-label text-sm-end" title="校验后的参数如何发给上游">发往上游:</label>
+                    <div class="col-sm-4">
+                        <select class="form-select form-select-sm" id="\${uniqueIdPrefix}-targetIn" name="\${uniquePrefix}-targetIn">
+                            <option value="query">查询参数</option>
+                            <option value="path">路径段</option>
+                            <option value="header">请求头（仅服务器代理/中转）</option>
+                            <option value="drop">不发送</option>
                         </select>
+                    </div>
+                    <div class="col-sm-4 param-target-name-option">
+                        <input type="text" class="form-control form-control-sm" id="\${uniqueIdPrefix}-targetName" name="\${uniquePrefix}-targetName" placeholder="上游名称（默认同名）">
                     </div>
                      <div class="col-sm-1">
-                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title='"重定向": 服务器告诉浏览器去访问目标 URL。"代理": 服务器代替浏览器去访问目标 URL，然后将结果返回给浏览器。'></i>
+                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title='查询参数和请求头可以改用上游的名称，如 keyword 发送为 tag；路径段按参数顺序附加到地址末尾；“不发送”的参数只用于 URL 模板或请求体。目标 URL 是模板时，查询参数和路径段的位置由模板决定。'></i>
                      </div>
-                </div>\`;
-
-            // Proxy Settings Container
-            const proxySettingsDiv = document.createElement('div');
-            proxySettingsDiv.className = 'proxy-settings mt-3 pt-3 border-top';
-            proxySettingsDiv.style.display = configEntry.method === 'proxy' ? 'block' : 'none';
-            proxySettingsDiv.innerHTML = '<h5>代理设置</h5>';
-
-            // Image URL Field
-            proxySettingsDiv.innerHTML += \`
-                <div class="row mb-3 align-items-center">
-                    <label for="ep-\${apiKey}-imageUrlField" class="col-sm-3 col-form-label text-sm-end" title="如果目标 API 返回 JSON，指定包含图片链接的字段路径">图片链接字段:</label>
+                </div>
+                 <div class="row mb-2 align-items-center">
+                    <label for="\${uniqueIdPrefix}-valueMap" class="col-sm-3 col-form-label text-sm-end" title="校验通过后替换参数值，每行一条">值映射:</label>
                     <div class="col-sm-8">
-                        <input type="text" class="form-control" id="ep-\${apiKey}-imageUrlField" name="\${apiKey}-imageUrlField" value="\${configEntry.proxySettings?.imageUrlField || ''}" placeholder="例如: data.url 或 image" \${apiKey === 'forward' ? 'readonly' : ''}>
+                        <textarea class="form-control form-control-sm font-monospace" rows="2" id="\${uniqueIdPrefix}-valueMap" name="\${uniquePrefix}-valueMap" placeholder="可选, 每行一条, 例如: true=1"></textarea>
                     </div>
                      <div class="col-sm-1">
-                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title="\${apiKey === 'forward' ? "对于 /forward 路由，此设置由 'field' 查询参数动态决定（默认为 'url'）。" : '用于从 JSON 响应中提取图片链接。支持用点(.)访问嵌套字段，如 "result.data.imageUrl"。如果为空，则不尝试提取。'}"></i>
+                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title='按“输入=输出”填写。匹配的是校验后的值：布尔值为 true/false，忽略大小写的有效值为列表中的写法。'></i>
                      </div>
-                </div>\`;
-             if (apiKey === 'forward') {
-                 const input = proxySettingsDiv.querySelector(\`#ep-\${apiKey}-imageUrlField\`);
-                 if(input) input.value = "(由 'field' 参数决定)";
-             }
+                </div>
+             \`;
+             // 正则、别名和值映射可能包含引号，HTML 拼接完成后再通过属性赋值
+             const typeSelect = paramDiv.querySelector(\`#\${uniqueIdPrefix}-type\`);
+             typeSelect.value = param.type || 'string';
+             paramDiv.querySelector(\`#\${uniqueIdPrefix}-pattern\`).value = param.pattern || '';
+             paramDiv.querySelector(\`#\${uniqueIdPrefix}-separator\`).value = param.separator || '';
+             paramDiv.querySelector(\`#\${uniqueIdPrefix}-aliases\`).value = (param.aliases || []).join(',');
+             paramDiv.querySelector(\`#\${uniqueIdPrefix}-valueMap\`).value = Object.entries(param.valueMap || {}).map(([from, to]) => \`\${from}=\${to}\`).join('\\n');
+             const targetInSelect = paramDiv.querySelector(\`#\${uniqueIdPrefix}-targetIn\`);
+             targetInSelect.value = param.target?.in || 'query';
+             paramDiv.querySelector(\`#\${uniqueIdPrefix}-targetName\`).value = param.target?.name || '';
+             const updateTargetNameOption = () => {
+                 paramDiv.querySelector('.param-target-name-option').style.display = ['query', 'header'].includes(targetInSelect.value) ? '' : 'none';
+             };
+             targetInSelect.addEventListener('change', updateTargetNameOption);
+             updateTargetNameOption();
+             const updateSeparatorOption = () => {
+                 paramDiv.querySelector('.param-separator-option').style.display = typeSelect.value === 'list' ? '' : 'none';
+             };
+             typeSelect.addEventListener('change', updateSeparatorOption);
+             updateSeparatorOption();
+             container.appendChild(paramDiv);
+             setTimeout(() => initializeTooltips(paramDiv), 50);
+        }
 
+        // 读取参数行中的类型、约束和上游去向，只返回填写了的字段；格式错误时返回 { error, element }
+        function readQueryParamOptions(paramItem) {
+            const field = suffix => paramItem.querySelector(\`[id^="ep-"][id$="-\${suffix}"]\`);
+            const options = {};
+            const type = field('type').value;
+            if (type !== 'string') options.type = type;
+            if (field('caseInsensitive').checked) options.caseInsensitive = true;
+            for (const name of ['min', 'max', 'maxLength']) {
+                const input = field(name);
+                if (input.value.trim() === '') continue;
+                const number = Number(input.value);
+                if (!Number.isFinite(number) || (name === 'maxLength' && !(Number.isInteger(number) && number > 0))) {
+                    return { error: name === 'maxLength' ? '最大长度必须是正整数' : '范围必须是数字', element: input };
+                }
+                options[name] = number;
+            }
+            const pattern = field('pattern').value.trim();
+            if (pattern) options.pattern = pattern;
+            const separator = field('separator').value;
+            if (type === 'list' && separator) options.separator = separator;
+            const aliases = field('aliases').value.split(',').map(alias => alias.trim()).filter(Boolean);
+            if (aliases.length > 0) options.aliases = aliases;
+            const valueMapInput = field('valueMap');
+            const valueMap = {};
+            for (const line of valueMapInput.value.split('\\n').map(item => item.trim()).filter(Boolean)) {
+                const separatorIndex = line.indexOf('=');
+                if (separatorIndex <= 0) return { error: \`值映射 "\${line}" 格式错误，应为 "输入=输出"\`, element: valueMapInput };
+                valueMap[line.slice(0, separatorIndex).trim()] = line.slice(separatorIndex + 1).trim();
+            }
+            if (Object.keys(valueMap).length > 0) options.valueMap = valueMap;
+            const targetIn = field('targetIn').value;
+            const targetName = ['query', 'header'].includes(targetIn) ? field('targetName').value.trim() : '';
+            if (targetIn !== 'query' || targetName) options.target = targetName ? { in: targetIn, name: targetName } : { in: targetIn };
+            return { options };
+        }
 
-            // Fallback Action Dropdown
-            proxySettingsDiv.innerHTML += \`
-                <div class="row mb-3 align-items-center">
-                    <label for="ep-\${apiKey}-fallbackAction" class="col-sm-3 col-form-label text-sm-end" title="当无法提取到图片链接时的处理方式">提取图片失败时:</label>
-                    <div class="col-sm-8">
-                        <select class="form-select" id="ep-\${apiKey}-fallbackAction" name="\${apiKey}-fallbackAction">
-                            <option value="returnJson" \${(configEntry.proxySettings?.fallbackAction === 'returnJson' || !configEntry.proxySettings?.fallbackAction) ? 'selected' : ''}>返回原始 JSON</option>
-                            <option value="error" \${configEntry.proxySettings?.fallbackAction === 'error' ? 'selected' : ''}>返回错误信息</option>
-                        </select>
-                    </div>
-                     <div class="col-sm-1">
-                          <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title='如果设置了“图片链接字段”但无法找到有效的图片链接，服务器应如何响应。'></i>
-                     </div>
+        function renderUpstreamHealthBadge(apiKey, url) {
+            const health = (upstreamHealthData[apiKey] || []).find(item => item.url === url);
+            if (!url || !health || (!health.lastSuccessAt && !health.lastFailureAt)) {
+                return '<span class="badge bg-secondary upstream-health-badge">未知</span>';
+            }
+            if (health.healthy) {
+                const failures = health.consecutiveFailures > 0 ? \` (连续失败 \${health.consecutiveFailures} 次)\` : '';
+                return \`<span class="badge bg-success upstream-health-badge" title="\${health.lastError || ''}">健康\${failures}</span>\`;
+            }
+            return \`<span class="badge bg-danger upstream-health-badge" title="\${health.lastError || ''}">不健康，至 \${new Date(health.unhealthyUntil).toLocaleTimeString()}</span>\`;
+        }
+
+        function renderUpstream(container, apiKey, upstream) {
+            const upstreamDiv = document.createElement('div');
+            upstreamDiv.className = 'upstream-item row mb-2 align-items-center';
+            upstreamDiv.innerHTML = \`
+                <div class="col-sm-3 text-sm-end"><small class="text-muted">备用上游:</small></div>
+                <div class="col-sm-5">
+                    <input type="text" class="form-control form-control-sm upstream-url" value="\${upstream.url || ''}" placeholder="https://backup.example.com/api" aria-label="备用上游 URL">
+                </div>
+                <div class="col-sm-1">
+                    <input type="number" min="0" class="form-control form-control-sm upstream-weight" value="\${upstream.weight ?? 1}" title="权重" aria-label="权重">
+                </div>
+                <div class="col-sm-2">\${renderUpstreamHealthBadge(apiKey, upstream.url)}</div>
+                <div class="col-sm-1">
+                    <button type="button" class="btn btn-danger btn-sm" title="移除此上游" onclick="this.closest('.upstream-item').remove()"><i class="bi bi-x-lg"></i></button>
                 </div>\`;
-            cardBody.appendChild(proxySettingsDiv);
+            container.appendChild(upstreamDiv);
+        }
 
-            // Query Parameters Container
-            const queryParamsDiv = document.createElement('div');
-            queryParamsDiv.className = 'query-params mt-3 pt-3 border-top';
-            queryParamsDiv.innerHTML = '<h5>查询参数配置</h5>';
-            const paramsListDiv = document.createElement('div');
-            paramsListDiv.id = \`ep-\${apiKey}-params-list\`;
+        function addQueryParam(container, apiKey) {
+            const existingParams = container.querySelectorAll('.param-item');
+            const newIndex = existingParams.length;
+            const newParam = { name: '', description: '', required: false, defaultValue: '', validValues: [] };
+            renderQueryParam(container, apiKey, newParam, newIndex);
+        }
 
-            (configEntry.queryParams || []).forEach((param, index) => {
-                renderQueryParam(paramsListDiv, apiKey, param, index);
-            });
+        function removeQueryParam(button) {
+            const paramItem = button.closest('.param-item');
+            if (paramItem) { paramItem.remove(); }
+        }
 
-            queryParamsDiv.appendChild(paramsListDiv);
+        function addApiEndpoint() {
+             const newApiKey = \`new_endpoint_\${Date.now()}\`;
+             const newConfigEntry = { group: "未分组", description: "", url: "", method: "redirect", queryParams: [], proxySettings: {} };
+             if (!apiConfigsContainer.querySelector('.card')) {
+                 apiConfigsContainer.innerHTML = '';
+             }
+             // Find or create the '未分组' section
+             let ungroupedContainer = apiConfigsContainer.querySelector('#group-未分组');
+             if (!ungroupedContainer) {
+                 const groupTitle = document.createElement('h2');
+                 groupTitle.className = 'group-title';
+                 groupTitle.textContent = '未分组';
+                 apiConfigsContainer.appendChild(groupTitle);
+                 ungroupedContainer = document.createElement('div');
+                 ungroupedContainer.id = 'group-未分组'; // Assign ID to the container
+                 apiConfigsContainer.appendChild(ungroupedContainer);
+             }
+             const cardElement = renderApiEndpoint(newApiKey, newConfigEntry);
+             ungroupedContainer.appendChild(cardElement);
 
-            const addParamButton = document.createElement('button');
-            addParamButton.type = 'button';
-            addParamButton.innerHTML = '<i class="bi bi-plus-circle"></i> 添加查询参数';
-            addParamButton.className = 'btn btn-outline-secondary btn-sm add-param-button mt-2';
-            addParamButton.onclick = () => addQueryParam(paramsListDiv, apiKey);
-            queryParamsDiv.appendChild(addParamButton);
+             cardElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+             cardElement.querySelector('.api-key-input').focus();
+        }
 
-            cardBody.appendChild(queryParamsDiv);
-            card.appendChild(cardBody);
+        function removeApiEndpoint(card) {
+            const apiKeyInput = card.querySelector('.api-key-input');
+            const keyToRemove = apiKeyInput ? apiKeyInput.value : '(未知)';
+            if (confirm(\`确定要删除端点 "\${keyToRemove}" 吗？此操作将在保存后生效且无法撤销。\`)) {
+                const parentGroupContainer = card.parentElement;
+                card.remove();
+                handleCheckboxChange(); // Update batch counts after removing
+                 if (!apiConfigsContainer.querySelector('.card')) {
+                     apiConfigsContainer.innerHTML = '<div class="alert alert-info">当前没有配置任何 API 端点。点击“添加新 API 端点”开始。</div>';
+                     document.getElementById('batch-actions-section').style.display = 'none'; // Hide batch actions
+                 } else if (parentGroupContainer && !parentGroupContainer.querySelector('.card')) {
+                      const groupTitle = parentGroupContainer.previousElementSibling;
+                      if (groupTitle && groupTitle.classList.contains('group-title')) {
+                          groupTitle.remove();
+                      }
+                      parentGroupContainer.remove();
+                 }
+                showMessage(\`端点 \${keyToRemove} 已标记为删除。点击“保存所有配置”以确认。\`, 'success');
+            }
+        }
 
+        // --- Image Cache Stats ---
 
-            // Event listener to toggle proxy settings visibility
-            const methodSelect = cardBody.querySelector(\`#ep-\${apiKey}-method\`);
-            methodSelect.addEventListener('change', (event) => {
-                proxySettingsDiv.style.display = event.target.value === 'proxy' ? 'block' : 'none';
-            });
+        function formatBytes(bytes) {
+            if (bytes < 1024) return bytes + ' B';
+            if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+            return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+        }
 
-            return card;
+        async function loadCacheStats() {
+            const container = document.getElementById('cache-stats-container');
+            try {
+                const response = await fetch('/api/admin/cache');
+                if (!response.ok) throw new Error(\`HTTP error! status: \${response.status}\`);
+                const stats = await response.json();
+                const total = stats.hits + stats.misses;
+                const hitRate = total > 0 ? ((stats.hits / total) * 100).toFixed(1) + '%' : '-';
+                let html = \`<p class="mb-2">命中 <strong>\${stats.hits}</strong> · 未命中 <strong>\${stats.misses}</strong> · 命中率 <strong>\${hitRate}</strong> · 淘汰 \${stats.evictions} · 预取失败 \${stats.prefetchErrors} · 占用 \${formatBytes(stats.totalBytes)} / \${formatBytes(stats.maxBytes)}</p>\`;
+                if (stats.pools.length > 0) {
+                    html += '<div class="table-responsive"><table class="table table-sm table-bordered mb-0"><thead><tr><th>缓存池</th><th>图片数</th><th>大小</th><th>命中</th><th>未命中</th><th>最近访问</th></tr></thead><tbody>';
+                    stats.pools.forEach(pool => {
+                        html += \`<tr><td><code>/\${pool.key}</code>\${pool.refilling ? ' <span class="badge bg-secondary">补充中</span>' : ''}</td><td>\${pool.items}</td><td>\${formatBytes(pool.bytes)}</td><td>\${pool.hits}</td><td>\${pool.misses}</td><td>\${new Date(pool.lastAccessAt).toLocaleString()}</td></tr>\`;
+                    });
+                    html += '</tbody></table></div>';
+                } else {
+                    html += '<p class="text-muted mb-0">暂无缓存池。为代理或中转端点启用缓存后，首次请求会创建缓存池。</p>';
+                }
+                container.innerHTML = html;
+            } catch (error) {
+                console.error('Error loading cache stats:', error);
+                showMessage('加载缓存统计失败: ' + error.message, 'error');
+            }
         }
 
-        function renderConfig() {
-            disposeAllTooltips(); // Dispose existing tooltips before clearing
-            apiConfigsContainer.innerHTML = '';
-            // --- Get references to batch elements ---
-            const batchActionsSection = document.getElementById('batch-actions-section');
-            const selectAllCheckbox = document.getElementById('select-all-checkbox');
-            const batchMoveGroupSelect = document.getElementById('batch-move-group-select');
-            // --- Ensure elements exist before proceeding ---
-            if (!batchActionsSection || !selectAllCheckbox || !batchMoveGroupSelect) {
-                 console.error("Batch action elements not found in the DOM!");
-                 return; // Stop rendering if essential elements are missing
+        async function clearCache() {
+            if (!confirm('确定要清空所有图片缓存吗？')) return;
+            try {
+                const response = await fetch('/api/admin/cache', { method: 'DELETE' });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || \`HTTP error! status: \${response.status}\`);
+                showMessage('图片缓存已清空。', 'success');
+                await loadCacheStats();
+            } catch (error) {
+                showMessage('清空缓存失败: ' + error.message, 'error');
             }
+        }
 
-            // Clear previous group options in batch move dropdown
-            batchMoveGroupSelect.innerHTML = '<option value="" selected disabled>选择目标分组...</option>';
-            // Add "未分组" option explicitly
-            batchMoveGroupSelect.add(new Option('未分组', '未分组'));
+        // --- Config Validation Error Display ---
+
+        const paramFieldIds = { name: 'name', description: 'desc', required: 'required', defaultValue: 'default', validValues: 'validValues', target: 'targetIn' };
+        const endpointFieldIds = {
+            url: 'url', method: 'method', group: 'group', description: 'description', access: 'access',
+            weight: 'weight', upstreamStrategy: 'upstreamStrategy',
+            rateLimit: 'rateLimitMode', 'rateLimit.limit': 'rateLimitLimit', 'rateLimit.windowSeconds': 'rateLimitWindow',
+            'proxySettings.imageUrlField': 'imageUrlField', 'proxySettings.fallbackAction': 'fallbackAction',
+            'proxySettings.extractor': 'imageUrlField', 'proxySettings.extractor.expression': 'imageUrlField',
+            'proxySettings.extractor.flags': 'extractorFlags', 'proxySettings.extractor.attribute': 'extractorAttribute',
+            'proxySettings.urlValidation': 'urlValidation', 'proxySettings.allowedMediaTypes': 'urlValidation',
+            'streamSettings.maxBytes': 'streamMaxBytes', 'streamSettings.cacheControl': 'streamCacheControl',
+            'cacheSettings.poolSize': 'cachePoolSize', redirectSettings: 'redirectKind', 'redirectSettings.kind': 'redirectKind', 'redirectSettings.status': 'redirectStatus',
+            'redirectSettings.cacheControl': 'redirectCacheControl', 'redirectSettings.vary': 'redirectVary',
+            'redirectSettings.cacheBust': 'redirectCacheBust', 'redirectSettings.cacheBustParam': 'redirectCacheBustParam', unknownParams: 'unknownParamsForward', 'unknownParams.deny': 'unknownParamsDeny',
+            request: 'requestMethod', 'request.method': 'requestMethod', 'request.headers': 'requestHeaders', 'request.body': 'requestBody',
+            'request.contentType': 'requestContentType', 'request.auth': 'requestAuthType', 'request.auth.tokenEnv': 'requestTokenEnv',
+            'request.auth.username': 'requestUsername', 'request.auth.passwordEnv': 'requestPasswordEnv',
+            'request.auth.param': 'requestAuthParam', 'request.auth.valueEnv': 'requestValueEnv'
+        };
+
+        function showLoadedConfigErrors() {
+            if (loadedConfigErrors.length === 0) return;
+            const alert = document.getElementById('config-errors-alert');
+            alert.innerHTML = '<strong>当前生效的配置中有 ' + loadedConfigErrors.length + ' 处格式错误，相关端点可能无法正常工作：</strong><ul class="mb-0">'
+                + loadedConfigErrors.map(error => \`<li><code>\${escapeHtml(error.path)}</code>: \${escapeHtml(error.message)}</li>\`).join('') + '</ul>';
+            alert.style.display = 'block';
+        }
 
-            const apiUrls = currentConfigData.apiUrls || {};
-            const groupedEndpoints = {};
-            const allGroupNames = new Set(['未分组']); // Start with '未分组'
+        function clearConfigErrors() {
+            document.querySelectorAll('.config-error-feedback').forEach(element => element.remove());
+            document.querySelectorAll('.is-invalid').forEach(element => element.classList.remove('is-invalid'));
+            apiConfigsContainer.querySelectorAll('.card.border-danger').forEach(card => card.classList.remove('border-danger'));
+        }
 
-            for (const apiKey in apiUrls) {
-                const entry = apiUrls[apiKey];
-                const group = entry.group || '未分组';
-                allGroupNames.add(group); // Collect all unique group names
-                if (!groupedEndpoints[group]) { groupedEndpoints[group] = []; }
-                groupedEndpoints[group].push({ key: apiKey, config: entry });
+        // 根据错误路径（如 "queryParams[0].validValues"）找到端点卡片中对应的输入框
+        function findEndpointField(card, originalApiKey, fieldPath) {
+            const listMatch = fieldPath.match(/^(queryParams|upstreams)\\[(\\d+)\\](?:\\.(\\w+))?/);
+            if (listMatch) {
+                const [, list, index, field] = listMatch;
+                const items = list === 'queryParams'
+                    ? card.querySelectorAll(\`#ep-\${originalApiKey}-params-list .param-item\`)
+                    : card.querySelectorAll(\`#ep-\${originalApiKey}-upstreams-list .upstream-item\`);
+                const item = items[parseInt(index, 10)];
+                if (!item || !field) return item?.querySelector('input') || null;
+                return list === 'queryParams'
+                    ? item.querySelector(\`[id$="-\${paramFieldIds[field] || field}"]\`)
+                    : item.querySelector(field === 'weight' ? '.upstream-weight' : '.upstream-url');
             }
+            const fieldId = endpointFieldIds[fieldPath] || endpointFieldIds[fieldPath.split('.')[0]];
+            return fieldId ? card.querySelector(\`#ep-\${originalApiKey}-\${fieldId}\`) : null;
+        }
 
-            // Populate batch move dropdown with sorted unique group names
-            const sortedAllGroupNames = Array.from(allGroupNames).sort((a, b) => {
-                 const order = {'通用转发': 1, 'AI绘图': 2, '二次元图片': 3, '三次元图片': 4, '表情包': 5, '696898': 6, '未分组': 99}; // Added 696898
-                 return (order[a] || 99) - (order[b] || 99);
-            });
-            sortedAllGroupNames.forEach(groupName => {
-                 if (groupName !== '未分组') { // Avoid adding '未分组' twice
-                     batchMoveGroupSelect.add(new Option(groupName, groupName));
-                 }
+        // 在表单中标出服务器返回的字段错误 [{ path, message }]
+        function highlightConfigErrors(details) {
+            const cards = Array.from(apiConfigsContainer.querySelectorAll('.card[data-api-key]'));
+            let firstElement = null;
+            details.forEach(({ path, message }) => {
+                let element = null;
+                const endpointMatch = path.match(/^apiUrls\\.([A-Za-z0-9_-]+)(?:\\.(.+))?$/);
+                if (endpointMatch) {
+                    const [, apiKey, fieldPath] = endpointMatch;
+                    const card = cards.find(item => sanitizeApiKey(item.querySelector('.api-key-input').value.trim()) === apiKey);
+                    if (!card) return;
+                    card.classList.add('border-danger');
+                    element = (fieldPath && findEndpointField(card, card.getAttribute('data-api-key'), fieldPath)) || card.querySelector('.api-key-input');
+                } else if (path === 'baseTag') {
+                    element = baseTagInput;
+                } else if (path.startsWith('rateLimit')) {
+                    element = document.getElementById('rateLimitLimit');
+                }
+                if (!element) return;
+                element.classList.add('is-invalid');
+                const feedback = document.createElement('div');
+                feedback.className = 'invalid-feedback d-block config-error-feedback';
+                feedback.textContent = \`\${path}: \${message}\`;
+                (element.closest('.input-group') || element).insertAdjacentElement('afterend', feedback);
+                firstElement = firstElement || element;
             });
+            if (firstElement) {
+                firstElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                firstElement.focus();
+            }
+        }
 
+        // --- Config History Functions ---
 
-            const sortedGroups = Object.keys(groupedEndpoints).sort((a, b) => {
-                 const order = {'通用转发': 1, 'AI绘图': 2, '二次元图片': 3, '三次元图片': 4, '表情包': 5, '696898': 6, '未分组': 99}; // Added 696898
-                 return (order[a] || 99) - (order[b] || 99);
-            });
-            
-            console.log('[Debug] Batch Actions Section Element:', batchActionsSection); // Debug Log 1
-            const numApiUrls = Object.keys(apiUrls).length;
-            console.log('[Debug] Number of API URLs:', numApiUrls); // Debug Log 2
+        function formatDiffValue(value) {
+            if (value === undefined) return '';
+            const text = JSON.stringify(value, null, 2);
+            return \`<pre class="mb-0 small" style="white-space: pre-wrap; max-height: 12rem; overflow: auto;">\${escapeHtml(text.length > 2000 ? text.slice(0, 2000) + '\\n…' : text)}</pre>\`;
+        }
 
-            // --- Always show batch section, buttons might be disabled if empty ---
-            console.log('[Debug] Ensuring batch actions section is visible.'); // Debug Log 3b
-            batchActionsSection.style.display = 'block'; // Always show batch actions
+        async function loadConfigHistory() {
+            const container = document.getElementById('config-history-container');
+            try {
+                const response = await fetch('/api/admin/revisions');
+                if (!response.ok) throw new Error(\`HTTP error! status: \${response.status}\`);
+                const { revisions } = await response.json();
+                if (revisions.length === 0) {
+                    container.innerHTML = '<p class="text-muted mb-0">暂无历史版本。保存配置后会在这里记录每一个版本。</p>';
+                    return;
+                }
+                let html = '<div class="table-responsive" style="max-height: 24rem; overflow-y: auto;"><table class="table table-sm table-bordered mb-0"><thead><tr><th>版本</th><th>时间</th><th>操作者</th><th>说明</th><th>操作</th></tr></thead><tbody>';
+                revisions.forEach((revision, index) => {
+                    html += \`<tr>
+                        <td>#\${revision.revision}\${index === 0 ? ' <span class="badge bg-success">最新</span>' : ''}</td>
+                        <td class="text-nowrap">\${new Date(revision.createdAt).toLocaleString()}</td>
+                        <td>\${escapeHtml(revision.author || '-')}</td>
+                        <td>\${escapeHtml(revision.message || '')}</td>
+                        <td class="text-nowrap">
+                            <button type="button" class="btn btn-outline-secondary btn-sm" onclick="showConfigDiff(\${revision.revision}, 'current')">与当前对比</button>
+                            \${index === 0 ? '' : \`<button type="button" class="btn btn-outline-warning btn-sm requires-editor" onclick="showConfigDiff(\${revision.revision}, 'current', true)"><i class="bi bi-arrow-counterclockwise"></i> 回滚</button>\`}
+                        </td>
+                    </tr>\`;
+                });
+                html += '</tbody></table></div>';
+                container.innerHTML = html;
+            } catch (error) {
+                console.error('Error loading config history:', error);
+                container.innerHTML = '<p class="text-danger mb-0">加载配置历史失败。</p>';
+            }
+        }
 
-            // --- Render groups and endpoints ---
-            if (numApiUrls === 0) {
-                 apiConfigsContainer.innerHTML = '<div class="alert alert-info">当前没有配置任何 API 端点。点击“添加新 API 端点”开始。</div>';
-            } else {
-                 // Clear container before rendering groups
-                 apiConfigsContainer.innerHTML = '';
-                 sortedGroups.forEach(groupName => {
-                    const groupContainer = document.createElement('div'); // Container for the group
-                    groupContainer.id = \`group-\${groupName.replace(/\\s+/g, '-')}\`; // Create an ID for the group container
+        // 显示两个版本之间的差异；forRollback 为 true 时在差异下方显示确认回滚按钮
+        async function showConfigDiff(from, to, forRollback = false) {
+            const container = document.getElementById('config-diff-container');
+            if (!from) { showMessage('请输入要对比的版本号！', 'error'); return; }
+            try {
+                const response = await fetch(\`/api/admin/revisions/diff?from=\${encodeURIComponent(from)}&to=\${encodeURIComponent(to)}\`);
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || \`HTTP error! status: \${response.status}\`);
+                const opLabels = { added: '<span class="badge bg-success">新增</span>', removed: '<span class="badge bg-danger">删除</span>', changed: '<span class="badge bg-warning text-dark">修改</span>' };
+                const target = to === 'current' ? '当前配置' : \`版本 #\${escapeHtml(String(to))}\`;
+                from = escapeHtml(String(from));
+                let html = \`<div class="d-flex justify-content-between align-items-center mb-2">
+                    <strong>版本 #\${from} → \${target}：\${result.changes.length} 处差异</strong>
+                    <button type="button" class="btn-close" aria-label="关闭" onclick="document.getElementById('config-diff-container').style.display = 'none'"></button>
+                </div>\`;
+                if (result.changes.length === 0) {
+                    html += '<p class="text-muted">两个版本的内容相同。</p>';
+                } else {
+                    html += '<div class="table-responsive" style="max-height: 28rem; overflow-y: auto;"><table class="table table-sm table-bordered mb-0"><thead><tr><th>路径</th><th></th><th>版本 #' + from + '</th><th>' + target + '</th></tr></thead><tbody>';
+                    result.changes.forEach(change => {
+                        html += \`<tr><td><code>\${escapeHtml(change.path)}</code></td><td>\${opLabels[change.op]}</td><td>\${formatDiffValue(change.before)}</td><td>\${formatDiffValue(change.after)}</td></tr>\`;
+                    });
+                    html += '</tbody></table></div>';
+                }
+                if (forRollback) {
+                    html += \`<p class="mt-2 mb-2 small text-muted">回滚会把配置恢复为版本 #\${from} 的内容（上表中左侧的值），并记录为一个新版本。</p>
+                        <button type="button" class="btn btn-warning btn-sm requires-editor" onclick="rollbackConfig(\${from})"><i class="bi bi-arrow-counterclockwise"></i> 确认回滚到版本 #\${from}</button>\`;
+                }
+                container.innerHTML = html;
+                container.style.display = 'block';
+                container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            } catch (error) {
+                showMessage('加载版本差异失败: ' + error.message, 'error');
+            }
+        }
 
-                    const groupTitle = document.createElement('h2');
-                    groupTitle.className = 'group-title d-flex align-items-center'; // Use flex for alignment
-                    groupTitle.innerHTML = \`
-                         <input type="checkbox" class="form-check-input me-2 group-select-all-checkbox" onchange="toggleSelectGroup(this, '\${groupName}')" aria-label="全选/取消全选 \${groupName} 分组">
-                         \${groupName}
-                    \`;
-                    groupContainer.appendChild(groupTitle); // Add title with checkbox to group container
+        async function rollbackConfig(revision) {
+            if (!confirm(\`确定要回滚到版本 #\${revision} 吗？未保存的修改将会丢失。\`)) return;
+            try {
+                const response = await fetch(\`/api/admin/revisions/\${revision}/rollback\`, { method: 'POST' });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || \`HTTP error! status: \${response.status}\`);
+                showMessage(\`已回滚到版本 #\${revision}\${result.revision ? \`（新版本 #\${result.revision}）\` : ''}。\` + formatSyncStatus(result), 'success');
+                document.getElementById('config-diff-container').style.display = 'none';
+                await loadConfig();
+                    } catch (error) {
+                showMessage('回滚失败: ' + error.message, 'error');
+            }
+        }
 
-                    // Removed logic to inject global settings into AI group
+        // --- Admin Account Functions ---
 
-                    // Sort and render endpoints within the group
-                     groupedEndpoints[groupName].sort((a, b) => a.key.localeCompare(b.key));
-                    groupedEndpoints[groupName].forEach(item => {
-                        const cardElement = renderApiEndpoint(item.key, item.config);
-                        groupContainer.appendChild(cardElement); // Add card to group container
-                    });
+        async function loadAdminUsers() {
+            const container = document.getElementById('admin-users-container');
+            try {
+                const response = await fetch('/api/admin/users');
+                if (!response.ok) throw new Error(\`HTTP error! status: \${response.status}\`);
+                const data = await response.json();
+                let html = '<div class="table-responsive"><table class="table table-sm table-bordered mb-0"><thead><tr><th>用户名</th><th>角色</th><th>创建时间</th><th>操作</th></tr></thead><tbody>';
+                data.users.forEach(user => {
+                    const name = escapeHtml(user.username);
+                    const tags = (user.builtin ? ' <span class="badge bg-secondary" title="密码由环境变量 ADMIN_TOKEN 设置">内置</span>' : '')
+                        + (user.username === data.currentUser ? ' <span class="badge bg-primary">当前</span>' : '');
+                    const actions = user.builtin ? '<span class="text-muted small">由 ADMIN_TOKEN 管理</span>' : \`
+                        <button type="button" class="btn btn-outline-secondary btn-sm" onclick="changeAdminPassword('\${name}')"><i class="bi bi-key"></i> 修改密码</button>
+                        \${user.username === data.currentUser ? '' : \`<button type="button" class="btn btn-outline-danger btn-sm" onclick="deleteAdminUser('\${name}')"><i class="bi bi-trash"></i></button>\`}\`;
+                    const roleCell = user.builtin ? adminRoleLabels[user.role] : \`
+                        <select class="form-select form-select-sm" onchange="changeAdminRole('\${name}', this)">
+                            \${Object.entries(adminRoleLabels).map(([value, label]) => \`<option value="\${value}" \${user.role === value ? 'selected' : ''}>\${label}</option>\`).join('')}
+                        </select>\`;
+                    html += \`<tr><td>\${name}\${tags}</td><td>\${roleCell}</td><td>\${user.createdAt ? new Date(user.createdAt).toLocaleString() : '-'}</td><td class="text-nowrap">\${actions}</td></tr>\`;
+                });
+                html += '</tbody></table></div>';
+                container.innerHTML = html;
+            } catch (error) {
+                console.error('Error loading admin users:', error);
+                container.innerHTML = '<p class="text-danger mb-0">加载管理员账户失败。</p>';
+            }
+        }
 
-                    apiConfigsContainer.appendChild(groupContainer); // Add the whole group container
+        async function createAdminUser() {
+            const username = document.getElementById('newAdminUsername').value.trim();
+            const password = document.getElementById('newAdminPassword').value;
+            if (!username || !password) { showMessage('请输入用户名和密码！', 'error'); return; }
+            try {
+                const response = await fetch('/api/admin/users', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ username, password, role: document.getElementById('newAdminRole').value })
                 });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || \`HTTP error! status: \${response.status}\`);
+                document.getElementById('newAdminUsername').value = '';
+                document.getElementById('newAdminPassword').value = '';
+                showMessage(\`管理员 \${result.username} 已创建。\`, 'success');
+                await loadAdminUsers();
+            } catch (error) {
+                showMessage('创建管理员失败: ' + error.message, 'error');
             }
+        }
 
-            // Set the value for the globally placed baseTag input
-            if (baseTagInput) {
-                 baseTagInput.value = currentConfigData.baseTag || '';
-            } else {
-                 console.error("BaseTag input element not found in its new location!");
+        async function changeAdminPassword(username) {
+            const password = prompt(\`请输入 \${username} 的新密码（至少 8 个字符）：\`);
+            if (!password) return;
+            try {
+                const response = await fetch(\`/api/admin/users/\${encodeURIComponent(username)}\`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ password })
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || \`HTTP error! status: \${response.status}\`);
+                showMessage('密码已修改，该账户的其他登录会话已失效。', 'success');
+            } catch (error) {
+                showMessage('修改密码失败: ' + error.message, 'error');
+            }
+        }
+
+        async function changeAdminRole(username, select) {
+            try {
+                const response = await fetch(\`/api/admin/users/\${encodeURIComponent(username)}\`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ role: select.value })
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || \`HTTP error! status: \${response.status}\`);
+                showMessage(\`\${username} 的角色已修改为“\${adminRoleLabels[result.role]}”。\`, 'success');
+            } catch (error) {
+                showMessage('修改角色失败: ' + error.message, 'error');
+            }
+            await loadAdminUsers();
+        }
+
+        async function deleteAdminUser(username) {
+            if (!confirm(\`确定要删除管理员 \${username} 吗？\`)) return;
+            try {
+                const response = await fetch(\`/api/admin/users/\${encodeURIComponent(username)}\`, { method: 'DELETE' });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || \`HTTP error! status: \${response.status}\`);
+                showMessage(\`管理员 \${username} 已删除。\`, 'success');
+                await loadAdminUsers();
+            } catch (error) {
+                showMessage('删除管理员失败: ' + error.message, 'error');
             }
-
-
-            setTimeout(() => initializeTooltips(document.body), 100);
         }
 
-        function renderQueryParam(container, apiKey, param, index) {
-             const paramDiv = document.createElement('div');
-             paramDiv.className = 'param-item p-3 mb-3';
-             const uniquePrefix = \`\${apiKey}-param-\${index}\`; // Keep original prefix logic for name attribute uniqueness
-             const uniqueIdPrefix = \`ep-\${apiKey}-param-\${index}\`; // New prefix for IDs
+        // --- Consumer API Key Functions ---
 
-             paramDiv.innerHTML = \`
-                <button type="button" class="btn btn-danger btn-sm remove-param-button" title="移除此参数" onclick="removeQueryParam(this)"><i class="bi bi-x-lg"></i></button>
-                <div class="row mb-2 align-items-center">
-                    <label for="\${uniqueIdPrefix}-name" class="col-sm-3 col-form-label text-sm-end" title="URL 中的参数名">参数名称:</label>
-                    <div class="col-sm-9">
-                        <input type="text" class="form-control form-control-sm" id="\${uniqueIdPrefix}-name" name="\${uniquePrefix}-name" value="\${param.name || ''}" required placeholder="例如: keyword">
-                    </div>
-                </div>
-                <div class="row mb-2 align-items-center">
-                    <label for="\${uniqueIdPrefix}-desc" class="col-sm-3 col-form-label text-sm-end" title="参数用途说明">参数描述:</label>
-                    <div class="col-sm-9">
-                        <textarea class="form-control form-control-sm" id="\${uniqueIdPrefix}-desc" name="\${uniquePrefix}-desc" placeholder="例如: 搜索关键词">\${param.description || ''}</textarea>
-                    </div>
-                </div>
-                 <div class="row mb-2 align-items-center">
-                    <label for="\${uniqueIdPrefix}-required" class="col-sm-3 form-check-label text-sm-end" title="请求时必须提供此参数">是否必需:</label>
-                     <div class="col-sm-9">
-                        <div class="form-check form-switch">
-                             <input class="form-check-input" type="checkbox" role="switch" id="\${uniqueIdPrefix}-required" name="\${uniquePrefix}-required" \${param.required ? 'checked' : ''}>
-                        </div>
-                    </div>
-                </div>
-                 <div class="row mb-2 align-items-center">
-                    <label for="\${uniqueIdPrefix}-default" class="col-sm-3 col-form-label text-sm-end" title="未提供参数时的默认值">默认值:</label>
-                    <div class="col-sm-9">
-                        <input type="text" class="form-control form-control-sm" id="\${uniqueIdPrefix}-default" name="\${uniquePrefix}-default" value="\${param.defaultValue || ''}" placeholder="可选">
-                    </div>
-                </div>
-                 <div class="row mb-2 align-items-center">
-                    <label for="\${uniqueIdPrefix}-validValues" class="col-sm-3 col-form-label text-sm-end" title="限制参数的有效值（逗号分隔）">有效值:</label>
-                    <div class="col-sm-8">
-                        <input type="text" class="form-control form-control-sm" id="\${uniqueIdPrefix}-validValues" name="\${uniquePrefix}-validValues" value="\${(param.validValues || []).join(',')}" placeholder="可选, 例如: value1,value2">
-                    </div>
-                     <div class="col-sm-1">
-                         <i class="bi bi-info-circle tooltip-icon" data-bs-toggle="tooltip" data-bs-placement="top" title='如果填写，参数值必须是列表中的一个（用逗号分隔）。留空则不限制。'></i>
-                     </div>
-                </div>
-             \`;
-             container.appendChild(paramDiv);
-             setTimeout(() => initializeTooltips(paramDiv), 50);
+        function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
         }
 
-        function addQueryParam(container, apiKey) {
-            const existingParams = container.querySelectorAll('.param-item');
-            const newIndex = existingParams.length;
-            const newParam = { name: '', description: '', required: false, defaultValue: '', validValues: [] };
-            renderQueryParam(container, apiKey, newParam, newIndex);
+        async function loadConsumerKeys() {
+            const container = document.getElementById('consumer-keys-container');
+            try {
+                const response = await fetch('/api/admin/keys');
+                if (!response.ok) throw new Error(\`HTTP error! status: \${response.status}\`);
+                const keys = await response.json();
+                if (keys.length === 0) {
+                    container.innerHTML = '<p class="text-muted mb-0">暂无密钥。端点的访问权限设置为“需要调用密钥”后，调用方需要携带密钥。</p>';
+                    return;
+                }
+                let html = '<div class="table-responsive"><table class="table table-sm table-bordered mb-0"><thead><tr><th>名称</th><th>密钥</th><th>范围</th><th>今日用量</th><th>最近使用</th><th>状态</th><th>操作</th></tr></thead><tbody>';
+                keys.forEach(key => {
+                    const scope = [...key.groups.map(g => '分组: ' + g), ...key.endpoints.map(e => '/' + e)].join(', ') || '全部';
+                    const quota = key.dailyQuota > 0 ? \`\${key.usedToday} / \${key.dailyQuota}\` : \`\${key.usedToday}\`;
+                    html += \`<tr>
+                        <td>\${escapeHtml(key.name)}</td>
+                        <td><code>\${escapeHtml(key.keyPrefix)}…</code></td>
+                        <td>\${escapeHtml(scope)}</td>
+                        <td>\${quota}</td>
+                        <td>\${key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : '-'}</td>
+                        <td>\${key.revoked ? '<span class="badge bg-danger">已吊销</span>' : '<span class="badge bg-success">有效</span>'}</td>
+                        <td class="text-nowrap">
+                            <button type="button" class="btn btn-outline-warning btn-sm" onclick="toggleConsumerKey('\${key.id}', \${!key.revoked})">\${key.revoked ? '恢复' : '吊销'}</button>
+                            <button type="button" class="btn btn-outline-danger btn-sm" onclick="deleteConsumerKey('\${key.id}')"><i class="bi bi-trash"></i></button>
+                        </td>
+                    </tr>\`;
+                });
+                html += '</tbody></table></div>';
+                container.innerHTML = html;
+            } catch (error) {
+                console.error('Error loading consumer keys:', error);
+                container.innerHTML = '<p class="text-danger mb-0">加载密钥失败。</p>';
+            }
         }
 
-        function removeQueryParam(button) {
-            const paramItem = button.closest('.param-item');
-            if (paramItem) { paramItem.remove(); }
+        async function createConsumerKey() {
+            const nameInput = document.getElementById('newKeyName');
+            const name = nameInput.value.trim();
+            if (!name) { showMessage('请输入密钥名称！', 'error'); nameInput.focus(); return; }
+            try {
+                const response = await fetch('/api/admin/keys', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        name,
+                        groups: document.getElementById('newKeyGroups').value,
+                        endpoints: document.getElementById('newKeyEndpoints').value,
+                        dailyQuota: document.getElementById('newKeyQuota').value
+                    })
+                });
+                const result = await response.json();
+                if (!response.ok && !result.key) throw new Error(result.error || \`HTTP error! status: \${response.status}\`);
+                ['newKeyName', 'newKeyGroups', 'newKeyEndpoints', 'newKeyQuota'].forEach(id => { document.getElementById(id).value = ''; });
+                prompt('密钥已创建，请立即复制保存（之后将无法再次查看）：', result.key);
+                await loadConsumerKeys();
+            } catch (error) {
+                showMessage('创建密钥失败: ' + error.message, 'error');
+            }
         }
 
-        function addApiEndpoint() {
-             const newApiKey = \`new_endpoint_\${Date.now()}\`;
-             const newConfigEntry = { group: "未分组", description: "", url: "", method: "redirect", queryParams: [], proxySettings: {} };
-             if (!apiConfigsContainer.querySelector('.card')) {
-                 apiConfigsContainer.innerHTML = '';
-             }
-             // Find or create the '未分组' section
-             let ungroupedContainer = apiConfigsContainer.querySelector('#group-未分组');
-             if (!ungroupedContainer) {
-                 const groupTitle = document.createElement('h2');
-                 groupTitle.className = 'group-title';
-                 groupTitle.textContent = '未分组';
-                 apiConfigsContainer.appendChild(groupTitle);
-                 ungroupedContainer = document.createElement('div');
-                 ungroupedContainer.id = 'group-未分组'; // Assign ID to the container
-                 apiConfigsContainer.appendChild(ungroupedContainer);
-             }
-             const cardElement = renderApiEndpoint(newApiKey, newConfigEntry);
-             ungroupedContainer.appendChild(cardElement);
-
-             cardElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
-             cardElement.querySelector('.api-key-input').focus();
+        async function toggleConsumerKey(id, revoked) {
+            try {
+                const response = await fetch(\`/api/admin/keys/\${id}\`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ revoked })
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || \`HTTP error! status: \${response.status}\`);
+                showMessage(revoked ? '密钥已吊销。' : '密钥已恢复。', 'success');
+                await loadConsumerKeys();
+            } catch (error) {
+                showMessage('更新密钥失败: ' + error.message, 'error');
+            }
         }
 
-        function removeApiEndpoint(card) {
-            const apiKeyInput = card.querySelector('.api-key-input');
-            const keyToRemove = apiKeyInput ? apiKeyInput.value : '(未知)';
-            if (confirm(\`确定要删除端点 "\${keyToRemove}" 吗？此操作将在保存后生效且无法撤销。\`)) {
-                const parentGroupContainer = card.parentElement;
-                card.remove();
-                handleCheckboxChange(); // Update batch counts after removing
-                 if (!apiConfigsContainer.querySelector('.card')) {
-                     apiConfigsContainer.innerHTML = '<div class="alert alert-info">当前没有配置任何 API 端点。点击“添加新 API 端点”开始。</div>';
-                     document.getElementById('batch-actions-section').style.display = 'none'; // Hide batch actions
-                 } else if (parentGroupContainer && !parentGroupContainer.querySelector('.card')) {
-                      const groupTitle = parentGroupContainer.previousElementSibling;
-                      if (groupTitle && groupTitle.classList.contains('group-title')) {
-                          groupTitle.remove();
-                      }
-                      parentGroupContainer.remove();
-                 }
-                showMessage(\`端点 \${keyToRemove} 已标记为删除。点击“保存所有配置”以确认。\`, 'success');
+        async function deleteConsumerKey(id) {
+            if (!confirm('确定要删除这个密钥吗？使用该密钥的调用方将无法再访问需要密钥的端点。')) return;
+            try {
+                const response = await fetch(\`/api/admin/keys/\${id}\`, { method: 'DELETE' });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || \`HTTP error! status: \${response.status}\`);
+                showMessage('密钥已删除。', 'success');
+                await loadConsumerKeys();
+            } catch (error) {
+                showMessage('删除密钥失败: ' + error.message, 'error');
             }
         }
 
@@ -1898,6 +7685,7 @@ app.get('/admin', checkAdminAuth, (req, res) => {
 
             selectedCountSpan.textContent = count;
             batchDeleteButton.disabled = count === 0;
+            document.getElementById('export-selected-button').disabled = count === 0;
             batchMoveButton.disabled = count === 0 || !batchMoveGroupSelect.value;
             batchMoveGroupSelect.disabled = count === 0;
 
@@ -2129,11 +7917,30 @@ app.get('/admin', checkAdminAuth, (req, res) => {
             apiConfigsContainer.innerHTML = '<div class="text-center"><div class="spinner-border text-primary" role="status"><span class="visually-hidden">正在加载配置...</span></div><p class="mt-2">正在加载配置...</p></div>'; // Changed to string concatenation
             // The line that hid the batch section initially has been removed.
             try {
-                const response = await fetch('/config');
-                if (!response.ok) throw new Error(\`HTTP error! status: \${response.status}\`);
-                currentConfigData = await response.json();
-                if (!currentConfigData.apiUrls) currentConfigData.apiUrls = {};
+                const [endpointsResponse, settingsResponse] = await Promise.all([fetch('/api/admin/endpoints'), fetch('/api/admin/settings')]);
+                if (!endpointsResponse.ok) throw new Error(\`HTTP error! status: \${endpointsResponse.status}\`);
+                if (!settingsResponse.ok) throw new Error(\`HTTP error! status: \${settingsResponse.status}\`);
+                const endpoints = await endpointsResponse.json();
+                currentConfigData = await settingsResponse.json();
+                currentConfigData.apiUrls = Object.fromEntries(endpoints.map(endpoint => [endpoint.key, endpoint.config]));
+                const endpointEtags = Object.fromEntries(endpoints.map(endpoint => [endpoint.key, endpoint.etag]));
+                savedSettings.etag = settingsResponse.headers.get('ETag');
+                try {
+                    const healthResponse = await fetch('/upstream-health', { headers: { 'Accept': 'application/json' } });
+                    upstreamHealthData = healthResponse.ok ? await healthResponse.json() : {};
+                } catch (healthError) {
+                    console.warn('Failed to load upstream health:', healthError);
+                    upstreamHealthData = {};
+                }
+                try {
+                    const secretsResponse = await fetch('/api/admin/secrets');
+                    requestSecretsData = secretsResponse.ok ? await secretsResponse.json() : [];
+                } catch (secretsError) {
+                    console.warn('Failed to load secret status:', secretsError);
+                    requestSecretsData = [];
+                }
                 renderConfig();
+                snapshotSavedState(endpointEtags);
                 handleCheckboxChange(); // Initial update for batch buttons
             } catch (error) {
                 console.error('Error loading config:', error);
@@ -2142,105 +7949,524 @@ app.get('/admin', checkAdminAuth, (req, res) => {
             }
         }
 
+        // 从端点卡片中读取配置。成功时返回 { apiKey, originalApiKey, configEntry }，校验失败时返回 { error, element }
+        function buildEndpointFromCard(card) {
+            const apiKeyInput = card.querySelector('.api-key-input');
+            const apiKey = sanitizeApiKey(apiKeyInput.value.trim());
+            const originalApiKey = card.getAttribute('data-api-key');
+            if (!apiKey) return { error: \`错误：发现一个未命名（为空）的 API 端点！请输入路径名。\`, element: apiKeyInput };
+
+            const urlInput = card.querySelector(\`#ep-\${originalApiKey}-url\`);
+            const configEntry = {
+                group: card.querySelector(\`#ep-\${originalApiKey}-group\`).value.trim() || '未分组',
+                description: card.querySelector(\`#ep-\${originalApiKey}-description\`).value.trim(),
+                url: urlInput.value.trim(),
+                method: card.querySelector(\`#ep-\${originalApiKey}-method\`).value,
+                queryParams: [],
+                proxySettings: {}
+            };
+
+            if (!configEntry.url) return { error: \`错误：端点 /\${apiKey} 的目标 URL 不能为空！\`, element: urlInput };
+
+            // Collect Rate Limit Override
+            const rateLimitMode = card.querySelector(\`#ep-\${originalApiKey}-rateLimitMode\`).value;
+            if (rateLimitMode === 'off') {
+                configEntry.rateLimit = false;
+            } else if (rateLimitMode === 'custom') {
+                const limitInput = card.querySelector(\`#ep-\${originalApiKey}-rateLimitLimit\`);
+                const limit = parseInt(limitInput.value, 10);
+                const windowSeconds = parseInt(card.querySelector(\`#ep-\${originalApiKey}-rateLimitWindow\`).value, 10);
+                if (!(limit > 0) || !(windowSeconds > 0)) return { error: \`错误：端点 /\${apiKey} 的自定义限流需要填写有效的次数和秒数！\`, element: limitInput };
+                configEntry.rateLimit = { limit, windowSeconds };
+            }
+
+            // Collect Access Control
+            if (card.querySelector(\`#ep-\${originalApiKey}-access\`).value === 'key') {
+                configEntry.access = 'key';
+            }
+
+            // Collect Upstreams
+            const weightValue = parseInt(card.querySelector(\`#ep-\${originalApiKey}-weight\`).value, 10);
+            if (!isNaN(weightValue) && weightValue !== 1) { configEntry.weight = Math.max(0, weightValue); }
+            const upstreams = [];
+            card.querySelectorAll(\`#ep-\${originalApiKey}-upstreams-list .upstream-item\`).forEach(item => {
+                const upstreamUrl = item.querySelector('.upstream-url').value.trim();
+                if (!upstreamUrl) return;
+                const upstreamWeight = parseInt(item.querySelector('.upstream-weight').value, 10);
+                upstreams.push({ url: upstreamUrl, weight: isNaN(upstreamWeight) ? 1 : Math.max(0, upstreamWeight) });
+            });
+            if (upstreams.length > 0) { configEntry.upstreams = upstreams; }
+            const upstreamStrategy = card.querySelector(\`#ep-\${originalApiKey}-upstreamStrategy\`).value;
+            if (upstreamStrategy === 'roundRobin') { configEntry.upstreamStrategy = upstreamStrategy; }
+
+            // Collect Query Params... (same as before)
+            const paramItems = card.querySelectorAll(\`#ep-\${originalApiKey}-params-list .param-item\`);
+            const paramNames = new Set();
+            for (const paramItem of paramItems) {
+                 const nameInput = paramItem.querySelector(\`input[id^="ep-"][id$="-name"]\`); // More specific selector
+                 const paramName = nameInput.value.trim();
+                 if (!paramName) continue;
+                 if (paramNames.has(paramName)) return { error: \`错误：端点 /\${apiKey} 存在重复的查询参数名称 "\${paramName}"！\`, element: nameInput };
+                 paramNames.add(paramName);
+                 const descInput = paramItem.querySelector(\`textarea[id^="ep-"][id$="-desc"]\`); // More specific selector
+                 const requiredInput = paramItem.querySelector(\`input[id^="ep-"][id$="-required"]\`); // More specific selector
+                 const defaultInput = paramItem.querySelector(\`input[id^="ep-"][id$="-default"]\`); // More specific selector
+                 const validValuesInput = paramItem.querySelector(\`input[id^="ep-"][id$="-validValues"]\`); // More specific selector
+                 const validValuesString = validValuesInput.value.trim();
+                 const { options: paramOptions, error: optionsError, element: optionsElement } = readQueryParamOptions(paramItem);
+                 if (optionsError) return { error: \`错误：端点 /\${apiKey} 的参数 "\${paramName}" \${optionsError}！\`, element: optionsElement };
+                 configEntry.queryParams.push({
+                     name: paramName, description: descInput.value.trim(), required: requiredInput.checked,
+                     defaultValue: defaultInput.value.trim() || undefined,
+                     validValues: validValuesString ? validValuesString.split(',').map(s => s.trim()).filter(Boolean) : undefined,
+                     ...paramOptions
+                 });
+            }
+            if (card.querySelector(\`#ep-\${originalApiKey}-unknownParamsForward\`).checked) {
+                const deny = card.querySelector(\`#ep-\${originalApiKey}-unknownParamsDeny\`).value.split(',').map(name => name.trim()).filter(Boolean);
+                configEntry.unknownParams = deny.length > 0 ? { forward: true, deny: [...new Set(deny)] } : { forward: true };
+            }
+
+
+            // Collect Proxy Settings... (same as before)
+            if (configEntry.method === 'proxy' || configEntry.method === 'stream') {
+                const fallbackActionSelect = card.querySelector(\`#ep-\${originalApiKey}-fallbackAction\`);
+                const originalConfigEntry = currentConfigData.apiUrls[originalApiKey];
+                if (originalConfigEntry?.proxySettings?.imageUrlFieldFromParam) {
+                     configEntry.proxySettings.imageUrlFieldFromParam = originalConfigEntry.proxySettings.imageUrlFieldFromParam;
+                     if (originalConfigEntry.proxySettings.imageUrlFieldFromParamDefault) {
+                         configEntry.proxySettings.imageUrlFieldFromParamDefault = originalConfigEntry.proxySettings.imageUrlFieldFromParamDefault;
+                     }
+                } else {
+                     Object.assign(configEntry.proxySettings, readImageUrlExtractor(card, originalApiKey));
+                }
+                const urlValidation = card.querySelector(\`#ep-\${originalApiKey}-urlValidation\`)?.value;
+                if (urlValidation && urlValidation !== 'extension') configEntry.proxySettings.urlValidation = urlValidation;
+                const allowedMediaTypes = ['image'];
+                if (card.querySelector(\`#ep-\${originalApiKey}-allowVideo\`)?.checked) allowedMediaTypes.push('video');
+                if (card.querySelector(\`#ep-\${originalApiKey}-allowAudio\`)?.checked) allowedMediaTypes.push('audio');
+                if (allowedMediaTypes.length > 1) configEntry.proxySettings.allowedMediaTypes = allowedMediaTypes;
+                configEntry.proxySettings.fallbackAction = fallbackActionSelect?.value || 'returnJson';
+            }
+
+            // Collect Upstream Request Settings
+            if (configEntry.method === 'proxy' || configEntry.method === 'stream') {
+                const requestSettings = readUpstreamRequestSettings(card, originalApiKey);
+                if (requestSettings.error) return { error: \`错误：端点 /\${apiKey} 的\${requestSettings.error}\`, element: requestSettings.element };
+                if (requestSettings.request) configEntry.request = requestSettings.request;
+            }
+
+            // Collect Stream Settings
+            if (configEntry.method === 'stream') {
+                const streamSettings = {};
+                const headers = {};
+                const referer = card.querySelector(\`#ep-\${originalApiKey}-streamReferer\`).value.trim();
+                const userAgent = card.querySelector(\`#ep-\${originalApiKey}-streamUserAgent\`).value.trim();
+                if (referer) headers['Referer'] = referer;
+                if (userAgent) headers['User-Agent'] = userAgent;
+                if (Object.keys(headers).length > 0) streamSettings.headers = headers;
+                const maxMegabytes = parseFloat(card.querySelector(\`#ep-\${originalApiKey}-streamMaxBytes\`).value);
+                if (!isNaN(maxMegabytes) && maxMegabytes > 0) streamSettings.maxBytes = Math.round(maxMegabytes * 1024 * 1024);
+                const cacheControl = card.querySelector(\`#ep-\${originalApiKey}-streamCacheControl\`).value.trim();
+                if (cacheControl) streamSettings.cacheControl = cacheControl;
+                configEntry.streamSettings = streamSettings;
+            }
+
+            // Collect Redirect Response Settings
+            if (configEntry.method === 'redirect' || configEntry.method === 'proxy') {
+                const redirectSettings = {};
+                const kind = card.querySelector(\`#ep-\${originalApiKey}-redirectKind\`).value;
+                if (kind !== 'random') redirectSettings.kind = kind;
+                const status = parseInt(card.querySelector(\`#ep-\${originalApiKey}-redirectStatus\`).value, 10);
+                if (status !== 302) redirectSettings.status = status;
+                const cacheControl = card.querySelector(\`#ep-\${originalApiKey}-redirectCacheControl\`).value.trim();
+                if (cacheControl) redirectSettings.cacheControl = cacheControl.toLowerCase() === 'none' ? '' : cacheControl;
+                const vary = card.querySelector(\`#ep-\${originalApiKey}-redirectVary\`).value.split(',').map(name => name.trim()).filter(Boolean);
+                if (vary.length > 0) redirectSettings.vary = [...new Set(vary)];
+                if (card.querySelector(\`#ep-\${originalApiKey}-redirectCacheBust\`).checked) redirectSettings.cacheBust = true;
+                const cacheBustParam = card.querySelector(\`#ep-\${originalApiKey}-redirectCacheBustParam\`).value.trim();
+                if (cacheBustParam && cacheBustParam !== '_t') redirectSettings.cacheBustParam = cacheBustParam;
+                if (Object.keys(redirectSettings).length > 0) configEntry.redirectSettings = redirectSettings;
+            }
+
+            // Collect Image Cache Settings
+            if ((configEntry.method === 'proxy' || configEntry.method === 'stream') && card.querySelector(\`#ep-\${originalApiKey}-cacheEnabled\`).checked) {
+                configEntry.cacheSettings = { enabled: true };
+                const poolSize = parseInt(card.querySelector(\`#ep-\${originalApiKey}-cachePoolSize\`).value, 10);
+                if (!isNaN(poolSize) && poolSize > 0) configEntry.cacheSettings.poolSize = Math.min(poolSize, 50);
+            }
+
+            return { apiKey, originalApiKey, configEntry };
+        }
+
+        // 页面上编辑的全局设置（其他全局设置如 forwardPolicy 不在此页面编辑，保存时不会提交）
+        function buildGlobalSettings() {
+            const globalLimit = parseInt(document.getElementById('rateLimitLimit').value, 10);
+            const globalWindow = parseInt(document.getElementById('rateLimitWindow').value, 10);
+            return {
+                baseTag: baseTagInput ? baseTagInput.value.trim() : '',
+                rateLimit: {
+                    enabled: document.getElementById('rateLimitEnabled').checked,
+                    limit: globalLimit > 0 ? globalLimit : 60,
+                    windowSeconds: globalWindow > 0 ? globalWindow : 60
+                }
+            };
+        }
+
+        // 记录刚渲染好的卡片内容，保存时与之比较，只提交有变化的部分
+        function snapshotSavedState(endpointEtags) {
+            savedEndpoints = {};
+            savedKeyAliases = {};
+            apiConfigsContainer.querySelectorAll('.card[data-api-key]').forEach(card => {
+                const built = buildEndpointFromCard(card);
+                const key = card.getAttribute('data-api-key');
+                if (endpointEtags[key]) {
+                    savedEndpoints[key] = { etag: endpointEtags[key], snapshot: built.error ? null : JSON.stringify(built.configEntry) };
+                }
+            });
+            savedSettings.snapshot = JSON.stringify(buildGlobalSettings());
+        }
+
+        async function sendAdminWrite(url, method, body, etag) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (etag) headers['If-Match'] = etag;
+            const response = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+            const result = await response.json().catch(() => ({}));
+            return { ok: response.ok, status: response.status, result };
+        }
+
+        // --- Upstream Request Secrets ---
+        let requestSecretsData = [];
+
+        // 显示端点引用的环境变量是否已设置，变量的值不会发送到浏览器
+        function formatRequestSecrets(apiKey) {
+            const secrets = requestSecretsData.filter(secret => secret.endpoints.includes(apiKey));
+            if (secrets.length === 0) return '';
+            return '引用的环境变量: ' + secrets.map(secret => secret.set
+                ? \`<code>\${escapeHtml(secret.name)}</code> <span class="badge bg-success">••••••</span>\`
+                : \`<code>\${escapeHtml(secret.name)}</code> <span class="badge bg-danger">未设置</span>\`).join('，');
+        }
+
+        // 读取端点卡片中的上游请求设置，返回 { request }（没有自定义时为空对象），格式错误时返回 { error, element }
+        function readUpstreamRequestSettings(card, idKey) {
+            const request = {};
+            const method = card.querySelector(\`#ep-\${idKey}-requestMethod\`).value;
+            if (method !== 'GET') request.method = method;
+            const headersInput = card.querySelector(\`#ep-\${idKey}-requestHeaders\`);
+            const headers = {};
+            for (const line of headersInput.value.split('\\n').map(item => item.trim()).filter(Boolean)) {
+                const separator = line.indexOf(':');
+                if (separator <= 0) return { error: \`请求头 "\${line}" 格式错误，应为 "名称: 值"。\`, element: headersInput };
+                headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            }
+            if (Object.keys(headers).length > 0) request.headers = headers;
+            const body = card.querySelector(\`#ep-\${idKey}-requestBody\`).value;
+            if (method !== 'GET' && body.trim()) {
+                request.body = body;
+                const contentType = card.querySelector(\`#ep-\${idKey}-requestContentType\`).value.trim();
+                if (contentType) request.contentType = contentType;
+            }
+            const authType = card.querySelector(\`#ep-\${idKey}-requestAuthType\`).value;
+            const readAuthField = name => card.querySelector(\`#ep-\${idKey}-\${name}\`).value.trim();
+            if (authType === 'bearer') request.auth = { type: 'bearer', tokenEnv: readAuthField('requestTokenEnv') };
+            if (authType === 'basic') request.auth = { type: 'basic', username: readAuthField('requestUsername'), passwordEnv: readAuthField('requestPasswordEnv') };
+            if (authType === 'query') request.auth = { type: 'query', param: readAuthField('requestAuthParam'), valueEnv: readAuthField('requestValueEnv') };
+            return Object.keys(request).length > 0 ? { request } : {};
+        }
+
+        // --- Image URL Extractor ---
+
+        // 读取端点表单中的提取设置，返回 { imageUrlField } 或 { extractor }
+        function readImageUrlExtractor(container, idKey) {
+            const type = container.querySelector(\`#ep-\${idKey}-extractorType\`)?.value || '';
+            const expression = container.querySelector(\`#ep-\${idKey}-imageUrlField\`)?.value.trim() || '';
+            if (!type) return { imageUrlField: expression || undefined };
+            if (!expression) return {};
+            const extractor = { type, expression };
+            const pick = container.querySelector(\`#ep-\${idKey}-extractorPick\`).value;
+            if (pick === 'random') extractor.pick = pick;
+            const flags = container.querySelector(\`#ep-\${idKey}-extractorFlags\`).value.trim();
+            if (type === 'regex' && flags) extractor.flags = flags;
+            const attribute = container.querySelector(\`#ep-\${idKey}-extractorAttribute\`).value.trim();
+            if (type === 'css' && attribute) extractor.attribute = attribute;
+            return { extractor };
+        }
+
+        async function testImageUrlExtractor(container, idKey) {
+            const resultDiv = container.querySelector(\`#ep-\${idKey}-extractorResult\`);
+            const sample = container.querySelector(\`#ep-\${idKey}-extractorSample\`).value;
+            if (!sample.trim()) {
+                resultDiv.innerHTML = '<span class="text-muted">请先粘贴示例响应。</span>';
+                return;
+            }
+            resultDiv.innerHTML = '<span class="text-muted">正在测试...</span>';
+            try {
+                const proxySettings = readImageUrlExtractor(container, idKey);
+                const baseUrl = container.querySelector(\`#ep-\${idKey}-url\`)?.value.trim();
+                const { ok, result } = await sendAdminWrite('/api/admin/extractor-test', 'POST', { proxySettings, sample, baseUrl });
+                if (!ok) {
+                    resultDiv.innerHTML = \`<span class="text-danger">\${escapeHtml(result.error || '测试失败')}\${result.details ? ' ' + escapeHtml(result.details) : ''}</span>\`;
+                    return;
+                }
+                if (result.matches.length === 0) {
+                    resultDiv.innerHTML = '<span class="text-warning">没有提取到图片链接。</span>';
+                    return;
+                }
+                const pickLabel = proxySettings.extractor?.pick === 'random' ? '本次随机选中' : '将使用';
+                resultDiv.innerHTML = \`提取到 \${result.matches.length} 个链接，\${pickLabel}: <code>\${escapeHtml(result.imageUrl)}</code>\`
+                    + (result.matches.length > 1
+                        ? '<ul class="mb-0">' + result.matches.slice(0, 10).map(match => \`<li><code>\${escapeHtml(match)}</code></li>\`).join('')
+                            + (result.matches.length > 10 ? \`<li>…还有 \${result.matches.length - 10} 个</li>\` : '') + '</ul>'
+                        : '');
+            } catch (error) {
+                resultDiv.innerHTML = \`<span class="text-danger">测试失败: \${escapeHtml(error.message)}</span>\`;
+            }
+        }
+
+        // --- Import / Export ---
+        let pendingImportBundle = null;
+        const importActionLabels = {
+            created: '<span class="badge bg-success">新建</span>',
+            overwritten: '<span class="badge bg-warning text-dark">覆盖</span>',
+            renamed: '<span class="badge bg-info text-dark">重命名导入</span>',
+            skipped: '<span class="badge bg-secondary">跳过（已存在）</span>',
+            unchanged: '<span class="badge bg-light text-dark">无变化</span>'
+        };
+
+        function exportSelectedEndpoints() {
+            const keys = getSelectedApiKeys().filter(key => savedEndpoints[key]);
+            if (keys.length === 0) {
+                showMessage('所选端点还没有保存，无法导出。', 'info');
+                return;
+            }
+            window.location.href = '/api/admin/export?endpoints=' + encodeURIComponent(keys.join(','));
+        }
+
+        async function previewImportFile(input) {
+            const file = input.files[0];
+            input.value = ''; // 允许再次选择同一个文件
+            if (!file) return;
+            try {
+                pendingImportBundle = JSON.parse(await file.text());
+            } catch (error) {
+                showMessage('无法解析导入文件: ' + error.message, 'error');
+                return;
+            }
+            document.getElementById('import-file-name').textContent = file.name;
+            document.getElementById('import-settings-checkbox').checked = false;
+            document.getElementById('import-panel').style.display = 'block';
+            await refreshImportPreview();
+        }
+
+        function sendImportRequest(dryRun) {
+            const message = document.getElementById('saveMessage').value.trim();
+            return sendAdminWrite('/api/admin/import', 'POST', {
+                bundle: pendingImportBundle,
+                mode: document.getElementById('import-mode-select').value,
+                includeSettings: document.getElementById('import-settings-checkbox').checked,
+                dryRun,
+                ...(message ? { message } : {})
+            });
+        }
+
+        function formatImportChanges(changes) {
+            if (!changes || changes.length === 0) return '';
+            const shown = changes.slice(0, 5).map(change => \`<code>\${escapeHtml(change.path)}</code>\`).join('、');
+            return shown + (changes.length > 5 ? \` 等 \${changes.length} 处\` : '');
+        }
+
+        async function refreshImportPreview() {
+            const preview = document.getElementById('import-preview');
+            const confirmButton = document.getElementById('import-confirm-button');
+            if (!pendingImportBundle) return;
+            confirmButton.disabled = true;
+            preview.innerHTML = '<p class="text-muted mb-0">正在生成预览...</p>';
+            try {
+                const { ok, status, result } = await sendImportRequest(true);
+                if (!ok) {
+                    preview.innerHTML = \`<div class="alert alert-danger mb-0">\${escapeHtml(result.error || 'HTTP ' + status)}</div>\`;
+                    return;
+                }
+                const counts = {};
+                result.endpoints.forEach(item => { counts[item.action] = (counts[item.action] || 0) + 1; });
+                let html = \`<p class="mb-2">文件中共 \${result.endpoints.length} 个端点：\${Object.entries(counts).map(([action, count]) => \`\${importActionLabels[action]} \${count}\`).join(' ') || '无'}</p>\`;
+                if (result.endpoints.length > 0) {
+                    html += '<div class="table-responsive" style="max-height: 20rem; overflow-y: auto;"><table class="table table-sm table-bordered mb-0"><thead><tr><th>端点</th><th>处理方式</th><th>说明</th></tr></thead><tbody>';
+                    result.endpoints.forEach(item => {
+                        const note = item.action === 'renamed' ? \`导入为 <code>/\${escapeHtml(item.targetKey)}</code>\` : formatImportChanges(item.changes);
+                        html += \`<tr><td><code>/\${escapeHtml(item.key)}</code></td><td>\${importActionLabels[item.action]}</td><td>\${note}</td></tr>\`;
+                    });
+                    html += '</tbody></table></div>';
+                }
+                if (result.settings) {
+                    html += \`<p class="mt-2 mb-0">全局设置：\${result.settings.length > 0 ? '修改 ' + formatImportChanges(result.settings) : '无变化'}</p>\`;
+                }
+                if (result.errors.length > 0) {
+                    html += \`<div class="alert alert-danger mt-2 mb-0">导入后的配置无效，无法导入：<ul class="mb-0">\${result.errors.map(error => \`<li><code>\${escapeHtml(error.path)}</code>: \${escapeHtml(error.message)}</li>\`).join('')}</ul></div>\`;
+                }
+                if (result.ownerOnlyChanges.length > 0) {
+                    html += \`<div class="alert alert-warning mt-2 mb-0">以下修改需要所有者权限：\${result.ownerOnlyChanges.map(path => \`<code>\${escapeHtml(path)}</code>\`).join('、')}</div>\`;
+                }
+                preview.innerHTML = html;
+                const hasChanges = result.endpoints.some(item => item.action !== 'skipped' && item.action !== 'unchanged') || (result.settings && result.settings.length > 0);
+                confirmButton.disabled = !hasChanges || result.errors.length > 0 || result.ownerOnlyChanges.length > 0;
+            } catch (error) {
+                preview.innerHTML = \`<div class="alert alert-danger mb-0">生成预览失败: \${escapeHtml(error.message)}</div>\`;
+            }
+        }
+
+        async function confirmImport() {
+            if (!confirm('导入后会重新加载配置，页面上未保存的修改将丢失。确定导入吗？')) return;
+            const confirmButton = document.getElementById('import-confirm-button');
+            confirmButton.disabled = true;
+            try {
+                const { ok, status, result } = await sendImportRequest(false);
+                if (!ok) {
+                    showMessage('导入失败: ' + (result.error || 'HTTP ' + status), 'error');
+                    confirmButton.disabled = false;
+                    return;
+                }
+                const imported = result.endpoints.filter(item => item.action !== 'skipped' && item.action !== 'unchanged').length;
+                closeImportPanel();
+                document.getElementById('saveMessage').value = '';
+                showMessage(\`导入完成，新增或更新了 \${imported} 个端点。\` + (result.revision ? \` (版本 \${result.revision})\` : '') + formatSyncStatus(result.version !== undefined ? result : null), 'success');
+                await loadConfig();
+                await loadConfigHistory();
+            } catch (error) {
+                showMessage('导入失败: ' + error.message, 'error');
+                confirmButton.disabled = false;
+            }
+        }
+
+        function closeImportPanel() {
+            pendingImportBundle = null;
+            document.getElementById('import-panel').style.display = 'none';
+            document.getElementById('import-preview').innerHTML = '';
+        }
+
+        // 保存后其他实例的同步情况，例如“配置版本 12，已同步 2 / 3 个实例”
+        function formatSyncStatus(result) {
+            if (!result) return '';
+            if (!result.instances) return \` 配置版本 \${result.version}，无法获取实例同步情况。\`;
+            const { acknowledged, total } = result.instances;
+            return \` 配置版本 \${result.version}，已同步 \${acknowledged} / \${total} 个实例\` + (acknowledged < total ? '，其余实例将在下一次轮询时更新。' : '。');
+        }
+
         async function saveConfig(event) {
             event.preventDefault();
 
-            const updatedApiUrls = {};
-            const cards = apiConfigsContainer.querySelectorAll('.card[data-api-key]');
-            let hasError = false;
+            const builtEndpoints = [];
             const usedApiKeys = new Set();
+            for (const card of apiConfigsContainer.querySelectorAll('.card[data-api-key]')) {
+                const built = buildEndpointFromCard(card);
+                if (!built.error && usedApiKeys.has(built.apiKey)) {
+                    built.error = \`错误：API 端点路径 "/\${built.apiKey}" 重复！请确保每个端点路径唯一。\`;
+                    built.element = card.querySelector('.api-key-input');
+                }
+                if (built.error) {
+                    showMessage(built.error, 'error');
+                    built.element?.focus();
+                    console.error("Validation errors found. Aborting save.");
+                    return;
+                }
+                usedApiKeys.add(built.apiKey);
+                builtEndpoints.push(built);
+            }
 
-            cards.forEach(card => {
-                 if (hasError) return;
-                const apiKeyInput = card.querySelector('.api-key-input');
-                const apiKey = sanitizeApiKey(apiKeyInput.value.trim());
-                const originalApiKey = card.getAttribute('data-api-key');
-
-                 if (!apiKey) { showMessage(\`错误：发现一个未命名（为空）的 API 端点！请输入路径名。\`, 'error'); apiKeyInput.focus(); hasError = true; return; }
-                 if (usedApiKeys.has(apiKey)) { showMessage(\`错误：API 端点路径 "/\${apiKey}" 重复！请确保每个端点路径唯一。\`, 'error'); apiKeyInput.focus(); hasError = true; return; }
-                 usedApiKeys.add(apiKey);
-
-                const urlInput = card.querySelector(\`#ep-\${originalApiKey}-url\`);
-                const configEntry = {
-                    group: card.querySelector(\`#ep-\${originalApiKey}-group\`).value.trim() || '未分组',
-                    description: card.querySelector(\`#ep-\${originalApiKey}-description\`).value.trim(),
-                    url: urlInput.value.trim(),
-                    method: card.querySelector(\`#ep-\${originalApiKey}-method\`).value,
-                    queryParams: [],
-                    proxySettings: {}
-                };
-
-                if (!configEntry.url) { showMessage(\`错误：端点 /\${apiKey} 的目标 URL 不能为空！\`, 'error'); urlInput.focus(); hasError = true; return; }
-
-                // Collect Query Params... (same as before)
-                const paramItems = card.querySelectorAll(\`#ep-\${originalApiKey}-params-list .param-item\`);
-                const paramNames = new Set();
-                paramItems.forEach((paramItem) => {
-                     if (hasError) return;
-                     const nameInput = paramItem.querySelector(\`input[id^="ep-"][id$="-name"]\`); // More specific selector
-                     const paramName = nameInput.value.trim();
-                     if (!paramName) return;
-                     if (paramNames.has(paramName)) { showMessage(\`错误：端点 /\${apiKey} 存在重复的查询参数名称 "\${paramName}"！\`, 'error'); nameInput.focus(); hasError = true; return; }
-                     paramNames.add(paramName);
-                     const descInput = paramItem.querySelector(\`textarea[id^="ep-"][id$="-desc"]\`); // More specific selector
-                     const requiredInput = paramItem.querySelector(\`input[id^="ep-"][id$="-required"]\`); // More specific selector
-                     const defaultInput = paramItem.querySelector(\`input[id^="ep-"][id$="-default"]\`); // More specific selector
-                     const validValuesInput = paramItem.querySelector(\`input[id^="ep-"][id$="-validValues"]\`); // More specific selector
-                     const validValuesString = validValuesInput.value.trim();
-                     configEntry.queryParams.push({
-                         name: paramName, description: descInput.value.trim(), required: requiredInput.checked,
-                         defaultValue: defaultInput.value.trim() || undefined,
-                         validValues: validValuesString ? validValuesString.split(',').map(s => s.trim()).filter(Boolean) : undefined
-                     });
+            // 计算需要提交的修改：删除 → 重命名 → 更新 → 新建 → 全局设置
+            const message = document.getElementById('saveMessage').value.trim();
+            const withMessage = body => (message ? { ...body, message } : body);
+            const operations = [];
+            const resolveKey = originalKey => savedKeyAliases[originalKey] || originalKey;
+            const keptKeys = new Set(builtEndpoints.map(built => resolveKey(built.originalApiKey)).filter(key => savedEndpoints[key]));
+            Object.keys(savedEndpoints).filter(key => !keptKeys.has(key)).forEach(key => {
+                operations.push({
+                    label: \`删除 /\${key}\`,
+                    run: () => sendAdminWrite(\`/api/admin/endpoints/\${encodeURIComponent(key)}\${message ? '?message=' + encodeURIComponent(message) : ''}\`, 'DELETE', undefined, savedEndpoints[key].etag),
+                    onSuccess: () => { delete savedEndpoints[key]; }
                 });
-                 if (hasError) return;
-
-
-                // Collect Proxy Settings... (same as before)
-                if (configEntry.method === 'proxy') {
-                    const imageUrlFieldInput = card.querySelector(\`#ep-\${originalApiKey}-imageUrlField\`);
-                    const fallbackActionSelect = card.querySelector(\`#ep-\${originalApiKey}-fallbackAction\`);
-                    const originalConfigEntry = currentConfigData.apiUrls[originalApiKey];
-                    if (apiKey === 'forward' && originalConfigEntry?.proxySettings?.imageUrlFieldFromParam) {
-                         configEntry.proxySettings.imageUrlFieldFromParam = originalConfigEntry.proxySettings.imageUrlFieldFromParam;
-                    } else if (imageUrlFieldInput) {
-                         configEntry.proxySettings.imageUrlField = imageUrlFieldInput.value.trim() || undefined;
+            });
+            builtEndpoints.forEach(built => {
+                const savedKey = resolveKey(built.originalApiKey);
+                if (!savedEndpoints[savedKey] || savedKey === built.apiKey) return;
+                operations.push({
+                    label: \`重命名 /\${savedKey} → /\${built.apiKey}\`,
+                    run: () => sendAdminWrite(\`/api/admin/endpoints/\${encodeURIComponent(savedKey)}/rename\`, 'POST', withMessage({ newKey: built.apiKey }), savedEndpoints[savedKey].etag),
+                    onSuccess: result => {
+                        savedEndpoints[built.apiKey] = { ...savedEndpoints[savedKey], etag: result.etag };
+                        delete savedEndpoints[savedKey];
+                        savedKeyAliases[built.originalApiKey] = built.apiKey;
                     }
-                    configEntry.proxySettings.fallbackAction = fallbackActionSelect?.value || 'returnJson';
+                });
+            });
+            builtEndpoints.forEach(built => {
+                const savedKey = resolveKey(built.originalApiKey);
+                const snapshot = JSON.stringify(built.configEntry);
+                if (savedEndpoints[savedKey]) {
+                    if (savedEndpoints[savedKey].snapshot === snapshot) return;
+                    operations.push({
+                        label: \`更新 /\${built.apiKey}\`,
+                        run: () => sendAdminWrite(\`/api/admin/endpoints/\${encodeURIComponent(built.apiKey)}\`, 'PUT', withMessage({ config: built.configEntry }), savedEndpoints[built.apiKey]?.etag),
+                        onSuccess: result => { savedEndpoints[built.apiKey] = { etag: result.etag, snapshot }; }
+                    });
+                } else {
+                    operations.push({
+                        label: \`新建 /\${built.apiKey}\`,
+                        run: () => sendAdminWrite('/api/admin/endpoints', 'POST', withMessage({ key: built.apiKey, config: built.configEntry })),
+                        onSuccess: result => { savedEndpoints[built.apiKey] = { etag: result.etag, snapshot }; }
+                    });
                 }
-
-                 const originalConfig = currentConfigData.apiUrls[originalApiKey];
-                 if (originalConfig?.urlConstruction) { configEntry.urlConstruction = originalConfig.urlConstruction; }
-                 if (originalConfig?.modelName) { configEntry.modelName = originalConfig.modelName; }
-
-                updatedApiUrls[apiKey] = configEntry;
             });
+            const settings = buildGlobalSettings();
+            if (JSON.stringify(settings) !== savedSettings.snapshot) {
+                operations.push({
+                    label: '更新全局设置',
+                    run: () => sendAdminWrite('/api/admin/settings', 'PATCH', withMessage({ settings }), savedSettings.etag),
+                    onSuccess: result => { savedSettings = { etag: result.etag, snapshot: JSON.stringify(settings) }; }
+                });
+            }
 
-            if (hasError) { console.error("Validation errors found. Aborting save."); return; }
-
-            // Get baseTag value from its global location
-            const updatedConfig = {
-                apiUrls: updatedApiUrls,
-                baseTag: baseTagInput ? baseTagInput.value.trim() : ''
-            };
-            console.log("Saving config:", JSON.stringify(updatedConfig, null, 2));
+            if (operations.length === 0) {
+                showMessage('没有需要保存的修改。', 'info');
+                return;
+            }
+            console.log("Saving changes:", operations.map(operation => operation.label));
 
             const saveButton = form.querySelector('.save-button');
             saveButton.disabled = true;
             saveButton.innerHTML = \`<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> 保存中...\`;
 
+            const failures = [];
+            const fieldErrors = [];
+            let lastRevision = null;
+            let lastSync = null;
+            clearConfigErrors();
             try {
-                const response = await fetch('/config', {
-                    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(updatedConfig),
-                });
-                const result = await response.json();
-                if (!response.ok) throw new Error(result.error || \`HTTP error! status: \${response.status}\`);
-                showMessage(result.message || '配置已成功更新！所有更改已动态生效。', 'success');
-                await loadConfig();
-            } catch (error) {
-                console.error('Error saving config:', error);
-                showMessage('保存配置失败: ' + error.message, 'error');
-            } finally {
+                for (const operation of operations) {
+                    try {
+                        const { ok, status, result } = await operation.run();
+                        if (!ok) {
+                            if (status === 400 && Array.isArray(result.details)) fieldErrors.push(...result.details);
+                            failures.push(\`\${operation.label}：\${status === 409 ? '已被其他管理员修改或路径已存在，请刷新页面后重试' : (result.error || 'HTTP ' + status)}\`);
+                            continue;
+                        }
+                        operation.onSuccess(result);
+                        if (result.revision) lastRevision = result.revision;
+                        if (result.version !== undefined) lastSync = result;
+                    } catch (error) {
+                        failures.push(\`\${operation.label}：\${error.message}\`);
+                    }
+                }
+                if (failures.length > 0) {
+                    // 保留页面上的修改，已成功的部分不会重复提交
+                    showMessage(\`部分修改保存失败（成功 \${operations.length - failures.length} / \${operations.length}）：\${failures.join('；')}\` + (fieldErrors.length > 0 ? '。出错的字段已在表单中标出。' : ''), 'error');
+                    highlightConfigErrors(fieldErrors);
+                } else {
+                    showMessage(\`已保存 \${operations.length} 项修改，所有更改已动态生效。\` + (lastRevision ? \` (版本 \${lastRevision})\` : '') + formatSyncStatus(lastSync), 'success');
+                    document.getElementById('saveMessage').value = '';
+                    await loadConfig();
+                }
+                    } finally {
                  saveButton.disabled = false;
                  saveButton.innerHTML = \`<i class="bi bi-save"></i> 保存所有配置\`;
             }
@@ -2386,6 +8612,12 @@ app.get('/admin', checkAdminAuth, (req, res) => {
         
         document.addEventListener('DOMContentLoaded', () => {
             loadConfig(); // Load existing config first
+            loadConfigHistory();
+            showLoadedConfigErrors();
+            if (currentAdminRole === 'owner') {
+                loadConsumerKeys();
+                loadAdminUsers();
+            }
 
             // Check for pinyin library and enable button if available
             const fetchButton = document.querySelector('.fetch-emoticons-button');
@@ -2417,15 +8649,40 @@ app.get('/admin', checkAdminAuth, (req, res) => {
 
 
 // --- Server Start ---
+let httpServer = null;
+
+// 收到 SIGTERM/SIGINT 时停止接受新请求，等待进行中的请求完成后关闭 MongoDB 连接再退出
+async function shutdown(signal) {
+    console.log(`${signal} received, shutting down...`);
+    // 最多等待 10 秒，避免长连接（如流式转发）阻止退出
+    setTimeout(() => process.exit(1), 10000).unref();
+    try {
+        if (httpServer) {
+            await new Promise(resolve => httpServer.close(resolve));
+        }
+        await stopConfigSync();
+        if (configStore.close) await configStore.close();
+        await closeMongoConnection();
+    } catch (error) {
+        console.error('Error during shutdown:', error);
+    }
+    process.exit(0);
+}
+
 // 确保在服务器启动前先加载配置
-(async () => {
+async function startServer() {
     try {
         console.log('Loading configuration before starting server...');
         await loadConfig();
         console.log('Configuration loaded successfully.');
+        await loadConsumerKeys();
+        await loadAdminUsers();
+        warnIfDefaultAdminToken();
+        startHealthCheckScheduler();
+        startConfigSync();
         
         // 启动服务器
-        app.listen(PORT, () => {
+        httpServer = app.listen(PORT, () => {
             console.log(`API Forwarder running on http://localhost:${PORT}`);
             console.log(`Admin interface available at http://localhost:${PORT}/admin`);
         });
@@ -2433,4 +8690,28 @@ app.get('/admin', checkAdminAuth, (req, res) => {
         console.error('Failed to start server:', error);
         process.exit(1);
     }
-})();
+}
+
+// 直接运行时启动服务器；被测试或其他程序 require 时不监听端口、不启动定时任务，由调用方按需加载配置。
+// Vercel 通过 require 加载本文件，仍然自动启动
+if (require.main === module || process.env.VERCEL) {
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    startServer();
+}
+
+// 供测试或嵌入使用（例如将健康检查探测函数替换为指向本地桩服务器的实现）
+module.exports = {
+    app,
+    loadConfig,
+    startConfigSync,
+    stopConfigSync,
+    runHealthChecks,
+    setHealthProbe,
+    createFileConfigStore,
+    createMemoryConfigStore,
+    createMongoConfigStore,
+    createSqliteConfigStore,
+    createRedisConfigStore,
+    createReadOnlyConfigStore
+};
@@ -0,0 +1,36 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// 生产环境下没有设置 ADMIN_TOKEN：内置管理员账户被禁用
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+process.env.NODE_ENV = 'production';
+delete process.env.ADMIN_TOKEN;
+delete process.env.ALLOW_DEFAULT_ADMIN_TOKEN;
+process.env.CONFIG_JSON = JSON.stringify({ apiUrls: { cats: { group: '测试', method: 'redirect', url: 'http://upstream.test/cats' } } });
+
+const { app, loadConfig } = require('..');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('rejects the default admin token in production', async () => {
+    for (const body of [{ token: 'admin' }, { username: 'admin', password: 'admin' }]) {
+        const response = await fetch(`${baseUrl}/admin-auth`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.headers.get('set-cookie'), null);
+    }
+});
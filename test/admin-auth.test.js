@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// 信任一层代理，测试用 X-Forwarded-For / X-Forwarded-Proto 模拟不同的客户端和 HTTPS
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+process.env.TRUST_PROXY = '1';
+delete process.env.ADMIN_TOKEN;
+delete process.env.NODE_ENV;
+delete process.env.VERCEL;
+process.env.CONFIG_JSON = JSON.stringify({ apiUrls: { cats: { group: '测试', method: 'redirect', url: 'http://upstream.test/cats' } } });
+
+const { app, loadConfig } = require('..');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function login(body, headers = {}) {
+    return fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+}
+
+function getSessionCookie(response) {
+    return response.headers.get('set-cookie').split(';')[0];
+}
+
+function getConfig(cookie) {
+    return fetch(`${baseUrl}/config`, { headers: cookie ? { Cookie: cookie } : {} });
+}
+
+test('logs in with the admin token and sets a strict, HTTP-only session cookie', async () => {
+    const wrong = await login({ token: 'not-the-token' }, { 'X-Forwarded-For': '198.51.100.1' });
+    assert.strictEqual(wrong.status, 401);
+    assert.strictEqual(wrong.headers.get('set-cookie'), null);
+
+    const response = await login({ username: 'admin', password: 'admin' }, { 'X-Forwarded-For': '198.51.100.1' });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { success: true, username: 'admin' });
+    const setCookie = response.headers.get('set-cookie');
+    assert.match(setCookie, /^api_forward_admin_session=/);
+    assert.match(setCookie, /; HttpOnly/);
+    assert.match(setCookie, /; SameSite=Strict/);
+    assert.doesNotMatch(setCookie, /; Secure/);
+
+    const overHttps = await login({ token: 'admin' }, { 'X-Forwarded-For': '198.51.100.1', 'X-Forwarded-Proto': 'https' });
+    assert.match(overHttps.headers.get('set-cookie'), /; Secure/);
+});
+
+test('only accepts the signed session cookie', async () => {
+    const cookie = getSessionCookie(await login({ token: 'admin' }, { 'X-Forwarded-For': '198.51.100.2' }));
+    assert.strictEqual((await getConfig(cookie)).status, 200);
+    assert.strictEqual((await getConfig()).status, 401);
+
+    const [name, value] = cookie.split('=');
+    const tampered = `${name}=${value.slice(0, -1)}${value.endsWith('A') ? 'B' : 'A'}`;
+    assert.strictEqual((await getConfig(tampered)).status, 401);
+});
+
+test('destroys the session on logout', async () => {
+    const cookie = getSessionCookie(await login({ token: 'admin' }, { 'X-Forwarded-For': '198.51.100.3' }));
+    const logout = await fetch(`${baseUrl}/admin-logout`, { headers: { Cookie: cookie }, redirect: 'manual' });
+    assert.strictEqual(logout.status, 302);
+    assert.strictEqual(logout.headers.get('location'), '/admin-login');
+    assert.match(logout.headers.get('set-cookie'), /^api_forward_admin_session=;/);
+    // 即使客户端保留了旧 cookie，会话也已在服务器端删除
+    assert.strictEqual((await getConfig(cookie)).status, 401);
+});
+
+test('locks the client out after repeated failed logins', async () => {
+    const client = { 'X-Forwarded-For': '203.0.113.9' };
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await login({ token: `wrong-${i}` }, client)).status, 401);
+    }
+    const locked = await login({ token: 'admin' }, client);
+    assert.strictEqual(locked.status, 429);
+    const retryAfter = parseInt(locked.headers.get('retry-after'), 10);
+    assert.ok(retryAfter > 0 && retryAfter <= 15 * 60, `Retry-After ${retryAfter}`);
+
+    // 锁定只针对失败过多的客户端
+    assert.strictEqual((await login({ token: 'admin' }, { 'X-Forwarded-For': '203.0.113.10' })).status, 200);
+});
@@ -0,0 +1,102 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+// 配置和账户保存到本地文件；写文件由替身接管，不会改动仓库中的文件。
+// writeGate 不为空时写文件会一直等待，用来让一个保存请求停在写锁内
+delete process.env.MONGODB_URI;
+delete process.env.CONFIG_STORE;
+process.env.ENABLE_FILE_OPERATIONS = 'true';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+process.env.ADMIN_TOKEN = 'owner-test-token';
+let writeGate = null;
+let writeCount = 0;
+mock.method(fs.promises, 'writeFile', async () => {
+    writeCount += 1;
+    if (writeGate) await writeGate;
+});
+
+const { app, loadConfig } = require('..');
+
+let server;
+let baseUrl;
+let ownerCookie;
+let editorCookie;
+
+async function login(credentials) {
+    const response = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials)
+    });
+    assert.strictEqual(response.status, 200);
+    return response.headers.get('set-cookie').split(';')[0];
+}
+
+before(async () => {
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    ownerCookie = await login({ token: 'owner-test-token' });
+    const created = await adminRequest(ownerCookie, '/api/admin/users', { method: 'POST', body: { username: 'editor', password: 'editor-password', role: 'editor' } });
+    assert.strictEqual(created.status, 201);
+    editorCookie = await login({ username: 'editor', password: 'editor-password' });
+});
+
+after(() => {
+    server.close();
+    mock.restoreAll();
+});
+
+function adminRequest(cookie, path, { method = 'GET', body } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { Cookie: cookie, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+async function getConfig() {
+    return (await adminRequest(ownerCookie, '/config')).json();
+}
+
+test('rejects forward policy changes from editors', async () => {
+    const config = await getConfig();
+    const response = await adminRequest(editorCookie, '/config', { method: 'POST', body: { ...config, forwardPolicy: { allowPrivateNetworks: true } } });
+    assert.strictEqual(response.status, 403);
+    assert.deepStrictEqual((await response.json()).details, ['forwardPolicy']);
+});
+
+test('checks owner-only changes against the configuration the save is applied to', async () => {
+    const config = await getConfig();
+    const ownerPolicy = { denyHosts: ['internal.example'] };
+
+    // owner 的保存停在写文件这一步（持有写锁）时，editor 提交一份仍是旧转发策略的完整配置
+    let releaseWrites;
+    writeGate = new Promise(resolve => { releaseWrites = resolve; });
+    const writesBefore = writeCount;
+    let ownerSave;
+    let editorSave;
+    try {
+        ownerSave = adminRequest(ownerCookie, '/config', { method: 'POST', body: { ...config, forwardPolicy: ownerPolicy } });
+        while (writeCount === writesBefore) await new Promise(resolve => setTimeout(resolve, 10));
+        editorSave = adminRequest(editorCookie, '/config', { method: 'POST', body: config });
+        await new Promise(resolve => setTimeout(resolve, 100));
+    } finally {
+        writeGate = null;
+        releaseWrites();
+    }
+
+    assert.strictEqual((await ownerSave).status, 200);
+    const editorResponse = await editorSave;
+    assert.strictEqual(editorResponse.status, 403);
+    assert.deepStrictEqual((await editorResponse.json()).details, ['forwardPolicy']);
+    assert.deepStrictEqual((await getConfig()).forwardPolicy, ownerPolicy);
+
+    // 回滚到 owner 修改前的版本同样会改回转发策略
+    const [, previous] = (await (await adminRequest(ownerCookie, '/api/admin/revisions')).json()).revisions;
+    const rollback = await adminRequest(editorCookie, `/api/admin/revisions/${previous.revision}/rollback`, { method: 'POST' });
+    assert.strictEqual(rollback.status, 403);
+    assert.deepStrictEqual((await getConfig()).forwardPolicy, ownerPolicy);
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+process.env.BATCH_TIMEOUT_MS = '200';
+
+// /slow 不返回响应，记录被中止（连接关闭）的请求数
+let slowRequestsClosed = 0;
+let upstream;
+let server;
+let baseUrl;
+let cookie;
+let consumerKey;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        if (req.url === '/slow') {
+            res.on('close', () => { slowRequestsClosed += 1; });
+            return;
+        }
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ url: 'https://images.example/cat.png' }));
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    const upstreamOrigin = `http://127.0.0.1:${upstream.address().port}`;
+    const limits = { access: 'key', rateLimit: { limit: 2, windowSeconds: 3600 }, proxySettings: { imageUrlField: 'url' } };
+
+    // 测试上游在回环地址上，因此允许内网地址
+    process.env.CONFIG_JSON = JSON.stringify({
+        forwardPolicy: { allowPrivateNetworks: true },
+        apiUrls: {
+            fast: { group: '测试', method: 'proxy', url: `${upstreamOrigin}/api`, ...limits },
+            slow: { group: '测试', method: 'proxy', url: `${upstreamOrigin}/slow`, ...limits }
+        }
+    });
+    const { app, loadConfig } = require('..');
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+    const created = await fetch(`${baseUrl}/api/admin/keys`, {
+        method: 'POST',
+        headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'batch', dailyQuota: 2 })
+    });
+    consumerKey = (await created.json()).key;
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+    upstream.closeAllConnections();
+});
+
+async function batch(items) {
+    const response = await fetch(`${baseUrl}/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': consumerKey },
+        body: JSON.stringify({ items })
+    });
+    assert.strictEqual(response.status, 200);
+    return (await response.json()).results;
+}
+
+async function getUsedToday() {
+    const keys = await (await fetch(`${baseUrl}/api/admin/keys`, { headers: { Cookie: cookie } })).json();
+    return keys.find(key => key.name === 'batch').usedToday;
+}
+
+async function waitFor(condition, message) {
+    const deadline = Date.now() + 2000;
+    while (!(await condition())) {
+        if (Date.now() > deadline) assert.fail(message);
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('aborts unresolved items on timeout without charging them to the rate limit or quota', async () => {
+    // 限流和每日配额都是 2：超时的项如果被计数，第三次批量请求就会被拒绝
+    for (let i = 1; i <= 3; i++) {
+        const [result] = await batch([{ endpoint: 'slow' }]);
+        assert.strictEqual(result.status, 504, `batch ${i}`);
+        await waitFor(() => slowRequestsClosed === i, `batch ${i}: upstream request was not aborted`);
+        await waitFor(async () => await getUsedToday() === 0, `batch ${i}: quota was not refunded`);
+    }
+
+    const results = await batch([{ endpoint: 'fast' }, { endpoint: 'fast' }, { endpoint: 'fast' }]);
+    assert.deepStrictEqual(results.map(result => result.status).sort(), [200, 200, 429]);
+    assert.strictEqual(await getUsedToday(), 2);
+});
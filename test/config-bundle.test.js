@@ -0,0 +1,173 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// 配置只保存在内存中，每个测试先通过 POST /config 写入初始配置
+process.env.CONFIG_STORE = 'memory';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+
+const { app, loadConfig } = require('..');
+
+const cats = { group: '猫', method: 'redirect', url: 'http://upstream.test/cats' };
+const dogs = { group: '狗', method: 'redirect', url: 'http://upstream.test/dogs' };
+const puppies = { group: '狗', method: 'redirect', url: 'http://upstream.test/puppies' };
+const initialConfig = { baseTag: 'masterpiece', apiUrls: { cats, dogs, puppies } };
+// 与初始配置相比：cats 相同、dogs 不同、fish 是新端点
+const bundle = {
+    format: 'api-forward-bundle',
+    version: 1,
+    endpoints: {
+        cats,
+        dogs: { ...dogs, url: 'http://mirror.test/dogs' },
+        fish: { group: '鱼', method: 'redirect', url: 'http://upstream.test/fish' }
+    },
+    settings: { baseTag: 'imported' }
+};
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => server.close());
+
+function adminRequest(path, { method = 'GET', body } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { Cookie: cookie, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+async function resetConfig() {
+    assert.strictEqual((await adminRequest('/config', { method: 'POST', body: initialConfig })).status, 200);
+}
+
+async function getConfig() {
+    return (await adminRequest('/config')).json();
+}
+
+async function importBundle(body) {
+    const response = await adminRequest('/api/admin/import', { method: 'POST', body: { bundle, ...body } });
+    assert.strictEqual(response.status, 200);
+    return response.json();
+}
+
+function getActions(result) {
+    return Object.fromEntries(result.endpoints.map(item => [item.key, item.targetKey ? `${item.action} ${item.targetKey}` : item.action]));
+}
+
+test('exports all endpoints or only the selected groups and endpoints', async () => {
+    await resetConfig();
+    const full = await adminRequest('/api/admin/export');
+    assert.match(full.headers.get('content-disposition'), /filename="api-forward-config-\d{8}-\d{6}\.json"/);
+    const fullBundle = await full.json();
+    assert.strictEqual(fullBundle.format, 'api-forward-bundle');
+    assert.strictEqual(fullBundle.version, 1);
+    assert.strictEqual(fullBundle.exportedBy, 'admin');
+    assert.deepStrictEqual(fullBundle.endpoints, initialConfig.apiUrls);
+    assert.strictEqual(fullBundle.settings.baseTag, 'masterpiece');
+
+    const partial = await adminRequest('/api/admin/export?groups=狗&endpoints=cats');
+    assert.match(partial.headers.get('content-disposition'), /api-forward-partial-/);
+    const partialBundle = await partial.json();
+    assert.deepStrictEqual(Object.keys(partialBundle.endpoints).sort(), ['cats', 'dogs', 'puppies']);
+    assert.strictEqual(partialBundle.settings, undefined);
+    const withSettings = await (await adminRequest('/api/admin/export?endpoints=cats&settings=true')).json();
+    assert.deepStrictEqual(Object.keys(withSettings.endpoints), ['cats']);
+    assert.strictEqual(withSettings.settings.baseTag, 'masterpiece');
+
+    assert.strictEqual((await adminRequest('/api/admin/export?endpoints=cats,nope')).status, 404);
+});
+
+test('previews every merge mode without changing the configuration', async () => {
+    await resetConfig();
+    const expected = {
+        skip: { cats: 'unchanged', dogs: 'skipped', fish: 'created' },
+        overwrite: { cats: 'unchanged', dogs: 'overwritten', fish: 'created' },
+        rename: { cats: 'unchanged', dogs: 'renamed dogs-2', fish: 'created' }
+    };
+    for (const [mode, actions] of Object.entries(expected)) {
+        const preview = await importBundle({ mode, dryRun: true });
+        assert.strictEqual(preview.dryRun, true);
+        assert.deepStrictEqual(getActions(preview), actions, mode);
+        assert.deepStrictEqual(preview.errors, []);
+        assert.deepStrictEqual(preview.ownerOnlyChanges, []);
+    }
+    const preview = await importBundle({ mode: 'overwrite', includeSettings: true, dryRun: true });
+    assert.deepStrictEqual(preview.endpoints.find(item => item.key === 'dogs').changes, [
+        { op: 'changed', path: 'url', before: dogs.url, after: 'http://mirror.test/dogs' }
+    ]);
+    assert.deepStrictEqual(preview.settings, [{ op: 'changed', path: 'baseTag', before: 'masterpiece', after: 'imported' }]);
+
+    const config = await getConfig();
+    assert.deepStrictEqual(config.apiUrls, initialConfig.apiUrls);
+    assert.strictEqual(config.baseTag, 'masterpiece');
+});
+
+test('skips existing endpoints that differ by default', async () => {
+    await resetConfig();
+    const result = await importBundle({});
+    assert.strictEqual(result.mode, 'skip');
+    assert.deepStrictEqual(getActions(result), { cats: 'unchanged', dogs: 'skipped', fish: 'created' });
+    const config = await getConfig();
+    assert.deepStrictEqual(config.apiUrls.dogs, dogs);
+    assert.deepStrictEqual(config.apiUrls.fish, bundle.endpoints.fish);
+    assert.strictEqual(config.baseTag, 'masterpiece');
+
+    const again = await importBundle({});
+    assert.strictEqual(again.message, 'Nothing to import.');
+});
+
+test('overwrites existing endpoints and imports settings when asked', async () => {
+    await resetConfig();
+    await importBundle({ mode: 'overwrite', includeSettings: true });
+    const config = await getConfig();
+    assert.deepStrictEqual(config.apiUrls.dogs, bundle.endpoints.dogs);
+    assert.deepStrictEqual(config.apiUrls.puppies, puppies);
+    assert.strictEqual(config.baseTag, 'imported');
+});
+
+test('imports differing endpoints under a new key in rename mode', async () => {
+    await resetConfig();
+    await importBundle({ mode: 'rename' });
+    const config = await getConfig();
+    assert.deepStrictEqual(config.apiUrls.dogs, dogs);
+    assert.deepStrictEqual(config.apiUrls['dogs-2'], bundle.endpoints.dogs);
+});
+
+test('accepts a configuration copied from GET /config', async () => {
+    await resetConfig();
+    const response = await adminRequest('/api/admin/import', {
+        method: 'POST',
+        body: { bundle: { baseTag: 'copied', apiUrls: { fish: bundle.endpoints.fish } }, includeSettings: true }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(getActions(await response.json()), { fish: 'created' });
+    assert.strictEqual((await getConfig()).baseTag, 'copied');
+});
+
+test('rejects unknown formats, versions and modes', async () => {
+    const invalid = [
+        [{ bundle, mode: 'merge' }, 'Mode must be one of: skip, overwrite, rename.'],
+        [{ bundle: { ...bundle, format: 'other' } }, 'Not an api-forward-bundle file.'],
+        [{ bundle: { ...bundle, version: 2 } }, 'Unsupported bundle version 2; this server supports version 1.'],
+        [{ bundle: { ...bundle, endpoints: [] } }, "Bundle field 'endpoints' must be an object."],
+        [{ bundle: { ...bundle, settings: { apiUrls: {} } } }, "Bundle field 'settings' must be an object and cannot contain 'apiUrls'."]
+    ];
+    for (const [body, error] of invalid) {
+        const response = await adminRequest('/api/admin/import', { method: 'POST', body });
+        assert.strictEqual(response.status, 400, error);
+        assert.deepStrictEqual(await response.json(), { error });
+    }
+});
@@ -0,0 +1,104 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+// 配置保存到本地文件；写文件由替身接管，不会改动仓库中的 config.json，也可以模拟磁盘写入失败
+delete process.env.MONGODB_URI;
+delete process.env.CONFIG_STORE;
+process.env.ENABLE_FILE_OPERATIONS = 'true';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+let failWrites = false;
+mock.method(fs.promises, 'writeFile', async () => {
+    if (failWrites) throw new Error('ENOSPC: no space left on device');
+});
+
+const { app, loadConfig } = require('..');
+
+const firstConfig = { apiUrls: { cats: { group: '测试', method: 'redirect', url: 'http://upstream.test/cats' } } };
+const secondConfig = { apiUrls: { cats: { group: '测试', method: 'redirect', url: 'http://upstream.test/cats-v2' } } };
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+    server.close();
+    mock.restoreAll();
+});
+
+function adminRequest(path, { method = 'GET', body, headers = {} } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { Cookie: cookie, ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+async function getConfig() {
+    const response = await adminRequest('/config');
+    return { etag: response.headers.get('etag'), config: await response.json() };
+}
+
+async function listRevisions() {
+    return (await (await adminRequest('/api/admin/revisions')).json()).revisions;
+}
+
+test('records each save as a revision that can be compared and rolled back', async () => {
+    const saved = await adminRequest('/config', { method: 'POST', body: { config: firstConfig, message: 'first' } });
+    assert.strictEqual(saved.status, 200);
+    const firstRevision = (await saved.json()).revision;
+    assert.ok(firstRevision >= 1);
+
+    const updated = await adminRequest('/config', { method: 'POST', body: { config: secondConfig, message: 'second' } });
+    assert.strictEqual((await updated.json()).revision, firstRevision + 1);
+    const [latest, previous] = await listRevisions();
+    assert.deepStrictEqual([latest.revision, latest.author, latest.message], [firstRevision + 1, 'admin', 'second']);
+    assert.deepStrictEqual([previous.revision, previous.message], [firstRevision, 'first']);
+
+    const diff = await (await adminRequest(`/api/admin/revisions/diff?from=${firstRevision}&to=current`)).json();
+    assert.deepStrictEqual(diff.changes, [{ op: 'changed', path: 'apiUrls.cats.url', before: 'http://upstream.test/cats', after: 'http://upstream.test/cats-v2' }]);
+
+    const rollback = await adminRequest(`/api/admin/revisions/${firstRevision}/rollback`, { method: 'POST' });
+    assert.strictEqual(rollback.status, 200);
+    assert.strictEqual((await rollback.json()).revision, firstRevision + 2);
+    assert.deepStrictEqual((await getConfig()).config, firstConfig);
+});
+
+test('leaves the live configuration and history unchanged when saving fails', async () => {
+    const before = await getConfig();
+    const revisionsBefore = await listRevisions();
+
+    failWrites = true;
+    let failed;
+    try {
+        failed = await adminRequest('/config', { method: 'POST', body: secondConfig, headers: { 'If-Match': before.etag } });
+    } finally {
+        failWrites = false;
+    }
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual((await failed.json()).revision, undefined);
+
+    const afterFailure = await getConfig();
+    assert.deepStrictEqual(afterFailure.config, before.config);
+    assert.strictEqual(afterFailure.etag, before.etag);
+    assert.deepStrictEqual(await listRevisions(), revisionsBefore);
+    const redirect = await fetch(`${baseUrl}/cats`, { redirect: 'manual' });
+    assert.strictEqual(redirect.headers.get('location'), 'http://upstream.test/cats');
+
+    // 保存失败没有改变 ETag，用原来的 ETag 重试不会被误判为冲突
+    const retried = await adminRequest('/config', { method: 'POST', body: secondConfig, headers: { 'If-Match': before.etag } });
+    assert.strictEqual(retried.status, 200);
+    assert.deepStrictEqual((await getConfig()).config, secondConfig);
+});
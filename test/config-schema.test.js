@@ -0,0 +1,92 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// 配置从本地文件加载；读写文件由替身接管，加载一份不符合 Schema 的配置，不会改动仓库中的 config.json
+delete process.env.MONGODB_URI;
+delete process.env.CONFIG_STORE;
+process.env.ENABLE_FILE_OPERATIONS = 'true';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+const configPath = path.join(__dirname, '..', 'config.json');
+const storedConfig = {
+    apiUrls: {
+        good: { group: '测试', method: 'redirect', url: 'http://upstream.test/good' },
+        broken: { group: '测试', method: 'teleport', url: 'http://upstream.test/broken', unknownSetting: true }
+    }
+};
+const originalReadFile = fs.promises.readFile;
+mock.method(fs.promises, 'readFile', async (file, ...args) => {
+    if (file === configPath) return JSON.stringify(storedConfig);
+    return originalReadFile(file, ...args);
+});
+mock.method(fs.promises, 'writeFile', async () => {});
+
+const { app, loadConfig } = require('..');
+
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+    server.close();
+    mock.restoreAll();
+});
+
+// 管理界面中显示的加载时错误
+async function getLoadedConfigErrors() {
+    const html = await (await fetch(`${baseUrl}/admin`, { headers: { Cookie: cookie } })).text();
+    return JSON.parse(html.match(/const loadedConfigErrors = (.*);/)[1]);
+}
+
+function saveConfig(config) {
+    return fetch(`${baseUrl}/config`, {
+        method: 'POST',
+        headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+        body: JSON.stringify(config)
+    });
+}
+
+test('loads an invalid configuration but reports its errors', async () => {
+    const good = await fetch(`${baseUrl}/good`, { redirect: 'manual' });
+    assert.strictEqual(good.status, 302);
+    assert.deepStrictEqual(await getLoadedConfigErrors(), [
+        { path: 'apiUrls.broken.unknownSetting', message: 'unknown field' },
+        { path: 'apiUrls.broken.method', message: 'must be one of: redirect, proxy, stream' }
+    ]);
+});
+
+test('rejects an invalid configuration on save with the path of each error', async () => {
+    const response = await saveConfig({
+        rateLimit: { limit: 0 },
+        apiUrls: {
+            cats: { group: '测试', method: 'redirect' },
+            'bad key': { group: '测试', method: 'redirect', url: 'http://upstream.test/bad' }
+        }
+    });
+    assert.strictEqual(response.status, 400);
+    const body = await response.json();
+    assert.strictEqual(body.error, 'Configuration is invalid.');
+    assert.deepStrictEqual(body.details.map(error => error.path).sort(), ['apiUrls.bad key', 'apiUrls.cats.url', 'rateLimit.limit']);
+    const config = await (await fetch(`${baseUrl}/config`, { headers: { Cookie: cookie } })).json();
+    assert.deepStrictEqual(config, storedConfig);
+});
+
+test('clears the reported errors once a valid configuration is saved', async () => {
+    const response = await saveConfig({ apiUrls: { good: storedConfig.apiUrls.good } });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await getLoadedConfigErrors(), []);
+});
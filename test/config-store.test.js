@@ -0,0 +1,393 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+process.env.CONFIG_STORE = 'memory';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+
+const {
+    createFileConfigStore,
+    createMemoryConfigStore,
+    createMongoConfigStore,
+    createSqliteConfigStore,
+    createRedisConfigStore,
+    createReadOnlyConfigStore
+} = require('..');
+
+const sampleConfig = { apiUrls: { cats: { group: '测试', method: 'redirect', url: 'http://upstream.test/cats' } } };
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-store-test-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// 兼容 ioredis 的进程内替身，只实现配置存储用到的命令
+function createFakeRedis() {
+    const values = new Map();
+    const channels = new EventEmitter();
+    const hash = (key) => {
+        if (!values.has(key)) values.set(key, new Map());
+        return values.get(key);
+    };
+    const client = {
+        status: 'ready',
+        on() {},
+        async get(key) {
+            return values.has(key) ? values.get(key) : null;
+        },
+        async incr(key) {
+            const value = (parseInt(values.get(key), 10) || 0) + 1;
+            values.set(key, String(value));
+            return value;
+        },
+        async hset(key, field, value) {
+            hash(key).set(field, String(value));
+            return 1;
+        },
+        async hget(key, field) {
+            return hash(key).get(field) ?? null;
+        },
+        async hmget(key, ...fields) {
+            return fields.map(field => hash(key).get(field) ?? null);
+        },
+        async hkeys(key) {
+            return [...hash(key).keys()];
+        },
+        async hgetall(key) {
+            return Object.fromEntries(hash(key));
+        },
+        async hdel(key, ...fields) {
+            fields.forEach(field => hash(key).delete(field));
+            return fields.length;
+        },
+        async hincrby(key, field, increment) {
+            const value = (parseInt(hash(key).get(field), 10) || 0) + increment;
+            hash(key).set(field, String(value));
+            return value;
+        },
+        multi() {
+            const queue = [];
+            const chain = {
+                hincrby: (...args) => (queue.push(() => client.hincrby(...args)), chain),
+                hset: (...args) => (queue.push(() => client.hset(...args)), chain),
+                async exec() {
+                    const results = [];
+                    for (const command of queue) results.push([null, await command()]);
+                    return results;
+                }
+            };
+            return chain;
+        },
+        async publish(channel, message) {
+            channels.emit(channel, message);
+            return 1;
+        },
+        duplicate() {
+            const subscriber = new EventEmitter();
+            const subscriptions = [];
+            subscriber.subscribe = async (channel) => {
+                const forward = message => subscriber.emit('message', channel, message);
+                channels.on(channel, forward);
+                subscriptions.push([channel, forward]);
+            };
+            subscriber.disconnect = () => subscriptions.forEach(([channel, forward]) => channels.off(channel, forward));
+            return subscriber;
+        },
+        async quit() {}
+    };
+    return client;
+}
+
+// MongoDB 集合的进程内替身，只支持配置存储用到的查询（相等、$gte、$lte）
+function createFakeMongo() {
+    const collections = new Map();
+
+    function matches(doc, filter = {}) {
+        return Object.entries(filter).every(([field, condition]) => {
+            const value = doc[field];
+            if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+                return (condition.$gte === undefined || value >= condition.$gte)
+                    && (condition.$lte === undefined || value <= condition.$lte);
+            }
+            return value === condition;
+        });
+    }
+
+    function project(doc, projection = {}) {
+        const copy = structuredClone(doc);
+        const included = Object.keys(projection).filter(field => projection[field]);
+        if (included.length > 0) {
+            return Object.fromEntries(Object.entries(copy).filter(([field]) => field === '_id' || included.includes(field)));
+        }
+        Object.keys(projection).forEach(field => delete copy[field]);
+        return copy;
+    }
+
+    function findOrUpsert(docs, filter, upsert) {
+        let doc = docs.find(item => matches(item, filter));
+        if (!doc && upsert) {
+            doc = { _id: filter._id ?? docs.length + 1 };
+            docs.push(doc);
+        }
+        return doc;
+    }
+
+    function createCollection() {
+        let docs = [];
+        return {
+            async createIndex() {},
+            find(filter, { projection } = {}) {
+                let result = docs.filter(doc => matches(doc, filter));
+                const cursor = {
+                    sort(spec) {
+                        const [[field, direction]] = Object.entries(spec);
+                        result = [...result].sort((a, b) => (a[field] > b[field] ? 1 : -1) * direction);
+                        return cursor;
+                    },
+                    limit(count) {
+                        result = result.slice(0, count);
+                        return cursor;
+                    },
+                    async toArray() {
+                        return result.map(doc => project(doc, projection));
+                    }
+                };
+                return cursor;
+            },
+            async findOne(filter) {
+                const doc = docs.find(item => matches(item, filter));
+                return doc ? structuredClone(doc) : null;
+            },
+            async insertOne(doc) {
+                if (docs.some(item => item._id === doc._id)) {
+                    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+                }
+                docs.push(structuredClone(doc));
+            },
+            async updateOne(filter, { $set = {} }, { upsert } = {}) {
+                const doc = findOrUpsert(docs, filter, upsert);
+                if (doc) Object.assign(doc, structuredClone($set));
+            },
+            async findOneAndUpdate(filter, { $set = {}, $inc = {} }, { upsert } = {}) {
+                const doc = findOrUpsert(docs, filter, upsert);
+                if (!doc) return null;
+                Object.assign(doc, structuredClone($set));
+                Object.entries($inc).forEach(([field, increment]) => { doc[field] = (doc[field] || 0) + increment; });
+                return structuredClone(doc);
+            },
+            async deleteMany(filter) {
+                docs = docs.filter(doc => !matches(doc, filter));
+            },
+            async deleteOne(filter) {
+                const index = docs.findIndex(doc => matches(doc, filter));
+                if (index >= 0) docs.splice(index, 1);
+            },
+            watch() {
+                const stream = new EventEmitter();
+                stream.close = async () => {};
+                return stream;
+            }
+        };
+    }
+
+    return async (name) => {
+        if (!collections.has(name)) collections.set(name, createCollection());
+        return collections.get(name);
+    };
+}
+
+// better-sqlite3 是可选依赖，原生模块不可用时跳过 SQLite 的测试
+function getSqliteSkipReason() {
+    try {
+        const Database = require('better-sqlite3');
+        new Database(':memory:').close();
+        return false;
+    } catch (error) {
+        return `better-sqlite3 is unavailable: ${error.message.split('\n')[0]}`;
+    }
+}
+
+function withServer(handler) {
+    const server = http.createServer(handler);
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// 所有可写后端共同遵守的约定，versioned 表示后端是否维护递增的版本号
+function testWritableStore(name, createStore, { versioned, skip = false }) {
+    test(`${name}: saves and loads the configuration`, { skip }, async () => {
+        const store = createStore();
+        try {
+            assert.strictEqual(store.name, name);
+            assert.strictEqual(store.readOnly, false);
+            assert.strictEqual(await store.load(), null);
+            const firstVersion = await store.save(sampleConfig);
+            const updated = { apiUrls: { ...sampleConfig.apiUrls, dogs: { method: 'redirect', url: 'http://upstream.test/dogs' } } };
+            const secondVersion = await store.save(updated);
+            const loaded = await store.load();
+            assert.deepStrictEqual(loaded.config, updated);
+            if (versioned) {
+                assert.strictEqual(firstVersion, 1);
+                assert.strictEqual(secondVersion, 2);
+                assert.strictEqual(loaded.version, 2);
+            } else {
+                assert.strictEqual(loaded.version, null);
+            }
+        } finally {
+            if (store.close) await store.close();
+        }
+    });
+
+    testHistory(name, createStore, { skip });
+
+    test(`${name}: tracks instances that report a version`, { skip }, async (t) => {
+        const store = createStore();
+        try {
+            if (!store.instances) return t.skip('no multi-instance support');
+            await store.instances.report('first', 1);
+            await store.instances.report('second', 2);
+            await store.instances.report('first', 3);
+            const liveSince = new Date(Date.now() - 60000);
+            const sortById = list => [...list].sort((a, b) => a.id.localeCompare(b.id));
+            assert.deepStrictEqual(sortById(await store.instances.list(liveSince)).map(({ id, configVersion }) => ({ id, configVersion })), [
+                { id: 'first', configVersion: 3 },
+                { id: 'second', configVersion: 2 }
+            ]);
+            await store.instances.remove('first');
+            assert.deepStrictEqual((await store.instances.list(liveSince)).map(instance => instance.id), ['second']);
+            assert.deepStrictEqual(await store.instances.list(new Date(Date.now() + 60000)), []);
+        } finally {
+            if (store.close) await store.close();
+        }
+    });
+}
+
+function testHistory(name, createStore, { skip = false } = {}) {
+    test(`${name}: keeps a bounded revision history`, { skip }, async () => {
+        const store = createStore();
+        try {
+            assert.strictEqual(await store.history.latest(), 0);
+            for (const message of ['first', 'second', 'third']) {
+                await store.history.add({ config: sampleConfig, author: 'admin', message, createdAt: '2026-01-01T00:00:00.000Z' }, 2);
+            }
+            assert.strictEqual(await store.history.latest(), 3);
+            const list = await store.history.list();
+            assert.deepStrictEqual(list.map(record => [record.revision, record.message]), [[3, 'third'], [2, 'second']]);
+            assert.ok(list.every(record => !('config' in record)), 'the list omits the stored configuration');
+            const revision = await store.history.get(3);
+            assert.strictEqual(revision.author, 'admin');
+            assert.deepStrictEqual(revision.config, sampleConfig);
+            assert.strictEqual(await store.history.get(1), null);
+        } finally {
+            if (store.close) await store.close();
+        }
+    });
+}
+
+let fileStoreCount = 0;
+function createTempFileStore() {
+    fileStoreCount += 1;
+    return createFileConfigStore({
+        filePath: path.join(tempDir, `config-${fileStoreCount}.json`),
+        historyPath: path.join(tempDir, `history-${fileStoreCount}.json`)
+    });
+}
+
+testWritableStore('file', createTempFileStore, { versioned: false });
+testWritableStore('sqlite', () => createSqliteConfigStore({ databasePath: ':memory:' }), { versioned: true, skip: getSqliteSkipReason() });
+testWritableStore('redis', () => createRedisConfigStore({ client: createFakeRedis(), prefix: 'test' }), { versioned: true });
+testWritableStore('mongodb', () => createMongoConfigStore({ getCollection: createFakeMongo() }), { versioned: true });
+
+test('file: notices when the file is changed by someone else', async () => {
+    const filePath = path.join(tempDir, 'watched.json');
+    const store = createFileConfigStore({ filePath, historyPath: path.join(tempDir, 'watched-history.json') });
+    let stop;
+    const changed = new Promise((resolve) => { stop = store.watch(resolve); });
+    try {
+        await fs.promises.writeFile(filePath, JSON.stringify(sampleConfig), 'utf8');
+        await changed;
+        assert.deepStrictEqual((await store.load()).config, sampleConfig);
+    } finally {
+        stop();
+    }
+});
+
+test('file: keeps history across restarts', async () => {
+    const options = { filePath: path.join(tempDir, 'restart.json'), historyPath: path.join(tempDir, 'restart-history.json') };
+    await createFileConfigStore(options).history.add({ config: sampleConfig, author: 'admin', message: 'saved', createdAt: '2026-01-01T00:00:00.000Z' }, 0);
+    const restarted = createFileConfigStore(options);
+    assert.strictEqual(await restarted.history.latest(), 1);
+    assert.deepStrictEqual((await restarted.history.get(1)).config, sampleConfig);
+});
+
+test('sqlite: shares the configuration between connections to the same file', { skip: getSqliteSkipReason() }, async () => {
+    const databasePath = path.join(tempDir, '.config.sqlite');
+    const first = createSqliteConfigStore({ databasePath });
+    const second = createSqliteConfigStore({ databasePath });
+    try {
+        await first.save(sampleConfig);
+        assert.deepStrictEqual(await second.load(), { config: sampleConfig, version: 1 });
+    } finally {
+        await first.close();
+        await second.close();
+    }
+});
+
+test('redis: notifies watchers when the configuration is saved', async () => {
+    const store = createRedisConfigStore({ client: createFakeRedis(), prefix: 'test' });
+    let stop;
+    const changed = new Promise((resolve) => { stop = store.watch(resolve); });
+    await new Promise(resolve => setImmediate(resolve));
+    try {
+        await store.save(sampleConfig);
+        assert.strictEqual(await changed, 'test:changes');
+        assert.strictEqual(store.status(), 'ok');
+    } finally {
+        stop();
+        await store.close();
+    }
+});
+
+test('mongodb: watches the configuration collection and can stop', async () => {
+    const store = createMongoConfigStore({ getCollection: createFakeMongo() });
+    const stop = store.watch(() => {});
+    await new Promise(resolve => setImmediate(resolve));
+    stop();
+});
+
+test('memory: keeps nothing between loads but still records history', async () => {
+    const store = createMemoryConfigStore();
+    assert.strictEqual(store.persistent, false);
+    assert.strictEqual(await store.save(sampleConfig), null);
+    assert.strictEqual(await store.load(), null);
+});
+testHistory('memory', createMemoryConfigStore);
+
+test('env: reads plain and base64-encoded CONFIG_JSON and rejects saves', async () => {
+    const plain = createReadOnlyConfigStore('env', { rawConfig: JSON.stringify(sampleConfig) });
+    const encoded = createReadOnlyConfigStore('env', { rawConfig: Buffer.from(JSON.stringify(sampleConfig)).toString('base64') });
+    assert.strictEqual(plain.readOnly, true);
+    assert.deepStrictEqual(await plain.load(), { config: sampleConfig, version: null });
+    assert.deepStrictEqual(await encoded.load(), { config: sampleConfig, version: null });
+    await assert.rejects(plain.save(sampleConfig), /read-only/);
+    assert.throws(() => createReadOnlyConfigStore('env', { rawConfig: '' }), /requires CONFIG_JSON/);
+});
+testHistory('env', () => createReadOnlyConfigStore('env', { rawConfig: JSON.stringify(sampleConfig) }));
+
+test('url: loads the configuration from CONFIG_URL and rejects saves', async () => {
+    const server = await withServer((req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(sampleConfig));
+    });
+    try {
+        const store = createReadOnlyConfigStore('url', { configUrl: `http://127.0.0.1:${server.address().port}/config.json` });
+        assert.strictEqual(store.readOnly, true);
+        assert.deepStrictEqual(await store.load(), { config: sampleConfig, version: null });
+        await assert.rejects(store.save(sampleConfig), /read-only/);
+        store.watch(() => {})();
+    } finally {
+        server.close();
+    }
+    assert.throws(() => createReadOnlyConfigStore('url', { configUrl: '' }), /requires CONFIG_URL/);
+});
@@ -0,0 +1,93 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// 配置从本地文件加载；读写文件和目录监听由替身接管，不会改动仓库中的 config.json
+delete process.env.MONGODB_URI;
+delete process.env.CONFIG_STORE;
+process.env.ENABLE_FILE_OPERATIONS = 'true';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+const configPath = path.join(__dirname, '..', 'config.json');
+let storedConfig = { apiUrls: { cats: { group: '测试', method: 'redirect', url: 'http://upstream.test/cats' } } };
+let notifyWatcher = null;
+const originalReadFile = fs.promises.readFile;
+mock.method(fs.promises, 'readFile', async (file, ...args) => {
+    if (file === configPath) return JSON.stringify(storedConfig);
+    return originalReadFile(file, ...args);
+});
+mock.method(fs.promises, 'writeFile', async (file, data) => {
+    if (file === configPath) storedConfig = JSON.parse(data);
+});
+mock.method(fs, 'watch', (directory, listener) => {
+    notifyWatcher = listener;
+    return { unref() {}, close() {} };
+});
+
+const { app, loadConfig, startConfigSync, stopConfigSync } = require('..');
+
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    await loadConfig();
+    startConfigSync();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(async () => {
+    server.close();
+    await stopConfigSync();
+    mock.restoreAll();
+});
+
+async function getConfigVersion() {
+    return (await (await fetch(`${baseUrl}/api/health`)).json()).configVersion;
+}
+
+// 模拟其他进程修改 config.json，等待防抖后的重新加载完成
+async function changeFileExternally(config) {
+    storedConfig = config;
+    notifyWatcher('change', 'config.json');
+    await new Promise(resolve => setTimeout(resolve, 400));
+}
+
+test('reloads config.json when it is changed by someone else', async () => {
+    const versionBefore = await getConfigVersion();
+    assert.strictEqual((await fetch(`${baseUrl}/dogs`, { redirect: 'manual' })).status, 404);
+
+    await changeFileExternally({ apiUrls: { dogs: { group: '测试', method: 'redirect', url: 'http://upstream.test/dogs' } } });
+    assert.strictEqual(await getConfigVersion(), versionBefore + 1);
+    const dogs = await fetch(`${baseUrl}/dogs`, { redirect: 'manual' });
+    assert.strictEqual(dogs.status, 302);
+    assert.strictEqual(dogs.headers.get('location'), 'http://upstream.test/dogs');
+    assert.strictEqual((await fetch(`${baseUrl}/cats`, { redirect: 'manual' })).status, 404);
+});
+
+test('ignores change notifications that leave the content unchanged', async () => {
+    const versionBefore = await getConfigVersion();
+    await changeFileExternally(JSON.parse(JSON.stringify(storedConfig)));
+    notifyWatcher('rename', 'other.json');
+    assert.strictEqual(await getConfigVersion(), versionBefore);
+
+    // 本实例保存配置后收到自己写入文件的通知，不会再次加一
+    const saved = await fetch(`${baseUrl}/config`, {
+        method: 'POST',
+        headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ apiUrls: { birds: { group: '测试', method: 'redirect', url: 'http://upstream.test/birds' } } })
+    });
+    assert.strictEqual(saved.status, 200);
+    const { version } = await saved.json();
+    assert.strictEqual(version, versionBefore + 1);
+    await changeFileExternally(storedConfig);
+    assert.strictEqual(await getConfigVersion(), version);
+});
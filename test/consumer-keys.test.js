@@ -0,0 +1,127 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// 密钥保存到本地文件；写文件由替身接管并记录写入的内容，不会在仓库中生成文件
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+process.env.ENABLE_FILE_OPERATIONS = 'true';
+delete process.env.MONGODB_URI;
+process.env.CONFIG_JSON = JSON.stringify({
+    apiUrls: {
+        cats: { group: '猫', method: 'redirect', url: 'http://upstream.test/cats', access: 'key' },
+        dogs: { group: '狗', method: 'redirect', url: 'http://upstream.test/dogs', access: 'key' },
+        open: { group: '狗', method: 'redirect', url: 'http://upstream.test/open' }
+    }
+});
+const writtenFiles = new Map();
+mock.method(fs, 'writeFile', (file, data, encoding, callback) => {
+    writtenFiles.set(file, data);
+    callback(null);
+});
+// 启动时配置会备份到 config.json
+mock.method(fs, 'writeFileSync', () => {});
+
+const { app, loadConfig } = require('..');
+
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+    server.close();
+    mock.restoreAll();
+});
+
+async function adminRequest(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { Cookie: cookie, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function request(path, headers = {}) {
+    return fetch(`${baseUrl}${path}`, { redirect: 'manual', headers });
+}
+
+test('requires a valid key on protected endpoints', async () => {
+    assert.strictEqual((await request('/open')).status, 302);
+    const missing = await request('/cats');
+    assert.strictEqual(missing.status, 401);
+    assert.strictEqual((await missing.json()).error, 'API key required.');
+    const invalid = await request('/cats', { 'X-API-Key': 'af_not-a-real-key' });
+    assert.strictEqual(invalid.status, 401);
+    assert.strictEqual((await invalid.json()).error, 'Invalid API key.');
+});
+
+test('limits a key to its groups and endpoints', async () => {
+    const { body: groupKey } = await adminRequest('/api/admin/keys', { method: 'POST', body: { name: 'cats only', groups: ['猫'] } });
+    assert.strictEqual((await request('/cats', { 'X-API-Key': groupKey.key })).status, 302);
+    assert.strictEqual((await request(`/cats?key=${groupKey.key}`)).status, 302);
+    const denied = await request('/dogs', { 'X-API-Key': groupKey.key });
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual((await denied.json()).error, 'API key is not allowed to access /dogs.');
+
+    const { body: endpointKey } = await adminRequest('/api/admin/keys', { method: 'POST', body: { name: 'dogs only', endpoints: ['dogs'] } });
+    assert.strictEqual((await request('/dogs', { 'X-API-Key': endpointKey.key })).status, 302);
+    assert.strictEqual((await request('/cats', { 'X-API-Key': endpointKey.key })).status, 403);
+
+    await adminRequest(`/api/admin/keys/${endpointKey.record.id}`, { method: 'PATCH', body: { revoked: true } });
+    const revoked = await request('/dogs', { 'X-API-Key': endpointKey.key });
+    assert.strictEqual(revoked.status, 403);
+    assert.strictEqual((await revoked.json()).error, 'API key has been revoked.');
+});
+
+test('rejects calls once the daily quota is used up', async () => {
+    const { body: created } = await adminRequest('/api/admin/keys', { method: 'POST', body: { name: 'quota', dailyQuota: 2 } });
+    const first = await request('/cats', { 'X-API-Key': created.key });
+    assert.strictEqual(first.status, 302);
+    assert.strictEqual(first.headers.get('x-quota-limit'), '2');
+    assert.strictEqual(first.headers.get('x-quota-remaining'), '1');
+    assert.strictEqual((await request('/dogs', { 'X-API-Key': created.key })).status, 302);
+
+    const exhausted = await request('/cats', { 'X-API-Key': created.key });
+    assert.strictEqual(exhausted.status, 429);
+    assert.strictEqual(exhausted.headers.get('x-quota-remaining'), '0');
+    assert.deepStrictEqual(await exhausted.json(), { error: 'Daily quota exceeded for this API key.', dailyQuota: 2 });
+
+    const { body: keys } = await adminRequest('/api/admin/keys');
+    assert.ok(keys.find(key => key.id === created.record.id).usedToday >= 2);
+});
+
+test('stores only the SHA-256 hash of each key', async () => {
+    const { status, body: created } = await adminRequest('/api/admin/keys', { method: 'POST', body: { name: 'stored' } });
+    assert.strictEqual(status, 201);
+    assert.match(created.key, /^af_/);
+    assert.strictEqual(created.record.keyHash, undefined);
+    assert.strictEqual(created.record.keyPrefix, created.key.slice(0, 10));
+
+    const { body: keys } = await adminRequest('/api/admin/keys');
+    assert.ok(keys.every(key => key.keyHash === undefined && !JSON.stringify(key).includes(created.key)));
+
+    // 文件写入会合并 1 秒内的多次修改
+    const deadline = Date.now() + 3000;
+    const isSaved = () => [...writtenFiles].some(([file, data]) => file.endsWith('.consumer-keys.json') && data.includes(created.record.id));
+    while (!isSaved() && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 50));
+    const [, saved] = [...writtenFiles].find(([file]) => file.endsWith('.consumer-keys.json'));
+    assert.ok(!saved.includes(created.key), 'the plain key is not written to storage');
+    const record = JSON.parse(saved).find(item => item.id === created.record.id);
+    const expectedHash = crypto.createHash('sha256').update(created.key).digest('hex');
+    assert.strictEqual(record.keyHash, expectedHash);
+});
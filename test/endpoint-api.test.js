@@ -0,0 +1,116 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+// 配置保存到本地文件；写文件由替身接管，不会改动仓库中的 config.json，也可以模拟磁盘写入失败
+delete process.env.MONGODB_URI;
+delete process.env.CONFIG_STORE;
+process.env.ENABLE_FILE_OPERATIONS = 'true';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+let failWrites = false;
+mock.method(fs.promises, 'writeFile', async () => {
+    if (failWrites) throw new Error('ENOSPC: no space left on device');
+});
+
+const { app, loadConfig } = require('..');
+
+const dogs = { group: '测试', method: 'redirect', url: 'http://upstream.test/dogs' };
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+    server.close();
+    mock.restoreAll();
+});
+
+function adminRequest(path, { method = 'GET', body, headers = {} } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { Cookie: cookie, ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+test('creates, updates and deletes a single endpoint', async () => {
+    const created = await adminRequest('/api/admin/endpoints', { method: 'POST', body: { key: 'dogs', config: dogs } });
+    assert.strictEqual(created.status, 201);
+    const createdEtag = created.headers.get('etag');
+    assert.ok(createdEtag);
+    assert.deepStrictEqual((await created.json()).config, dogs);
+
+    const duplicate = await adminRequest('/api/admin/endpoints', { method: 'POST', body: { key: 'dogs', config: dogs } });
+    assert.strictEqual(duplicate.status, 409);
+
+    const fetched = await adminRequest('/api/admin/endpoints/dogs');
+    assert.strictEqual(fetched.headers.get('etag'), createdEtag);
+
+    const updatedEntry = { ...dogs, url: 'http://upstream.test/dogs-v2' };
+    const updated = await adminRequest('/api/admin/endpoints/dogs', { method: 'PUT', body: { config: updatedEntry }, headers: { 'If-Match': createdEtag } });
+    assert.strictEqual(updated.status, 200);
+    assert.notStrictEqual(updated.headers.get('etag'), createdEtag);
+    const redirect = await fetch(`${baseUrl}/dogs`, { redirect: 'manual' });
+    assert.strictEqual(redirect.headers.get('location'), 'http://upstream.test/dogs-v2');
+
+    const deleted = await adminRequest('/api/admin/endpoints/dogs', { method: 'DELETE', headers: { 'If-Match': updated.headers.get('etag') } });
+    assert.strictEqual(deleted.status, 200);
+    assert.strictEqual((await adminRequest('/api/admin/endpoints/dogs')).status, 404);
+});
+
+test('rejects writes with a stale If-Match with 409 and the current ETag', async () => {
+    const created = await adminRequest('/api/admin/endpoints', { method: 'POST', body: { key: 'birds', config: dogs } });
+    const staleEtag = created.headers.get('etag');
+    const current = await adminRequest('/api/admin/endpoints/birds', { method: 'PUT', body: { config: { ...dogs, url: 'http://upstream.test/birds' } }, headers: { 'If-Match': staleEtag } });
+    const currentEtag = current.headers.get('etag');
+
+    for (const method of ['PUT', 'DELETE']) {
+        const response = await adminRequest('/api/admin/endpoints/birds', { method, body: method === 'PUT' ? { config: dogs } : undefined, headers: { 'If-Match': staleEtag } });
+        assert.strictEqual(response.status, 409, method);
+        const body = await response.json();
+        assert.strictEqual(body.etag, currentEtag, method);
+        assert.strictEqual(body.current.url, 'http://upstream.test/birds', method);
+    }
+
+    const config = await adminRequest('/config');
+    const configEtag = config.headers.get('etag');
+    const wholeConfig = await config.json();
+    await adminRequest('/api/admin/endpoints/birds', { method: 'DELETE' });
+    const stale = await adminRequest('/config', { method: 'POST', body: wholeConfig, headers: { 'If-Match': configEtag } });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual((await adminRequest('/api/admin/endpoints/birds')).status, 404);
+});
+
+test('leaves the endpoint and its ETag unchanged when saving fails', async () => {
+    const created = await adminRequest('/api/admin/endpoints', { method: 'POST', body: { key: 'fish', config: dogs } });
+    const etag = created.headers.get('etag');
+
+    failWrites = true;
+    let failed;
+    try {
+        failed = await adminRequest('/api/admin/endpoints/fish', { method: 'PUT', body: { config: { ...dogs, url: 'http://upstream.test/fish' } }, headers: { 'If-Match': etag } });
+    } finally {
+        failWrites = false;
+    }
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual((await failed.json()).config, undefined);
+
+    const fetched = await adminRequest('/api/admin/endpoints/fish');
+    assert.strictEqual(fetched.headers.get('etag'), etag);
+    assert.deepStrictEqual((await fetched.json()).config, dogs);
+
+    const retried = await adminRequest('/api/admin/endpoints/fish', { method: 'PUT', body: { config: { ...dogs, url: 'http://upstream.test/fish' } }, headers: { 'If-Match': etag } });
+    assert.strictEqual(retried.status, 200);
+});
@@ -0,0 +1,183 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+
+const apiResponse = {
+    data: [
+        { id: 1, urls: { original: 'https://images.example/1.png', thumb: 'https://images.example/1-thumb.png' } },
+        { id: 2, urls: { original: 'https://images.example/2.png', thumb: 'https://images.example/2-thumb.png' } }
+    ]
+};
+const htmlPage = '<html><head><meta property="og:image" content="/og.png"></head><body><img class="main" src="/main.png"></body></html>';
+let upstream;
+let upstreamOrigin;
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        if (req.url.startsWith('/json')) {
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify(apiResponse));
+        }
+        if (req.url === '/text') {
+            res.setHeader('Content-Type', 'text/plain');
+            return res.end('Your image: https://images.example/from-text.jpg (expires soon)');
+        }
+        if (req.url === '/html') {
+            res.setHeader('Content-Type', 'text/html');
+            return res.end(htmlPage);
+        }
+        if (req.url === '/huge') {
+            // 超过 1MB 的响应，图片链接在最后
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify({ padding: 'x'.repeat(1024 * 1024), url: 'https://images.example/huge.png' }));
+        }
+        res.statusCode = 404;
+        res.end();
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamOrigin = `http://127.0.0.1:${upstream.address().port}`;
+
+    // 测试上游在回环地址上，因此允许内网地址
+    process.env.CONFIG_JSON = JSON.stringify({
+        forwardPolicy: { allowPrivateNetworks: true },
+        apiUrls: {
+            jsonPath: { group: '测试', method: 'proxy', url: `${upstreamOrigin}/json`, proxySettings: { extractor: { type: 'jsonPath', expression: '$.data[-1].urls.original' } } },
+            regex: { group: '测试', method: 'proxy', url: `${upstreamOrigin}/text`, proxySettings: { extractor: { type: 'regex', expression: '(https?://\\S+?\\.jpg)' } } },
+            css: { group: '测试', method: 'proxy', url: `${upstreamOrigin}/html`, proxySettings: { extractor: { type: 'css', expression: 'meta[property="og:image"]', attribute: 'content' } } },
+            byField: {
+                group: '测试', method: 'proxy', url: `${upstreamOrigin}/json`,
+                proxySettings: { imageUrlFieldFromParam: 'field', imageUrlFieldFromParamDefault: '$..original' },
+                queryParams: [{ name: 'field', target: { in: 'drop' } }]
+            },
+            huge: { group: '测试', method: 'proxy', url: `${upstreamOrigin}/huge`, proxySettings: { imageUrlField: 'url' } },
+            hugeWithFallback: {
+                group: '测试', method: 'proxy', url: `${upstreamOrigin}/huge`, weight: 100,
+                upstreams: [{ url: `${upstreamOrigin}/json`, weight: 1 }], proxySettings: { imageUrlField: 'data.0.urls.thumb' }
+            }
+        }
+    });
+    const { app, loadConfig } = require('..');
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+function testExtractor(body) {
+    return fetch(`${baseUrl}/api/admin/extractor-test`, {
+        method: 'POST',
+        headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+async function getMatches(extractor, sample, baseUrlForSample) {
+    const response = await testExtractor({ proxySettings: { extractor }, sample, baseUrl: baseUrlForSample });
+    assert.strictEqual(response.status, 200);
+    return (await response.json()).matches;
+}
+
+async function getLocation(path) {
+    const response = await fetch(`${baseUrl}${path}`, { redirect: 'manual' });
+    assert.strictEqual(response.status, 302, path);
+    return response.headers.get('location');
+}
+
+test('evaluates JSONPath indexes, slices, wildcards and recursive descent', async () => {
+    const sample = JSON.stringify(apiResponse);
+    const cases = [
+        ['$.data[0].urls.original', ['https://images.example/1.png']],
+        ["$['data'][-1]['urls'].thumb", ['https://images.example/2-thumb.png']],
+        ['$.data[*].urls.original', ['https://images.example/1.png', 'https://images.example/2.png']],
+        ['$.data[1:].urls.*', ['https://images.example/2.png', 'https://images.example/2-thumb.png']],
+        ['$..thumb', ['https://images.example/1-thumb.png', 'https://images.example/2-thumb.png']],
+        ['data.0.id', []]
+    ];
+    for (const [expression, matches] of cases) {
+        assert.deepStrictEqual(await getMatches({ type: 'jsonPath', expression }, sample), matches, expression);
+    }
+});
+
+test('matches regular expressions and CSS selectors and resolves relative links', async () => {
+    assert.deepStrictEqual(
+        await getMatches({ type: 'regex', expression: 'src=(\\S+)', flags: 'i' }, 'SRC=/a.png and src=https://cdn.example/b.png', 'https://api.example/v1/'),
+        ['https://api.example/a.png', 'https://cdn.example/b.png']
+    );
+    assert.deepStrictEqual(await getMatches({ type: 'css', expression: 'img.main' }, htmlPage, 'https://site.example/page'), ['https://site.example/main.png']);
+    assert.deepStrictEqual(await getMatches({ type: 'css', expression: 'meta[property="og:image"]', attribute: 'content' }, htmlPage), ['/og.png']);
+});
+
+test('picks a random match when asked', async (t) => {
+    t.mock.method(Math, 'random', () => 0.99);
+    const response = await testExtractor({
+        proxySettings: { extractor: { type: 'jsonPath', expression: '$.data[*].id', pick: 'random' } },
+        sample: JSON.stringify({ data: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] })
+    });
+    assert.deepStrictEqual(await response.json(), { matches: ['a', 'b', 'c'], imageUrl: 'c' });
+});
+
+test('reports invalid expressions and runaway recursion', async () => {
+    let nested = { url: 'https://images.example/deep.png' };
+    for (let i = 0; i < 40; i++) nested = { child: nested };
+    const invalid = [
+        [{ type: 'jsonPath', expression: '$.data[' }, "Invalid JSONPath at position 6: missing ']'"],
+        [{ type: 'jsonPath', expression: '$.data[?(@.id)]' }, 'Invalid JSONPath at position 6: unsupported selector [?(@.id)]'],
+        [{ type: 'regex', expression: '(' }, 'Invalid regular expression: /(/g: Unterminated group'],
+        [{ type: 'jsonPath', expression: '$..url', sample: JSON.stringify(nested) }, 'JSONPath recursion exceeds the maximum depth of 32.']
+    ];
+    for (const [{ sample = '{}', ...extractor }, details] of invalid) {
+        const response = await testExtractor({ proxySettings: { extractor }, sample });
+        assert.strictEqual(response.status, 400, extractor.expression);
+        assert.deepStrictEqual(await response.json(), { error: 'Invalid extractor.', details });
+    }
+});
+
+test('extracts image URLs from JSON, text and HTML upstream responses', async () => {
+    assert.strictEqual(await getLocation('/jsonPath'), 'https://images.example/2.png');
+    assert.strictEqual(await getLocation('/regex'), 'https://images.example/from-text.jpg');
+    assert.strictEqual(await getLocation('/css'), `${upstreamOrigin}/og.png`);
+});
+
+test('accepts JSONPath from callers but rejects recursive descent', async () => {
+    // 端点配置的默认表达式可以使用递归查找
+    assert.strictEqual(await getLocation('/byField'), 'https://images.example/1.png');
+    assert.strictEqual(await getLocation('/byField?field=$.data[1].urls.thumb'), 'https://images.example/2-thumb.png');
+    assert.strictEqual(await getLocation('/byField?field=data.0.urls.thumb'), 'https://images.example/1-thumb.png');
+
+    for (const field of ['$..original', '$.data[*]..thumb']) {
+        const response = await fetch(`${baseUrl}/byField?field=${encodeURIComponent(field)}`, { redirect: 'manual' });
+        assert.strictEqual(response.status, 400, field);
+        const body = await response.json();
+        assert.strictEqual(body.error, 'Invalid query parameters.');
+        assert.match(body.details[0], /^field: Invalid JSONPath at position \d+: recursive descent \('\.\.'\) is not allowed here$/);
+    }
+});
+
+test('does not read more than 1MB of an upstream response', async () => {
+    const response = await fetch(`${baseUrl}/huge`, { redirect: 'manual' });
+    assert.strictEqual(response.status, 502);
+    assert.deepStrictEqual(await response.json(), { error: 'Target API response exceeds 1048576 bytes.', targetUrl: `${upstreamOrigin}/huge` });
+
+    // 有其他上游时切换到下一个
+    assert.strictEqual(await getLocation('/hugeWithFallback'), 'https://images.example/1-thumb.png');
+    const jsonMode = await fetch(`${baseUrl}/huge?format=json`);
+    assert.strictEqual(jsonMode.status, 502);
+    assert.strictEqual((await jsonMode.json()).error, 'Target API response exceeds 1048576 bytes.');
+});
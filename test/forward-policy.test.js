@@ -0,0 +1,124 @@
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const dns = require('dns');
+
+// 配置只保存在内存中，每个测试通过 POST /config 设置自己的转发策略
+process.env.CONFIG_STORE = 'memory';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+
+const { app, loadConfig } = require('..');
+
+// 测试上游收到的请求路径，用于确认被拦截的地址没有被请求
+const upstreamRequests = [];
+let upstream;
+let upstreamPort;
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        upstreamRequests.push(req.url);
+        const redirects = {
+            '/redirect-metadata': 'http://169.254.169.254/latest/meta-data/',
+            '/redirect-file': 'file:///etc/passwd',
+            '/redirect-loop': '/redirect-loop',
+            '/redirect-ok': '/api'
+        };
+        if (redirects[req.url]) {
+            res.writeHead(302, { Location: redirects[req.url] });
+            return res.end();
+        }
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ url: 'https://images.example/cat.png' }));
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamPort = upstream.address().port;
+
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+afterEach(() => mock.restoreAll());
+
+async function applyConfig(forwardPolicy, urls) {
+    const apiUrls = Object.fromEntries(Object.entries(urls).map(([key, url]) => [key, { group: '测试', method: 'proxy', url, proxySettings: { imageUrlField: 'url' } }]));
+    const response = await fetch(`${baseUrl}/config`, {
+        method: 'POST',
+        headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ forwardPolicy, apiUrls })
+    });
+    assert.strictEqual(response.status, 200);
+}
+
+async function expectBlocked(path, rule) {
+    const response = await fetch(`${baseUrl}${path}`, { redirect: 'manual' });
+    assert.strictEqual(response.status, 403, path);
+    assert.strictEqual((await response.json()).rule, rule, path);
+}
+
+test('blocks loopback, private and metadata addresses by default', async () => {
+    await applyConfig(undefined, {
+        loopback: `http://127.0.0.1:${upstreamPort}/api`,
+        loopbackV6: `http://[::1]:${upstreamPort}/api`,
+        mappedV4: `http://[::ffff:127.0.0.1]:${upstreamPort}/api`,
+        privateNetwork: 'http://10.0.0.1/api',
+        metadata: 'http://169.254.169.254/latest/meta-data/',
+        localhost: `http://localhost:${upstreamPort}/api`
+    });
+    for (const path of ['/loopback', '/loopbackV6', '/mappedV4', '/privateNetwork', '/metadata', '/localhost']) {
+        await expectBlocked(path, 'privateNetwork');
+    }
+    assert.deepStrictEqual(upstreamRequests, []);
+});
+
+test('checks the address again when connecting so DNS rebinding is blocked', async () => {
+    // 第一次解析（检查时）返回公网地址，之后（连接时）返回回环地址
+    const originalLookup = dns.promises.lookup;
+    let rebindLookups = 0;
+    mock.method(dns.promises, 'lookup', async (hostname, options) => {
+        if (hostname !== 'rebind.test') return originalLookup(hostname, options);
+        rebindLookups += 1;
+        const address = rebindLookups === 1 ? '93.184.216.34' : '127.0.0.1';
+        return options?.all ? [{ address, family: 4 }] : { address, family: 4 };
+    });
+    await applyConfig(undefined, { rebind: `http://rebind.test:${upstreamPort}/api` });
+
+    await expectBlocked('/rebind', 'privateNetwork');
+    assert.ok(rebindLookups >= 2, 'the host was resolved again when connecting');
+    assert.deepStrictEqual(upstreamRequests, []);
+});
+
+test('checks every redirect hop against the policy', async () => {
+    // 测试上游在回环地址上，因此允许内网地址，用 denyHosts 拦截元数据地址
+    const upstreamOrigin = `http://127.0.0.1:${upstreamPort}`;
+    await applyConfig({ allowPrivateNetworks: true, denyHosts: ['169.254.169.254'], maxRedirects: 2 }, {
+        toMetadata: `${upstreamOrigin}/redirect-metadata`,
+        toFile: `${upstreamOrigin}/redirect-file`,
+        loop: `${upstreamOrigin}/redirect-loop`,
+        followed: `${upstreamOrigin}/redirect-ok`
+    });
+
+    await expectBlocked('/toMetadata', 'denyHosts');
+    await expectBlocked('/toFile', 'allowedSchemes');
+    await expectBlocked('/loop', 'maxRedirects');
+    assert.strictEqual(upstreamRequests.filter(url => url === '/redirect-loop').length, 3);
+
+    const followed = await fetch(`${baseUrl}/followed`, { redirect: 'manual' });
+    assert.strictEqual(followed.status, 302);
+    assert.strictEqual(followed.headers.get('location'), 'https://images.example/cat.png');
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+process.env.CONFIG_JSON = JSON.stringify({
+    apiUrls: {
+        healthy: { group: '测试', method: 'redirect', url: 'http://upstream.test/img', queryParams: [{ name: 'size', defaultValue: 'small' }] },
+        broken: { group: '测试', method: 'redirect', url: 'http://upstream.test/broken' },
+        hostile: { group: '测试', method: 'redirect', url: 'http://upstream.test/hostile' },
+        throwing: { group: '测试', method: 'redirect', url: 'http://upstream.test/throwing' },
+        needsParam: { group: '测试', method: 'redirect', url: 'http://upstream.test/img', queryParams: [{ name: 'tag', required: true }] }
+    }
+});
+
+const { app, loadConfig, runHealthChecks, setHealthProbe } = require('..');
+
+const probedUrls = [];
+let server;
+let baseUrl;
+
+before(async () => {
+    await loadConfig();
+    setHealthProbe(async ({ apiKey, url }) => {
+        probedUrls.push(url);
+        if (apiKey === 'broken') return { status: 'down', httpStatus: 500, error: 'HTTP 500' };
+        if (apiKey === 'hostile') return { status: 'degraded', httpStatus: 200, contentType: 'text/html"><b>x</b>', error: '<script>alert(1)</script>' };
+        if (apiKey === 'throwing') throw new Error('connect ECONNREFUSED');
+        return { status: 'up', httpStatus: 200, contentType: 'image/png', latencyMs: 12, finalUrl: 'http://upstream.test/img?apikey=TOPSECRET123', imageUrl: 'http://cdn.test/a.png?apikey=TOPSECRET123' };
+    });
+    await runHealthChecks();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    setHealthProbe(null);
+    server.close();
+});
+
+test('probes each endpoint with default parameter values', () => {
+    assert.ok(probedUrls.includes('http://upstream.test/img?size=small'));
+    assert.ok(!probedUrls.some(url => url.includes('tag=')), 'endpoints with required parameters are not probed');
+});
+
+test('reports probe results through /api/status', async () => {
+    const report = await (await fetch(`${baseUrl}/api/status`)).json();
+    assert.strictEqual(report.endpoints.healthy.status, 'up');
+    assert.strictEqual(report.endpoints.healthy.contentType, 'image/png');
+    assert.strictEqual(report.endpoints.broken.status, 'down');
+    assert.strictEqual(report.endpoints.broken.httpStatus, 500);
+    assert.strictEqual(report.endpoints.throwing.status, 'down');
+    assert.strictEqual(report.endpoints.throwing.error, 'connect ECONNREFUSED');
+    assert.strictEqual(report.endpoints.needsParam.status, 'skipped');
+    assert.ok(report.lastRunFinishedAt);
+});
+
+test('escapes upstream-controlled values on the status page', async () => {
+    const html = await (await fetch(`${baseUrl}/status`)).text();
+    assert.ok(!html.includes('<script>alert(1)</script>'));
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(!html.includes('<b>x</b>'));
+    assert.ok(html.includes('text/html&quot;&gt;&lt;b&gt;x&lt;/b&gt;'));
+});
+
+test('does not publish upstream addresses or image links in the status report', async () => {
+    const text = await (await fetch(`${baseUrl}/api/status`)).text();
+    assert.ok(!text.includes('TOPSECRET123'));
+    const report = JSON.parse(text);
+    assert.deepStrictEqual(report.endpoints.healthy.upstreams, [
+        { status: 'up', httpStatus: 200, contentType: 'image/png', latencyMs: 12, error: null }
+    ]);
+});
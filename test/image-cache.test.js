@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+// 每张图片 100 字节：预算只够缓存两张，最多两个缓存池
+process.env.IMAGE_CACHE_MAX_BYTES = '250';
+process.env.IMAGE_CACHE_MAX_POOLS = '2';
+
+const pngBytes = Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), Buffer.alloc(92)]);
+let upstream;
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'image/png');
+        res.end(pngBytes);
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    const upstreamOrigin = `http://127.0.0.1:${upstream.address().port}`;
+
+    // 测试上游在回环地址上，因此允许内网地址
+    process.env.CONFIG_JSON = JSON.stringify({
+        forwardPolicy: { allowPrivateNetworks: true },
+        apiUrls: {
+            pics: {
+                group: '测试', method: 'stream', url: `${upstreamOrigin}/img`,
+                queryParams: [{ name: 'size', validValues: ['small', 'large'] }, { name: 'seed' }],
+                cacheSettings: { enabled: true, poolSize: 2 }
+            }
+        }
+    });
+    const { app, loadConfig } = require('..');
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+async function getImage(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    assert.strictEqual(response.status, 200, path);
+    assert.strictEqual((await response.arrayBuffer()).byteLength, pngBytes.length);
+    return response.headers.get('x-cache');
+}
+
+// 等待后台补充结束后返回缓存统计
+async function getSettledCacheReport() {
+    for (let i = 0; i < 100; i++) {
+        const report = await (await fetch(`${baseUrl}/api/admin/cache`, { headers: { Cookie: cookie } })).json();
+        if (!report.pools.some(pool => pool.refilling)) return report;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Image cache refill did not finish');
+}
+
+function getPoolItems(report) {
+    return Object.fromEntries(report.pools.map(pool => [pool.key, pool.items]));
+}
+
+test('caches only requests whose parameters can be enumerated', async () => {
+    assert.strictEqual(await getImage('/pics?size=small&seed=42'), null);
+    assert.deepStrictEqual((await getSettledCacheReport()).pools, []);
+
+    assert.strictEqual(await getImage('/pics?size=small'), 'MISS');
+    assert.deepStrictEqual(getPoolItems(await getSettledCacheReport()), { 'pics?size=small': 2 });
+    assert.strictEqual(await getImage('/pics?size=small'), 'HIT');
+    assert.deepStrictEqual(getPoolItems(await getSettledCacheReport()), { 'pics?size=small': 2 });
+});
+
+test('evicts images from the least recently used pool when over the byte budget', async () => {
+    assert.strictEqual(await getImage('/pics?size=large'), 'MISS');
+    const report = await getSettledCacheReport();
+    assert.deepStrictEqual(getPoolItems(report), { 'pics?size=small': 0, 'pics?size=large': 2 });
+    assert.strictEqual(report.totalBytes, 2 * pngBytes.length);
+    assert.strictEqual(report.evictions, 2);
+});
+
+test('removes the least recently used pool when the pool limit is reached', async () => {
+    assert.strictEqual(await getImage('/pics'), 'MISS');
+    const report = await getSettledCacheReport();
+    assert.deepStrictEqual(report.pools.map(pool => pool.key).sort(), ['pics', 'pics?size=large']);
+    assert.ok(report.totalBytes <= 250);
+});
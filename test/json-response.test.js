@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// 配置只保存在内存中，测试通过 POST /config 切换转发策略
+process.env.CONFIG_STORE = 'memory';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+
+const { app, loadConfig } = require('..');
+
+// 上游收到的请求路径
+const upstreamRequests = [];
+let imageCounter = 0;
+let upstream;
+let upstreamOrigin;
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        upstreamRequests.push(req.url);
+        if (req.url === '/random') {
+            imageCounter += 1;
+            res.writeHead(302, { Location: `/img/${imageCounter}.png` });
+            return res.end();
+        }
+        if (req.url === '/same') {
+            res.writeHead(302, { Location: '/img/same.png' });
+            return res.end();
+        }
+        if (req.url === '/to-metadata') {
+            res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+            return res.end();
+        }
+        if (req.url === '/api') {
+            imageCounter += 1;
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify({ url: `${upstreamOrigin}/img/${imageCounter}.png` }));
+        }
+        if (req.url.startsWith('/img/')) {
+            res.setHeader('Content-Type', 'image/png');
+            return res.end('png');
+        }
+        res.statusCode = 404;
+        res.end();
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamOrigin = `http://127.0.0.1:${upstream.address().port}`;
+
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+    // 测试上游在回环地址上，因此允许内网地址，用 denyHosts 拦截元数据地址
+    await applyConfig({ allowPrivateNetworks: true, denyHosts: ['169.254.169.254'] });
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+async function applyConfig(forwardPolicy) {
+    const response = await fetch(`${baseUrl}/config`, {
+        method: 'POST',
+        headers: { Cookie: cookie, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            forwardPolicy,
+            apiUrls: {
+                random: { group: '测试', method: 'redirect', url: `${upstreamOrigin}/random` },
+                same: { group: '测试', method: 'redirect', url: `${upstreamOrigin}/same` },
+                fixed: { group: '测试', method: 'redirect', url: `${upstreamOrigin}/random`, redirectSettings: { kind: 'deterministic' } },
+                local: { group: '测试', method: 'redirect', url: '/random' },
+                proxied: { group: '测试', method: 'proxy', url: `${upstreamOrigin}/api`, proxySettings: { imageUrlField: 'url' } },
+                streamed: { group: '测试', method: 'stream', url: `${upstreamOrigin}/img/streamed.png` },
+                ownFormat: { group: '测试', method: 'redirect', url: 'https://img.example/a', queryParams: [{ name: 'format' }] },
+                toMetadata: { group: '测试', method: 'redirect', url: `${upstreamOrigin}/to-metadata` }
+            }
+        })
+    });
+    assert.strictEqual(response.status, 200);
+}
+
+async function getJson(path, headers = {}) {
+    const response = await fetch(`${baseUrl}${path}`, { redirect: 'manual', headers });
+    assert.strictEqual(response.status, 200, path);
+    assert.match(response.headers.get('content-type'), /^application\/json/);
+    return response.json();
+}
+
+test('resolves redirect, proxy and stream endpoints to the final image', async () => {
+    const random = await getJson('/random?format=json');
+    assert.match(random.url, new RegExp(`^${upstreamOrigin}/img/\\d+\\.png$`));
+    assert.strictEqual(random.endpoint, 'random');
+    assert.strictEqual(random.upstream, `${upstreamOrigin}/random`);
+    assert.strictEqual(random.contentType, 'image/png');
+    assert.ok(!isNaN(Date.parse(random.fetchedAt)));
+
+    const proxied = await getJson('/proxied?format=json');
+    assert.match(proxied.url, /\/img\/\d+\.png$/);
+    assert.strictEqual(proxied.contentType, null);
+    assert.strictEqual((await getJson('/streamed?format=json')).url, `${upstreamOrigin}/img/streamed.png`);
+
+    // 本站相对路径在服务内解析对应端点
+    const local = await getJson('/local?format=json');
+    assert.strictEqual(local.upstream, '/random');
+    assert.match(local.url, /\/img\/\d+\.png$/);
+});
+
+test('answers JSON when the Accept header asks for JSON but not images', async () => {
+    assert.strictEqual((await getJson('/random', { Accept: 'application/json' })).endpoint, 'random');
+    const redirect = await fetch(`${baseUrl}/random`, { redirect: 'manual', headers: { Accept: 'application/json, image/*' } });
+    assert.strictEqual(redirect.status, 302);
+    // 端点自己声明的 format 参数按普通参数处理
+    const own = await fetch(`${baseUrl}/ownFormat?format=json`, { redirect: 'manual' });
+    assert.strictEqual(own.headers.get('location'), 'https://img.example/a?format=json');
+});
+
+test('returns count distinct results', async () => {
+    const { endpoint, results } = await getJson('/random?count=3');
+    assert.strictEqual(endpoint, 'random');
+    assert.strictEqual(results.length, 3);
+    assert.strictEqual(new Set(results.map(result => result.url)).size, 3);
+
+    // 上游返回重复图片时停止；确定性端点只请求一次
+    assert.strictEqual((await getJson('/same?count=3')).results.length, 1);
+    const requestsBefore = upstreamRequests.filter(url => url === '/random').length;
+    assert.strictEqual((await getJson('/fixed?count=3')).results.length, 1);
+    assert.strictEqual(upstreamRequests.filter(url => url === '/random').length, requestsBefore + 1);
+
+    for (const count of ['0', '11', 'abc']) {
+        const response = await fetch(`${baseUrl}/random?count=${count}`);
+        assert.strictEqual(response.status, 400, count);
+        assert.deepStrictEqual((await response.json()).details, ["Parameter 'count' must be an integer between 1 and 10."]);
+    }
+});
+
+test('checks every redirect hop against the forward policy', async () => {
+    const denied = await fetch(`${baseUrl}/toMetadata?format=json`);
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual((await denied.json()).rule, 'denyHosts');
+
+    // 默认策略下第一跳就是内网地址，不会发出请求
+    await applyConfig(undefined);
+    const requestsBefore = upstreamRequests.length;
+    const response = await fetch(`${baseUrl}/random?format=json`);
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).rule, 'privateNetwork');
+    assert.strictEqual(upstreamRequests.length, requestsBefore);
+});
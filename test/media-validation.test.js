@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+
+const pngBytes = Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), Buffer.alloc(64)]);
+const upstreamRequests = [];
+let upstream;
+let server;
+let baseUrl;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        upstreamRequests.push(`${req.method} ${req.headers.host.split(':')[0]} ${req.url}`);
+        const upstreamOrigin = `http://127.0.0.1:${upstream.address().port}`;
+        const deniedOrigin = `http://localhost:${upstream.address().port}`;
+        const sendJson = (body) => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(body));
+        };
+        switch (req.url) {
+            case '/file':
+                // 没有扩展名的图片，只能通过 Content-Type 或文件头识别
+                res.setHeader('Content-Type', 'image/png');
+                return res.end(req.method === 'HEAD' ? undefined : pngBytes);
+            case '/page':
+                res.setHeader('Content-Type', 'text/html');
+                return res.end('<html></html>');
+            case '/hop':
+                res.writeHead(302, { Location: `${deniedOrigin}/file` });
+                return res.end();
+            case '/api-image': return sendJson({ url: `${upstreamOrigin}/file` });
+            case '/api-page': return sendJson({ url: `${upstreamOrigin}/page` });
+            case '/api-denied': return sendJson({ url: `${deniedOrigin}/file` });
+            case '/api-hop': return sendJson({ url: `${upstreamOrigin}/hop` });
+        }
+        res.statusCode = 404;
+        res.end();
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    const upstreamOrigin = `http://127.0.0.1:${upstream.address().port}`;
+    const endpoint = (path, urlValidation) => ({
+        group: '测试', method: 'proxy', url: `${upstreamOrigin}${path}`,
+        proxySettings: { imageUrlField: 'url', urlValidation, fallbackAction: 'error' }
+    });
+
+    // 测试上游在回环地址上，因此允许内网地址，用 denyHosts 拦截 "localhost" 这个主机名
+    process.env.CONFIG_JSON = JSON.stringify({
+        forwardPolicy: { allowPrivateNetworks: true, denyHosts: ['localhost'] },
+        apiUrls: {
+            headImage: endpoint('/api-image', 'head'),
+            headPage: endpoint('/api-page', 'head'),
+            headDenied: endpoint('/api-denied', 'head'),
+            headHop: endpoint('/api-hop', 'head'),
+            sniffImage: endpoint('/api-image', 'sniff'),
+            sniffPage: endpoint('/api-page', 'sniff'),
+            sniffDenied: endpoint('/api-denied', 'sniff'),
+            sniffHop: endpoint('/api-hop', 'sniff'),
+            extension: endpoint('/api-image', 'extension'),
+            cachedDenied: { ...endpoint('/api-denied', 'head'), cacheSettings: { enabled: true, poolSize: 2 } }
+        }
+    });
+    const { app, loadConfig } = require('..');
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+function request(path) {
+    return fetch(`${baseUrl}${path}`, { redirect: 'manual' });
+}
+
+test('accepts a URL whose Content-Type or file signature is an image', async () => {
+    for (const path of ['/headImage', '/sniffImage']) {
+        const response = await request(path);
+        assert.strictEqual(response.status, 302, path);
+        assert.match(response.headers.get('location'), /\/file$/);
+    }
+});
+
+test('rejects a URL that does not point to an image', async () => {
+    for (const path of ['/headPage', '/sniffPage', '/extension']) {
+        const response = await request(path);
+        assert.strictEqual(response.status, 404, path);
+        assert.strictEqual((await response.json()).error, 'Extracted URL did not pass media validation.');
+    }
+});
+
+test('checks the extracted URL against the forward policy before requesting it', async () => {
+    for (const path of ['/headDenied', '/sniffDenied', '/headHop', '/sniffHop']) {
+        const response = await request(path);
+        assert.strictEqual(response.status, 403, path);
+        assert.strictEqual((await response.json()).rule, 'denyHosts', path);
+    }
+    assert.deepStrictEqual(upstreamRequests.filter(entry => entry.includes(' localhost ')), []);
+});
+
+test('checks URLs found while prefetching the image cache', async () => {
+    const countUpstreamCalls = () => upstreamRequests.filter(entry => entry.endsWith(' /api-denied')).length;
+    const callsBefore = countUpstreamCalls();
+    const response = await request('/cachedDenied');
+    assert.strictEqual(response.status, 403);
+    // 预取在后台进行，等待它请求上游并校验提取出的链接
+    const deadline = Date.now() + 2000;
+    while (countUpstreamCalls() < callsBefore + 2 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.ok(countUpstreamCalls() >= callsBefore + 2, 'the cache prefetched from the upstream');
+    assert.deepStrictEqual(upstreamRequests.filter(entry => entry.includes(' localhost ')), []);
+});
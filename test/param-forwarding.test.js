@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+
+// 上游收到的请求（路径和请求头）
+const upstreamRequests = [];
+let upstream;
+let server;
+let baseUrl;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        upstreamRequests.push({ url: req.url, headers: req.headers });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ url: 'https://images.example/cat.png' }));
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    const upstreamOrigin = `http://127.0.0.1:${upstream.address().port}`;
+    const queryParams = [
+        { name: 'keyword', target: { in: 'query', name: 'tag' } },
+        { name: 'category', target: { in: 'path' } },
+        { name: 'lang', target: { in: 'header', name: 'Accept-Language' } },
+        { name: 'seed', target: { in: 'drop' } }
+    ];
+
+    // 测试上游在回环地址上，因此允许内网地址
+    process.env.CONFIG_JSON = JSON.stringify({
+        forwardPolicy: { allowPrivateNetworks: true },
+        apiUrls: {
+            placed: { group: '测试', method: 'proxy', url: `${upstreamOrigin}/img`, proxySettings: { imageUrlField: 'url' }, queryParams },
+            open: {
+                group: '测试', method: 'proxy', url: `${upstreamOrigin}/img`, proxySettings: { imageUrlField: 'url' }, queryParams,
+                unknownParams: { forward: true, deny: ['debug', 'utm_*'] }
+            },
+            streamed: { group: '测试', method: 'stream', url: `${upstreamOrigin}/img`, queryParams }
+        }
+    });
+    const { app, loadConfig } = require('..');
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+async function requestUpstream(path) {
+    const requestsBefore = upstreamRequests.length;
+    const response = await fetch(`${baseUrl}${path}`, { redirect: 'manual' });
+    assert.strictEqual(response.status, 302, path);
+    const received = upstreamRequests.slice(requestsBefore);
+    assert.strictEqual(received.length, 1, path);
+    return received[0];
+}
+
+test('places parameters in the query, path and headers', async () => {
+    const received = await requestUpstream('/placed?keyword=cat&category=animals&lang=zh-CN&seed=5');
+    assert.strictEqual(received.url, '/img/animals?tag=cat');
+    assert.strictEqual(received.headers['accept-language'], 'zh-CN');
+    assert.strictEqual(received.headers.seed, undefined);
+});
+
+test('encodes path parameters as a single segment', async () => {
+    const received = await requestUpstream('/placed?category=a%2F..%2Fb');
+    assert.strictEqual(received.url, '/img/a%2F..%2Fb');
+});
+
+test('forwards unknown parameters only when enabled, except denied ones', async () => {
+    const path = '?keyword=cat&extra=1&extra=2&debug=1&utm_source=mail&UTM_MEDIUM=x&key=secret';
+    assert.strictEqual((await requestUpstream(`/placed${path}`)).url, '/img?tag=cat');
+    assert.strictEqual((await requestUpstream(`/open${path}`)).url, '/img?tag=cat&extra=1&extra=2');
+});
+
+test('rejects header values that would inject other headers', async () => {
+    for (const path of ['/placed', '/streamed']) {
+        for (const value of ['en%0D%0AX-Injected:%201', 'en%0AX-Injected:%201', 'en%00']) {
+            const requestsBefore = upstreamRequests.length;
+            const response = await fetch(`${baseUrl}${path}?lang=${value}`, { redirect: 'manual' });
+            assert.strictEqual(response.status, 400, `${path} ${value}`);
+            assert.deepStrictEqual(await response.json(), {
+                error: 'Invalid query parameters.',
+                details: ["Parameter 'lang' contains characters that cannot be sent in a header."]
+            });
+            assert.strictEqual(upstreamRequests.length, requestsBefore);
+        }
+    }
+});
@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+process.env.CONFIG_JSON = JSON.stringify({
+    apiUrls: {
+        img: {
+            group: '测试', method: 'redirect', url: 'https://img.example/api',
+            queryParams: [
+                { name: 'keyword', aliases: ['kw', 'q'], maxLength: 5 },
+                { name: 'num', type: 'int', min: 1, max: 20, defaultValue: 1 },
+                { name: 'scale', type: 'float', min: 0.5, max: 2 },
+                { name: 'r18', type: 'boolean', defaultValue: false, valueMap: { true: '1', false: '0' } },
+                { name: 'size', type: 'enum', validValues: ['original', 'regular', 'small'], caseInsensitive: true },
+                { name: 'tag', type: 'list', separator: '|', max: 3, pattern: '[^|]{1,5}' },
+                { name: 'id', required: true, pattern: '[0-9]+' }
+            ]
+        }
+    }
+});
+
+const { app, loadConfig } = require('..');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function request(query) {
+    return fetch(`${baseUrl}/img?${query}`, { redirect: 'manual' });
+}
+
+async function getForwardedQuery(query) {
+    const response = await request(query);
+    assert.strictEqual(response.status, 302, query);
+    return Object.fromEntries(new URL(response.headers.get('location')).searchParams);
+}
+
+async function getErrors(query) {
+    const response = await request(query);
+    assert.strictEqual(response.status, 400, query);
+    const body = await response.json();
+    assert.strictEqual(body.error, 'Invalid query parameters.');
+    return body.details;
+}
+
+test('fills in defaults and forwards only declared parameters', async () => {
+    assert.deepStrictEqual(await getForwardedQuery('id=7&other=x'), { num: '1', r18: '0', id: '7' });
+});
+
+test('coerces values to their declared types', async () => {
+    assert.deepStrictEqual(await getForwardedQuery('id=7&kw=cat&num=05&scale=1.5&r18=yes&size=SMALL&tag=a|b&tag=c'), {
+        keyword: 'cat', num: '5', scale: '1.5', r18: '1', size: 'small', tag: 'a|b|c', id: '7'
+    });
+    for (const [value, mapped] of [['true', '1'], ['on', '1'], ['1', '1'], ['false', '0'], ['no', '0'], ['off', '0']]) {
+        assert.strictEqual((await getForwardedQuery(`id=7&r18=${value}`)).r18, mapped, value);
+    }
+});
+
+test('enforces min and max for numbers and lists', async () => {
+    assert.strictEqual((await getForwardedQuery('id=7&num=20&scale=0.5')).num, '20');
+    assert.deepStrictEqual(await getErrors('id=7&num=0'), ["Parameter 'num' must be at least 1."]);
+    assert.deepStrictEqual(await getErrors('id=7&num=21&scale=3'), ["Parameter 'num' must be at most 20.", "Parameter 'scale' must be at most 2."]);
+    assert.deepStrictEqual(await getErrors('id=7&num=2.5&scale=abc'), ["Parameter 'num' must be an integer.", "Parameter 'scale' must be a number."]);
+    assert.deepStrictEqual(await getErrors('id=7&tag=a|b|c|d'), ["Parameter 'tag' must have at most 3 value(s)."]);
+});
+
+test('checks enum values, patterns and lengths', async () => {
+    assert.deepStrictEqual(await getErrors('id=7&size=huge'), ["Invalid value for parameter 'size'. Valid: original, regular, small."]);
+    assert.deepStrictEqual(await getErrors('id=7&tag=a|toolong'), ["Parameter 'tag' must match pattern [^|]{1,5}."]);
+    assert.deepStrictEqual(await getErrors('id=x'), ["Parameter 'id' must match pattern [0-9]+."]);
+    assert.deepStrictEqual(await getErrors('id=7&q=toolong'), ["Parameter 'keyword' must be at most 5 characters."]);
+    assert.deepStrictEqual(await getErrors('id=7&r18=maybe'), ["Parameter 'r18' must be true or false."]);
+});
+
+test('lists every problem in one 400 response', async () => {
+    const response = await request('num=0&size=huge');
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), {
+        error: 'Invalid query parameters.',
+        details: [
+            "Parameter 'num' must be at least 1.",
+            "Invalid value for parameter 'size'. Valid: original, regular, small.",
+            'Missing required query parameter: id.'
+        ]
+    });
+});
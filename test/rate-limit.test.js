@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+delete process.env.TRUST_PROXY;
+delete process.env.VERCEL;
+process.env.CONFIG_JSON = JSON.stringify({
+    rateLimit: { enabled: true, limit: 2, windowSeconds: 60 },
+    apiUrls: {
+        global: { group: '测试', method: 'redirect', url: 'http://upstream.test/global' },
+        custom: { group: '测试', method: 'redirect', url: 'http://upstream.test/custom', rateLimit: { limit: 3, windowSeconds: 60 } },
+        unlimited: { group: '测试', method: 'redirect', url: 'http://upstream.test/unlimited', rateLimit: false },
+        refill: { group: '测试', method: 'redirect', url: 'http://upstream.test/refill', rateLimit: { limit: 20, windowSeconds: 1 } },
+        proxied: { group: '测试', method: 'redirect', url: 'http://upstream.test/proxied' }
+    }
+});
+
+const { app, loadConfig } = require('..');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function request(path, headers = {}) {
+    return fetch(`${baseUrl}${path}`, { redirect: 'manual', headers });
+}
+
+async function countAllowed(path, attempts) {
+    let allowed = 0;
+    for (let i = 0; i < attempts; i++) {
+        if ((await request(path)).status === 302) allowed += 1;
+    }
+    return allowed;
+}
+
+test('applies the global limit and per-endpoint overrides', async () => {
+    assert.strictEqual(await countAllowed('/global', 5), 2);
+    assert.strictEqual(await countAllowed('/custom', 5), 3);
+    assert.strictEqual(await countAllowed('/unlimited', 5), 5);
+});
+
+test('answers 429 with Retry-After once the bucket is empty', async () => {
+    const first = await request('/global');
+    assert.strictEqual(first.status, 429);
+    assert.strictEqual(first.headers.get('ratelimit-limit'), '2');
+    assert.strictEqual(first.headers.get('ratelimit-remaining'), '0');
+    assert.strictEqual(first.headers.get('ratelimit-policy'), '2;w=60');
+    const retryAfter = parseInt(first.headers.get('retry-after'), 10);
+    assert.ok(retryAfter >= 1 && retryAfter <= 30, `Retry-After ${retryAfter}`);
+    assert.deepStrictEqual(await first.json(), { error: 'Too many requests.', limit: 2, windowSeconds: 60, retryAfter });
+
+    const allowed = await request('/unlimited');
+    assert.strictEqual(allowed.headers.get('ratelimit-limit'), null, 'unlimited endpoints send no rate limit headers');
+});
+
+test('refills the bucket over time', async () => {
+    let status = 302;
+    for (let i = 0; i < 100 && status === 302; i++) {
+        status = (await request('/refill')).status;
+    }
+    assert.strictEqual(status, 429);
+    // 20 次/秒，每 50ms 补充一个令牌
+    await new Promise(resolve => setTimeout(resolve, 120));
+    assert.strictEqual((await request('/refill')).status, 302);
+});
+
+test('counts every client behind an untrusted proxy as the proxy and warns once', async (t) => {
+    const warnings = [];
+    t.mock.method(console, 'warn', (message) => warnings.push(String(message)));
+    assert.strictEqual((await request('/proxied', { 'X-Forwarded-For': '198.51.100.1' })).status, 302);
+    assert.strictEqual((await request('/proxied', { 'X-Forwarded-For': '198.51.100.2' })).status, 302);
+    assert.strictEqual((await request('/proxied', { 'X-Forwarded-For': '198.51.100.3' })).status, 429);
+    assert.strictEqual(warnings.filter(message => message.includes('TRUST_PROXY')).length, 1);
+});
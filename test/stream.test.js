@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+
+const pngBytes = Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), Buffer.alloc(64)]);
+// 上游收到的请求（Host 头 + 路径），用于确认被拦截的地址没有被请求
+const upstreamRequests = [];
+// /slow 不返回响应，连接关闭（请求被中止）时通知测试
+const slowRequestClosed = [];
+let upstream;
+let server;
+let baseUrl;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        upstreamRequests.push(`${req.headers.host.split(':')[0]} ${req.url}`);
+        const upstreamOrigin = `http://127.0.0.1:${upstream.address().port}`;
+        const deniedOrigin = `http://localhost:${upstream.address().port}`;
+        if (req.url === '/img.png') {
+            res.setHeader('Content-Type', 'image/png');
+            return res.end(pngBytes);
+        }
+        if (req.url === '/api') {
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify({ url: `${upstreamOrigin}/img.png` }));
+        }
+        if (req.url === '/api-denied') {
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify({ url: `${deniedOrigin}/img.png` }));
+        }
+        if (req.url === '/slow') {
+            res.on('close', () => slowRequestClosed.shift()?.());
+            return;
+        }
+        if (req.url === '/api-slow') {
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify({ url: `${upstreamOrigin}/slow` }));
+        }
+        if (req.url === '/redirect-denied') {
+            res.writeHead(302, { Location: `${deniedOrigin}/img.png` });
+            return res.end();
+        }
+        res.statusCode = 404;
+        res.end();
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    const upstreamOrigin = `http://127.0.0.1:${upstream.address().port}`;
+
+    // 测试上游在回环地址上，因此允许内网地址，用 denyHosts 拦截 "localhost" 这个主机名
+    process.env.CONFIG_JSON = JSON.stringify({
+        forwardPolicy: { allowPrivateNetworks: true, denyHosts: ['localhost'] },
+        apiUrls: {
+            direct: { group: '测试', method: 'stream', url: `${upstreamOrigin}/img.png` },
+            extracted: { group: '测试', method: 'stream', url: `${upstreamOrigin}/api`, proxySettings: { imageUrlField: 'url' } },
+            extractedDenied: { group: '测试', method: 'stream', url: `${upstreamOrigin}/api-denied`, proxySettings: { imageUrlField: 'url' } },
+            slow: { group: '测试', method: 'stream', url: `${upstreamOrigin}/slow` },
+            extractedSlow: { group: '测试', method: 'stream', url: `${upstreamOrigin}/api-slow`, proxySettings: { imageUrlField: 'url' } },
+            redirectDenied: { group: '测试', method: 'stream', url: `${upstreamOrigin}/redirect-denied` },
+            proxyRedirectDenied: { group: '测试', method: 'proxy', url: `${upstreamOrigin}/redirect-denied`, proxySettings: { imageUrlField: 'url' } }
+        }
+    });
+    const { app, loadConfig } = require('..');
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+    upstream.closeAllConnections();
+});
+
+function deniedRequests() {
+    return upstreamRequests.filter(entry => entry.startsWith('localhost '));
+}
+
+test('streams the upstream image', async () => {
+    const response = await fetch(`${baseUrl}/direct`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'image/png');
+    assert.deepStrictEqual(Buffer.from(await response.arrayBuffer()), pngBytes);
+});
+
+test('streams the image found by the extractor', async () => {
+    const response = await fetch(`${baseUrl}/extracted`);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(Buffer.from(await response.arrayBuffer()), pngBytes);
+});
+
+test('checks the extracted image URL against the forward policy', async () => {
+    const response = await fetch(`${baseUrl}/extractedDenied`);
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).rule, 'denyHosts');
+    assert.deepStrictEqual(deniedRequests(), []);
+});
+
+test('checks every redirect hop of the upstream request', async () => {
+    const response = await fetch(`${baseUrl}/redirectDenied`);
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).rule, 'denyHosts');
+    assert.deepStrictEqual(deniedRequests(), []);
+});
+
+test('applies the same checks to proxy endpoints and JSON mode', async () => {
+    for (const path of ['/proxyRedirectDenied', '/redirectDenied?format=json', '/extractedDenied?format=json']) {
+        const response = await fetch(`${baseUrl}${path}`, { redirect: 'manual' });
+        assert.strictEqual(response.status, 403, path);
+        assert.strictEqual((await response.json()).rule, 'denyHosts', path);
+    }
+    assert.deepStrictEqual(deniedRequests(), []);
+});
+
+test('aborts the upstream request when the client disconnects', async () => {
+    for (const path of ['/slow', '/extractedSlow']) {
+        const closed = new Promise(resolve => slowRequestClosed.push(resolve));
+        const requestsBefore = upstreamRequests.length;
+        const controller = new AbortController();
+        const response = fetch(`${baseUrl}${path}`, { signal: controller.signal }).catch(() => {});
+        while (!upstreamRequests.slice(requestsBefore).includes('127.0.0.1 /slow')) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        controller.abort();
+        await response;
+        const timeout = new Promise((resolve, reject) => setTimeout(() => reject(new Error(`${path}: upstream request was not aborted`)), 2000).unref());
+        await Promise.race([closed, timeout]);
+    }
+});
@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+
+// 上游收到的请求路径；flakyDown 为 true 时 /flaky 返回 500
+const upstreamRequests = [];
+let flakyDown = true;
+let upstream;
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        upstreamRequests.push(req.url);
+        if (req.url === '/flaky' && flakyDown) {
+            res.statusCode = 500;
+            return res.end();
+        }
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ url: `https://images.example${req.url}.png` }));
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    const upstreamOrigin = `http://127.0.0.1:${upstream.address().port}`;
+
+    // 测试上游在回环地址上，因此允许内网地址
+    process.env.CONFIG_JSON = JSON.stringify({
+        forwardPolicy: { allowPrivateNetworks: true },
+        apiUrls: {
+            rotating: {
+                group: '测试', method: 'redirect', url: 'https://a.example/img', weight: 2,
+                upstreams: [{ url: 'https://b.example/img', weight: 1 }], upstreamStrategy: 'roundRobin'
+            },
+            weighted: {
+                group: '测试', method: 'redirect', url: 'https://a.example/img', weight: 3,
+                upstreams: [{ url: 'https://b.example/img', weight: 1 }, { url: 'https://backup.example/img', weight: 0 }]
+            },
+            failover: {
+                group: '测试', method: 'proxy', url: `${upstreamOrigin}/flaky`, weight: 100,
+                upstreams: [{ url: `${upstreamOrigin}/stable`, weight: 1 }], proxySettings: { imageUrlField: 'url' }
+            }
+        }
+    });
+    const { app, loadConfig } = require('..');
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+async function getLocation(path) {
+    const response = await fetch(`${baseUrl}${path}`, { redirect: 'manual' });
+    assert.strictEqual(response.status, 302, path);
+    return response.headers.get('location');
+}
+
+async function getFlakyHealth() {
+    const report = await (await fetch(`${baseUrl}/upstream-health`, { headers: { Cookie: cookie, Accept: 'application/json' } })).json();
+    return report.failover.find(entry => entry.url.endsWith('/flaky'));
+}
+
+function countFlakyRequests() {
+    return upstreamRequests.filter(url => url === '/flaky').length;
+}
+
+test('rotates through upstreams in proportion to their weights', async () => {
+    const locations = [];
+    for (let i = 0; i < 6; i++) locations.push(await getLocation('/rotating'));
+    assert.deepStrictEqual(locations.map(url => new URL(url).hostname), [
+        'a.example', 'a.example', 'b.example', 'a.example', 'a.example', 'b.example'
+    ]);
+});
+
+test('picks weighted upstreams at random and keeps weight 0 as a last resort', async (t) => {
+    // 总权重 4：随机数落在 [0, 3) 选 a，[3, 4) 选 b
+    const random = t.mock.method(Math, 'random', () => 0.5);
+    assert.strictEqual(new URL(await getLocation('/weighted')).hostname, 'a.example');
+    random.mock.mockImplementation(() => 0.9);
+    assert.strictEqual(new URL(await getLocation('/weighted')).hostname, 'b.example');
+    random.mock.mockImplementation(() => 0.999999);
+    for (let i = 0; i < 3; i++) assert.notStrictEqual(new URL(await getLocation('/weighted')).hostname, 'backup.example');
+});
+
+test('fails over to the next upstream and marks a failing upstream down', async () => {
+    for (let i = 1; i <= 3; i++) {
+        assert.strictEqual(await getLocation('/failover'), 'https://images.example/stable.png');
+        assert.strictEqual(countFlakyRequests(), i);
+    }
+    const health = await getFlakyHealth();
+    assert.strictEqual(health.healthy, false);
+    assert.strictEqual(health.consecutiveFailures, 3);
+    assert.ok(health.unhealthyUntil);
+
+    // 不健康的上游排在后面，不再先请求它
+    assert.strictEqual(await getLocation('/failover'), 'https://images.example/stable.png');
+    assert.strictEqual(countFlakyRequests(), 3);
+});
+
+test('tries the upstream again after the cooldown and recovers on success', async (t) => {
+    flakyDown = false;
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 61 * 1000);
+    assert.strictEqual(await getLocation('/failover'), 'https://images.example/flaky.png');
+    assert.strictEqual(countFlakyRequests(), 4);
+
+    const health = await getFlakyHealth();
+    assert.strictEqual(health.healthy, true);
+    assert.strictEqual(health.consecutiveFailures, 0);
+    assert.ok(health.lastSuccessAt);
+});
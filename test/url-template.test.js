@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.CONFIG_STORE = 'env';
+process.env.HEALTH_CHECK_INTERVAL = '0';
+
+let upstream;
+let upstreamOrigin;
+let server;
+let baseUrl;
+let cookie;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ url: 'https://images.example/by-url.png', image: 'https://images.example/by-field.png' }));
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamOrigin = `http://127.0.0.1:${upstream.address().port}`;
+
+    // 测试上游在回环地址上，因此允许内网地址
+    process.env.CONFIG_JSON = JSON.stringify({
+        baseTag: 'masterpiece',
+        forwardPolicy: { allowPrivateNetworks: true },
+        apiUrls: {
+            plain: { group: '测试', method: 'redirect', url: 'https://img.example/search?fixed=1', queryParams: [{ name: 'q' }] },
+            filters: {
+                group: '测试', method: 'redirect',
+                url: 'https://img.example/{tag|trim|lowercase|urlencode}/{size|default:large}?ids={ids|join:;}&tag={baseTag|uppercase}',
+                queryParams: [{ name: 'tag' }, { name: 'size' }, { name: 'ids' }]
+            },
+            sections: {
+                group: '测试', method: 'redirect',
+                url: 'https://img.example/list{#seed}?seed={seed|urlencode}{/seed}{^seed}?random=true{/seed}',
+                queryParams: [{ name: 'seed' }]
+            },
+            missing: { group: '测试', method: 'redirect', url: 'https://img.example/{notAParam}/{alsoMissing|urlencode}end' },
+            relative: { group: '测试', method: 'redirect', url: '/{target}', queryParams: [{ name: 'target' }] },
+            // 旧版本的特殊路由，加载时转换为模板
+            pollinations: { group: '测试', method: 'redirect', url: 'https://image.pollinations.ai/prompt/', urlConstruction: 'special_pollinations', modelName: 'flux' },
+            draw: { group: '测试', method: 'redirect', url: '', urlConstruction: 'special_draw_redirect' },
+            forward: { group: '测试', method: 'proxy', url: '', urlConstruction: 'special_forward', proxySettings: { imageUrlField: 'url' } }
+        }
+    });
+    const { app, loadConfig } = require('..');
+    await loadConfig();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/admin-auth`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'admin' })
+    });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+async function getLocation(path) {
+    const response = await fetch(`${baseUrl}${path}`, { redirect: 'manual' });
+    assert.strictEqual(response.status, 302, `${path}: ${response.status}`);
+    return response.headers.get('location');
+}
+
+test('appends query parameters to a URL without placeholders', async () => {
+    assert.strictEqual(await getLocation('/plain?q=cat'), 'https://img.example/search?fixed=1&q=cat');
+});
+
+test('applies filters to parameter and global values', async () => {
+    assert.strictEqual(await getLocation('/filters?tag=%20Cute%20Cat%20&ids=1&ids=2'), 'https://img.example/cute%20cat/large?ids=1;2&tag=MASTERPIECE');
+    assert.strictEqual(await getLocation('/filters?tag=a%2Fb&size=small&ids=3'), 'https://img.example/a%2Fb/small?ids=3&tag=MASTERPIECE');
+});
+
+test('renders sections only when the parameter has a value', async () => {
+    assert.strictEqual(await getLocation('/sections?seed=4%262'), 'https://img.example/list?seed=4%262');
+    assert.strictEqual(await getLocation('/sections'), 'https://img.example/list?random=true');
+});
+
+test('renders missing variables as empty strings', async () => {
+    assert.strictEqual(await getLocation('/missing?notAParam=ignored'), 'https://img.example//end');
+});
+
+test('rejects parameter values that change the target host', async () => {
+    assert.strictEqual(await getLocation('/relative?target=cats'), '/cats');
+    const response = await fetch(`${baseUrl}/relative?target=%2Fevil.example`, { redirect: 'manual' });
+    assert.strictEqual(response.status, 400);
+});
+
+test('upgrades legacy special_* routes to equivalent templates', async () => {
+    const { apiUrls } = await (await fetch(`${baseUrl}/config`, { headers: { Cookie: cookie } })).json();
+    assert.strictEqual(apiUrls.pollinations.url, 'https://image.pollinations.ai/prompt/{tags|urlencode}%2c{baseTag}?&model=flux&nologo=true');
+    assert.strictEqual(apiUrls.draw.url, '/{model}?tags={tags|urlencode}');
+    assert.strictEqual(apiUrls.forward.url, '{url}');
+    for (const entry of [apiUrls.pollinations, apiUrls.draw, apiUrls.forward]) {
+        assert.strictEqual(entry.urlConstruction, undefined);
+        assert.strictEqual(entry.modelName, undefined);
+    }
+
+    // 与旧路由生成的地址相同
+    assert.strictEqual(await getLocation('/pollinations?tags=a%20cat'), 'https://image.pollinations.ai/prompt/a%20cat%2cmasterpiece?&model=flux&nologo=true');
+    assert.strictEqual(await getLocation('/draw?tags=a%20cat'), '/flux?tags=a%20cat');
+    assert.strictEqual(await getLocation('/draw?tags=a%20cat&model=turbo'), '/turbo?tags=a%20cat');
+    for (const path of ['/pollinations', '/draw', '/draw?tags=x&model=other', '/forward']) {
+        const response = await fetch(`${baseUrl}${path}`, { redirect: 'manual' });
+        assert.strictEqual(response.status, 400, path);
+    }
+
+    const target = encodeURIComponent(`${upstreamOrigin}/api`);
+    assert.strictEqual(await getLocation(`/forward?url=${target}`), 'https://images.example/by-url.png');
+    assert.strictEqual(await getLocation(`/forward?url=${target}&field=image`), 'https://images.example/by-field.png');
+});